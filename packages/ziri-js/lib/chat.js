@@ -3,6 +3,8 @@
  * Combines vector search + Ollama generation for contextual AI responses
  */
 
+import { formatContextMarkdown } from './context.js';
+
 export async function chatCommand({ argv, configManager }) {
   const query = argv._[1];
   if (!query) {
@@ -112,7 +114,7 @@ async function performChatOperation(query, argv, configManager, startTime) {
   // Step 2: Search for relevant context in vector store
   console.log('\n� Searching for relevant context...');
   
-  const contextResults = await getContextFromQuery(query, argv);
+  const contextResults = await getContextFromQuery(query, argv, configManager);
 
   if (!contextResults || contextResults.length === 0) {
     console.log('❌ No relevant context found in vector store.');
@@ -154,7 +156,7 @@ async function performChatOperation(query, argv, configManager, startTime) {
 /**
  * Get context from vector store using existing query functionality
  */
-async function getContextFromQuery(query, argv) {
+async function getContextFromQuery(query, argv, configManager) {
   try {
     // Use the existing query command to get results
     const { queryCommand } = await import('./query.js');
@@ -164,6 +166,7 @@ async function getContextFromQuery(query, argv) {
       _: ['query', query], // queryCommand expects argv._[1] to be the query
       k: argv.k || '8',
       scope: argv.scope || 'repo',
+      expand: argv.expand === true,
       verbose: false // Don't show verbose output during chat
     };
     
@@ -175,7 +178,7 @@ async function getContextFromQuery(query, argv) {
     };
     
     try {
-      const queryResults = await queryCommand({ argv: queryArgv });
+      const queryResults = await queryCommand({ argv: queryArgv, configManager });
       console.log = originalLog;
       
       // If queryCommand returns results directly, use them
@@ -294,33 +297,7 @@ function formatContextForOllama(contextResults) {
     return 'No relevant context found.';
   }
 
-  let formattedContext = 'Relevant Code Context:\n\n';
-
-  contextResults.forEach((result, index) => {
-    formattedContext += `## ${index + 1}. ${result.file}`;
-    
-    if (result.lines) {
-      formattedContext += ` (lines ${result.lines})`;
-    }
-    
-    if (result.language && result.language !== 'unknown') {
-      formattedContext += ` - ${result.language}`;
-    }
-    
-    formattedContext += `\nRelevance Score: ${result.score}\n`;
-    
-    if (result.context) {
-      formattedContext += '```' + (result.language || 'code') + '\n';
-      formattedContext += result.context.trim();
-      formattedContext += '\n```\n\n';
-    } else if (result.compatibility === 'legacy') {
-      formattedContext += `*Legacy index entry - content not available (score: ${result.score})*\n\n`;
-    } else {
-      formattedContext += `*No content available for this result*\n\n`;
-    }
-  });
-
-  return formattedContext;
+  return formatContextMarkdown(contextResults);
 }
 
 /**
@@ -0,0 +1,73 @@
+/**
+ * Chunk locations
+ * A chunk is stored once per distinct content, and every index.json row is one place it
+ * occurs: a path and line span. Results are read from the stored chunk and then moved to
+ * the location they are reported at, and list the other places the same code appears.
+ */
+
+/**
+ * Group rows by the chunk they refer to, each chunk's locations in path and line order
+ * @param {Array} rows - index.json rows
+ * @returns {Map<string, Array>} Chunk ID -> rows
+ */
+export function groupLocations(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.id)) groups.set(row.id, []);
+    groups.get(row.id).push(row);
+  }
+  for (const locations of groups.values()) {
+    if (locations.length > 1) locations.sort(compareLocations);
+  }
+  return groups;
+}
+
+function compareLocations(a, b) {
+  return a.relPath.localeCompare(b.relPath) || (a.startLine || 0) - (b.startLine || 0);
+}
+
+/**
+ * Stored chunk data as it appears at one location. The content is the same everywhere;
+ * the path and lines are the row's, and the surrounding lines are only kept where they
+ * were read.
+ * @param {Object} chunkData - Loaded chunk
+ * @param {Object} [row] - index.json row; rows without a line span only move the path
+ */
+export function atLocation(chunkData, row) {
+  if (!chunkData || !row) return chunkData;
+  const startLine = row.startLine ?? chunkData.startLine;
+  const endLine = row.endLine ?? chunkData.endLine;
+  if (row.relPath === chunkData.relativePath && startLine === chunkData.startLine && endLine === chunkData.endLine) {
+    return chunkData;
+  }
+
+  const located = { ...chunkData, relativePath: row.relPath, startLine, endLine, surroundingContext: undefined };
+  if (chunkData.filePath && chunkData.relativePath && chunkData.filePath.endsWith(chunkData.relativePath)) {
+    located.filePath = chunkData.filePath.slice(0, -chunkData.relativePath.length) + row.relPath;
+  }
+  return located;
+}
+
+/**
+ * Describe where a chunk occurs, for result output
+ * @param {Array} locations - Rows of one chunk
+ * @returns {Array<{file: string, lines: string}>}
+ */
+export function describeLocations(locations) {
+  return locations.map(row => ({ file: row.relPath, lines: row.startLine ? `${row.startLine}-${row.endLine}` : null }));
+}
+
+/**
+ * Locations of a result's content other than the one it is reported at
+ * @param {Object} result - Query result with locations from describeLocations
+ */
+export function otherLocations(result) {
+  return (result.locations || []).slice(1);
+}
+
+/**
+ * path:start-end, or the path alone when the lines aren't known
+ */
+export function formatLocation({ file, lines }) {
+  return lines ? `${file}:${lines}` : file;
+}
@@ -31,11 +31,15 @@ export function chunkTextWithLines(text, opts = {}) {
         size: currentChunk.length
       });
       
-      // Start new chunk with overlap
+      // Start new chunk with overlap, unless the overlap would overflow it (very long lines)
       const overlapLines = Math.max(1, Math.floor((lineIndex - currentStartLine) * 0.15));
-      const newStartLine = Math.max(currentStartLine, lineIndex - overlapLines + 1);
+      let newStartLine = Math.max(currentStartLine, lineIndex - overlapLines + 1);
       
       currentChunk = lines.slice(newStartLine - 1, lineIndex + 1).join('\n') + '\n';
+      if (currentChunk.length > target) {
+        newStartLine = lineIndex + 1;
+        currentChunk = line;
+      }
       currentStartLine = newStartLine;
     } else {
       // Add line to current chunk
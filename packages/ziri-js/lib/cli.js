@@ -6,9 +6,16 @@ import { addSource, removeSource, removeSet, listSources, getSources, SOURCES_PA
 import { indexCommand, legacyIndexCommand } from './indexer.js';
 import { queryCommand } from './query.js';
 import { chatCommand } from './chat.js';
+import { contextCommand } from './context.js';
+import { symbolsCommand } from './symbols.js';
+import { similarCommand } from './similar.js';
+import { logSearchCommand } from './commit-history.js';
+import { historyCommand, savedCommand, recordQuery, pickReplayOptions } from './history.js';
 import { watchCommand } from './watch.js';
 import { lspCommand } from './lsp/command.js';
+import { overlaysCommand } from './index-overlay.js';
 import { ConfigManager } from './config/config-manager.js';
+import { resolveOutputFormat, isMachineFormat, routeStatusToStderr } from './output-formats.js';
 
 async function initializeConfigManager() {
   try {
@@ -157,12 +164,17 @@ export async function main(){
     string: [
       'scope', 'set', 'k', 'provider', 'concurrency', 'batch-size', 'memory-limit',
       'exclude', 'providers', 'duration', 'output', 'api-key', 'base-url', 'model',
-      'config', 'key', 'socket'
+      'config', 'key', 'socket', 'mode', 'repo-concurrency',
+      'lang', 'path', 'not-path', 'type', 'symbol', 'rerank-pool', 'rerank-timeout',
+      'mmr-lambda', 'format', 'budget', 'limit', 'kind', 'since', 'max-commits', 'chunking', 'ref',
+      'base-branch'
     ],
     // Boolean options
     boolean: [
       'all', 'help', 'version', 'legacy', 'verbose', 'force', 'benchmark', 'stats',
-      'stdio', 'node-ipc'
+      'stdio', 'node-ipc', 'rerank', 'expand', 'diff', 'other-files', 'other-repos', 'explain',
+      'recency', 'churn', 'history', 'prune', 'dry-run', 'list-files', 'resume',
+      'overlay'
     ],
     // Aliases
     alias: {
@@ -179,11 +191,12 @@ export async function main(){
     // Default values
     default: {
       k: '8',
-      concurrency: '5',
-      'batch-size': '100',
-      'memory-limit': '512',
       provider: 'ollama',
-      duration: '60'
+      duration: '60',
+      // Unset unless --resume or --no-resume is given
+      resume: null,
+      // Unset unless --overlay or --no-overlay is given
+      overlay: null
     }
   });
 
@@ -197,6 +210,14 @@ export async function main(){
 
   const cmd = argv._[0];
   if (!cmd){ return help(); }
+
+  // Machine-readable output keeps stdout clean; everything else goes to stderr
+  const replaysQuery = (cmd === 'saved' && argv._[1] === 'run') || (cmd === 'history' && argv._[1] === 'replay');
+  if (((cmd === 'query' || cmd === 'similar' || cmd === 'log-search' || replaysQuery) && isMachineFormat(resolveOutputFormat(argv))) || cmd === 'context' ||
+      (cmd === 'symbols' && resolveOutputFormat(argv) === 'json')) {
+    routeStatusToStderr();
+  }
+
   await ensureDirs();
   
   // Initialize configuration manager
@@ -211,8 +232,27 @@ export async function main(){
         await indexCommand({ argv, configManager });
       }
       break;
-    case 'query': await queryCommand({ argv }); break;
-    case 'chat': await chatCommand({ argv, configManager }); break;
+    case 'query': {
+      const results = await queryCommand({ argv, configManager });
+      // Commit results (--scope history) have no file spans to record
+      if (Array.isArray(results) && argv.scope !== 'history') {
+        await recordQuery({ command: 'query', query: String(argv._[1]), options: pickReplayOptions(argv), results });
+      }
+      break;
+    }
+    case 'chat':
+      await chatCommand({ argv, configManager });
+      if (argv._[1]) {
+        await recordQuery({ command: 'chat', query: String(argv._[1]), options: pickReplayOptions(argv) });
+      }
+      break;
+    case 'history': await historyCommand({ argv, configManager }); break;
+    case 'saved': await savedCommand({ argv, configManager }); break;
+    case 'context': await contextCommand({ argv, configManager }); break;
+    case 'symbols': await symbolsCommand({ argv }); break;
+    case 'overlays': await overlaysCommand({ argv }); break;
+    case 'similar': await similarCommand({ argv, configManager }); break;
+    case 'log-search': await logSearchCommand({ argv, configManager }); break;
     case 'watch': await watchCommand({ argv, configManager }); break;
     case 'lsp': await lspCommand({ argv }); break;
     case 'sources': await handleSources(argv); break;
@@ -246,9 +286,17 @@ Usage:
   ziri --version                          Show version information
 
 Commands:
-  index [options]                    Index current repository with enhanced context (default)
+  index [set:NAME] [options]         Index current repository (or every repository in a set)
   query "your question" [options]    Query indexed repositories with rich results
   chat "your question" [options]     Chat with AI using codebase context (Ollama default)
+  context "your question" [options]  Build a token-budgeted context pack to paste into a prompt
+  symbols <name> [options]           Find functions, classes and methods by name (no embeddings needed)
+  similar <path:start-end> [options] Find code that looks like a block of lines
+  log-search "question" [options]    Search commit messages and diffs (after 'ziri index --history')
+  history [replay <id>]              List past queries and chats, or re-run one
+  saved <command> [options]          Named searches: add <name> "query", run <name> [--diff], list, remove <name>
+  overlays [list|gc] [--dry-run]     List the branch overlays of the current repository, or remove
+                                     the ones whose branch was deleted
   watch [options]                    Watch repository and auto-reindex on file changes
   lsp [options]                      Start Language Server Protocol server for IDE integration
   repl                              Start interactive REPL mode
@@ -261,28 +309,100 @@ Commands:
 
 Index Options:
   --provider <name>        Embedding provider (ollama [default], openai, huggingface, cohere)
-  --concurrency <num>      Concurrent processing threads (default: 5)
-  --batch-size <num>       Batch size for embeddings (default: 100)
-  --memory-limit <mb>      Memory limit in MB (default: 512)
+  --concurrency <num>      Embedding requests in flight at once (default: performance.concurrency, 3)
+  --batch-size <num>       Chunks per request to start with; adapts to response times (default: performance.batchSize, 150)
+  --memory-limit <mb>      Heap size at which reading more files waits (default: performance.memoryLimit, 1024)
   --force                  Force full re-index (ignore incremental updates)
+  --prune                  Also remove chunks earlier runs left behind for changed or deleted files
+  --resume                 Resume an interrupted run even if it is more than a day old
+                           (runs from the last day are resumed automatically)
+  --no-resume              Ignore an interrupted run's checkpoint and rescan every file
   --legacy                 Use legacy indexer (DEPRECATED - will be removed in v2.0)
   --verbose                Show detailed progress information
   --stats                  Display comprehensive statistics
-  --exclude <patterns>     Comma-separated exclusion patterns
+  --exclude <patterns>     Comma-separated exclusion patterns (.gitignore syntax, on top of
+                           .gitignore, .ziriignore and the exclusions config)
+  --dry-run                Scan and report what would change without embedding or writing anything
+  --list-files             Print every file that would be indexed (implies --dry-run)
+  --ref <rev>              Index a branch, tag or commit without checking it out
+                           (required in a bare repository); refs other than the base
+                           branch go into their own overlay
+  --base-branch <name>     Branch the main store holds (default: overlays.baseBranch, origin's
+                           default branch, main or master); other branches are indexed into
+                           overlays that only store the files they change
+  --no-overlay             Index the checked-out branch into the main store instead of an overlay
   --parallel               Enable parallel file system walk (default: false)
   --walk-concurrency <num> Number of parallel file system walkers (default: 4)
+  --repo-concurrency <num> Repositories indexed at once for set:NAME (default: 1, sequential)
+  --chunking <strategy>    syntax (cut at functions/classes, default) or lines, for every language.
+                           Syntax chunks cover JS/TS, ESQL and DataWeave; Python, Java, C/C++
+                           and other languages are always chunked by lines
+  --history                Also index commit messages and diffs for 'ziri log-search'
+  --max-commits <num>      Newest commits to index with --history (default: 1000)
 
 Query Options:
-  --scope <scope>          Query scope: repo (current), all (all indexed), set:NAME (specific set)
+  --scope <scope>          Query scope: repo (current), all (all indexed), set:NAME (every repo in a set),
+                           history (commits of the current repo, same as 'ziri log-search')
   --k <num>                Number of results to return (default: 8)
+  --mode <mode>            Retrieval mode: vector, lexical (BM25), hybrid (default, configurable via query.mode)
+  --lang <lang>            Only search chunks in this language (ts, py, ...; repeatable)
+  --path <glob>            Only search paths matching a glob or directory prefix (e.g. 'src/**')
+  --not-path <glob>        Skip paths matching a glob (e.g. '**/test/**')
+  --type <type>            Only search chunk types: function, class, import, comment, code
+  --symbol <name>          Only search chunks defining this function/class (* wildcard)
+  --since <window>         Only search files committed within a window (30d, 12h, 2w, 6m, 1y, 2024-05-01)
+                           Inline form: ziri query "lang:ts path:src/ since:30d auth token"
+  --recency                Boost recently committed files (query.ranking.recency config)
+  --churn                  Boost frequently changed files (query.ranking.churn config)
+  --rerank                 Reorder the top candidates with a text model (query.rerank config)
+  --rerank-pool <num>      Candidates sent to the reranker (default: 20)
+  --rerank-timeout <ms>    Give up reranking and keep retrieval order after this (default: 15000)
+  --expand                 Also search a model-drafted code snippet for the question (HyDE)
+  --no-merge               Keep overlapping chunks of a file as separate results
+  --no-mmr                 Rank purely by relevance (skip the diversity pass)
+  --mmr-lambda <0-1>       Relevance vs. diversity trade-off (default: 0.7, 1 = relevance only)
+  --explain                Show each result's score breakdown: cosine and BM25 scores with their
+                           weights, name boosts, span merging, MMR and rerank moves, final rank
+  --format <fmt>           Output: text (default), json, jsonl, vimgrep, markdown, sarif
+                           Machine formats print only results on stdout (status goes to stderr)
+  --json                   Same as --format json
 
 Chat Options (NEW):
   --k <num>                Number of context results to retrieve (default: 8)
   --scope <scope>          Query scope for context: repo (current), all (all indexed), set:NAME (specific set)
+  --expand                 Expand the question with a drafted code snippet before retrieving context
   --verbose                Show detailed processing and context information
 
+Context Options:
+  --budget <tokens>        Token budget for the pack (default: 8000)
+  --format <fmt>           Pack format: markdown (default), xml, json
+  --scope <scope>          Same scopes as query (repo, all, set:NAME); query filters also apply
+
+Symbols Options:
+  --kind <kind>            Only return symbols of this kind: function, class, method
+  --scope <scope>          Same scopes as query (repo, all, set:NAME)
+  --limit <num>            Maximum number of symbols (default: 20)
+  --json                   Print matches as JSON (name, kind, signature, file, line)
+
+Similar Options:
+  --k <num>                Number of similar spans to return (default: 8)
+  --scope <scope>          Same scopes as query (repo, all, set:NAME)
+  --other-files            Skip matches in the file the block comes from
+  --other-repos            Only return matches from other repositories (searches all unless --scope is given)
+  --format <fmt>           Output: text (default), json, jsonl, vimgrep, markdown, sarif
+
+Log Search Options:
+  --k <num>                Number of commits to return (default: 8)
+  --format <fmt>           Output: text (default), json, jsonl
+
+History Options:
+  --limit <num>            Number of past queries to list (default: 20)
+  --diff                   With 'saved run': show results that appeared, disappeared or moved
+                           since the previous run (keyed by file and line span)
+
 Watch Options:
   --verbose                Show detailed file change information
+  --exclude <patterns>     Comma-separated patterns to ignore on top of the repository's ignore files
 
 LSP Options:
   --stdio                  Use stdio for communication (default for most IDEs)
@@ -348,10 +468,21 @@ Examples:
   # Advanced indexing
   ziri index --provider ollama --concurrency 5 --batch-size 100
   ziri index --force --verbose --stats                    # Full re-index with details
+  ziri index set:backend --repo-concurrency 3             # Index every repo in a set
+  ziri index --ref v2.1.0                                 # Index a tag, whatever is checked out
+  ziri overlays gc                                        # Drop overlays of deleted branches
   
   # Querying and chat
   ziri query "database connection" --scope all --k 15     # Search all repos
+  ziri query "lang:py type:function token refresh"        # Filtered search
+  ziri query "retry upload" --since 30d --recency         # Recently touched code first
   ziri chat "debug this login issue" --scope set:backend --verbose
+  ziri context "how are tokens refreshed" --budget 4000 --format xml > context.xml
+  ziri symbols retryUpload --kind method                  # Exact, prefix and fuzzy symbol lookup
+  ziri similar src/upload.js:40-80 --other-files          # Other places that look like this block
+  ziri log-search "why was the retry limit lowered"       # Commits that explain a change
+  ziri saved add auth-flow "token refresh" --mode hybrid --k 10   # Save a search
+  ziri saved run auth-flow --diff                         # Re-run and compare with the last run
   
   # Configuration
   ziri config provider ollama                             # Use local Ollama
@@ -0,0 +1,333 @@
+/**
+ * Commit History Search
+ * `ziri index --history` embeds each commit's message together with a summary of its
+ * diff (touched files, hunk headers and a few changed lines) into a separate collection
+ * in the repository store (history/). `ziri log-search` and `ziri query --scope history`
+ * answer "when did we change X and why" with commits instead of code chunks.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { runGit, streamGit } from './git.js';
+import { cosineSim, TopK } from './similarity.js';
+import { resolveRepoTarget } from './scope.js';
+import { createStoreEmbedders, EmbeddingMismatchError } from './store-embedder.js';
+import { resolveOutputFormat, writeOutput } from './output-formats.js';
+
+const HISTORY_VERSION = 1;
+
+export const DEFAULT_MAX_COMMITS = 1000;
+export const HISTORY_FORMATS = ['text', 'json', 'jsonl'];
+
+// Markers around the commit header and message in `git log` output
+const COMMIT_START = '\u001e';
+const MESSAGE_END = '\u001d';
+const FIELD = '\u001f';
+
+// Keep embedded text within one embedding request
+const MAX_MESSAGE_CHARS = 2000;
+const MAX_TEXT_CHARS = 6000;
+const MAX_FILES_IN_TEXT = 20;
+const MAX_HUNK_HEADERS = 3;
+const MAX_CHANGED_LINES = 4;
+const EMBED_BATCH = 32;
+
+/**
+ * Resolve the history collection directory of a repository store
+ * @param {string} repoDir - Repository store directory
+ * @returns {string} Path to history/
+ */
+export function historyDir(repoDir) {
+  return path.join(repoDir, 'history');
+}
+
+/**
+ * Load the commit collection of a store
+ * @returns {Promise<{lastCommit: string|null, commits: Array}|null>} Null when history was never indexed
+ */
+export async function loadCommitHistory(repoDir) {
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(historyDir(repoDir), 'commits.json'), 'utf-8'));
+    return data.version === HISTORY_VERSION ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+async function saveCommitHistory(repoDir, history) {
+  await fs.mkdir(path.join(historyDir(repoDir), 'vecs'), { recursive: true });
+  const data = { version: HISTORY_VERSION, lastCommit: history.lastCommit, updatedAt: new Date().toISOString(), commits: history.commits };
+  await fs.writeFile(path.join(historyDir(repoDir), 'commits.json'), JSON.stringify(data), 'utf-8');
+}
+
+function vectorPath(repoDir, hash) {
+  return path.join(historyDir(repoDir), 'vecs', `${hash}.bin`);
+}
+
+async function loadCommitVector(repoDir, hash) {
+  const buf = await fs.readFile(vectorPath(repoDir, hash));
+  return new Float32Array(buf.buffer, buf.byteOffset, buf.byteLength / 4);
+}
+
+/**
+ * Read commits with per-file diff summaries, newest first
+ * @param {string} repoPath - Repository checkout
+ * @param {Object} options - range (e.g. `abc123..HEAD`), maxCommits
+ * @returns {Promise<Array|null>} Null outside a git checkout
+ */
+export async function readGitCommits(repoPath, { range = null, maxCommits = DEFAULT_MAX_COMMITS } = {}) {
+  const commits = [];
+  let commit = null;
+  let file = null;
+  let inMessage = false;
+  let message = [];
+
+  const args = [
+    '-c', 'core.quotepath=off', 'log', '--no-color', '--no-ext-diff', '-p', '--unified=0', '--relative',
+    `--format=${COMMIT_START}%H${FIELD}%an${FIELD}%ae${FIELD}%aI%n%B${MESSAGE_END}`,
+    '-n', String(maxCommits),
+    ...(range ? [range] : [])
+  ];
+
+  const ok = await streamGit(repoPath, args, line => {
+    if (line.startsWith(COMMIT_START)) {
+      const [hash, author, email, date] = line.slice(1).split(FIELD);
+      commit = { hash, author, email, date, message: '', files: [] };
+      commits.push(commit);
+      file = null;
+      inMessage = true;
+      message = [];
+      return;
+    }
+    if (!commit) return;
+
+    if (inMessage) {
+      const end = line.indexOf(MESSAGE_END);
+      message.push(end === -1 ? line : line.slice(0, end));
+      if (end !== -1) {
+        inMessage = false;
+        commit.message = message.join('\n').trim().slice(0, MAX_MESSAGE_CHARS);
+      }
+      return;
+    }
+
+    const header = /^diff --git a\/(.*) b\/(.*)$/.exec(line);
+    if (header) {
+      file = { path: header[2], added: 0, deleted: 0, hunks: [], changes: [] };
+      commit.files.push(file);
+      return;
+    }
+    if (!file) return;
+
+    if (line.startsWith('+++ ') || line.startsWith('--- ')) {
+      if (line.startsWith('+++ b/')) file.path = line.slice(6);
+      return;
+    }
+    if (line.startsWith('@@')) {
+      const context = line.replace(/^@@[^@]*@@\s?/, '').trim();
+      if (context && file.hunks.length < MAX_HUNK_HEADERS && !file.hunks.includes(context)) file.hunks.push(context);
+      return;
+    }
+    if (line.startsWith('Binary files')) {
+      file.binary = true;
+      return;
+    }
+    const sign = line[0];
+    if (sign !== '+' && sign !== '-') return;
+    if (sign === '+') file.added++;
+    else file.deleted++;
+    const text = line.slice(1).trim();
+    if (text.length > 2 && file.changes.length < MAX_CHANGED_LINES) {
+      file.changes.push(`${sign} ${text.length > 120 ? `${text.slice(0, 117)}...` : text}`);
+    }
+  });
+
+  return ok ? commits : null;
+}
+
+/**
+ * Text embedded for a commit: the message, then each file with its hunk headers and a
+ * few changed lines
+ */
+export function buildCommitText(commit) {
+  const lines = [commit.message];
+  for (const file of commit.files.slice(0, MAX_FILES_IN_TEXT)) {
+    const hunks = file.hunks.length > 0 ? `: ${file.hunks.join('; ')}` : '';
+    lines.push(`${file.path} (+${file.added} -${file.deleted})${hunks}`);
+    if (!file.binary) lines.push(...file.changes.map(change => `  ${change}`));
+  }
+  if (commit.files.length > MAX_FILES_IN_TEXT) {
+    lines.push(`... and ${commit.files.length - MAX_FILES_IN_TEXT} more files`);
+  }
+  return lines.join('\n').slice(0, MAX_TEXT_CHARS);
+}
+
+/**
+ * Embed commits newer than the last indexed one into the store's history collection
+ * @param {string} repoPath - Repository checkout
+ * @param {string} storeDir - Repository store directory
+ * @param {Object} options - embedder (the one the store's chunks use), maxCommits, log, rev to index the
+ * history of instead of HEAD
+ * @returns {Promise<{added: number, total: number, rebuilt: boolean}|null>} Null outside a git checkout
+ */
+export async function indexCommitHistory(repoPath, storeDir, { embedder, maxCommits = DEFAULT_MAX_COMMITS, log = console.log, rev = 'HEAD' } = {}) {
+  const head = await runGit(repoPath, ['rev-parse', rev]).catch(() => null);
+  if (!head) return null;
+
+  let history = await loadCommitHistory(storeDir) || { lastCommit: null, commits: [] };
+  if (history.lastCommit === head) {
+    return { added: 0, total: history.commits.length, rebuilt: false };
+  }
+
+  // Only commits since the last run, unless history was rewritten underneath it
+  let range = null;
+  let rebuilt = false;
+  if (history.lastCommit) {
+    const ancestor = await runGit(repoPath, ['merge-base', '--is-ancestor', history.lastCommit, head]).then(() => true, () => false);
+    if (ancestor) {
+      range = `${history.lastCommit}..${head}`;
+    } else {
+      log(`♻️  ${history.lastCommit.slice(0, 7)} is no longer in the history of ${rev} - re-indexing commits`);
+      await fs.rm(historyDir(storeDir), { recursive: true, force: true });
+      history = { lastCommit: null, commits: [] };
+      rebuilt = true;
+    }
+  }
+
+  const commits = await readGitCommits(repoPath, { range: range || head, maxCommits });
+  if (!commits) return null;
+  await fs.mkdir(path.join(historyDir(storeDir), 'vecs'), { recursive: true });
+
+  for (let i = 0; i < commits.length; i += EMBED_BATCH) {
+    const batch = commits.slice(i, i + EMBED_BATCH);
+    log(`   🔄 Embedding commits ${i + 1}-${i + batch.length} of ${commits.length}...`);
+    const vectors = await embedder.embedBatch(batch.map(buildCommitText));
+    for (let j = 0; j < batch.length; j++) {
+      await fs.writeFile(vectorPath(storeDir, batch[j].hash), Buffer.from(new Float32Array(vectors[j]).buffer));
+    }
+  }
+
+  // Newest first, like git log
+  const known = new Set(history.commits.map(commit => commit.hash));
+  const added = commits.filter(commit => !known.has(commit.hash)).map(toRecord);
+  history.commits = [...added, ...history.commits];
+  history.lastCommit = head;
+  await saveCommitHistory(storeDir, history);
+  return { added: added.length, total: history.commits.length, rebuilt };
+}
+
+/**
+ * Rank indexed commits by similarity to a query vector
+ * @param {string} storeDir - Repository store directory
+ * @param {Array<number>} vector - Query vector from the store's embedder
+ * @param {Object} options - k, repo alias for the results
+ * @returns {Promise<Array|null>} Commits best first, null when history was never indexed
+ */
+export async function searchCommitHistory(storeDir, vector, { k = 8, repo } = {}) {
+  const history = await loadCommitHistory(storeDir);
+  if (!history) return null;
+
+  const top = new TopK(k);
+  for (const commit of history.commits) {
+    let stored;
+    try {
+      stored = await loadCommitVector(storeDir, commit.hash);
+    } catch {
+      continue;
+    }
+    top.push({ commit, score: cosineSim(vector, stored) });
+  }
+
+  return top.values().map(({ commit, score }) => ({
+    hash: commit.hash,
+    author: commit.author,
+    email: commit.email,
+    date: commit.date,
+    subject: commit.subject,
+    message: commit.message,
+    files: commit.files,
+    score: Number(score.toFixed(4)),
+    repo
+  }));
+}
+
+/**
+ * ziri log-search "question" [--k 8] [--format text|json|jsonl]
+ * (also `ziri query "question" --scope history`)
+ */
+export async function logSearchCommand({ argv, configManager }) {
+  const query = argv._[1];
+  if (!query) {
+    console.error('❌ Provide a question: ziri log-search "when did we change token refresh"');
+    return;
+  }
+  const format = resolveOutputFormat(argv);
+  if (!HISTORY_FORMATS.includes(format)) {
+    console.error(`❌ Unsupported format for commit search: ${argv.format}`);
+    console.error(`Supported formats: ${HISTORY_FORMATS.join(', ')}`);
+    return;
+  }
+  const k = Math.max(1, parseInt(argv.k || '8', 10));
+
+  const target = await resolveRepoTarget(process.cwd(), 'current');
+  const history = await loadCommitHistory(target.store);
+  if (!history) {
+    if (format !== 'text') writeOutput(format === 'json' ? '[]\n' : '');
+    console.log(`📭 No commit history indexed for ${target.alias}`);
+    console.log(`   💡 Index it first: ziri index --history`);
+    return [];
+  }
+
+  console.log(`🕰️  Searching ${history.commits.length} commits of ${target.alias}: "${query}"`);
+
+  const config = await configManager?.getConfig() || {};
+  let results;
+  try {
+    const [vector] = await createStoreEmbedders(config).embed(target.store, [String(query)], target.alias);
+    results = await searchCommitHistory(target.store, vector, { k, repo: target.alias });
+  } catch (error) {
+    if (!(error instanceof EmbeddingMismatchError)) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+    return [];
+  }
+
+  if (format === 'json') {
+    writeOutput(`${JSON.stringify(results, null, 2)}\n`);
+    return results;
+  }
+  if (format === 'jsonl') {
+    writeOutput(results.map(result => `${JSON.stringify(result)}\n`).join(''));
+    return results;
+  }
+
+  displayCommits(results);
+  return results;
+}
+
+function displayCommits(results) {
+  if (results.length === 0) {
+    console.log('\n📭 No matching commits');
+    return;
+  }
+  console.log('');
+  results.forEach((result, i) => {
+    console.log(`${i + 1}. 📊 ${result.score}  ${result.hash.slice(0, 7)}  ${result.date.slice(0, 10)}  ${result.author}`);
+    console.log(`   ${result.subject}`);
+    const files = result.files.slice(0, 5).map(file => `${file.path} (+${file.added} -${file.deleted})`);
+    const more = result.files.length > 5 ? `, +${result.files.length - 5} more` : '';
+    if (files.length > 0) console.log(`   📄 ${files.join(', ')}${more}`);
+  });
+}
+
+function toRecord(commit) {
+  return {
+    hash: commit.hash,
+    author: commit.author,
+    email: commit.email,
+    date: commit.date,
+    subject: commit.message.split('\n')[0],
+    message: commit.message,
+    files: commit.files.map(file => ({ path: file.path, added: file.added, deleted: file.deleted }))
+  };
+}
@@ -237,6 +237,16 @@ export class ConfigManager {
       logging: {
         ...defaults.logging,
         ...userConfig.logging
+      },
+      // Query settings nest (ranking.bm25.weights, rerank, ...), so a partial override keeps the other defaults
+      query: this.deepMerge(defaults.query, userConfig.query || {}),
+      chunking: {
+        ...defaults.chunking,
+        ...userConfig.chunking
+      },
+      overlays: {
+        ...defaults.overlays,
+        ...userConfig.overlays
       }
     };
   }
@@ -266,6 +276,16 @@ export class ConfigManager {
       logging: {
         ...defaults.logging,
         ...userConfig.logging
+      },
+      // Query settings nest (ranking.bm25.weights, rerank, ...), so a partial override keeps the other defaults
+      query: this.deepMerge(defaults.query, userConfig.query || {}),
+      chunking: {
+        ...defaults.chunking,
+        ...userConfig.chunking
+      },
+      overlays: {
+        ...defaults.overlays,
+        ...userConfig.overlays
       }
     };
   }
@@ -374,6 +394,16 @@ export class ConfigManager {
           maxSize: 1024
         }
       },
+      chunking: {
+        strategy: 'syntax', // syntax (declaration boundaries, falls back to lines) | lines
+        targetChars: 4000,
+        minChars: 1000, // small neighbouring declarations are packed up to this size
+        languages: {} // per-language strategy, e.g. { python: 'lines' }
+      },
+      overlays: {
+        enabled: true, // index branches other than the base into overlays
+        baseBranch: null // null: origin's default branch, then main or master
+      },
       logging: {
         level: 'info',
         fileLogging: false,
@@ -381,6 +411,58 @@ export class ConfigManager {
         maxFiles: 5,
         performanceLogging: false,
         apiLogging: false
+      },
+      query: {
+        defaultResults: 8,
+        mode: 'hybrid', // vector | lexical | hybrid
+        ranking: {
+          bm25: {
+            enabled: true,
+            k1: 1.5,
+            b: 0.75,
+            weights: {
+              vector: 0.7,
+              bm25: 0.2,
+              structural: 0.1
+            }
+          },
+          // Git-aware boosts (ziri query --recency / --churn)
+          recency: {
+            enabled: false,
+            weight: 0.1,
+            halfLifeDays: 90 // boost halves for every 90 days behind the latest commit
+          },
+          churn: {
+            enabled: false,
+            weight: 0.05
+          }
+        },
+        ann: {
+          enabled: true,
+          minVectors: 5000, // below this, search the packed vectors exactly
+          nprobe: null // clusters scanned per query (null = automatic)
+        },
+        rerank: {
+          enabled: false,
+          provider: 'ollama', // ollama | openai (any OpenAI-compatible endpoint)
+          model: null, // defaults to providers.ollama.textModel
+          baseUrl: null,
+          poolSize: 20,
+          timeout: 15000,
+          concurrency: 4
+        },
+        expand: {
+          enabled: false,
+          model: null, // defaults to providers.ollama.textModel
+          baseUrl: null,
+          timeout: 20000
+        },
+        diversity: {
+          mergeSpans: true, // merge overlapping/adjacent hits from one file
+          gap: 0,
+          mmr: true,
+          lambda: 0.7 // 1 = relevance only
+        }
       }
     };
   }
@@ -0,0 +1,311 @@
+/**
+ * Context Pack Command
+ * Runs retrieval and packs the best hits into a token-budgeted bundle that can be
+ * pasted into an agent or LLM prompt: hits are widened to their enclosing
+ * function/class, merged into spans and added greedily until the budget is spent.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { queryCommand } from './query.js';
+import { mergeAdjacentHits } from './ranking/diversity.js';
+import { writeOutput } from './output-formats.js';
+
+export const CONTEXT_FORMATS = ['markdown', 'xml', 'json'];
+export const DEFAULT_CONTEXT_BUDGET = 8000;
+
+// Rough size of one file header in the bundle
+const HEADER_TOKENS = 20;
+// Retrieve enough candidates to fill the budget even when chunks are small
+const TOKENS_PER_CANDIDATE = 200;
+// How far above a hit to look for its definition, and the largest block pulled in
+const MAX_SCAN_LINES = 200;
+const MAX_BLOCK_LINES = 400;
+
+const DEFINITION_PATTERNS = [
+  /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\b/,
+  /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+\w+/,
+  /^\s*(?:export\s+)?(?:const|let|var)\s+\w+\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|\w+\s*=>)/,
+  /^\s*(?:async\s+)?def\s+\w+|^\s*class\s+\w+.*:\s*$/,
+  /^\s*(?:public|private|protected|internal|static|final|override)\s+[\w<>[\],\s]*\(/,
+  /^\s*(?:pub\s+)?(?:async\s+)?fn\s+\w+|^\s*func\s+/,
+  /^\s*(?:interface|struct|enum|impl|trait)\s+\w+/,
+  // Method shorthand inside a class body: name(args) {
+  /^\s+(?:static\s+)?(?:async\s+)?(?!if\b|for\b|while\b|switch\b|catch\b|return\b)[A-Za-z_$][\w$]*\s*\([^)]*\)\s*\{\s*$/
+];
+
+/**
+ * ziri context "question" --budget 8000 --format markdown|xml|json
+ */
+export async function contextCommand({ argv, configManager }) {
+  const question = argv._[1];
+  if (!question) {
+    console.error('❌ Question required. Usage: ziri context "your question" [--budget 8000] [--format markdown|xml|json]');
+    return;
+  }
+
+  const format = String(argv.format || 'markdown').toLowerCase();
+  if (!CONTEXT_FORMATS.includes(format)) {
+    console.error(`❌ Unsupported format: ${argv.format}`);
+    console.error(`Supported formats: ${CONTEXT_FORMATS.join(', ')}`);
+    return;
+  }
+  const budget = argv.budget !== undefined ? parseInt(argv.budget, 10) : DEFAULT_CONTEXT_BUDGET;
+  if (!(budget > 0)) {
+    console.error(`❌ --budget must be a positive number of tokens (got ${argv.budget})`);
+    return;
+  }
+
+  const k = Math.max(parseInt(argv.k || '8', 10), Math.ceil(budget / TOKENS_PER_CANDIDATE));
+  const results = await queryCommand({
+    argv: { ...argv, _: ['query', question], k: String(k), format: undefined, json: false },
+    configManager,
+    render: false
+  });
+
+  const expanded = await expandToEnclosingBlocks(results || []);
+  const { included, usedTokens, omitted } = packContext(mergeAdjacentHits(expanded), budget);
+
+  console.log(`\n📦 Context pack: ${included.length} ${included.length === 1 ? 'span' : 'spans'}, ~${usedTokens}/${budget} tokens${omitted > 0 ? ` (${omitted} more did not fit)` : ''}`);
+  writeOutput(formatContextBundle(included, format, { query: question, budget, usedTokens }));
+  return included;
+}
+
+/**
+ * Widen hits that cut through a function or class to the whole definition.
+ * Needs the repository checkout; hits without one, and hits whose lines were edited
+ * since they were indexed, are kept as they are.
+ */
+export async function expandToEnclosingBlocks(results) {
+  const files = new Map();
+  const readLines = async filePath => {
+    if (!files.has(filePath)) {
+      files.set(filePath, fs.readFile(filePath, 'utf-8').then(text => text.split('\n'), () => null));
+    }
+    return files.get(filePath);
+  };
+
+  const expanded = [];
+  for (const result of results) {
+    const range = parseLines(result.lines);
+    if (!range || !result.repoPath || !result.context) {
+      expanded.push(result);
+      continue;
+    }
+
+    const lines = await readLines(path.join(result.repoPath, result.file));
+    if (!lines || !matchesCheckout(lines, range.start, result.context)) {
+      expanded.push(result);
+      continue;
+    }
+    const block = findEnclosingBlock(lines, range.start, range.end, result.language);
+    if (!block || (block.start >= range.start && block.end <= range.end)) {
+      expanded.push(result);
+      continue;
+    }
+
+    const start = Math.min(block.start, range.start);
+    const end = Math.max(block.end, range.end);
+    const context = lines.slice(start - 1, end).join('\n');
+    expanded.push({
+      ...result,
+      lines: `${start}-${end}`,
+      context,
+      expandedFrom: result.lines,
+      surroundingLines: undefined,
+      metadata: { ...result.metadata, tokenCount: estimateTokens(context) }
+    });
+  }
+  return expanded;
+}
+
+/**
+ * Whether the checkout still holds a hit's indexed text at its line numbers. Widening
+ * around lines that moved since indexing would pick the wrong definition.
+ * @param {Array<string>} lines - File contents split into lines
+ * @param {number} start - First line of the hit (1-based)
+ * @param {string} context - Indexed text of the hit
+ */
+export function matchesCheckout(lines, start, context) {
+  const expected = context.split('\n');
+  if (start < 1 || start - 1 + expected.length > lines.length) return false;
+  // Chunk text is trimmed, so only the characters on each line are compared
+  return expected.every((line, i) => line.trim() === lines[start - 1 + i].trim());
+}
+
+/**
+ * Find the function/class definition that encloses the start of a hit
+ * @param {Array<string>} lines - File contents split into lines
+ * @param {number} start - First line of the hit (1-based)
+ * @param {number} end - Last line of the hit (1-based)
+ * @returns {{start: number, end: number}|null} 1-based line range of the definition
+ */
+export function findEnclosingBlock(lines, start, end, language = '') {
+  const indentBased = ['python', 'yaml', 'yml'].includes(String(language).toLowerCase());
+  const first = Math.min(start, lines.length);
+  const last = Math.max(1, first - MAX_SCAN_LINES);
+
+  for (let line = first; line >= last; line--) {
+    if (!DEFINITION_PATTERNS.some(pattern => pattern.test(lines[line - 1]))) continue;
+
+    const blockEnd = indentBased ? indentedBlockEnd(lines, line) : bracedBlockEnd(lines, line);
+    // A definition that closed before the hit starts doesn't enclose it; keep looking outward
+    if (blockEnd === null || blockEnd < start) continue;
+    if (Math.max(blockEnd, end) - line + 1 > MAX_BLOCK_LINES) return null;
+    return { start: line, end: blockEnd };
+  }
+  return null;
+}
+
+/**
+ * Greedily fill the token budget with the best-scoring spans
+ * @returns {{included: Array, usedTokens: number, omitted: number}}
+ */
+export function packContext(results, budget) {
+  const included = [];
+  let usedTokens = 0;
+
+  for (const result of [...results].sort((a, b) => b.score - a.score)) {
+    const tokens = resultTokens(result) + HEADER_TOKENS;
+    // Smaller hits further down may still fit after a large one is skipped
+    if (usedTokens + tokens > budget) continue;
+    included.push({ ...result, tokens });
+    usedTokens += tokens;
+  }
+
+  return { included, usedTokens, omitted: results.length - included.length };
+}
+
+/**
+ * Render a context pack as markdown, xml or json
+ */
+export function formatContextBundle(results, format, { query = '', budget, usedTokens } = {}) {
+  switch (format) {
+    case 'markdown':
+      return formatContextMarkdown(results, { heading: `# Context for "${query}"` });
+    case 'xml':
+      return formatContextXml(results, { query, budget, usedTokens });
+    case 'json':
+      return `${JSON.stringify({
+        query,
+        budget,
+        tokens: usedTokens,
+        files: results.map(result => ({
+          repo: result.repo,
+          file: result.file,
+          lines: result.lines,
+          language: result.language,
+          score: result.score,
+          tokens: result.tokens,
+          content: result.context
+        }))
+      }, null, 2)}\n`;
+    default:
+      throw new Error(`Unsupported format: ${format}`);
+  }
+}
+
+/**
+ * Markdown context sections: a header per file with its line range, then the code.
+ * Shared with `ziri chat`, which sends the same layout to Ollama.
+ */
+export function formatContextMarkdown(results, { heading = 'Relevant Code Context:' } = {}) {
+  let formatted = `${heading}\n\n`;
+
+  results.forEach((result, index) => {
+    formatted += `## ${index + 1}. ${result.repo ? `${result.repo}/` : ''}${result.file}`;
+    if (result.lines) {
+      formatted += ` (lines ${result.lines})`;
+    }
+    if (result.language && result.language !== 'unknown') {
+      formatted += ` - ${result.language}`;
+    }
+    formatted += `\nRelevance Score: ${result.score}\n`;
+
+    if (result.context) {
+      formatted += '```' + (result.language || 'code') + '\n';
+      formatted += result.context.trim();
+      formatted += '\n```\n\n';
+    } else if (result.compatibility === 'legacy' || result.metadata?.compatibility === 'legacy') {
+      formatted += `*Legacy index entry - content not available (score: ${result.score})*\n\n`;
+    } else {
+      formatted += `*No content available for this result*\n\n`;
+    }
+  });
+
+  return formatted;
+}
+
+function formatContextXml(results, { query, budget, usedTokens }) {
+  const files = results.map(result => {
+    const attributes = [
+      result.repo && `repo="${escapeXml(result.repo)}"`,
+      `path="${escapeXml(result.file)}"`,
+      result.lines && `lines="${escapeXml(result.lines)}"`,
+      result.language && result.language !== 'unknown' && `language="${escapeXml(result.language)}"`,
+      `score="${result.score}"`
+    ].filter(Boolean).join(' ');
+    // "]]>" can't appear inside CDATA, so split it across two sections
+    const content = String(result.context || '').replace(/]]>/g, ']]]]><![CDATA[>');
+    return `  <file ${attributes}>\n<![CDATA[\n${content}\n]]>\n  </file>`;
+  });
+  return `<context query="${escapeXml(query)}" budget="${budget}" tokens="${usedTokens}">\n${files.join('\n')}\n</context>\n`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function resultTokens(result) {
+  const counted = result.metadata?.tokenCount;
+  return counted > 0 ? counted : estimateTokens(result.context);
+}
+
+// Same estimate the indexer stores as tokenCount
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function bracedBlockEnd(lines, from) {
+  let depth = 0;
+  let opened = false;
+  for (let line = from; line <= lines.length && line < from + MAX_BLOCK_LINES; line++) {
+    // Ignore braces inside string literals and line comments
+    const code = lines[line - 1]
+      .replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '""')
+      .replace(/\/\/.*$/, '');
+    for (const char of code) {
+      if (char === '{') {
+        depth++;
+        opened = true;
+      } else if (char === '}') {
+        depth--;
+      }
+    }
+    if (opened && depth <= 0) return line;
+    // Signatures can wrap, but a definition without a body within a few lines isn't a block
+    if (!opened && line - from > 5) return null;
+  }
+  return null;
+}
+
+function indentedBlockEnd(lines, from) {
+  const indent = lines[from - 1].search(/\S/);
+  let end = from;
+  for (let line = from + 1; line <= lines.length; line++) {
+    const text = lines[line - 1];
+    if (text.trim() === '') continue;
+    if (text.search(/\S/) <= indent) break;
+    end = line;
+  }
+  return end;
+}
+
+function parseLines(lines) {
+  const match = /^(\d+)-(\d+)$/.exec(String(lines || ''));
+  return match ? { start: parseInt(match[1], 10), end: parseInt(match[2], 10) } : null;
+}
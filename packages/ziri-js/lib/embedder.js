@@ -1,12 +1,13 @@
 import { embedOpenAI } from './embed_openai.js';
 import { embedOllama } from './embed_ollama.js';
 import { EmbedCache } from './embed_cache.js';
-export function makeEmbedder(kind, config = {}){
-  if (kind==='openai') return create('openai', embedOpenAI, 'text-embedding-3-small');
+// options.model pins the model, e.g. the one recorded for a repository store
+export function makeEmbedder(kind, config = {}, options = {}){
+  if (kind==='openai') return create('openai', embedOpenAI, options.model || 'text-embedding-3-small');
   if (kind==='ollama' || !kind) {
     // Use configured embedding model or default to nomic-embed-text for better quality
     const ollamaConfig = config.providers?.ollama || {};
-    const embeddingModel = ollamaConfig.embeddingModel || 'nomic-embed-text';
+    const embeddingModel = options.model || ollamaConfig.embeddingModel || 'nomic-embed-text';
     return create('ollama', embedOllama, embeddingModel);
   }
   return create('ollama', embedOllama, 'nomic-embed-text'); // Default to higher quality model
@@ -19,6 +19,9 @@ export class EmbeddingPipeline extends EventEmitter {
       targetResponseTime: options.targetResponseTime || 2000, // 2 seconds
       maxRetries: options.maxRetries || 3,
       retryDelay: options.retryDelay || 1000,
+      stopOnError: options.stopOnError || false, // Fail the run instead of skipping a failed batch
+      memoryMonitor: options.memoryMonitor || null, // MemoryMonitor that throttles reading new chunks
+      batchOptimizer: options.batchOptimizer || null, // AdaptiveBatchOptimizer that picks batch sizes
       ...options
     };
     
@@ -27,6 +30,7 @@ export class EmbeddingPipeline extends EventEmitter {
     this.activeRequests = 0;
     this.totalProcessed = 0;
     this.totalErrors = 0;
+    this.memoryPauses = 0;
     this.responseTimeHistory = [];
     this.throughputHistory = [];
     
@@ -41,6 +45,9 @@ export class EmbeddingPipeline extends EventEmitter {
 
   /**
    * Process chunks through the embedding pipeline
+   * Up to `concurrency` requests run at once. Reading from `chunks` pauses while every
+   * request slot is busy, or while the memory monitor reports the heap near its limit, so
+   * only a few batches are held in memory. Results are yielded as their request completes.
    * @param {AsyncIterable<TextChunk>} chunks - Stream of text chunks to process
    * @param {string} providerType - Embedding provider to use
    * @returns {AsyncIterable<EmbeddedChunk>} Stream of embedded chunks
@@ -49,6 +56,7 @@ export class EmbeddingPipeline extends EventEmitter {
     this.startTime = Date.now();
     this.totalProcessed = 0;
     this.totalErrors = 0;
+    this.memoryPauses = 0;
     
     this.emit('pipeline:start', {
       provider: providerType || this.client.defaultProvider,
@@ -58,9 +66,25 @@ export class EmbeddingPipeline extends EventEmitter {
 
     const batcher = new EmbeddingBatcher(this.options);
     const concurrencyManager = new ConcurrencyManager(this.options.concurrency);
+    const inFlight = new Set();
+    const settled = [];
+    
+    // Requests record their outcome in `settled` and leave `inFlight` when they finish
+    const submit = (batch) => {
+      for (const subBatch of batcher.createBatches(batch, providerType, this.client)) {
+        const request = concurrencyManager.execute(() => this._processSubBatch(subBatch, providerType))
+          .then(results => ({ results }), error => ({ error, batchSize: subBatch.length }))
+          .then(outcome => {
+            inFlight.delete(request);
+            settled.push(outcome);
+          });
+        inFlight.add(request);
+      }
+    };
     
     let chunkBuffer = [];
     let chunkId = 0;
+    let failure = null;
     
     try {
       // Collect chunks into batches
@@ -68,28 +92,35 @@ export class EmbeddingPipeline extends EventEmitter {
         chunk.id = chunk.id || `chunk_${chunkId++}`;
         chunkBuffer.push(chunk);
         
-        // Process batch when we have enough chunks
+        // Send a batch when we have enough chunks
         if (chunkBuffer.length >= this.currentBatchSize) {
-          const batch = chunkBuffer.splice(0, this.currentBatchSize);
-          const batchPromise = this._processBatch(batch, providerType, batcher, concurrencyManager);
+          submit(chunkBuffer.splice(0, this.currentBatchSize));
           
-          // Yield results as they complete
-          for await (const result of batchPromise) {
-            yield result;
+          // Backpressure: wait for a request to finish before reading more
+          while (inFlight.size > 0 && (inFlight.size >= this.options.concurrency || this._isMemoryConstrained())) {
+            await Promise.race(inFlight);
+            failure = (yield* this._takeSettled(settled)) || failure;
           }
         }
+        
+        failure = (yield* this._takeSettled(settled)) || failure;
+        if (failure) break;
       }
       
       // Process remaining chunks
-      if (chunkBuffer.length > 0) {
-        const batchPromise = this._processBatch(chunkBuffer, providerType, batcher, concurrencyManager);
-        for await (const result of batchPromise) {
-          yield result;
-        }
+      if (chunkBuffer.length > 0 && !failure) {
+        submit(chunkBuffer);
       }
       
-      // Wait for all concurrent requests to complete
-      await concurrencyManager.waitForCompletion();
+      // Requests already sent still deliver their results, even after a failure
+      while (inFlight.size > 0) {
+        await Promise.race(inFlight);
+        failure = (yield* this._takeSettled(settled)) || failure;
+      }
+      
+      if (failure) {
+        throw failure;
+      }
       
     } catch (error) {
       this.emit('pipeline:error', error);
@@ -100,52 +131,46 @@ export class EmbeddingPipeline extends EventEmitter {
   }
 
   /**
-   * Process a batch of chunks with concurrency management
-   * @param {TextChunk[]} chunks - Chunks to process
-   * @param {string} providerType - Provider type
-   * @param {EmbeddingBatcher} batcher - Batching manager
-   * @param {ConcurrencyManager} concurrencyManager - Concurrency manager
-   * @returns {AsyncIterable<EmbeddedChunk>} Embedded chunks
+   * Yield the results of finished requests and report the failed ones
+   * @param {Array<Object>} settled - Outcomes of finished requests, emptied
+   * @returns {Generator<EmbeddedChunk, Error|null>} The first failure when `stopOnError` is set
    * @private
    */
-  async* _processBatch(chunks, providerType, batcher, concurrencyManager) {
-    // Create sub-batches based on token limits
-    const subBatches = batcher.createBatches(chunks, providerType, this.client);
-    
-    // If we have multiple sub-batches, process them concurrently
-    if (subBatches.length > 1) {
-      // Process sub-batches concurrently
-      const batchPromises = subBatches.map(subBatch => 
-        concurrencyManager.execute(() => this._processSubBatch(subBatch, providerType))
-      );
-      
-      // Yield results as they complete
-      for (const batchPromise of batchPromises) {
-        try {
-          const results = await batchPromise;
-          for (const result of results) {
-            yield result;
-          }
-        } catch (error) {
-          this.totalErrors++;
-          this.emit('batch:error', { error, batchSize: chunks.length });
-          // Continue processing other batches
-        }
-      }
-    } else {
-      // Single batch, process directly
-      try {
-        const results = await concurrencyManager.execute(() => 
-          this._processSubBatch(subBatches[0], providerType)
-        );
-        for (const result of results) {
-          yield result;
-        }
-      } catch (error) {
+  *_takeSettled(settled) {
+    let failure = null;
+    while (settled.length > 0) {
+      const { results, error, batchSize } = settled.shift();
+      if (error) {
         this.totalErrors++;
-        this.emit('batch:error', { error, batchSize: chunks.length });
+        this.emit('batch:error', { error, batchSize });
+        // Continue processing other batches unless told to stop
+        if (this.options.stopOnError && !failure) failure = error;
+        continue;
       }
+      yield* results;
     }
+    return failure;
+  }
+
+  /**
+   * Whether the heap is close enough to the memory monitor's limit to hold back new batches
+   * @private
+   */
+  _isMemoryConstrained() {
+    const monitor = this.options.memoryMonitor;
+    if (!monitor) return false;
+    
+    const usage = monitor.getCurrentUsage();
+    if (usage.heapUsed < monitor.warningThreshold) return false;
+    
+    this.memoryPauses++;
+    this.emit('backpressure', {
+      reason: 'memory',
+      heapUsed: usage.heapUsed,
+      limit: monitor.maxMemoryBytes,
+      activeRequests: this.activeRequests
+    });
+    return true;
   }
 
   /**
@@ -158,6 +183,7 @@ export class EmbeddingPipeline extends EventEmitter {
   async _processSubBatch(chunks, providerType) {
     const startTime = Date.now();
     const texts = chunks.map(chunk => chunk.content);
+    this.activeRequests++;
     
     this.emit('batch:start', {
       batchSize: chunks.length,
@@ -197,6 +223,8 @@ export class EmbeddingPipeline extends EventEmitter {
         responseTime
       });
       throw error;
+    } finally {
+      this.activeRequests--;
     }
   }
 
@@ -279,7 +307,11 @@ export class EmbeddingPipeline extends EventEmitter {
     
     // Adapt batch size if enabled
     if (this.options.adaptiveBatching) {
-      this._adaptBatchSize(responseTime);
+      if (this.options.batchOptimizer) {
+        this._applyBatchOptimizer(responseTime, batchSize);
+      } else {
+        this._adaptBatchSize(responseTime);
+      }
     }
     
     // Emit progress updates
@@ -346,6 +378,37 @@ export class EmbeddingPipeline extends EventEmitter {
     }
   }
 
+  /**
+   * Take the batch size from the batch optimizer, which adapts to the trend of recent
+   * response times rather than to each one
+   * @param {number} responseTime - Latest response time
+   * @param {number} batchSize - Size of the processed batch
+   * @private
+   */
+  _applyBatchOptimizer(responseTime, batchSize) {
+    const decision = this.options.batchOptimizer.recordResult({
+      responseTime,
+      batchSize,
+      itemCount: batchSize,
+      provider: this.client.defaultProvider
+    });
+    if (!decision.shouldAdapt) return;
+    
+    const oldSize = this.currentBatchSize;
+    this.currentBatchSize = Math.max(
+      this.options.minBatchSize,
+      Math.min(this.options.maxBatchSize, decision.newBatchSize)
+    );
+    if (this.currentBatchSize === oldSize) return;
+    
+    this.emit(this.currentBatchSize < oldSize ? 'batch:size:decreased' : 'batch:size:increased', {
+      oldSize,
+      newSize: this.currentBatchSize,
+      reason: decision.reason,
+      responseTime
+    });
+  }
+
   /**
    * Emit progress updates
    * @private
@@ -402,7 +465,8 @@ export class EmbeddingPipeline extends EventEmitter {
       elapsed,
       avgResponseTime,
       avgThroughput,
-      finalBatchSize: this.currentBatchSize
+      finalBatchSize: this.currentBatchSize,
+      memoryPauses: this.memoryPauses
     });
   }
 
@@ -440,6 +504,7 @@ export class EmbeddingPipeline extends EventEmitter {
       elapsed,
       currentBatchSize: this.currentBatchSize,
       activeRequests: this.activeRequests,
+      memoryPauses: this.memoryPauses,
       avgResponseTime: this.responseTimeHistory.length > 0
         ? this.responseTimeHistory.reduce((a, b) => a + b) / this.responseTimeHistory.length
         : 0,
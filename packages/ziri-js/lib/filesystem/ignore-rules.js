@@ -0,0 +1,280 @@
+/**
+ * Ignore rules for file walks
+ * One matcher decides which files indexing, watch mode and the project summarizer see.
+ * It combines the built-in exclusions, the `exclusions` config (patterns, extensions,
+ * directories and file size limits), `.gitignore` and `.ziriignore` files (the nested
+ * ones apply to their own directory, as in git) and --exclude patterns. Every pattern
+ * uses .gitignore syntax: `!` re-includes, a leading or inner `/` anchors a pattern to
+ * the directory it was read from, a trailing `/` only matches directories and `**`
+ * spans directories. The last matching pattern wins.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { EX } from '../filewalk.js';
+
+export const IGNORE_FILES = ['.gitignore', '.ziriignore'];
+
+/**
+ * Translate a .gitignore glob into a regular expression source
+ */
+function globToRegexSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const segmentStart = i === 0 || glob[i - 1] === '/';
+        const segmentEnd = i + 2 === glob.length || glob[i + 2] === '/';
+        if (segmentStart && segmentEnd) {
+          if (i + 2 === glob.length) {
+            source += '.*';
+          } else {
+            // `**/` matches zero or more directories
+            source += '(?:.*/)?';
+            i += 2;
+          }
+        } else {
+          source += '[^/]*';
+          i++;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+        continue;
+      }
+      let set = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+      if (set.startsWith('!')) set = '^' + set.slice(1);
+      source += `[${set}]`;
+      i = close;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegex(glob[++i]);
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+  return source;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Parse one .gitignore line
+ * @param {string} line - Pattern line
+ * @param {string} base - Directory the pattern applies to, relative to the root ('' for the root)
+ * @param {string} source - Where the pattern came from, for --list-files and debugging
+ * @returns {Object|null} Rule, or null for blank lines and comments
+ */
+export function parseIgnorePattern(line, base = '', source = '') {
+  // Trailing spaces are ignored unless escaped
+  let pattern = line.replace(/\r$/, '').replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  let dirOnly = false;
+  if (pattern.endsWith('/')) {
+    dirOnly = true;
+    pattern = pattern.replace(/\/+$/, '');
+  }
+  // A slash anywhere but the end ties the pattern to its directory
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\/+/, '');
+  if (!pattern) return null;
+
+  return {
+    pattern,
+    negate,
+    dirOnly,
+    anchored,
+    base,
+    source,
+    regex: new RegExp('^' + globToRegexSource(pattern) + '$')
+  };
+}
+
+/**
+ * Parse the contents of an ignore file
+ * @returns {Array<Object>} Rules in file order
+ */
+export function parseIgnoreFile(text, base = '', source = '') {
+  return text.split('\n').map(line => parseIgnorePattern(line, base, source)).filter(Boolean);
+}
+
+/**
+ * Whether a rule matches a path relative to the root
+ */
+function ruleMatches(rule, relPath, isDirectory) {
+  if (rule.dirOnly && !isDirectory) return false;
+  let target = relPath;
+  if (rule.base) {
+    if (!relPath.startsWith(rule.base + '/')) return false;
+    target = relPath.slice(rule.base.length + 1);
+  }
+  if (!rule.anchored) target = target.slice(target.lastIndexOf('/') + 1);
+  return rule.regex.test(target);
+}
+
+/**
+ * Split --exclude values (repeatable, comma-separated) into patterns
+ */
+export function parseExcludeOption(value) {
+  const values = Array.isArray(value) ? value : value ? [value] : [];
+  return values.flatMap(entry => String(entry).split(',')).map(entry => entry.trim()).filter(Boolean);
+}
+
+export class IgnoreMatcher {
+  /**
+   * @param {string} root - Directory paths are relative to
+   * @param {Object} options
+   * @param {Array<string>} options.extensions - File extensions to skip (e.g. '.png')
+   * @param {Array<string>} options.directories - Directory names to skip at any depth
+   * @param {number} options.maxFileSize - Largest file to include, in bytes
+   * @param {number} options.minFileSize - Smallest file to include, in bytes
+   * @param {Array<string>} options.ignoreFiles - Ignore files read from each directory (none to skip them)
+   * @param {Function} options.readFile - Reads an ignore file by path relative to the root, for trees
+   * that aren't on disk (a git commit); resolves to null when it doesn't exist
+   */
+  constructor(root, options = {}) {
+    this.root = root;
+    this.rules = [];
+    this.overrides = [];
+    this.extensions = new Set((options.extensions || []).map(ext => ext.toLowerCase()));
+    this.directories = new Set(options.directories || []);
+    this.maxFileSize = options.maxFileSize || Infinity;
+    this.minFileSize = options.minFileSize || 0;
+    this.ignoreFiles = options.ignoreFiles || IGNORE_FILES;
+    this.readFile = options.readFile || (file => fs.readFile(path.join(root, file), 'utf-8'));
+    this.loadedDirectories = new Set();
+    this.directoryCache = new Map();
+  }
+
+  /**
+   * Build the matcher a repository is walked with
+   * @param {string} root - Repository root
+   * @param {Object} options
+   * @param {Object} options.config - Ziri configuration; its `exclusions` are applied
+   * @param {string|Array<string>} options.exclude - --exclude patterns, applied after everything else
+   * @param {Function} options.readFile - Reads ignore files from somewhere other than the disk
+   * @returns {Promise<IgnoreMatcher>} Matcher with the root's ignore files loaded
+   */
+  static async create(root, { config = {}, exclude, readFile } = {}) {
+    const exclusions = config.exclusions || {};
+    const matcher = new IgnoreMatcher(root, {
+      extensions: exclusions.extensions,
+      directories: exclusions.directories,
+      maxFileSize: exclusions.maxFileSize,
+      minFileSize: exclusions.minFileSize,
+      readFile
+    });
+    matcher.addPatterns(EX, '', 'built-in');
+    matcher.addPatterns(exclusions.patterns || [], '', 'config');
+    matcher.overrides = parseExcludeOption(exclude).map(line => parseIgnorePattern(line, '', '--exclude')).filter(Boolean);
+    await matcher.loadDirectory('');
+    return matcher;
+  }
+
+  /**
+   * Add patterns that apply below a directory
+   */
+  addPatterns(lines, base = '', source = '') {
+    this.rules.push(...lines.map(line => parseIgnorePattern(line, base, source)).filter(Boolean));
+    this.directoryCache.clear();
+  }
+
+  /**
+   * Read the ignore files of a directory, once. Walkers call this before listing the
+   * directory so its rules apply to its entries.
+   * @param {string} relDir - Directory relative to the root ('' for the root)
+   */
+  async loadDirectory(relDir) {
+    if (this.loadedDirectories.has(relDir)) return;
+    this.loadedDirectories.add(relDir);
+    for (const name of this.ignoreFiles) {
+      const file = relDir ? `${relDir}/${name}` : name;
+      let text;
+      try {
+        text = await this.readFile(file);
+      } catch {
+        continue;
+      }
+      if (text == null) continue;
+      this.rules.push(...parseIgnoreFile(String(text), relDir, file));
+      this.directoryCache.clear();
+    }
+  }
+
+  /**
+   * Load the ignore files of every directory that isn't ignored, for callers that check
+   * paths without walking to them (watch mode)
+   */
+  async loadAll() {
+    const visit = async (relDir) => {
+      await this.loadDirectory(relDir);
+      let entries;
+      try {
+        entries = await fs.readdir(path.join(this.root, relDir), { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+        const rel = relDir ? `${relDir}/${entry.name}` : entry.name;
+        if (!this.ignores(rel, true)) await visit(rel);
+      }
+    };
+    await visit('');
+  }
+
+  /**
+   * Whether a path is excluded, itself or through one of its directories
+   * @param {string} relPath - Path relative to the root, with forward slashes
+   * @param {boolean} isDirectory - Whether the path is a directory
+   */
+  ignores(relPath, isDirectory = false) {
+    const parts = relPath.split('/');
+    let dir = '';
+    for (let i = 0; i < parts.length - 1; i++) {
+      dir = dir ? `${dir}/${parts[i]}` : parts[i];
+      if (!this.directoryCache.has(dir)) this.directoryCache.set(dir, this.matches(dir, true));
+      if (this.directoryCache.get(dir)) return true;
+    }
+    return this.matches(relPath, isDirectory);
+  }
+
+  /**
+   * Whether a file's size is within the configured limits
+   */
+  acceptsSize(size) {
+    return size >= this.minFileSize && size <= this.maxFileSize;
+  }
+
+  /**
+   * The rules alone, without looking at parent directories
+   */
+  matches(relPath, isDirectory) {
+    const name = relPath.slice(relPath.lastIndexOf('/') + 1);
+    let ignored = isDirectory ? this.directories.has(name) : this.extensions.has(path.extname(name).toLowerCase());
+    for (const rule of this.rules) {
+      if (ruleMatches(rule, relPath, isDirectory)) ignored = !rule.negate;
+    }
+    for (const rule of this.overrides) {
+      if (ruleMatches(rule, relPath, isDirectory)) ignored = !rule.negate;
+    }
+    return ignored;
+  }
+}
@@ -18,12 +18,14 @@ export class ParallelWalker {
    * @param {number} options.concurrency - Number of concurrent workers (default: 4)
    * @param {number} options.bufferSize - Size of result buffer (default: 100)
    * @param {Array<string>} options.excludePatterns - Additional patterns to exclude
+   * @param {IgnoreMatcher} options.ignore - Rules to walk with instead of the patterns (see ignore-rules.js)
    */
   constructor(options = {}) {
     this.concurrency = options.concurrency || 4;
     this.bufferSize = options.bufferSize || 100;
     this.excludePatterns = options.excludePatterns || [];
     this.excludeRegex = [...EXCLUDE_REGEX, ...this.excludePatterns.map(pattern => this.toRegex(pattern))];
+    this.ignore = options.ignore || null;
   }
 
   /**
@@ -46,9 +48,11 @@ export class ParallelWalker {
   /**
    * Check if path should be excluded
    * @param {string} relativePath - Relative path to check
+   * @param {boolean} isDirectory - Whether the path is a directory
    * @returns {boolean} True if path should be excluded
    */
-  isExcluded(relativePath) {
+  isExcluded(relativePath, isDirectory = false) {
+    if (this.ignore) return this.ignore.ignores(relativePath, isDirectory);
     return this.excludeRegex.some(r => r.test(relativePath));
   }
 
@@ -99,6 +103,7 @@ export class ParallelWalker {
   async processDirectory(dir, root, queue) {
     const results = [];
     try {
+      if (this.ignore) await this.ignore.loadDirectory(path.relative(root, dir).replace(/\\/g, '/'));
       const entries = await fs.readdir(dir, { withFileTypes: true });
       
       for (const entry of entries) {
@@ -106,7 +111,7 @@ export class ParallelWalker {
         const rel = path.relative(root, full).replace(/\\/g, '/');
         
         // Check if this path should be excluded
-        if (this.isExcluded(rel)) {
+        if (this.isExcluded(rel, entry.isDirectory())) {
           continue;
         }
         
@@ -91,15 +91,25 @@ function toRx(g){
 
 const RX = EX.map(toRx);
 
-export async function* walkDir(root){
+/**
+ * Walk the files under root
+ * @param {string} root - Directory to walk
+ * @param {Object} options
+ * @param {IgnoreMatcher} options.ignore - Rules to walk with (see filesystem/ignore-rules.js);
+ * without one only the built-in exclusions apply
+ * @returns {AsyncGenerator<{full: string, rel: string}, void, void>} File entries
+ */
+export async function* walkDir(root, { ignore } = {}){
   async function *walk(cur){
+    const dirRel = path.relative(root, cur).replace(/\\/g, '/');
+    if (ignore) await ignore.loadDirectory(dirRel);
     const es = await fs.readdir(cur, {withFileTypes: true});
     for (const e of es){
       const full = path.join(cur, e.name);
       const rel = path.relative(root, full).replace(/\\/g, '/');
       
       // Check if this path should be excluded
-      if (RX.some(r => r.test(rel))) {
+      if (ignore ? ignore.ignores(rel, e.isDirectory()) : RX.some(r => r.test(rel))) {
         continue;
       }
       
@@ -0,0 +1,109 @@
+/**
+ * Git subprocess helpers
+ * Shared by the indexer's history readers (file recency/churn, commit history) and by
+ * indexing a git ref without checking it out.
+ */
+
+import { spawn } from 'node:child_process';
+import { createInterface } from 'node:readline';
+
+/**
+ * Run a git command and return its trimmed stdout
+ * @param {string} cwd - Working directory
+ * @param {Array<string>} args - git arguments
+ * @returns {Promise<string>}
+ * @throws {Error} When git is missing or exits non-zero
+ */
+export function runGit(cwd, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, { cwd, stdio: ['ignore', 'pipe', 'ignore'] });
+    let out = '';
+    child.stdout.on('data', data => { out += data; });
+    child.on('error', reject);
+    child.on('close', code => (code === 0 ? resolve(out.trim()) : reject(new Error(`git ${args[0]} exited with ${code}`))));
+  });
+}
+
+/**
+ * Run a git command and hand its output to onLine one line at a time, so long
+ * histories and large diffs never sit in memory as one string
+ * @returns {Promise<boolean>} Whether git ran and exited cleanly
+ */
+export function streamGit(cwd, args, onLine) {
+  const child = spawn('git', args, { cwd, stdio: ['ignore', 'pipe', 'ignore'] });
+  const lines = createInterface({ input: child.stdout, crlfDelay: Infinity });
+  lines.on('line', onLine);
+  const exited = new Promise(resolve => {
+    child.on('error', () => resolve(false));
+    child.on('close', code => resolve(code === 0));
+  });
+  const drained = new Promise(resolve => lines.on('close', resolve));
+  return Promise.all([exited, drained]).then(([ok]) => ok);
+}
+
+/**
+ * Read objects by id through one long-running `git cat-file --batch`, so reading every
+ * blob of a tree doesn't start a process per file
+ */
+export class GitObjectReader {
+  /**
+   * @param {string} cwd - Repository (checkout or bare) to read from
+   */
+  constructor(cwd) {
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+    this.child = spawn('git', ['cat-file', '--batch'], { cwd, stdio: ['pipe', 'pipe', 'ignore'] });
+    this.child.stdout.on('data', data => {
+      this.buffer = this.buffer.length ? Buffer.concat([this.buffer, data]) : data;
+      this._drain();
+    });
+    this.child.on('error', error => this._failAll(error));
+    this.child.stdin.on('error', error => this._failAll(error));
+    this.child.on('close', () => this._failAll(new Error('git cat-file exited')));
+  }
+
+  /**
+   * Read one object
+   * @param {string} objectId - Object name (e.g. a blob id from ls-tree)
+   * @returns {Promise<Buffer>} The object's content
+   * @throws {Error} When the object doesn't exist
+   */
+  read(objectId) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ objectId, resolve, reject });
+      this.child.stdin.write(`${objectId}\n`);
+    });
+  }
+
+  /**
+   * Stop the git process once the reads in progress are answered
+   */
+  close() {
+    this.child.stdin.end();
+  }
+
+  // Answers arrive in request order: `<id> <type> <size>\n<content>\n` or `<id> missing\n`
+  _drain() {
+    while (this.pending.length > 0) {
+      const headerEnd = this.buffer.indexOf(10);
+      if (headerEnd === -1) return;
+      const header = this.buffer.subarray(0, headerEnd).toString();
+      if (header.endsWith(' missing')) {
+        this.buffer = this.buffer.subarray(headerEnd + 1);
+        const { objectId, reject } = this.pending.shift();
+        reject(new Error(`git object ${objectId} not found`));
+        continue;
+      }
+      const size = parseInt(header.slice(header.lastIndexOf(' ') + 1), 10);
+      const end = headerEnd + 1 + size;
+      if (this.buffer.length < end + 1) return;
+      const content = Buffer.from(this.buffer.subarray(headerEnd + 1, end));
+      this.buffer = this.buffer.subarray(end + 1);
+      this.pending.shift().resolve(content);
+    }
+  }
+
+  _failAll(error) {
+    for (const { reject } of this.pending.splice(0)) reject(error);
+  }
+}
@@ -0,0 +1,409 @@
+/**
+ * Query History and Saved Searches
+ * Every query and chat (CLI and REPL) is appended to a log under the Ziri home
+ * directory. Saved searches are named queries whose last results are kept so a
+ * later run can report what appeared, disappeared or moved.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { homePath } from './home.js';
+
+// The log is trimmed back to this many entries when it grows past it
+export const MAX_HISTORY_ENTRIES = 1000;
+
+// Flags that change what a query returns, so replays use the same ones
+export const REPLAY_OPTIONS = [
+  'k', 'scope', 'mode', 'lang', 'path', 'not-path', 'type', 'symbol', 'since',
+  'recency', 'churn', 'rerank', 'rerank-pool', 'rerank-timeout', 'expand', 'merge',
+  'mmr', 'mmr-lambda', 'explain'
+];
+// Filters that may be given more than once; every other flag keeps its last value
+const REPEATABLE_OPTIONS = new Set(['lang', 'path', 'not-path', 'type', 'symbol']);
+// Switches minimist reports as false when they weren't given
+const SWITCH_OPTIONS = ['recency', 'churn', 'rerank', 'expand', 'explain'];
+
+export function historyDir() {
+  return homePath('history');
+}
+
+function logPath() {
+  return path.join(historyDir(), 'queries.jsonl');
+}
+
+function savedPath() {
+  return path.join(historyDir(), 'saved.json');
+}
+
+/**
+ * Keep only the flags that affect results (and were actually given)
+ */
+export function pickReplayOptions(argv = {}) {
+  const options = {};
+  for (const key of REPLAY_OPTIONS) {
+    if (argv[key] === undefined || argv[key] === '') continue;
+    options[key] = Array.isArray(argv[key]) && !REPEATABLE_OPTIONS.has(key) ? argv[key].at(-1) : argv[key];
+  }
+  // minimist reports unset booleans as false; only keep the ones that were switched on
+  for (const key of SWITCH_OPTIONS) {
+    if (options[key] === false) delete options[key];
+  }
+  return options;
+}
+
+/**
+ * Reduce query results to what history needs: location and score
+ */
+export function summarizeResults(results = []) {
+  return (results || []).map(result => ({
+    repo: result.repo,
+    file: result.file,
+    lines: result.lines,
+    score: result.score
+  }));
+}
+
+/**
+ * Append a query to the log. History is best-effort and never fails the query.
+ * @param {Object} entry - command (query|chat), query, options, cwd, source (cli|repl), results
+ */
+export async function recordQuery(entry) {
+  const record = {
+    ts: new Date().toISOString(),
+    command: entry.command || 'query',
+    query: entry.query,
+    options: entry.options || {},
+    cwd: entry.cwd || process.cwd(),
+    source: entry.source || 'cli',
+    ...(entry.saved ? { saved: entry.saved } : {}),
+    ...(entry.results ? { results: summarizeResults(entry.results) } : {})
+  };
+
+  try {
+    await fs.mkdir(historyDir(), { recursive: true });
+    await fs.appendFile(logPath(), `${JSON.stringify(record)}\n`, 'utf-8');
+    await trimHistory();
+  } catch (error) {
+    console.warn(`⚠️  Could not record query history: ${error.message}`);
+  }
+  return record;
+}
+
+/**
+ * Read logged queries, oldest first. Entries carry their 1-based position as id.
+ * @param {Object} options - limit (most recent N), command (query|chat)
+ */
+export async function readHistory({ limit, command } = {}) {
+  let text;
+  try {
+    text = await fs.readFile(logPath(), 'utf-8');
+  } catch {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push({ id: entries.length + 1, ...JSON.parse(line) });
+    } catch {
+      // Skip a line torn by an interrupted write
+    }
+  }
+
+  const matching = command ? entries.filter(entry => entry.command === command) : entries;
+  return limit > 0 ? matching.slice(-limit) : matching;
+}
+
+/**
+ * Find a logged query by id
+ */
+export async function getHistoryEntry(id) {
+  const entries = await readHistory();
+  return entries.find(entry => entry.id === Number(id)) || null;
+}
+
+async function trimHistory() {
+  const entries = await readHistory();
+  if (entries.length <= MAX_HISTORY_ENTRIES) return;
+  const kept = entries.slice(-MAX_HISTORY_ENTRIES).map(({ id, ...entry }) => JSON.stringify(entry));
+  await writeAtomic(logPath(), `${kept.join('\n')}\n`);
+}
+
+/**
+ * All saved searches keyed by name
+ */
+export async function listSavedSearches() {
+  try {
+    return JSON.parse(await fs.readFile(savedPath(), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+export async function getSavedSearch(name) {
+  const saved = await listSavedSearches();
+  return saved[name] || null;
+}
+
+/**
+ * Save (or overwrite) a named search
+ */
+export async function saveSearch(name, query, options = {}, cwd = process.cwd()) {
+  if (!/^[\w.-]+$/.test(name || '')) {
+    throw new Error(`Invalid saved search name: ${name} (use letters, numbers, '.', '-' and '_')`);
+  }
+  const saved = await listSavedSearches();
+  const previous = saved[name];
+  saved[name] = {
+    query,
+    options,
+    cwd,
+    createdAt: previous?.createdAt || new Date().toISOString(),
+    ...(previous?.lastRun ? { lastRun: previous.lastRun } : {})
+  };
+  await writeSaved(saved);
+  return saved[name];
+}
+
+export async function removeSavedSearch(name) {
+  const saved = await listSavedSearches();
+  if (!saved[name]) return false;
+  delete saved[name];
+  await writeSaved(saved);
+  return true;
+}
+
+/**
+ * Remember the results of a saved search run for the next --diff
+ * @returns {Object|null} The previous run, if any
+ */
+export async function recordSavedRun(name, results) {
+  const saved = await listSavedSearches();
+  if (!saved[name]) return null;
+  const previous = saved[name].lastRun || null;
+  saved[name].lastRun = { ts: new Date().toISOString(), results: summarizeResults(results) };
+  await writeSaved(saved);
+  return previous;
+}
+
+/**
+ * Compare two result lists keyed by repository, file and line span
+ * @returns {{appeared: Array, disappeared: Array, moved: Array, unchanged: Array}}
+ *   moved entries carry from/to ranks (1-based)
+ */
+export function diffResults(previous = [], current = []) {
+  const key = result => `${result.repo || ''}/${result.file}:${result.lines}`;
+  const before = new Map(previous.map((result, i) => [key(result), { result, rank: i + 1 }]));
+  const after = new Map(current.map((result, i) => [key(result), { result, rank: i + 1 }]));
+
+  const diff = { appeared: [], disappeared: [], moved: [], unchanged: [] };
+  for (const [id, { result, rank }] of after) {
+    const old = before.get(id);
+    if (!old) {
+      diff.appeared.push({ ...result, rank });
+    } else if (old.rank !== rank) {
+      diff.moved.push({ ...result, from: old.rank, to: rank });
+    } else {
+      diff.unchanged.push({ ...result, rank });
+    }
+  }
+  for (const [id, { result, rank }] of before) {
+    if (!after.has(id)) diff.disappeared.push({ ...result, rank });
+  }
+  return diff;
+}
+
+/**
+ * Render option flags for display, e.g. "--mode lexical --k 5"
+ */
+export function describeOptions(options = {}) {
+  return Object.entries(options)
+    .map(([key, value]) => {
+      if (value === true) return `--${key}`;
+      if (value === false) return `--no-${key}`;
+      return [].concat(value).map(item => `--${key} ${item}`).join(' ');
+    })
+    .join(' ');
+}
+
+async function writeSaved(saved) {
+  await fs.mkdir(historyDir(), { recursive: true });
+  await writeAtomic(savedPath(), JSON.stringify(saved, null, 2));
+}
+
+async function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, data, 'utf-8');
+  await fs.rename(tmp, file);
+}
+
+/**
+ * ziri history [list] [--limit N] | ziri history replay <id>
+ */
+export async function historyCommand({ argv, configManager }) {
+  const sub = argv._[1] || 'list';
+
+  if (sub === 'list') {
+    const limit = parseInt(argv.limit || '20', 10);
+    const entries = await readHistory({ limit });
+    if (entries.length === 0) {
+      console.log('📭 No queries recorded yet');
+      return;
+    }
+    console.log(`🕘 Last ${entries.length} ${entries.length === 1 ? 'query' : 'queries'}:`);
+    for (const entry of entries) {
+      console.log(formatHistoryLine(entry));
+    }
+    console.log(`\n💡 Replay one with: ziri history replay <id>`);
+  } else if (sub === 'replay') {
+    const id = argv._[2];
+    const entry = id !== undefined ? await getHistoryEntry(id) : null;
+    if (!entry) {
+      console.error(`❌ No history entry #${id ?? ''} (see 'ziri history')`);
+      return;
+    }
+    console.log(`🔁 Replaying #${entry.id}: ${entry.command} "${entry.query}" ${describeOptions(entry.options)}`.trimEnd());
+    await runRecorded(entry, argv, configManager);
+  } else {
+    console.log('Usage: ziri history [list] [--limit N] | ziri history replay <id>');
+  }
+}
+
+/**
+ * ziri saved add <name> "query" [flags] | run <name> [--diff] | list | remove <name>
+ */
+export async function savedCommand({ argv, configManager }) {
+  const sub = argv._[1];
+  const name = argv._[2];
+
+  if (sub === 'add') {
+    const query = argv._[3];
+    if (!name || !query) {
+      console.error('Usage: ziri saved add <name> "query" [query options]');
+      return;
+    }
+    try {
+      const search = await saveSearch(name, String(query), pickReplayOptions(argv));
+      console.log(`💾 Saved search '${name}': "${search.query}" ${describeOptions(search.options)}`.trimEnd());
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+    }
+  } else if (sub === 'list') {
+    const saved = await listSavedSearches();
+    const names = Object.keys(saved).sort();
+    if (names.length === 0) {
+      console.log(`📭 No saved searches (add one with: ziri saved add <name> "query")`);
+      return;
+    }
+    console.log('💾 Saved searches:');
+    for (const savedName of names) {
+      const search = saved[savedName];
+      const lastRun = search.lastRun ? `last run ${search.lastRun.ts}` : 'never run';
+      console.log(`   ${savedName}: "${search.query}" ${describeOptions(search.options)}`.trimEnd() + ` (${lastRun})`);
+    }
+  } else if (sub === 'run') {
+    const search = name ? await getSavedSearch(name) : null;
+    if (!search) {
+      console.error(`❌ No saved search named '${name ?? ''}' (see 'ziri saved list')`);
+      return;
+    }
+    console.log(`🔁 Running saved search '${name}': "${search.query}"`);
+    const results = await runRecorded({ command: 'query', saved: name, ...search }, argv, configManager);
+    if (!results) return;
+
+    const previous = await recordSavedRun(name, results);
+    if (argv.diff) {
+      if (previous) {
+        printResultDiff(diffResults(previous.results, summarizeResults(results)), previous.ts);
+      } else {
+        console.log(`\n🔀 First run of '${name}' - nothing to compare yet`);
+      }
+    }
+  } else if (sub === 'remove') {
+    if (!name) {
+      console.error('Usage: ziri saved remove <name>');
+      return;
+    }
+    console.log(await removeSavedSearch(name) ? `🗑️  Removed saved search '${name}'` : `❌ No saved search named '${name}'`);
+  } else {
+    console.log('Usage: ziri saved add|run|list|remove');
+  }
+}
+
+/**
+ * Print what changed between two runs of the same search
+ */
+export function printResultDiff(diff, since) {
+  const where = result => `${result.repo ? `${result.repo}/` : ''}${result.file}:${result.lines}`;
+  const changes = diff.appeared.length + diff.disappeared.length + diff.moved.length;
+
+  console.log(`\n🔀 Changes since last run (${since}):`);
+  if (changes === 0) {
+    console.log(`   No changes (${diff.unchanged.length} results unchanged)`);
+    return;
+  }
+  for (const result of diff.appeared) {
+    console.log(`   ➕ new       #${result.rank}  ${where(result)}`);
+  }
+  for (const result of diff.moved) {
+    console.log(`   ↕️  moved     #${result.from} → #${result.to}  ${where(result)}`);
+  }
+  for (const result of diff.disappeared) {
+    console.log(`   ➖ gone      (was #${result.rank})  ${where(result)}`);
+  }
+  if (diff.unchanged.length > 0) {
+    console.log(`   ${diff.unchanged.length} unchanged`);
+  }
+}
+
+function formatHistoryLine(entry) {
+  const when = entry.ts.replace('T', ' ').slice(0, 16);
+  const options = describeOptions(entry.options);
+  const where = entry.cwd ? `  [${path.basename(entry.cwd)}]` : '';
+  const source = entry.source === 'repl' ? ' (repl)' : '';
+  return `   #${String(entry.id).padEnd(4)} ${when}  ${entry.command.padEnd(5)}  "${entry.query}"${options ? ` ${options}` : ''}${where}${source}`;
+}
+
+/**
+ * Re-run a recorded query or chat with its original flags, from its original
+ * directory when it targeted the current repository
+ */
+async function runRecorded(entry, argv, configManager) {
+  const runArgv = {
+    ...entry.options,
+    _: [entry.command, entry.query],
+    format: argv.format,
+    json: argv.json
+  };
+
+  const scoped = runArgv.scope === 'all' || String(runArgv.scope || '').startsWith('set:');
+  const previousCwd = process.cwd();
+  let moved = false;
+  if (!scoped && entry.cwd && entry.cwd !== previousCwd) {
+    try {
+      process.chdir(entry.cwd);
+      moved = true;
+    } catch {
+      console.warn(`⚠️  ${entry.cwd} is no longer available - running in ${previousCwd}`);
+    }
+  }
+
+  try {
+    if (entry.command === 'chat') {
+      const { chatCommand } = await import('./chat.js');
+      await chatCommand({ argv: runArgv, configManager });
+      await recordQuery({ command: 'chat', query: entry.query, options: entry.options });
+      return null;
+    }
+
+    const { queryCommand } = await import('./query.js');
+    const results = await queryCommand({ argv: runArgv, configManager });
+    if (Array.isArray(results)) {
+      await recordQuery({ command: 'query', query: entry.query, options: entry.options, saved: entry.saved, results });
+    }
+    return results;
+  } finally {
+    if (moved) process.chdir(previousCwd);
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Resumable indexing
+ * `ziri index` records every file it finishes in a CheckpointManager checkpoint kept in
+ * the repository store, and writes the manifest every few seconds instead of only at the
+ * end. An interrupted run keeps the files it completed: the next run resumes the
+ * checkpoint, takes the hashes of files that haven't changed since from it instead of
+ * reading them again, and only indexes what is left.
+ */
+
+import fs from 'node:fs/promises';
+import { CheckpointManager } from './memory/checkpoint-manager.js';
+
+// Files between checkpoint saves
+export const CHECKPOINT_INTERVAL = 25;
+
+// Largest gap between manifest writes while indexing
+export const MANIFEST_SAVE_INTERVAL_MS = 2000;
+
+const CHECKPOINT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start the checkpoint of an index run, resuming an interrupted run's checkpoint
+ * @param {string} storeDir - Repository store directory
+ * @param {string} repoId - Repository ID
+ * @param {Object} options
+ * @param {boolean|null} options.resume - true resumes however old the checkpoint is, false starts over,
+ * unset resumes checkpoints from the last 24 hours
+ * @returns {Promise<{checkpoints: CheckpointManager, resumed: Object|null, expired: Object|null}>}
+ * The manager to record progress with, the checkpoint being resumed, and one too old to resume
+ */
+export async function openIndexCheckpoint(storeDir, repoId, { resume } = {}) {
+  const checkpoints = new CheckpointManager(storeDir, {
+    checkpointInterval: CHECKPOINT_INTERVAL,
+    maxCheckpoints: 2,
+    maxCheckpointAge: resume === true ? Infinity : CHECKPOINT_MAX_AGE_MS
+  });
+
+  let resumed = null;
+  let expired = null;
+  if (resume !== false) {
+    const result = await checkpoints.shouldResume(repoId);
+    if (result.shouldResume) resumed = result.checkpoint;
+    else if (result.reason === 'expired') expired = result.checkpoint;
+  }
+  if (!resumed) await checkpoints.initialize(repoId);
+
+  // Supersedes any checkpoint that isn't being resumed
+  await checkpoints.saveCheckpoint();
+  return { checkpoints, resumed, expired };
+}
+
+/**
+ * Files a resumed checkpoint recorded, by relative path
+ * @param {Object|null} checkpoint - From openIndexCheckpoint
+ * @returns {Map<string, Object>} path -> { hash, size, mtime, chunks, processedAt }
+ */
+export function checkpointedFiles(checkpoint) {
+  return new Map((checkpoint?.processedFiles || []).filter(file => file.hash).map(file => [file.path, file]));
+}
+
+/**
+ * Whether a checkpointed hash still holds for a file: same size and modification time
+ * @param {Object|undefined} entry - From checkpointedFiles
+ * @param {fs.Stats} stat - The file's current stats
+ */
+export function isUnchangedSince(entry, stat) {
+  return Boolean(entry) && entry.size === stat.size && entry.mtime === stat.mtimeMs;
+}
+
+/**
+ * Read a manifest (relPath -> { hash, bytes, chunks, mtime }), empty when there is none yet
+ */
+export async function readManifest(manifestPath) {
+  try {
+    return JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Write the manifest so a crash mid-write leaves the previous one in place
+ */
+export async function writeManifest(manifestPath, manifest) {
+  const tmp = `${manifestPath}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(manifest), 'utf-8');
+  await fs.rename(tmp, manifestPath);
+}
@@ -0,0 +1,90 @@
+/**
+ * Embedding for `ziri index`
+ * Chunks of every file go through one EmbeddingPipeline, so a request carries chunks of
+ * several files and up to --concurrency requests are in flight at once. Batches start at
+ * --batch-size and an AdaptiveBatchOptimizer resizes them from the provider's response
+ * times. A MemoryMonitor holds back new chunks while the heap is near --memory-limit.
+ * Each flag falls back to the `performance` config.
+ */
+
+import { EmbeddingPipeline } from './embedding/embedding-pipeline.js';
+import { AdaptiveBatchOptimizer } from './performance/adaptive-batch-optimizer.js';
+import { MemoryMonitor } from './memory/memory-monitor.js';
+
+export const DEFAULT_CONCURRENCY = 3;
+export const DEFAULT_BATCH_SIZE = 100;
+export const DEFAULT_MEMORY_LIMIT_MB = 512;
+
+// Token budget of one request, well under OpenAI's per-request limit
+const MAX_TOKENS_PER_REQUEST = 32768;
+
+// Response time the batch size is tuned towards
+const TARGET_RESPONSE_TIME_MS = 2000;
+
+function positiveInt(value) {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+}
+
+/**
+ * Pipeline settings from the command line and the `performance` config
+ * @param {Object} argv - Parsed arguments (--concurrency, --batch-size, --memory-limit)
+ * @param {Object} config - Ziri configuration
+ * @returns {{concurrency: number, batchSize: number, memoryLimit: number, adaptiveBatching: boolean}}
+ */
+export function resolvePipelineOptions(argv = {}, config = {}) {
+  const performance = config.performance || {};
+  return {
+    concurrency: positiveInt(argv.concurrency) || positiveInt(performance.concurrency) || DEFAULT_CONCURRENCY,
+    batchSize: positiveInt(argv['batch-size']) || positiveInt(performance.batchSize) || DEFAULT_BATCH_SIZE,
+    memoryLimit: positiveInt(argv['memory-limit']) || positiveInt(performance.memoryLimit) || DEFAULT_MEMORY_LIMIT_MB,
+    adaptiveBatching: performance.adaptiveBatching !== false
+  };
+}
+
+/**
+ * Present an embedder from makeEmbedder as the client EmbeddingPipeline expects
+ * @param {Object} embedder - { id, model, embedBatch(texts) }
+ * @param {number} maxBatchSize - Largest batch the pipeline may send
+ */
+export function embedderClient(embedder, maxBatchSize) {
+  return {
+    defaultProvider: embedder.id,
+    embed: (texts) => embedder.embedBatch(texts),
+    getProviderLimits: () => ({
+      maxTokensPerRequest: MAX_TOKENS_PER_REQUEST,
+      recommendedBatchSize: maxBatchSize
+    })
+  };
+}
+
+/**
+ * Build the pipeline an index run embeds with. A failed request stops the run so the
+ * files it finished can be resumed; nothing is skipped silently.
+ * @param {Object} embedder - From makeEmbedder
+ * @param {Object} options - From resolvePipelineOptions
+ * @returns {EmbeddingPipeline}
+ */
+export function createIndexPipeline(embedder, { concurrency, batchSize, memoryLimit, adaptiveBatching }) {
+  const minBatchSize = Math.min(5, batchSize);
+  const maxBatchSize = batchSize * 4;
+  const memoryMonitor = new MemoryMonitor({ maxMemoryMB: memoryLimit });
+  const batchOptimizer = new AdaptiveBatchOptimizer({
+    initialBatchSize: batchSize,
+    minBatchSize,
+    maxBatchSize,
+    targetResponseTime: TARGET_RESPONSE_TIME_MS
+  });
+
+  return new EmbeddingPipeline(embedderClient(embedder, maxBatchSize), {
+    concurrency,
+    initialBatchSize: batchSize,
+    minBatchSize,
+    maxBatchSize,
+    adaptiveBatching,
+    targetResponseTime: TARGET_RESPONSE_TIME_MS,
+    stopOnError: true,
+    memoryMonitor,
+    batchOptimizer
+  });
+}
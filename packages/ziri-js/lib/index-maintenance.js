@@ -0,0 +1,248 @@
+/**
+ * Incremental index maintenance
+ * Compares the files found on disk with the manifest of the last `ziri index` run and
+ * keeps the store in step: chunks of changed and deleted files are removed, renamed files
+ * keep their vectors under the new path, and `ziri index --prune` sweeps chunks left behind
+ * by earlier runs.
+ *
+ * Vectors and content are stored once per distinct chunk content (chunkContentId), and
+ * each index.json row maps one location - path, file hash and line span - to the chunk
+ * there. Rows are the references: a chunk leaves the term and vector indexes when no row
+ * refers to it, and its files are deleted once no row of another view (the base store or
+ * a branch overlay, passed as `shared`) does either.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { sha256 } from './hash.js';
+import { saveChunk, loadChunk, loadVector, removeChunk } from './store_repo.js';
+
+/**
+ * ID of a stored chunk: the hash of its content, so identical chunks in different files,
+ * or in a file edited elsewhere, share one vector
+ */
+export function chunkContentId(content) {
+  return sha256(content);
+}
+
+/**
+ * ID a file's chunk had before chunks were stored by content, from the repository alias,
+ * path, chunk position and file hash. Rows without a fileHash still use these.
+ */
+export function chunkId(alias, relPath, index, fileHash) {
+  return sha256(alias + '|' + relPath + '|' + index + '|' + fileHash);
+}
+
+/**
+ * Compare the files found on disk with the manifest of the last run
+ * @param {Object} manifest - relPath -> { hash, chunks, ... }
+ * @param {Array<{rel: string, hash: string}>} files - Files found now
+ * @returns {{added: Array<string>, changed: Array<string>, unchanged: Array<string>, deleted: Array<string>, renamed: Array<{from: string, to: string}>}}
+ * A deleted and an added file with the same content and extension count as a rename
+ */
+export function diffManifest(manifest, files) {
+  const diff = { added: [], changed: [], unchanged: [], deleted: [], renamed: [] };
+  const current = new Set();
+  for (const { rel, hash } of files) {
+    current.add(rel);
+    const entry = manifest[rel];
+    if (!entry) diff.added.push(rel);
+    else if (entry.hash === hash) diff.unchanged.push(rel);
+    else diff.changed.push(rel);
+  }
+
+  // Deleted files by content, to pair them with added files
+  const deletedByHash = new Map();
+  for (const rel of Object.keys(manifest)) {
+    if (current.has(rel)) continue;
+    const key = `${manifest[rel].hash}|${path.extname(rel)}`;
+    if (!deletedByHash.has(key)) deletedByHash.set(key, []);
+    deletedByHash.get(key).push(rel);
+  }
+
+  const hashes = new Map(files.map(({ rel, hash }) => [rel, hash]));
+  diff.added = diff.added.filter(rel => {
+    const candidates = deletedByHash.get(`${hashes.get(rel)}|${path.extname(rel)}`);
+    if (!candidates?.length) return true;
+    diff.renamed.push({ from: candidates.shift(), to: rel });
+    return false;
+  });
+  for (const candidates of deletedByHash.values()) diff.deleted.push(...candidates);
+  return diff;
+}
+
+/**
+ * Remove every chunk of some files from the store and the in-memory indexes
+ * @param {string} storeDir - Repository store directory
+ * @param {Array} indexArr - index.json rows
+ * @param {Iterable<string>} relPaths - Files whose chunks go
+ * @param {Object} indexes - termIndex and vectorIndex to update, and the shared chunk IDs
+ * @returns {Promise<{index: Array, removed: number}>} Remaining rows and the number removed
+ */
+export async function removeFileChunks(storeDir, indexArr, relPaths, { termIndex, vectorIndex, shared } = {}) {
+  const paths = new Set(relPaths);
+  if (paths.size === 0) return { index: indexArr, removed: 0 };
+  const stale = indexArr.filter(row => paths.has(row.relPath));
+  return { index: await removeRows(storeDir, indexArr, stale, { termIndex, vectorIndex, shared }), removed: stale.length };
+}
+
+/**
+ * Remove some rows. Chunks no remaining row refers to leave the term and vector indexes,
+ * and their files go unless another view shares them.
+ * @param {string} storeDir - Repository store directory
+ * @param {Array} indexArr - index.json rows
+ * @param {Array} rows - Rows of indexArr to remove
+ * @param {Object} indexes - termIndex and vectorIndex to update, and the shared chunk IDs
+ * @returns {Promise<Array>} Remaining rows
+ */
+export async function removeRows(storeDir, indexArr, rows, { termIndex, vectorIndex, shared } = {}) {
+  const { index, released } = dropRows(indexArr, rows, { termIndex, vectorIndex });
+  await removeChunkFiles(storeDir, released, { shared });
+  return index;
+}
+
+/**
+ * Remove some rows from the rows and indexes in memory, leaving the chunk files. Index runs
+ * delete the files once embedding is done, so content that comes back meanwhile is reused.
+ * @returns {{index: Array, released: Array<string>}} Remaining rows, and the IDs of the
+ * chunks none of them refers to
+ */
+export function dropRows(indexArr, rows, { termIndex, vectorIndex } = {}) {
+  const removed = new Set(rows);
+  const index = indexArr.filter(row => !removed.has(row));
+  const refs = countChunkRefs(index);
+  const released = [...new Set(rows.map(row => row.id))].filter(id => !refs.has(id));
+  for (const id of released) {
+    termIndex?.removeDocument(id);
+    vectorIndex?.remove(id);
+  }
+  return { index, released };
+}
+
+/**
+ * Delete the files of chunks no row refers to any more
+ * @param {string} storeDir - Repository store directory
+ * @param {Iterable<string>} ids - Released chunk IDs
+ * @param {Object} options
+ * @param {Array} options.index - Rows of this view; IDs they refer to again are kept
+ * @param {Set<string>} options.shared - IDs other views refer to, also kept
+ * @returns {Promise<number>} Chunk files removed
+ */
+export async function removeChunkFiles(storeDir, ids, { index = [], shared } = {}) {
+  const live = new Set(index.map(row => row.id));
+  let removed = 0;
+  for (const id of ids) {
+    if (live.has(id) || shared?.has(id)) continue;
+    await removeChunk(storeDir, id);
+    removed++;
+  }
+  return removed;
+}
+
+/**
+ * Count the rows referring to each chunk
+ * @param {Array} rows - index.json rows
+ * @returns {Map<string, number>} Chunk ID -> number of locations
+ */
+export function countChunkRefs(rows) {
+  const refs = new Map();
+  for (const row of rows) refs.set(row.id, (refs.get(row.id) || 0) + 1);
+  return refs;
+}
+
+/**
+ * Move a renamed file's chunks to its new path without re-embedding them
+ * @param {string} storeDir - Repository store directory
+ * @param {Array} indexArr - index.json rows
+ * @param {Object} rename - from, to (relative paths), full (absolute path of `to`), alias, and
+ * entry (the manifest entry of `from`)
+ * @param {Object} indexes - termIndex and vectorIndex to update, and the shared chunk IDs
+ * @returns {Promise<{index: Array, moved: number}>} Rows with the moved chunks, and how many moved.
+ * Chunks that can't be read are dropped, and moved is 0 when none could be
+ */
+export async function moveFileChunks(storeDir, indexArr, { from, to, full, alias, entry }, { termIndex, vectorIndex, shared } = {}) {
+  const positions = currentChunkPositions(from, entry, [alias]);
+  const rows = indexArr.filter(row => row.relPath === from);
+  const moved = [];
+
+  for (const row of rows) {
+    // Chunks stored by content only change location
+    if (row.fileHash) {
+      if (row.fileHash === entry.hash) moved.push({ ...row, relPath: to });
+      continue;
+    }
+
+    // Chunks stored by location are stored again by content
+    if (!positions.has(row.id)) continue;
+    const [chunk, vector] = await Promise.all([loadChunk(storeDir, row.id), loadVector(storeDir, row.id).catch(() => null)]);
+    if (!chunk || !vector) continue;
+    const id = chunkContentId(chunk.content);
+    const stored = await saveChunk(storeDir, id, vector, { ...chunk, filePath: full, relativePath: to });
+    termIndex?.addDocument(id, chunk.content, chunk.language, stored || chunk);
+    vectorIndex?.upsert(id, vector);
+    moved.push({ ...row, id, relPath: to, fileHash: entry.hash, startLine: chunk.startLine, endLine: chunk.endLine });
+  }
+
+  const index = [...indexArr.filter(row => row.relPath !== from), ...moved];
+  // Rows of the old path that couldn't move release their chunks
+  const { released } = dropRows([...index, ...rows], rows, { termIndex, vectorIndex });
+  await removeChunkFiles(storeDir, released, { shared });
+  return { index, moved: moved.length };
+}
+
+/**
+ * Rows that no run of the indexer would keep: chunks of files missing from the manifest,
+ * and chunks of an older version of a file that were never removed
+ * @param {Array} indexArr - index.json rows
+ * @param {Object} manifest - relPath -> { hash, chunks }
+ * @param {Array<string>} aliases - Aliases chunk IDs may have been built with
+ * @returns {Array} Stale rows
+ */
+export function findStaleRows(indexArr, manifest, aliases) {
+  const positions = new Map();
+  return indexArr.filter(row => {
+    const entry = manifest[row.relPath];
+    if (!entry) return true;
+    if (row.fileHash) return row.fileHash !== entry.hash;
+    if (!positions.has(row.relPath)) positions.set(row.relPath, currentChunkPositions(row.relPath, entry, aliases));
+    return !positions.get(row.relPath).has(row.id);
+  });
+}
+
+/**
+ * Remove stale rows and chunk files that no row refers to
+ * @param {string} storeDir - Repository store directory
+ * @param {Array} indexArr - index.json rows
+ * @param {Object} options - manifest, aliases, termIndex, vectorIndex, shared
+ * @returns {Promise<{index: Array, rows: number, files: number}>} Remaining rows, rows removed, orphaned files removed
+ */
+export async function pruneStore(storeDir, indexArr, { manifest, aliases, termIndex, vectorIndex, shared = new Set() }) {
+  const stale = findStaleRows(indexArr, manifest, aliases);
+  const index = await removeRows(storeDir, indexArr, stale, { termIndex, vectorIndex, shared });
+
+  const live = new Set([...index.map(row => row.id), ...shared]);
+  let files = 0;
+  for (const dir of ['vecs', 'content']) {
+    const entries = await fs.readdir(path.join(storeDir, 'db', dir)).catch(() => []);
+    for (const name of entries) {
+      const id = name.replace(/\.(bin|json)(\.enc)?$/, '');
+      if (id === name || live.has(id)) continue;
+      await fs.unlink(path.join(storeDir, 'db', dir, name)).catch(() => {});
+      files++;
+    }
+  }
+  return { index, rows: stale.length, files };
+}
+
+/**
+ * IDs the current version of a file's chunks can have, mapped to their position
+ */
+function currentChunkPositions(relPath, entry, aliases) {
+  const positions = new Map();
+  for (const alias of aliases) {
+    for (let i = 0; i < (entry.chunks || 0); i++) {
+      positions.set(chunkId(alias, relPath, i, entry.hash), i);
+    }
+  }
+  return positions;
+}
@@ -0,0 +1,323 @@
+/**
+ * Branch overlays
+ * A repository's store holds its base branch (origin's default branch, main or master, or
+ * overlays.baseBranch). `ziri index` and `ziri watch` on any other branch, and
+ * `ziri index --ref` of any other ref, leave it alone: files whose content differs from the
+ * base are indexed into an overlay under overlays/, which also lists the files the branch
+ * deleted. Chunks are stored by content, so overlays keep their
+ * vectors and content next to the base's and a chunk shared by several branches is stored
+ * once. Queries lay the overlay of the checked-out branch over the base
+ * rows, and `ziri overlays gc` drops the overlays of deleted branches. An overlay records the
+ * base commit it was compared with; once the base is re-indexed at another commit, queries
+ * warn until the branch is indexed again.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { runGit } from './git.js';
+import { sha256 } from './hash.js';
+import { resolveHome } from './home.js';
+import { computeRepoId, repoStoreDir } from './repoid.js';
+import { readIndex, loadVector, removeChunk } from './store_repo.js';
+import { readManifest } from './index-checkpoint.js';
+import { readSourceInfo } from './index-source.js';
+import { TermIndex } from './ranking/term-index.js';
+
+// Branches tried, in order, when origin has no default branch
+const DEFAULT_BASE_BRANCHES = ['main', 'master'];
+
+/**
+ * Resolve the directory holding a store's overlays
+ * @param {string} storeDir - Repository store directory
+ */
+export function overlaysDir(storeDir) {
+  return path.join(storeDir, 'overlays');
+}
+
+/**
+ * Resolve the overlay directory of a branch; names stay readable and distinct after
+ * characters like '/' are replaced
+ */
+export function overlayDir(storeDir, branch) {
+  const slug = branch.replace(/[^A-Za-z0-9._-]+/g, '-').slice(0, 64);
+  return path.join(overlaysDir(storeDir), `${slug}--${sha256(branch).slice(0, 6)}`);
+}
+
+/**
+ * The branch checked out in a repository
+ * @returns {Promise<string|null>} Null for a detached HEAD or outside git
+ */
+export async function currentBranch(repoPath) {
+  const branch = await runGit(repoPath, ['rev-parse', '--abbrev-ref', 'HEAD']).catch(() => null);
+  return branch && branch !== 'HEAD' ? branch : null;
+}
+
+/**
+ * Whether a local branch exists
+ */
+export async function branchExists(repoPath, branch) {
+  return await runGit(repoPath, ['show-ref', '--verify', '--quiet', `refs/heads/${branch}`]).then(() => true, () => false);
+}
+
+/**
+ * Whether an overlay's branch, tag or commit still exists
+ */
+export async function refExists(repoPath, ref) {
+  if (await branchExists(repoPath, ref)) return true;
+  return await runGit(repoPath, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]).then(() => true, () => false);
+}
+
+/**
+ * Whether a ref names the base branch itself, locally or on origin
+ */
+export function isBaseRef(ref, base) {
+  return ref === base || ref === `refs/heads/${base}` || ref === `origin/${base}` || ref === `refs/remotes/origin/${base}`;
+}
+
+/**
+ * The branch whose files the main store holds: --base-branch, overlays.baseBranch,
+ * origin's default branch, then main or master
+ * @returns {Promise<string|null>} Null when none can be found
+ */
+export async function resolveBaseBranch(repoPath, { argv = {}, config = {} } = {}) {
+  const configured = argv['base-branch'] || config.overlays?.baseBranch;
+  if (configured) return String(configured);
+
+  const originHead = await runGit(repoPath, ['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD']).catch(() => null);
+  if (originHead) return originHead.replace(/^origin\//, '');
+  for (const branch of DEFAULT_BASE_BRANCHES) {
+    if (await branchExists(repoPath, branch)) return branch;
+  }
+  return null;
+}
+
+/**
+ * The overlay an index run writes to
+ * @param {Object} options - argv (--no-overlay, --base-branch), config, and the ref an
+ * `ziri index --ref` run reads (the checked-out branch otherwise)
+ * @returns {Promise<{branch: string, base: string, dir: string}|null>} Null when the branch
+ * or ref is the base, HEAD is detached, no base branch can be found or overlays are turned off
+ */
+export async function resolveIndexOverlay(repoPath, storeDir, { argv = {}, config = {}, ref = null } = {}) {
+  if (argv.overlay === false || config.overlays?.enabled === false) return null;
+  const branch = ref || await currentBranch(repoPath);
+  if (!branch) return null;
+  const base = await resolveBaseBranch(repoPath, { argv, config });
+  if (!base || isBaseRef(branch, base)) return null;
+  return { branch, base, dir: overlayDir(storeDir, branch) };
+}
+
+/**
+ * Split a branch's files into the ones an overlay must index and the ones it shares
+ * with the base
+ * @param {Array<{rel: string, hash: string}>} files - Files of the branch
+ * @param {Object} baseManifest - relPath -> { hash, ... } of the main store
+ * @returns {{files: Array, deleted: Array<string>, shared: number}} Files whose content
+ * differs from the base, base files missing from the branch, and how many are the same
+ */
+export function splitFromBase(files, baseManifest) {
+  const differing = files.filter(({ rel, hash }) => baseManifest[rel]?.hash !== hash);
+  const present = new Set(files.map(({ rel }) => rel));
+  const deleted = Object.keys(baseManifest).filter(rel => !present.has(rel)).sort();
+  return { files: differing, deleted, shared: files.length - differing.length };
+}
+
+/**
+ * Read an overlay's description
+ * @returns {Promise<{branch: string, base: string, baseCommit: string|null, commit: string|null, deleted: Array<string>, indexedAt: string}|null>}
+ */
+export async function readOverlayInfo(dir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, 'overlay.json'), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Describe an overlay: its branch, the base it was compared with and the files it deleted
+ */
+export async function writeOverlayInfo(dir, { branch, base, baseCommit = null, commit = null, deleted = [] }) {
+  const info = { branch, base, baseCommit, commit, deleted, indexedAt: new Date().toISOString() };
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, 'overlay.json'), JSON.stringify(info, null, 2), 'utf-8');
+  return info;
+}
+
+/**
+ * Every overlay of a store, by branch
+ * @returns {Promise<Array<Object>>} Overlay descriptions with their dir
+ */
+export async function listOverlays(storeDir) {
+  const entries = await fs.readdir(overlaysDir(storeDir), { withFileTypes: true }).catch(() => []);
+  const overlays = [];
+  for (const entry of entries.filter(entry => entry.isDirectory())) {
+    const dir = path.join(overlaysDir(storeDir), entry.name);
+    const info = await readOverlayInfo(dir);
+    if (info) overlays.push({ ...info, dir });
+  }
+  return overlays.sort((a, b) => a.branch.localeCompare(b.branch));
+}
+
+/**
+ * IDs of the chunks the base and the overlays refer to, except one of them. Chunk files
+ * are shared, so a view only deletes the ones no other view uses.
+ * @param {string} storeDir - Repository store directory
+ * @param {Object} options
+ * @param {string} options.except - Store or overlay directory to leave out
+ * @returns {Promise<Set<string>>}
+ */
+export async function chunkIdsInUse(storeDir, { except } = {}) {
+  const entries = await fs.readdir(overlaysDir(storeDir)).catch(() => []);
+  const views = [storeDir, ...entries.map(name => path.join(overlaysDir(storeDir), name))];
+  const ids = new Set();
+  for (const dir of views) {
+    if (except && path.resolve(dir) === path.resolve(except)) continue;
+    for (const row of await readIndex(dir)) ids.add(row.id);
+  }
+  return ids;
+}
+
+/**
+ * Load the overlay a query of a repository should use: the one of its checked-out branch
+ * @param {string} storeDir - Repository store directory
+ * @param {string} repoPath - Repository checkout
+ * @returns {Promise<Object|null>} branch, base, dir, rows, the paths it replaces and whether
+ * it is stale (the base was re-indexed at another commit since), or null when the branch has none
+ */
+export async function loadOverlay(storeDir, repoPath) {
+  const branch = await currentBranch(repoPath);
+  if (!branch) return null;
+  const dir = overlayDir(storeDir, branch);
+  const info = await readOverlayInfo(dir);
+  if (!info) return null;
+
+  const manifest = await readManifest(path.join(dir, 'manifest.json'));
+  const rows = await readIndex(dir);
+  const replaced = new Set([...Object.keys(manifest), ...(info.deleted || []), ...rows.map(row => row.relPath)]);
+  return { ...info, dir, rows, replaced, stale: isStaleOverlay(info, await readSourceInfo(storeDir)) };
+}
+
+/**
+ * Whether the base was re-indexed at another commit than the one an overlay was compared
+ * with. Files the overlay took to be the same as the base may differ now.
+ * @param {Object} info - From readOverlayInfo
+ * @param {Object|null} baseSource - readSourceInfo of the store
+ */
+export function isStaleOverlay(info, baseSource) {
+  return Boolean(info.baseCommit && baseSource?.commit && info.baseCommit !== baseSource.commit);
+}
+
+/**
+ * The rows of a branch: base rows of the files the overlay doesn't replace, and its own
+ * @param {Array} index - index.json rows of the main store
+ * @param {Object} overlay - From loadOverlay
+ */
+export function applyOverlayRows(index, overlay) {
+  return [...index.filter(row => !overlay.replaced.has(row.relPath)), ...overlay.rows];
+}
+
+/**
+ * Swap the base chunks an overlay replaces for its own in the loaded lexical and vector
+ * indexes. Only the copies in memory change.
+ * @param {string} storeDir - Repository store directory
+ * @param {Array} index - index.json rows of the main store
+ * @param {Object} overlay - From loadOverlay
+ * @param {Object} indexes - termIndex and vectorIndex, either may be null
+ */
+export async function applyOverlayIndexes(storeDir, index, overlay, { termIndex, vectorIndex }) {
+  // An empty vector index means the store is scanned, which reads overlay vectors anyway
+  const annBuilt = vectorIndex?.size > 0;
+  // Chunks of replaced files that another base file or the overlay holds too stay
+  const kept = new Set(applyOverlayRows(index, overlay).map(row => row.id));
+  for (const row of index) {
+    if (!overlay.replaced.has(row.relPath) || kept.has(row.id)) continue;
+    termIndex?.removeDocument(row.id);
+    vectorIndex?.remove(row.id);
+  }
+
+  if (termIndex) {
+    const terms = await TermIndex.load(overlay.dir);
+    for (const [id, doc] of Object.entries(terms.docs)) {
+      if (termIndex.has(id)) termIndex.removeDocument(id);
+      termIndex.insert(id, doc);
+    }
+  }
+
+  if (annBuilt) {
+    for (const row of overlay.rows) {
+      const vector = await loadVector(storeDir, row.id).catch(() => null);
+      if (vector && vector.length === vectorIndex.dims) vectorIndex.upsert(row.id, vector);
+    }
+  }
+}
+
+/**
+ * Remove an overlay and the chunk files only it refers to
+ * @returns {Promise<number>} Chunk files removed
+ */
+export async function removeOverlay(storeDir, dir) {
+  const inUse = await chunkIdsInUse(storeDir, { except: dir });
+  let removed = 0;
+  for (const row of await readIndex(dir)) {
+    if (inUse.has(row.id)) continue;
+    await removeChunk(storeDir, row.id);
+    removed++;
+  }
+  await fs.rm(dir, { recursive: true, force: true });
+  return removed;
+}
+
+/**
+ * ziri overlays [list] | gc [--dry-run]
+ */
+export async function overlaysCommand({ argv }) {
+  const sub = argv._[1] || 'list';
+  if (sub !== 'list' && sub !== 'gc') {
+    console.error(`❌ Unknown overlays command '${sub}' (use: ziri overlays list, ziri overlays gc [--dry-run])`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const repoPath = process.cwd();
+  const { repoId, alias } = await computeRepoId(repoPath);
+  const storeDir = repoStoreDir(resolveHome(), alias, repoId);
+  const overlays = await listOverlays(storeDir);
+  if (overlays.length === 0) {
+    console.log(`📭 No branch overlays for ${alias} (running 'ziri index' on a branch other than the base creates one)`);
+    return;
+  }
+
+  if (sub === 'list') {
+    const current = await currentBranch(repoPath);
+    const baseSource = await readSourceInfo(storeDir);
+    console.log(`🌿 Branch overlays of ${alias}:`);
+    for (const overlay of overlays) {
+      const manifest = await readManifest(path.join(overlay.dir, 'manifest.json'));
+      const chunks = (await readIndex(overlay.dir)).length;
+      const notes = [];
+      if (overlay.branch === current) notes.push('checked out');
+      if (!await refExists(repoPath, overlay.branch)) notes.push('branch deleted');
+      if (isStaleOverlay(overlay, baseSource)) notes.push(`${overlay.base} re-indexed since`);
+      console.log(`   ${overlay.branch}: ${Object.keys(manifest).length} files differ from ${overlay.base}, ${overlay.deleted.length} deleted, ${chunks} chunks (indexed ${overlay.indexedAt})${notes.length > 0 ? ` [${notes.join(', ')}]` : ''}`);
+    }
+    return;
+  }
+
+  const stale = [];
+  for (const overlay of overlays) {
+    if (!await refExists(repoPath, overlay.branch)) stale.push(overlay);
+  }
+  if (stale.length === 0) {
+    console.log(`✅ Every overlay of ${alias} belongs to an existing branch`);
+    return;
+  }
+  for (const overlay of stale) {
+    if (argv['dry-run']) {
+      console.log(`🧪 Would remove the overlay of deleted branch ${overlay.branch}`);
+      continue;
+    }
+    const removed = await removeOverlay(storeDir, overlay.dir);
+    console.log(`🗑️  Removed the overlay of deleted branch ${overlay.branch} (${removed} chunk files only it used)`);
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Indexing a git ref
+ * `ziri index` walks the working tree. With --ref it indexes a commit instead: files are
+ * listed with `git ls-tree -r` and read through `git cat-file --batch`, so a branch or
+ * tag can be indexed while another one is checked out, or from a bare mirror. The same
+ * exclusions apply, with .gitignore and .ziriignore read from the commit. Each store
+ * records what it was last built from (the ref and commit, or the working tree) in
+ * source.json.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { runGit, GitObjectReader } from './git.js';
+import { IgnoreMatcher } from './filesystem/ignore-rules.js';
+import { sha256 } from './hash.js';
+import { ZiriError } from './error/error-handler.js';
+
+// Regular and executable files; symlinks (120000) and submodules are skipped
+const FILE_MODES = new Set(['100644', '100755']);
+
+/**
+ * Raised when --ref doesn't name a commit, or a bare repository is indexed without one
+ */
+export class GitRefError extends ZiriError {
+  constructor(message, details = {}) {
+    super(message, 'GIT_REF', details);
+    this.name = 'GitRefError';
+  }
+}
+
+/**
+ * Resolve the source record path for a repository store
+ * @param {string} repoDir - Repository store directory
+ * @returns {string} Path to source.json
+ */
+export function sourceInfoPath(repoDir) {
+  return path.join(repoDir, 'source.json');
+}
+
+/**
+ * Read what a store was last built from
+ * @param {string} repoDir - Repository store directory
+ * @returns {Promise<{type: 'ref'|'worktree', ref: string|null, commit: string|null, indexedAt: string}|null>}
+ * Null for stores indexed before it was recorded
+ */
+export async function readSourceInfo(repoDir) {
+  try {
+    return JSON.parse(await fs.readFile(sourceInfoPath(repoDir), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Record what a store was built from
+ * @param {string} repoDir - Repository store directory
+ * @param {Object} source - type ('ref' or 'worktree'), ref, commit
+ */
+export async function writeSourceInfo(repoDir, { type, ref = null, commit = null }) {
+  const info = { type, ref, commit, indexedAt: new Date().toISOString() };
+  await fs.writeFile(sourceInfoPath(repoDir), JSON.stringify(info, null, 2), 'utf-8');
+  return info;
+}
+
+/**
+ * Whether a directory is a bare repository, which has no working tree to walk
+ */
+export async function isBareRepository(repoPath) {
+  return await runGit(repoPath, ['rev-parse', '--is-bare-repository']).catch(() => 'false') === 'true';
+}
+
+/**
+ * Parse one `git ls-tree -r -z --long` entry: `<mode> <type> <id> <size>\t<path>`
+ */
+function parseTreeEntry(entry) {
+  const tab = entry.indexOf('\t');
+  const [mode, type, objectId, size] = entry.slice(0, tab).split(/\s+/);
+  return { mode, type, objectId, size: parseInt(size, 10), rel: entry.slice(tab + 1) };
+}
+
+/**
+ * The files of one commit, read without checking it out
+ */
+export class GitRefSource {
+  /**
+   * Resolve a ref and start reading from it
+   * @param {string} repoPath - Repository checkout or bare repository; paths are relative to it
+   * @param {string} ref - Branch, tag or commit
+   * @returns {Promise<GitRefSource>} Close it when done
+   * @throws {GitRefError} When the ref doesn't name a commit
+   */
+  static async open(repoPath, ref) {
+    const commit = await runGit(repoPath, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]).catch(() => null);
+    if (!commit) {
+      throw new GitRefError(`'${ref}' is not a branch, tag or commit of the repository at ${repoPath}`, { ref, repoPath });
+    }
+    const committedAt = parseInt(await runGit(repoPath, ['show', '-s', '--format=%ct', commit]), 10) * 1000;
+    return new GitRefSource(repoPath, { ref, commit, committedAt });
+  }
+
+  constructor(repoPath, { ref, commit, committedAt }) {
+    this.repoPath = repoPath;
+    this.ref = ref;
+    this.commit = commit;
+    this.committedAt = committedAt;
+    this.reader = new GitObjectReader(repoPath);
+  }
+
+  /**
+   * List the files to index with the exclusions of a working tree walk
+   * @param {Object} options
+   * @param {Object} options.argv - Parsed arguments (--exclude, --verbose)
+   * @param {Object} options.config - Ziri configuration
+   * @returns {Promise<Array<{full: string, rel: string, size: number, mtime: number, hash: string, objectId: string}>>}
+   * Files as scanRepository returns them, with the commit time as mtime
+   */
+  async scan({ argv = {}, config = {} } = {}) {
+    const listing = await runGit(this.repoPath, ['ls-tree', '-r', '-z', '--long', this.commit]);
+    const entries = listing.split('\0').filter(Boolean).map(parseTreeEntry)
+      .filter(entry => entry.type === 'blob' && FILE_MODES.has(entry.mode));
+    const blobs = new Map(entries.map(entry => [entry.rel, entry.objectId]));
+
+    const ignore = await IgnoreMatcher.create(this.repoPath, {
+      config,
+      exclude: argv.exclude,
+      readFile: rel => (blobs.has(rel) ? this.read({ objectId: blobs.get(rel) }) : null)
+    });
+
+    const files = [];
+    for (const { rel, objectId, size } of entries) {
+      // Ignore files of a directory apply to everything below it
+      let dir = '';
+      for (const part of rel.split('/').slice(0, -1)) {
+        dir = dir ? `${dir}/${part}` : part;
+        await ignore.loadDirectory(dir);
+      }
+      if (ignore.ignores(rel)) continue;
+      if (!ignore.acceptsSize(size)) {
+        if (argv.verbose) console.log(`⏭️  Skipped ${rel} (${(size/1024).toFixed(1)}KB, outside exclusions size limits)`);
+        continue;
+      }
+      const hash = sha256(await this.read({ objectId }));
+      files.push({ full: path.join(this.repoPath, rel), rel, size, mtime: this.committedAt, hash, objectId });
+    }
+    return files;
+  }
+
+  /**
+   * Read a file listed by scan
+   * @param {{objectId: string}} file
+   * @returns {Promise<string>} Its content
+   */
+  async read(file) {
+    return (await this.reader.read(file.objectId)).toString('utf-8');
+  }
+
+  close() {
+    this.reader.close();
+  }
+}
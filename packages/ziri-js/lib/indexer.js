@@ -4,11 +4,26 @@ import { resolveHome } from './home.js';
 import { computeRepoId, repoStoreDir } from './repoid.js';
 import { walkDir } from './filewalk.js';
 import { chunkTextWithLines } from './chunker.js';
+import { chunkCode, resolveChunkingOptions, hasSyntaxParser } from './syntax-chunker.js';
 import { makeEmbedder } from './embedder.js';
-import { readIndex, writeIndex, ensureRepoStore, saveChunk, setEnhancedStorageMode } from './store_repo.js';
+import { readIndex, writeIndex, ensureRepoStore, saveChunk, loadChunk, loadVector, removeChunk, setEnhancedStorageMode, initializeSecurity } from './store_repo.js';
 import { sha256 } from './hash.js';
 import { getSources } from './registry.js';
 import { parallelWalk } from './filesystem/parallel-walk.js';
+import { IgnoreMatcher } from './filesystem/ignore-rules.js';
+import { openIndexCheckpoint, checkpointedFiles, isUnchangedSince, readManifest, writeManifest, MANIFEST_SAVE_INTERVAL_MS } from './index-checkpoint.js';
+import { resolvePipelineOptions, createIndexPipeline } from './index-embedding.js';
+import { GitRefSource, GitRefError, isBareRepository, readSourceInfo, writeSourceInfo } from './index-source.js';
+import { resolveIndexOverlay, splitFromBase, chunkIdsInUse, writeOverlayInfo } from './index-overlay.js';
+import { runGit } from './git.js';
+import { TermIndex } from './ranking/term-index.js';
+import { SymbolTable, extractFileSymbols } from './metadata/symbol-table.js';
+import { chunkSymbols, chunkTypes, extractFunctionName, extractClassName } from './metadata/chunk-metadata.js';
+import { VectorIndex, DEFAULT_ANN_OPTIONS } from './storage/vector-index.js';
+import { GitSignals, collectGitSignals } from './ranking/git-signals.js';
+import { indexCommitHistory, DEFAULT_MAX_COMMITS } from './commit-history.js';
+import { chunkContentId, diffManifest, removeFileChunks, moveFileChunks, dropRows, removeChunkFiles, pruneStore } from './index-maintenance.js';
+import { readEmbeddingInfo, writeEmbeddingInfo, isSameEmbedder, describeEmbedding, inferDimensions, assertDimensions, EmbeddingMismatchError } from './store-embedder.js';
 
 // Removed unused new architecture imports
 
@@ -24,97 +39,302 @@ export async function enhancedLegacyIndexCommand({ argv, configManager }) {
   
   // Initialize security features
   await initializeSecurity();
-  
-  const startTime = Date.now();
-  let repoPath = process.cwd();
 
-  // Handle set: targeting
-  if (argv._ && argv._[0] && argv._[0].startsWith('set:')) {
-    const setName = argv._[0].slice(4); // Remove 'set:' prefix
+  // Handle set: targeting (ziri index set:NAME)
+  const target = argv._?.find(arg => typeof arg === 'string' && arg.startsWith('set:'));
+  if (target) {
+    const setName = target.slice(4); // Remove 'set:' prefix
     console.log(`🎯 Targeting set: ${setName}`);
 
     // Load sources and find the set
+    let targetSet;
     try {
       const sources = await getSources();
-      const targetSet = sources.sets?.[setName];
+      targetSet = sources.sets?.[setName];
 
       if (!targetSet || targetSet.length === 0) {
         console.error(`❌ Set '${setName}' not found or empty`);
         console.log(`Available sets: ${Object.keys(sources.sets || {}).join(', ') || 'none'}`);
         process.exit(1);
       }
+    } catch (error) {
+      console.error(`❌ Failed to load set '${setName}':`, error.message);
+      process.exit(1);
+    }
 
-      if (targetSet.length > 1) {
-        console.error(`❌ Set '${setName}' contains multiple repositories. Please specify a single repository path.`);
-        console.log(`Set contents:`, targetSet);
-        process.exit(1);
-      }
+    return await indexRepositorySet(setName, targetSet, { argv, configManager });
+  }
 
-      repoPath = targetSet[0];
-      console.log(`📁 Using repository: ${repoPath}`);
+  try {
+    return await indexRepository(process.cwd(), { argv, configManager });
+  } catch (error) {
+    if (!(error instanceof EmbeddingMismatchError || error instanceof GitRefError)) throw error;
+    console.error(`\n❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
 
-      // Change to the target directory
-      process.chdir(repoPath);
-      console.log(`📂 Changed working directory to: ${repoPath}`);
+/**
+ * Index every repository in a set, one at a time or --repo-concurrency at a time.
+ * A failing member is reported and does not stop the rest of the set.
+ */
+async function indexRepositorySet(setName, repoPaths, { argv, configManager }) {
+  const startTime = Date.now();
+  const concurrency = Math.min(repoPaths.length, Math.max(1, parseInt(argv['repo-concurrency'] || '1', 10) || 1));
+  console.log(`📚 Indexing ${repoPaths.length} repositories ${concurrency > 1 ? `(${concurrency} in parallel)` : 'sequentially'}`);
 
-    } catch (error) {
-      console.error(`❌ Failed to load set '${setName}':`, error.message);
-      process.exit(1);
+  const results = new Array(repoPaths.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < repoPaths.length) {
+      const i = next++;
+      const repoPath = repoPaths[i];
+      try {
+        const stat = await fs.stat(repoPath);
+        if (!stat.isDirectory()) throw new Error('not a directory');
+        results[i] = await indexRepository(repoPath, { argv, configManager });
+      } catch (error) {
+        console.error(`\n❌ Failed to index ${repoPath}: ${error.message}`);
+        results[i] = { repoPath, error: error.message };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  const failed = results.filter(r => r.error);
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  console.log(`\n📚 Set '${setName}' indexed in ${duration}s`);
+  for (const result of results) {
+    if (result.error) {
+      console.log(`   ❌ ${result.repoPath}: ${result.error}`);
+    } else {
+      console.log(`   ✅ ${result.alias}: ${result.processed} processed, ${result.skipped} unchanged, ${result.upserts} embeddings`);
     }
   }
+  if (failed.length > 0) {
+    process.exitCode = 1;
+  }
+  return results;
+}
+
+/**
+ * Index a single repository into its store, from the working tree or, with --ref, from a
+ * commit read through git
+ */
+async function indexRepository(repoPath, { argv, configManager }) {
+  if (!argv.ref && await isBareRepository(repoPath)) {
+    throw new GitRefError(`${repoPath} is a bare repository. Pass --ref <branch|tag|commit> to index one of its commits`, { repoPath });
+  }
+  const source = argv.ref ? await GitRefSource.open(repoPath, String(argv.ref)) : null;
+  try {
+    return await indexRepositoryFrom(repoPath, source, { argv, configManager });
+  } finally {
+    source?.close();
+  }
+}
+
+/**
+ * Index the base branch into the main store through git, so a branch can be indexed into
+ * an overlay on top of it
+ * @throws {GitRefError} When neither the branch nor origin's copy of it can be read
+ */
+async function indexBaseBranch(repoPath, base, { argv, configManager }) {
+  let source = null;
+  for (const ref of [base, `origin/${base}`]) {
+    source = await GitRefSource.open(repoPath, ref).catch(() => null);
+    if (source) break;
+  }
+  if (!source) {
+    throw new GitRefError(`${base} isn't indexed yet and can't be read from git. Index it first with 'ziri index --ref <ref of ${base}>', or pass --base-branch`, { repoPath, ref: base });
+  }
+  try {
+    return await indexRepositoryFrom(repoPath, source, { argv: { ...argv, ref: source.ref }, configManager });
+  } finally {
+    source.close();
+  }
+}
+
+/**
+ * @param {GitRefSource|null} source - Commit to read files from, null for the working tree
+ */
+async function indexRepositoryFrom(repoPath, source, { argv, configManager }) {
+  const startTime = Date.now();
 
   const { repoId, alias } = await computeRepoId(repoPath);
   
   console.log(`🔍 Indexing repository: ${alias}`);
   console.log(`📁 Path: ${repoPath}`);
+  if (source) {
+    console.log(`🔖 Ref: ${source.ref} (${source.commit.slice(0, 12)})`);
+  }
   console.log(`🆔 Repo ID: ${repoId.slice(0, 8)}...`);
   
   const storeDir = repoStoreDir(resolveHome(), alias, repoId);
+  const config = await configManager?.getConfig() || {};
+  let baseManifest = await readManifest(path.join(storeDir, 'manifest.json'));
+
+  // Branches and refs other than the base one go into an overlay that shares the base's chunks
+  const overlay = await resolveIndexOverlay(repoPath, storeDir, { argv, config, ref: source?.ref });
+  if (overlay && Object.keys(baseManifest).length === 0) {
+    // Overlays are compared with the base, so the main store must hold it first
+    if (argv['dry-run'] || argv['list-files']) {
+      console.log(`🌿 ${overlay.base} isn't indexed yet; a real run indexes it before ${overlay.branch}`);
+    } else {
+      console.log(`🌿 ${overlay.base} isn't indexed yet; indexing it before ${overlay.branch}\n`);
+      await indexBaseBranch(repoPath, overlay.base, { argv, configManager });
+      baseManifest = await readManifest(path.join(storeDir, 'manifest.json'));
+      console.log('');
+    }
+  }
+  if (overlay) {
+    console.log(`🌿 Branch: ${overlay.branch} (overlay on ${overlay.base})`);
+  }
+  // Where rows, the manifest, term statistics and checkpoints go; chunk files always go to the store
+  const viewDir = overlay ? overlay.dir : storeDir;
+  const manifestPath = path.join(viewDir, 'manifest.json');
+  let manifest = overlay ? await readManifest(manifestPath) : baseManifest;
+
+  if (argv['dry-run'] || argv['list-files']) {
+    return await dryRunRepository(repoPath, { argv, config, manifest, baseManifest, overlay, alias, source });
+  }
+
   await ensureRepoStore(storeDir);
-  const manifestPath = path.join(storeDir, 'manifest.json');
-  let manifest = {}; 
-  try { 
-    manifest = JSON.parse(await fs.readFile(manifestPath,'utf-8')); 
-  } catch {}
+  if (overlay) await fs.mkdir(path.join(viewDir, 'db'), { recursive: true });
 
   // Get embedder configuration
-  const config = await configManager?.getConfig() || {};
   const defaultProvider = config.defaultProvider || 'ollama';
   const embedder = makeEmbedder(defaultProvider, config);
   console.log(`🤖 Using embedder: ${embedder.id} (${embedder.model})`);
   
-  const indexArr = await readIndex(storeDir);
-  let processed=0, skipped=0, upserts=0, totalFiles=0, totalBytes=0, totalChunks=0;
+  let indexArr = await readIndex(viewDir);
+  let termIndex = await TermIndex.load(viewDir);
+  let symbolTable = await SymbolTable.load(viewDir) || new SymbolTable();
+  // Queries fold an overlay's vectors into the base's ANN index, so overlays don't keep one
+  const vectorIndex = overlay ? new VectorIndex() : await VectorIndex.load(storeDir);
+  // Chunk files the base or other overlays refer to stay on disk when this view drops them
+  const shared = await chunkIdsInUse(storeDir, { except: viewDir });
+
+  // Vectors from different models can't share a store; switching models takes a full re-index
+  let embeddingInfo = await readEmbeddingInfo(storeDir);
+  if (embeddingInfo && !isSameEmbedder(embeddingInfo, embedder) && (overlay || (indexArr.length > 0 && !argv.force))) {
+    throw new EmbeddingMismatchError(overlay
+      ? `${alias} was indexed with ${describeEmbedding(embeddingInfo)}, but the configured embedder is ${embedder.id}/${embedder.model}. ` +
+        `Re-index ${overlay.base} with 'ziri index --force --ref ${overlay.base}' before indexing ${overlay.branch}.`
+      : `${alias} was indexed with ${describeEmbedding(embeddingInfo)}, but the configured embedder is ${embedder.id}/${embedder.model}. ` +
+        `Run 'ziri index --force' to re-embed it, or switch back with ` +
+        `'ziri config provider ${embeddingInfo.provider}${embeddingInfo.provider === 'ollama' ? ` --embedding-model ${embeddingInfo.model}` : ''}'.`
+    );
+  }
+  if (argv.force) {
+    for (const row of indexArr) {
+      if (!shared.has(row.id)) await removeChunk(storeDir, row.id);
+    }
+    if (indexArr.length > 0) console.log(`🧹 Cleared ${indexArr.length} indexed chunks for a full re-index`);
+    indexArr = [];
+    manifest = {};
+    termIndex = new TermIndex();
+    symbolTable = new SymbolTable();
+    vectorIndex.reset();
+    embeddingInfo = null;
+  }
+  // Stores indexed before the model was recorded are checked against their stored vectors
+  const knownDims = embeddingInfo?.dimensions || await inferDimensions(storeDir, indexArr);
+  const annOptions = { ...DEFAULT_ANN_OPTIONS, ...config.query?.ann };
+  const chunkingOptions = resolveChunkingOptions(argv, config);
+  // Languages --verbose has already said are chunked by lines for want of a parser
+  const lineChunkedLanguages = new Set();
+  let processed=0, skipped=0, upserts=0, reused=0, totalFiles=0, totalBytes=0, totalChunks=0, symbolsBackfilled=0;
   
+  // Pick up where an interrupted run stopped
+  const { checkpoints, resumed, expired } = await openIndexCheckpoint(viewDir, repoId, { resume: argv.force ? false : argv.resume });
+  if (resumed) {
+    console.log(`🔁 Resuming the run interrupted at ${new Date(resumed.savedAt).toLocaleString()} (${resumed.processedFiles.length} files already indexed)`);
+  } else if (expired) {
+    console.log(`⏳ Discarded the checkpoint of the run interrupted at ${new Date(expired.savedAt).toLocaleString()}: it is more than a day old (--resume keeps it)`);
+  }
+  let resumedFiles = 0;
+
   // First pass: count total files for progress
   console.log(`📊 Scanning files...`);
-  const filesToProcess = [];
-  
-  // Use parallel walk if enabled
-  const useParallelWalk = argv.parallel || process.env.ZIRI_PARALLEL_WALK === 'true';
-  const walkOptions = {
-    concurrency: argv.walkConcurrency ? parseInt(argv.walkConcurrency) : 4
-  };
-  
-  const fileWalker = useParallelWalk ? (...args) => parallelWalk(...args) : walkDir;
-  const walker = useParallelWalk ? fileWalker(repoPath, walkOptions) : fileWalker(repoPath);
-  
-  for await (const { full, rel } of walker){
-    const stat = await fs.stat(full);
-    if (stat.size > 1.5*1024*1024) continue; // Skip large files
-    filesToProcess.push({ full, rel, size: stat.size });
-    totalFiles++;
+  let filesToProcess = await scanRepository(repoPath, { argv, config, known: checkpointedFiles(resumed), source });
+
+  // An overlay indexes only the files whose content differs from the base
+  let overlayDeleted = [];
+  if (overlay) {
+    const split = splitFromBase(filesToProcess, baseManifest);
+    filesToProcess = split.files;
+    overlayDeleted = split.deleted;
+    console.log(`🌿 ${split.files.length} files differ from ${overlay.base}, ${split.deleted.length} deleted, ${split.shared} shared`);
+    await writeOverlayInfo(viewDir, { ...overlay, baseCommit: (await readSourceInfo(storeDir))?.commit, deleted: overlayDeleted });
   }
+  totalFiles = filesToProcess.length;
   
   console.log(`📈 Found ${totalFiles} files to process`);
-  console.log(`⚡ Starting enhanced indexing...`);
+
+  // Deleted files lose their chunks; renamed files keep theirs under the new path
+  const diff = diffManifest(manifest, filesToProcess);
+  console.log(`🔎 Changes: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.renamed.length} renamed, ${diff.deleted.length} deleted, ${diff.unchanged.length} unchanged`);
+  const indexes = { termIndex, vectorIndex, shared };
+  if (diff.deleted.length > 0) {
+    const result = await removeFileChunks(storeDir, indexArr, diff.deleted, indexes);
+    indexArr = result.index;
+    for (const rel of diff.deleted) {
+      delete manifest[rel];
+      symbolTable.removeFile(rel);
+    }
+    console.log(`🗑️  Removed ${result.removed} chunks of ${diff.deleted.length} deleted files`);
+  }
+  for (const { from, to } of diff.renamed) {
+    const full = path.join(repoPath, to);
+    const result = await moveFileChunks(storeDir, indexArr, { from, to, full, alias, entry: manifest[from] }, indexes);
+    indexArr = result.index;
+    // Files whose chunks couldn't be moved are embedded again below
+    if (result.moved > 0) manifest[to] = { ...manifest[from], mtime: Date.now() };
+    delete manifest[from];
+    symbolTable.removeFile(from);
+    if (argv.verbose) console.log(`🚚 ${from} → ${to} (${result.moved} chunks kept)`);
+  }
+  if (diff.deleted.length > 0 || diff.renamed.length > 0) {
+    await writeIndex(viewDir, indexArr);
+    await writeManifest(manifestPath, manifest);
+  }
+  // Chunks the files' previous versions no longer need; their files go once embedding is done
+  const released = new Set();
+  let lastManifestSave = Date.now();
+  const saveProgress = async () => {
+    await writeIndex(viewDir, indexArr);
+    await writeManifest(manifestPath, manifest);
+    await checkpoints.saveCheckpoint();
+    lastManifestSave = Date.now();
+  };
+
+  // Chunks of all files share requests; a few requests run at once
+  const pipelineOptions = resolvePipelineOptions(argv, config);
+  const pipeline = createIndexPipeline(embedder, pipelineOptions);
+  let memoryPaused = false;
+  pipeline.on('batch:complete', ({ batchSize, responseTime, throughput }) => {
+    process.stdout.write(`\n  🔄 Embedded ${batchSize} chunks ✅ (${responseTime}ms, ${throughput.toFixed(1)} chunks/sec)\n`);
+  });
+  pipeline.on('backpressure', ({ limit }) => {
+    if (memoryPaused) return;
+    memoryPaused = true;
+    console.log(`\n⏸️  Memory is near the ${limit / 1024 / 1024}MB limit; waiting for requests to finish before reading more files`);
+  });
+  if (argv.verbose) {
+    const logResize = ({ oldSize, newSize, reason, responseTime }) => {
+      console.log(`\n📏 Batch size ${oldSize} → ${newSize} (${reason}, ${responseTime}ms)`);
+    };
+    pipeline.on('batch:size:decreased', logResize);
+    pipeline.on('batch:size:increased', logResize);
+  }
+  let pipelineStats = null;
+  pipeline.on('pipeline:complete', (stats) => { pipelineStats = stats; });
+
+  console.log(`⚡ Starting enhanced indexing (${pipelineOptions.concurrency} concurrent requests, batches of ${pipelineOptions.batchSize}${pipelineOptions.adaptiveBatching ? ' (adaptive)' : ''}, ${pipelineOptions.memoryLimit}MB memory limit)...`);
   
   const startProcessingTime = Date.now();
-  
-  for (const { full, rel, size } of filesToProcess){
-    const content = await fs.readFile(full, 'utf-8');
-    const fileHash = sha256(content);
-    
+
+  const showProgress = (rel) => {
     // Enhanced progress indicator with ETA
     const currentIndex = processed + skipped;
     const progress = Math.round((currentIndex / totalFiles) * 100);
@@ -131,80 +351,242 @@ export async function enhancedLegacyIndexCommand({ argv, configManager }) {
     const displayFile = rel.length > 35 ? '...' + rel.slice(-32) : rel;
     
     process.stdout.write(`\r[${progressBar}] ${progress}% (${currentIndex}/${totalFiles}) | ${etaStr} | ${displayFile.padEnd(35)}`);
-    
-    if (manifest[rel]?.hash === fileHash){ 
-      skipped++; 
-      continue; 
+  };
+
+  // A file counts as indexed once every one of its chunks is stored
+  const finishFile = async (file) => {
+    // The previous version's chunks go once the new ones are in; the ones it shares stay
+    const dropped = dropRows(indexArr, file.previous, indexes);
+    indexArr = dropped.index;
+    for (const id of dropped.released) released.add(id);
+    manifest[file.rel] = { hash: file.fileHash, bytes: file.size, chunks: file.chunkCount, mtime: Date.now() };
+    processed++;
+    file.content = null;
+
+    // Completed files survive an interruption
+    checkpoints.updateProgress({ path: file.rel, hash: file.fileHash, size: file.size, mtime: file.mtime }, file.chunkCount);
+    if (Date.now() - lastManifestSave >= MANIFEST_SAVE_INTERVAL_MS) {
+      await saveProgress();
     }
-    
-    // Use enhanced chunking with line numbers
-    const chunks = chunkTextWithLines(content);
-    totalBytes += size;
-    totalChunks += chunks.length;
-    
-    if (argv.verbose) {
-      console.log(`\n📄 ${rel} (${chunks.length} chunks, ${(size/1024).toFixed(1)}KB)`);
+  };
+
+  const readSourceFile = (entry) => (source ? source.read(entry) : fs.readFile(entry.full, 'utf-8'));
+
+  // One row per location of a stored chunk
+  const addRow = (id, chunk, file) => {
+    const [type, ...otherTypes] = chunkTypes(chunk, file.symbols);
+    const symbols = chunkSymbols(chunk, file.symbols);
+    const meta = { alias, language: file.language, type, symbols };
+    if (otherTypes.length > 0) meta.types = [type, ...otherTypes];
+    indexArr.push({ id, relPath: file.rel, fileHash: file.fileHash, startLine: chunk.startLine, endLine: chunk.endLine, meta });
+  };
+  const chunkDone = async (file) => {
+    if (--file.remaining === 0) await finishFile(file);
+  };
+
+  // Chunks being embedded, by content ID, with the other locations waiting for them
+  const inFlight = new Map();
+
+  // Content this view, or another view of the store, already holds isn't embedded again
+  const reuseChunk = async (id, chunk, file) => {
+    if (inFlight.has(id)) {
+      inFlight.get(id).push({ chunk, file });
+      return true;
     }
-    
-    const batch=[]; let budget=6144; // Significantly increased batch size for better performance
-    const flush = async ()=>{
-      if (!batch.length) return;
-      
-      // Always show embedding progress for performance monitoring
-      process.stdout.write(`\n  🔄 Embedding ${batch.length} chunks...`);
-      const embeddingStart = Date.now();
+    if (!termIndex.has(id)) {
+      if (!shared.has(id) && !released.has(id)) return false;
+      const [stored, vector] = await Promise.all([loadChunk(storeDir, id), loadVector(storeDir, id).catch(() => null)]);
+      if (!stored || !vector) return false;
+      termIndex.addDocument(id, stored.content, stored.language, stored);
+      if (!overlay && (!vectorIndex.dims || vectorIndex.dims === vector.length)) vectorIndex.upsert(id, vector);
+    }
+    addRow(id, chunk, file);
+    reused++;
+    await chunkDone(file);
+    return true;
+  };
+
+  // Reads and chunks the files in order; the pipeline pulls from it as requests free up
+  async function* fileChunks() {
+    for (const entry of filesToProcess) {
+      const { full, rel, size, hash, mtime } = entry;
+      showProgress(rel);
       
-      const vecs = await embedder.embedBatch(batch.map(b=>b.chunk.content));
+      if (manifest[rel]?.hash === hash){ 
+        // Files indexed before the symbol table existed (or just renamed) only need their symbols extracted
+        if (!symbolTable.hasFile(rel)) {
+          symbolTable.setFile(rel, extractFileSymbols(await readSourceFile(entry), detectLanguage(rel)));
+          symbolsBackfilled++;
+        }
+        if (resumed && checkpoints.isFileProcessed(rel)) resumedFiles++;
+        skipped++; 
+        continue; 
+      }
+
+      const content = await readSourceFile(entry);
+      const fileHash = sha256(content);
+      // Includes rows of a run that stopped before the file made it into the manifest
+      const previous = indexArr.filter(row => row.relPath === rel);
       
-      const embeddingTime = Date.now() - embeddingStart;
-      const rate = batch.length / (embeddingTime / 1000);
-      process.stdout.write(` ✅ (${embeddingTime}ms, ${rate.toFixed(1)} chunks/sec)\n`);
+      // Chunk at declaration boundaries where the language parses, by lines otherwise
+      const language = detectLanguage(rel);
+      const { chunks, strategy } = await chunkCode(content, { language, filePath: rel }, chunkingOptions);
+      const symbols = extractFileSymbols(content, language);
+      symbolTable.setFile(rel, symbols);
+      totalBytes += size;
+      totalChunks += chunks.length;
       
-      for(let i=0;i<batch.length;i++){
-        const id = sha256(alias+'|'+rel+'|'+i+'|'+fileHash);
-        const chunk = batch[i].chunk;
+      if (argv.verbose) {
+        const wanted = chunkingOptions.languages[language] || chunkingOptions.strategy;
+        if (wanted === 'syntax' && !hasSyntaxParser(language) && !lineChunkedLanguages.has(language)) {
+          lineChunkedLanguages.add(language);
+          console.log(`\nℹ️  No syntax parser for ${language}, so its files are chunked by lines (syntax chunks cover JavaScript, TypeScript, ESQL and DataWeave)`);
+        }
+        console.log(`\n📄 ${rel} (${chunks.length} ${strategy === 'syntax' ? 'syntax' : 'line'} chunks, ${(size/1024).toFixed(1)}KB)`);
+      }
 
-        // Enhanced chunk data with rich metadata
-        const chunkData = {
-          content: chunk.content,
-          filePath: full,
-          relativePath: rel,
-          startLine: chunk.startLine,
-          endLine: chunk.endLine,
-          language: detectLanguage(rel),
-          type: detectCodeType(chunk.content),
-          functionName: extractFunctionName(chunk.content),
-          className: extractClassName(chunk.content),
-          imports: extractImports(chunk.content),
-          surroundingContext: getSurroundingContext(content, chunk.startLine, chunk.endLine),
-          metadata: {
-            fileType: path.extname(rel),
-            size: chunk.content.length,
-            tokenCount: Math.ceil(chunk.content.length / 4)
-          }
-        };
+      // chunkCode splits chunks too large to embed, so every chunk is embedded
+      const file = { full, rel, size, mtime, fileHash, content, language, symbols, previous, chunkCount: chunks.length, remaining: chunks.length };
+      if (file.remaining === 0) {
+        await finishFile(file);
+        continue;
+      }
+      for (const chunk of chunks) {
+        const id = chunkContentId(chunk.content);
+        if (await reuseChunk(id, chunk, file)) continue;
+        inFlight.set(id, []);
+        yield { id, content: chunk.content, chunk, file };
+      }
+    }
+  }
 
-        await saveChunk(storeDir, id, vecs[i], chunkData);
-        indexArr.push({ id, relPath: rel, meta: { alias, language: chunkData.language, type: chunkData.type } });
+  const storeChunk = async ({ id, chunk, file, embedding }) => {
+    if (!embeddingInfo) {
+      assertDimensions({ dimensions: knownDims }, embedding, { label: alias, embedder });
+      embeddingInfo = await writeEmbeddingInfo(storeDir, embedder, embedding.length);
+    }
+
+    // Enhanced chunk data with rich metadata
+    const chunkData = {
+      content: chunk.content,
+      filePath: file.full,
+      relativePath: file.rel,
+      startLine: chunk.startLine,
+      endLine: chunk.endLine,
+      language: file.language,
+      type: chunkTypes(chunk, file.symbols)[0],
+      functionName: extractFunctionName(chunk.content),
+      className: extractClassName(chunk.content),
+      imports: extractImports(chunk.content),
+      surroundingContext: getSurroundingContext(file.content, chunk.startLine, chunk.endLine),
+      metadata: {
+        fileType: path.extname(file.rel),
+        size: chunk.content.length,
+        tokenCount: Math.ceil(chunk.content.length / 4)
       }
-      upserts += batch.length; batch.length=0; budget=6144;
-      await writeIndex(storeDir, indexArr);
     };
-    
-    for (let i=0;i<chunks.length;i++){
-      const chunk = chunks[i]; 
-      const est = Math.ceil(chunk.content.length/4);
-      if (est>2048) continue;
-      if (est>budget) await flush();
-      batch.push({ chunk }); budget -= est;
+
+    const stored = await saveChunk(storeDir, id, embedding, chunkData);
+    termIndex.addDocument(id, chunk.content, chunkData.language, stored || chunkData);
+    if (vectorIndex.dims && vectorIndex.dims !== embedding.length) {
+      console.log(`\n⚠️  Embedding dimensions changed (${vectorIndex.dims} → ${embedding.length}), rebuilding vector index`);
+      vectorIndex.reset();
     }
-    await flush();
-    manifest[rel] = { hash:fileHash, bytes: size, chunks: chunks.length, mtime: Date.now() };
-    processed++;
+    vectorIndex.upsert(id, embedding);
+    upserts++;
+  };
+
+  try {
+    for await (const embedded of pipeline.processChunks(fileChunks())) {
+      await storeChunk(embedded);
+      const waiting = inFlight.get(embedded.id) || [];
+      inFlight.delete(embedded.id);
+      for (const { chunk, file } of [{ chunk: embedded.chunk, file: embedded.file }, ...waiting]) {
+        addRow(embedded.id, chunk, file);
+        await chunkDone(file);
+      }
+      reused += waiting.length;
+    }
+  } catch (error) {
+    // When the embedder fails (Ollama stopped, API errors), files finished so far are kept for the next run
+    if (!(error instanceof EmbeddingMismatchError)) {
+      await removeChunkFiles(storeDir, released, { index: indexArr, shared });
+      await saveProgress();
+      console.log(`\n💾 Saved progress (${processed} files indexed in this run); run 'ziri index' again to resume`);
+    }
+    throw error;
+  }
+  await removeChunkFiles(storeDir, released, { index: indexArr, shared });
+
+  // Chunks earlier runs left behind for changed or deleted files, and files no row refers to
+  if (argv.prune) {
+    const aliases = [...new Set([alias, path.basename(repoPath)])];
+    const pruned = await pruneStore(storeDir, indexArr, { manifest, aliases, ...indexes });
+    indexArr = pruned.index;
+    console.log(`\n🧹 Pruned ${pruned.rows} stale chunks and ${pruned.files} orphaned chunk files`);
   }
   
-  await fs.writeFile(manifestPath, JSON.stringify(manifest), 'utf-8');
-  await writeIndex(storeDir, indexArr);
+  await writeManifest(manifestPath, manifest);
+  await writeIndex(viewDir, indexArr);
+  
+  // Backfill term statistics for chunks indexed before lexical search existed
+  const backfilled = await backfillTermIndex(storeDir, indexArr, termIndex);
+  if (backfilled > 0) {
+    console.log(`\n🔤 Added term statistics for ${backfilled} previously indexed chunks`);
+  }
+  await termIndex.save(viewDir);
+
+  if (symbolsBackfilled > 0) {
+    console.log(`🏷️  Extracted symbols for ${symbolsBackfilled} previously indexed files`);
+  }
+  await symbolTable.save(viewDir);
+
+  // Per-file commit history for recency/churn boosts and --since (re-read only when HEAD moves);
+  // overlays use the base branch's
+  if (!overlay) {
+    const previousSignals = await GitSignals.load(storeDir);
+    const gitSignals = await collectGitSignals(repoPath, { previous: previousSignals, rev: source?.commit });
+    if (gitSignals && gitSignals !== previousSignals) {
+      await gitSignals.save(storeDir);
+      console.log(`🕒 Recorded git history for ${gitSignals.size} files (${gitSignals.commits} commits)`);
+    }
+  }
+
+  // Opt-in: commit messages and diff summaries, searchable with ziri log-search
+  if (argv.history) {
+    const maxCommits = Math.max(1, parseInt(argv['max-commits'] || String(DEFAULT_MAX_COMMITS), 10) || DEFAULT_MAX_COMMITS);
+    console.log(`\n🕰️  Indexing commit history (up to ${maxCommits} commits)...`);
+    const history = await indexCommitHistory(repoPath, storeDir, { embedder, maxCommits, rev: source?.commit });
+    if (!history) {
+      console.log(`⚠️  ${alias} is not a git checkout - skipping commit history`);
+    } else {
+      console.log(history.added > 0
+        ? `🕰️  Added ${history.added} commits (${history.total} indexed)`
+        : `🕰️  Commit history up to date (${history.total} indexed)`);
+    }
+  }
+
+  // Keep the ANN index in step with index.json
+  if (annOptions.enabled && !overlay) {
+    const vectorsAdded = await backfillVectorIndex(storeDir, indexArr, vectorIndex);
+    if (vectorsAdded > 0) {
+      console.log(`🧭 Added ${vectorsAdded} previously indexed vectors to the vector index`);
+    }
+    if (vectorIndex.optimize(annOptions)) {
+      console.log(`🧭 Clustered ${vectorIndex.size} vectors into ${vectorIndex.nlist} lists`);
+    }
+    await vectorIndex.save(storeDir);
+  }
+  
+  await checkpoints.completeOperation({ processed, skipped });
+  const head = source ? null : await runGit(repoPath, ['rev-parse', 'HEAD']).catch(() => null);
+  if (overlay) {
+    await writeOverlayInfo(viewDir, { ...overlay, baseCommit: (await readSourceInfo(storeDir))?.commit, commit: source?.commit || head, deleted: overlayDeleted });
+  } else {
+    await writeSourceInfo(storeDir, source
+      ? { type: 'ref', ref: source.ref, commit: source.commit }
+      : { type: 'worktree', commit: head });
+  }
   
   const endTime = Date.now();
   const duration = ((endTime - startTime) / 1000).toFixed(1);
@@ -212,14 +594,29 @@ export async function enhancedLegacyIndexCommand({ argv, configManager }) {
   console.log(`\n\n✅ Enhanced indexing complete!`);
   console.log(`📊 Summary:`);
   console.log(`   📁 Repository: ${alias}`);
+  if (source) {
+    console.log(`   🔖 Commit: ${source.commit} (${source.ref})`);
+  }
+  if (overlay) {
+    console.log(`   🌿 Overlay: ${overlay.branch} (${Object.keys(manifest).length} files differ from ${overlay.base}, ${overlayDeleted.length} deleted)`);
+  }
   console.log(`   ⏱️  Duration: ${duration}s`);
   console.log(`   📄 Files processed: ${processed}`);
   console.log(`   ⏭️  Files skipped: ${skipped} (unchanged)`);
+  if (resumed) {
+    console.log(`   🔁 Resumed: ${resumedFiles} files kept from the interrupted run`);
+  }
   console.log(`   🧩 Total chunks: ${totalChunks}`);
   console.log(`   📦 Vector embeddings: ${upserts}`);
+  if (reused > 0) {
+    console.log(`   ♻️  Shared chunks: ${reused} locations reuse stored content`);
+  }
   console.log(`   💾 Total size: ${(totalBytes/1024/1024).toFixed(2)}MB`);
   console.log(`   🚀 Processing rate: ${(processed/parseFloat(duration)).toFixed(1)} files/sec`);
   console.log(`   ⚡ Embedding rate: ${(upserts/parseFloat(duration)).toFixed(1)} chunks/sec`);
+  if (pipelineStats && upserts > 0) {
+    console.log(`   🔀 Requests: ${Math.round(pipelineStats.avgResponseTime)}ms average, final batch size ${pipelineStats.finalBatchSize}${pipelineStats.memoryPauses > 0 ? `, waited ${pipelineStats.memoryPauses} times for memory` : ''}`);
+  }
   
   // Performance analysis and recommendations
   const avgTimePerChunk = parseFloat(duration) / upserts;
@@ -252,6 +649,67 @@ export async function enhancedLegacyIndexCommand({ argv, configManager }) {
     console.log(`   ziri query "your search terms"`);
     console.log(`   ziri chat "ask about your code"`);
   }
+
+  return { repoPath, alias, processed, skipped, upserts, commit: source?.commit, overlay: overlay?.branch };
+}
+
+/**
+ * Find the files to index, with .gitignore, .ziriignore, the exclusions config and
+ * --exclude applied
+ * @param {Map<string, Object>} known - Files a resumed checkpoint recorded; their hash is
+ * reused while their size and modification time are unchanged
+ * @param {GitRefSource|null} source - Commit to list instead of walking the working tree
+ * @returns {Promise<Array<{full: string, rel: string, size: number, mtime: number, hash: string}>>}
+ */
+async function scanRepository(repoPath, { argv, config, known = new Map(), source = null }) {
+  if (source) return await source.scan({ argv, config });
+  const ignore = await IgnoreMatcher.create(repoPath, { config, exclude: argv.exclude });
+
+  // Use parallel walk if enabled
+  const useParallelWalk = argv.parallel || process.env.ZIRI_PARALLEL_WALK === 'true';
+  const walkOptions = {
+    concurrency: argv.walkConcurrency ? parseInt(argv.walkConcurrency) : 4,
+    ignore
+  };
+  const walker = useParallelWalk ? parallelWalk(repoPath, walkOptions) : walkDir(repoPath, { ignore });
+
+  const files = [];
+  for await (const { full, rel } of walker){
+    const stat = await fs.stat(full);
+    if (!ignore.acceptsSize(stat.size)) {
+      if (argv.verbose) console.log(`⏭️  Skipped ${rel} (${(stat.size/1024).toFixed(1)}KB, outside exclusions size limits)`);
+      continue;
+    }
+    const checkpointed = known.get(rel);
+    const hash = isUnchangedSince(checkpointed, stat) ? checkpointed.hash : sha256(await fs.readFile(full, 'utf-8'));
+    files.push({ full, rel, size: stat.size, mtime: stat.mtimeMs, hash });
+  }
+  return files;
+}
+
+/**
+ * Report what an index run would do, without embedding or writing anything
+ */
+async function dryRunRepository(repoPath, { argv, config, manifest, baseManifest, overlay, alias, source }) {
+  console.log(`📊 Scanning files...`);
+  let files = await scanRepository(repoPath, { argv, config, source });
+  if (overlay) {
+    const split = splitFromBase(files, baseManifest);
+    files = split.files;
+    console.log(`🌿 ${split.files.length} files differ from ${overlay.base}, ${split.deleted.length} deleted, ${split.shared} shared`);
+  }
+
+  const bytes = files.reduce((sum, file) => sum + file.size, 0);
+  const diff = diffManifest(argv.force ? {} : manifest, files);
+  console.log(`📈 Found ${files.length} files to process (${(bytes/1024/1024).toFixed(2)}MB)`);
+  console.log(`🔎 Changes: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.renamed.length} renamed, ${diff.deleted.length} deleted, ${diff.unchanged.length} unchanged`);
+  if (argv['list-files']) {
+    console.log(`\n📄 Files that would be indexed:`);
+    for (const file of files) console.log(`   ${file.rel}`);
+  }
+  console.log(`\n🧪 Dry run: nothing was embedded or written`);
+
+  return { repoPath, alias, processed: 0, skipped: diff.unchanged.length, upserts: 0, files: files.map(file => file.rel) };
 }
 
 /**
@@ -442,6 +900,46 @@ export async function indexCommand({ argv, configManager }) {
 
 // Removed complex event setup function - not needed for enhanced legacy indexer
 
+/**
+ * Add term statistics for indexed chunks that are missing from the term index
+ */
+async function backfillTermIndex(storeDir, indexArr, termIndex) {
+  let added = 0;
+  for (const row of indexArr) {
+    if (termIndex.has(row.id)) continue;
+    const chunk = await loadChunk(storeDir, row.id);
+    if (!chunk?.content) continue;
+    termIndex.addDocument(row.id, chunk.content, chunk.language, chunk);
+    added++;
+  }
+  return added;
+}
+
+/**
+ * Add vectors for indexed chunks that are missing from the vector index and drop
+ * entries that are no longer in index.json
+ */
+async function backfillVectorIndex(storeDir, indexArr, vectorIndex) {
+  const live = new Set(indexArr.map(row => row.id));
+  for (const id of [...vectorIndex.ids]) {
+    if (!live.has(id)) vectorIndex.remove(id);
+  }
+
+  let added = 0;
+  for (const row of indexArr) {
+    if (vectorIndex.has(row.id)) continue;
+    try {
+      const vector = await loadVector(storeDir, row.id);
+      if (vectorIndex.dims && vector.length !== vectorIndex.dims) continue;
+      vectorIndex.upsert(row.id, vector);
+      added++;
+    } catch {
+      // Missing vector files are left to the exact-scan fallback
+    }
+  }
+  return added;
+}
+
 // Helper functions for enhanced metadata extraction
 
 function detectLanguage(filePath) {
@@ -471,6 +969,8 @@ function detectLanguage(filePath) {
     '.fish': 'fish',
     '.ps1': 'powershell',
     '.sql': 'sql',
+    '.esql': 'esql',
+    '.dwl': 'dwl',
     '.html': 'html',
     '.css': 'css',
     '.scss': 'scss',
@@ -490,68 +990,6 @@ function detectLanguage(filePath) {
   return languageMap[ext] || 'unknown';
 }
 
-function detectCodeType(content) {
-  const trimmed = content.trim();
-  
-  // Function detection
-  if (/^(function|def|async\s+function|const\s+\w+\s*=\s*\(|let\s+\w+\s*=\s*\(|var\s+\w+\s*=\s*\()/m.test(trimmed)) {
-    return 'function';
-  }
-  
-  // Class detection
-  if (/^(class|interface|type\s+\w+\s*=)/m.test(trimmed)) {
-    return 'class';
-  }
-  
-  // Import/export detection
-  if (/^(import|export|from|require\()/m.test(trimmed)) {
-    return 'import';
-  }
-  
-  // Comment detection
-  if (/^(\/\/|\/\*|\*|#|<!--)/m.test(trimmed)) {
-    return 'comment';
-  }
-  
-  return 'code';
-}
-
-function extractFunctionName(content) {
-  const patterns = [
-    /function\s+(\w+)/,
-    /def\s+(\w+)/,
-    /const\s+(\w+)\s*=/,
-    /let\s+(\w+)\s*=/,
-    /var\s+(\w+)\s*=/,
-    /(\w+)\s*:\s*function/,
-    /(\w+)\s*\(/
-  ];
-  
-  for (const pattern of patterns) {
-    const match = content.match(pattern);
-    if (match) {
-      return match[1];
-    }
-  }
-  return null;
-}
-
-function extractClassName(content) {
-  const patterns = [
-    /class\s+(\w+)/,
-    /interface\s+(\w+)/,
-    /type\s+(\w+)\s*=/
-  ];
-  
-  for (const pattern of patterns) {
-    const match = content.match(pattern);
-    if (match) {
-      return match[1];
-    }
-  }
-  return null;
-}
-
 function extractImports(content) {
   const imports = [];
   const patterns = [
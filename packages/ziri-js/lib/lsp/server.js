@@ -16,14 +16,18 @@ import {
 import { TextDocument } from 'vscode-languageserver-textdocument';
 import { queryCommand, createEnhancedQueryResult } from '../query.js';
 import { ConfigManager } from '../config/config-manager.js';
-import { readIndex, loadChunk, loadVector } from '../store_repo.js';
+import { readIndex, loadChunk } from '../store_repo.js';
 import { computeRepoId, repoStoreDir } from '../repoid.js';
 import { resolveHome } from '../home.js';
-import { makeEmbedder } from '../embedder.js';
-import { cosineSim, TopK } from '../similarity.js';
+import { resolveStoreEmbedder, assertDimensions } from '../store-embedder.js';
+import { TopK } from '../similarity.js';
+import { searchVectors } from '../storage/vector-index.js';
 import { EnhancedStorage } from '../storage/enhanced-storage.js';
+import { findSimilar } from '../similar.js';
+import { groupLocations, atLocation, describeLocations } from '../chunk-locations.js';
 import path from 'node:path';
 import fs from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
 
 /**
  * Ziri Language Server Protocol (LSP) Wrapper
@@ -39,12 +43,14 @@ const connection = createConnection(ProposedFeatures.all);
 // Create a simple text document manager.
 const documents = new TextDocuments(TextDocument);
 
+const FIND_SIMILAR_COMMAND = 'ziri.findSimilar';
+
 // Global state
 let hasConfigurationCapability = false;
 let hasWorkspaceFolderCapability = false;
 let configManager = null;
 let currentRepoPath = process.cwd();
-let embedder = null;
+let serverConfig = {};
 
 /**
  * Initialize the LSP server
@@ -72,7 +78,12 @@ connection.onInitialize((params) => {
       // Tell the client that this server supports definition
       definitionProvider: true,
       // Tell the client that this server supports workspace symbols
-      workspaceSymbolProvider: true
+      workspaceSymbolProvider: true,
+      // "Find similar code" for a selection, as a code action and a command
+      codeActionProvider: true,
+      executeCommandProvider: {
+        commands: [FIND_SIMILAR_COMMAND]
+      }
     }
   };
 });
@@ -86,16 +97,11 @@ connection.onInitialized(async () => {
   // Initialize configuration manager
   configManager = new ConfigManager();
   
-  // Initialize embedder
+  // Queries are embedded with the model each repository was indexed with
   try {
-    const config = await configManager.getConfig();
-    const defaultProvider = config.defaultProvider || 'ollama';
-    embedder = makeEmbedder(defaultProvider, config);
-    connection.console.log(`Using embedder: ${embedder.id} (${embedder.model})`);
+    serverConfig = await configManager.getConfig();
   } catch (error) {
-    connection.console.error(`Failed to initialize embedder: ${error.message}`);
-    // Fallback to default embedder
-    embedder = makeEmbedder('ollama', {});
+    connection.console.error(`Failed to load configuration: ${error.message}`);
   }
   
   if (hasConfigurationCapability) {
@@ -349,6 +355,73 @@ connection.onWorkspaceSymbol(async (params) => {
   return [];
 });
 
+/**
+ * Offer "find similar code" for a non-empty selection
+ */
+connection.onCodeAction((params) => {
+  const { start, end } = params.range;
+  if (start.line === end.line && start.character === end.character) {
+    return [];
+  }
+  return [{
+    title: 'Ziri: Find similar code',
+    command: FIND_SIMILAR_COMMAND,
+    arguments: [params.textDocument.uri, params.range]
+  }];
+});
+
+/**
+ * Handle ziri.findSimilar: arguments are [uri, range, { k, otherFiles, otherRepos }].
+ * Returns locations of similar code, each with its score and repository.
+ */
+connection.onExecuteCommand(async (params) => {
+  if (params.command !== FIND_SIMILAR_COMMAND) {
+    return null;
+  }
+
+  try {
+    const [uri, range, options = {}] = params.arguments || [];
+    const filePath = fileURLToPath(uri);
+    const document = documents.get(uri);
+    const lines = (document ? document.getText() : await fs.readFile(filePath, 'utf-8')).split('\n');
+
+    // A selection ending at column 0 doesn't include that line
+    const start = range.start.line + 1;
+    const end = Math.max(start, range.end.character === 0 && range.end.line > range.start.line ? range.end.line : range.end.line + 1);
+    const source = {
+      file: path.relative(currentRepoPath, filePath).split(path.sep).join('/'),
+      start,
+      end,
+      text: lines.slice(start - 1, end).join('\n')
+    };
+
+    const { results } = await findSimilar(source, {
+      repoPath: currentRepoPath,
+      k: options.k || 10,
+      otherFiles: options.otherFiles === true,
+      otherRepos: options.otherRepos === true,
+      config: await configManager?.getConfig() || {},
+      log: message => connection.console.log(message)
+    });
+
+    return results.map(result => {
+      const [first, last] = result.lines.split('-').map(n => parseInt(n, 10));
+      return {
+        uri: pathToFileURL(path.resolve(result.repoPath || currentRepoPath, result.file)).href,
+        range: {
+          start: { line: Math.max(0, first - 1), character: 0 },
+          end: { line: Math.max(0, (last || first) - 1), character: 1000 }
+        },
+        score: result.score,
+        repo: result.repo
+      };
+    });
+  } catch (error) {
+    connection.console.error(`Error finding similar code: ${error.message}`);
+    return [];
+  }
+});
+
 /**
  * Handle completion requests
  */
@@ -382,13 +455,6 @@ async function queryZiriForContext(term, repoPath) {
   try {
     connection.console.log(`🔍 Querying Ziri for: ${term}`);
     
-    if (!embedder) {
-      connection.console.error('Embedder not initialized');
-      return null;
-    }
-    
-    // Generate embedding for the query term
-    const queryVector = (await embedder.embedBatch([term]))[0];
     const k = 10; // Number of results to return
     
     // Compute repo ID and store directory
@@ -402,24 +468,26 @@ async function queryZiriForContext(term, repoPath) {
       return null;
     }
     
-    // Search through indexed chunks using semantic similarity
+    // Generate embedding for the query term with the repository's model
+    const { embedder, info } = await resolveStoreEmbedder(storeDir, serverConfig);
+    const queryVector = (await embedder.embedBatch([term]))[0];
+    assertDimensions(info, queryVector, { label: alias, embedder });
+    
+    // Search through indexed chunks using the persisted vector index
+    const { scores } = await searchVectors(storeDir, indexArr, queryVector, { k });
+    const locations = groupLocations(indexArr);
     const results = new TopK(k);
     
-    for (const entry of indexArr) {
-      try {
-        const vector = await loadVector(storeDir, entry.id);
-        const score = cosineSim(queryVector, vector);
-        results.push({
-          id: entry.id,
-          score,
-          relPath: entry.relPath,
-          store: storeDir,
-          repo: alias
-        });
-      } catch (error) {
-        // Continue with other entries if one fails
-        continue;
-      }
+    for (const [id, score] of scores) {
+      if (!locations.has(id)) continue;
+      results.push({
+        id,
+        score,
+        relPath: locations.get(id)[0].relPath,
+        locations: locations.get(id),
+        store: storeDir,
+        repo: alias
+      });
     }
     
     // Get top results
@@ -435,15 +503,16 @@ async function queryZiriForContext(term, repoPath) {
     for (const result of topResults) {
       try {
         // Try to load enhanced chunk data first
-        const enhancedChunkData = await enhancedStorage.loadEnhancedChunk(result.store, result.id);
+        const enhancedChunkData = atLocation(await enhancedStorage.loadEnhancedChunk(result.store, result.id), result.locations[0]);
         
         if (enhancedChunkData) {
           // Convert enhanced chunk data to rich query result
           const enhancedResult = createEnhancedQueryResult(enhancedChunkData, result.score, result.repo, term);
+          if (result.locations.length > 1) enhancedResult.locations = describeLocations(result.locations);
           enrichedResults.push(enhancedResult);
         } else {
           // Fallback: try to load basic chunk data and enhance it
-          const basicChunkData = await loadChunk(result.store, result.id);
+          const basicChunkData = atLocation(await loadChunk(result.store, result.id), result.locations[0]);
           
           if (basicChunkData) {
             // Convert basic chunk to enhanced format on-the-fly
@@ -22,6 +22,7 @@ export class CheckpointManager extends EventEmitter {
     
     this.currentCheckpoint = null;
     this.processedCount = 0;
+    this.processedPaths = new Set();
     this.lastCheckpointTime = Date.now();
   }
 
@@ -47,6 +48,8 @@ export class CheckpointManager extends EventEmitter {
       metadata: {},
       version: '1.0.0'
     };
+    this.processedCount = 0;
+    this.processedPaths = new Set();
     
     this.emit('checkpoint:initialized', {
       repositoryId,
@@ -136,6 +139,7 @@ export class CheckpointManager extends EventEmitter {
       
       this.currentCheckpoint = checkpoint;
       this.processedCount = checkpoint.processedCount || 0;
+      this.processedPaths = new Set(checkpoint.processedFiles.map(file => file.path));
       
       this.emit('checkpoint:loaded', {
         path: latestCheckpoint.path,
@@ -163,13 +167,17 @@ export class CheckpointManager extends EventEmitter {
     this.currentCheckpoint.processedChunks += chunksProcessed;
     this.processedCount++;
     
-    // Add to processed files list
+    // Add to processed files list; size and mtime let a resumed run trust the hash
+    const filePath = fileInfo.path || fileInfo.filePath;
     this.currentCheckpoint.processedFiles.push({
-      path: fileInfo.path || fileInfo.filePath,
+      path: filePath,
       processedAt: Date.now(),
       chunks: chunksProcessed,
-      hash: fileInfo.hash || fileInfo.fileHash
+      hash: fileInfo.hash || fileInfo.fileHash,
+      size: fileInfo.size,
+      mtime: fileInfo.mtime
     });
+    this.processedPaths.add(filePath);
     
     // Auto-save checkpoint if interval reached
     if (this.processedCount % this.options.checkpointInterval === 0) {
@@ -212,6 +220,7 @@ export class CheckpointManager extends EventEmitter {
     
     this.currentCheckpoint = null;
     this.processedCount = 0;
+    this.processedPaths = new Set();
   }
 
   /**
@@ -251,9 +260,7 @@ export class CheckpointManager extends EventEmitter {
       return false;
     }
     
-    return this.currentCheckpoint.processedFiles.some(
-      file => file.path === filePath
-    );
+    return this.processedPaths.has(filePath);
   }
 
   /**
@@ -457,7 +464,9 @@ export class CheckpointManager extends EventEmitter {
         p: file.path,
         t: file.processedAt,
         c: file.chunks,
-        h: file.hash
+        h: file.hash,
+        s: file.size,
+        m: file.mtime
       }))
     };
     
@@ -475,7 +484,9 @@ export class CheckpointManager extends EventEmitter {
         path: file.p,
         processedAt: file.t,
         chunks: file.c,
-        hash: file.h
+        hash: file.h,
+        size: file.s,
+        mtime: file.m
       }))
     };
     
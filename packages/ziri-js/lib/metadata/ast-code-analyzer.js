@@ -10,9 +10,11 @@ import { BaseASTAnalyzer } from './base-ast-analyzer.js';
 // Import language-specific analyzers
 import { MsgflowASTAnalyzer } from './msgflow-ast-analyzer.js';
 import { MulesoftASTAnalyzer } from './mulesoft-ast-analyzer.js';
+import { ESQLASTAnalyzer } from './esql-ast-analyzer.js';
+import { DWLASTAnalyzer } from './dwl-ast-analyzer.js';
 
 // Forward declaration for placeholder analyzers
-let ESQLASTAnalyzer, DWLASTAnalyzer, DartASTAnalyzer, YAMLASTAnalyzer, CloudFormationASTAnalyzer;
+let DartASTAnalyzer, YAMLASTAnalyzer, CloudFormationASTAnalyzer;
 
 // Dynamic import for Babel modules
 let traverse;
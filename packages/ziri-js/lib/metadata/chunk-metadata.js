@@ -0,0 +1,117 @@
+/**
+ * Chunk metadata
+ * What index.json rows record about a chunk for the query filters: the names declared
+ * in it (--symbol / symbol:) and what kind of code it is (--type / type:). Declarations
+ * come from the symbol table's extraction of the whole file, so every function, class
+ * and method in a chunk counts, not just the first one; the regexes only describe
+ * chunks the analyzer found no declarations in.
+ */
+
+// An optional `export`, `export default`, `async` or `abstract` before a declaration
+const DECLARATION_PREFIX = String.raw`(?:export\s+(?:default\s+)?)?(?:(?:async|abstract)\s+)?`;
+const FUNCTION_PATTERN = new RegExp(String.raw`^${DECLARATION_PREFIX}(?:function\b|def\s|(?:const|let|var)\s+\w+\s*=\s*(?:async\s*)?(?:\(|function\b))`, 'm');
+const CLASS_PATTERN = new RegExp(String.raw`^${DECLARATION_PREFIX}(?:class|interface|type\s+\w+\s*=)`, 'm');
+
+/**
+ * Names declared within a chunk's lines
+ * @param {{content: string, startLine: number, endLine: number}} chunk - Chunk of the file
+ * @param {Array<{name: string, line: number}>} [fileSymbols] - extractFileSymbols of the file
+ * @returns {Array<string>} Declared names in file order, without repeats
+ */
+export function chunkSymbols(chunk, fileSymbols = []) {
+  const declared = declarationsIn(chunk, fileSymbols).map(symbol => symbol.name);
+  if (declared.length === 0) {
+    declared.push(extractFunctionName(chunk.content), extractClassName(chunk.content));
+  }
+  return [...new Set(declared.filter(symbol => typeof symbol === 'string'))];
+}
+
+/**
+ * Kinds of code a chunk holds, for --type: 'class' and 'function' for the declarations in
+ * it (methods of a class declared in the same chunk count as the class), or what the
+ * regexes make of its text when it declares nothing
+ * @param {{content: string, startLine: number, endLine: number}} chunk - Chunk of the file
+ * @param {Array<{kind: string, line: number}>} [fileSymbols] - extractFileSymbols of the file
+ * @returns {Array<'function'|'class'|'import'|'comment'|'code'>} In order of first
+ * declaration; the first is the chunk's type
+ */
+export function chunkTypes(chunk, fileSymbols = []) {
+  const declared = declarationsIn(chunk, fileSymbols);
+  const hasClass = declared.some(symbol => symbol.kind === 'class');
+  const types = declared
+    .filter(symbol => !(hasClass && symbol.kind === 'method'))
+    .map(symbol => (symbol.kind === 'class' ? 'class' : 'function'));
+  return types.length > 0 ? [...new Set(types)] : [detectCodeType(chunk.content)];
+}
+
+function declarationsIn(chunk, fileSymbols) {
+  return fileSymbols.filter(symbol => symbol.line >= chunk.startLine && symbol.line <= chunk.endLine);
+}
+
+/**
+ * Kind of code a piece of text looks like. Declarations are checked before imports, so
+ * `export function` and `export class` aren't taken for module statements.
+ */
+export function detectCodeType(content) {
+  const trimmed = content.trim();
+
+  if (FUNCTION_PATTERN.test(trimmed)) {
+    return 'function';
+  }
+
+  if (CLASS_PATTERN.test(trimmed)) {
+    return 'class';
+  }
+
+  if (/^(import|export|from|require\()/m.test(trimmed)) {
+    return 'import';
+  }
+
+  if (/^(\/\/|\/\*|\*|#|<!--)/m.test(trimmed)) {
+    return 'comment';
+  }
+
+  return 'code';
+}
+
+/**
+ * First function-like name in a piece of code
+ */
+export function extractFunctionName(content) {
+  const patterns = [
+    /function\s+(\w+)/,
+    /def\s+(\w+)/,
+    /const\s+(\w+)\s*=/,
+    /let\s+(\w+)\s*=/,
+    /var\s+(\w+)\s*=/,
+    /(\w+)\s*:\s*function/,
+    /(\w+)\s*\(/
+  ];
+
+  for (const pattern of patterns) {
+    const match = content.match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * First class, interface or type name in a piece of code
+ */
+export function extractClassName(content) {
+  const patterns = [
+    /class\s+(\w+)/,
+    /interface\s+(\w+)/,
+    /type\s+(\w+)\s*=/
+  ];
+
+  for (const pattern of patterns) {
+    const match = content.match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
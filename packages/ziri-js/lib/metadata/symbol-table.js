@@ -0,0 +1,273 @@
+/**
+ * Persistent symbol table
+ * Functions, classes and methods found by CodeAnalyzer, keyed by file and kept in
+ * db/symbols.json next to the term index. Lookups are plain name matching, so they
+ * work without an embedding provider.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { CodeAnalyzer } from './code-analyzer.js';
+
+const SYMBOL_TABLE_VERSION = 1;
+
+export const SYMBOL_KINDS = ['function', 'class', 'method'];
+
+// Match tiers, best first
+const MATCH_ORDER = ['exact', 'prefix', 'substring', 'fuzzy'];
+
+// Control-flow keywords the method pattern picks up from `if (...) {` and friends
+const NOT_SYMBOLS = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'with', 'return', 'function', 'elif', 'else', 'do', 'try', 'typeof', 'new'
+]);
+
+/**
+ * Resolve the symbol table path for a repository store
+ * @param {string} repoDir - Repository store directory
+ * @returns {string} Path to symbols.json
+ */
+export function symbolTablePath(repoDir) {
+  return path.join(repoDir, 'db', 'symbols.json');
+}
+
+/**
+ * Symbol Table Class
+ * Maps each indexed file to the symbols defined in it
+ */
+export class SymbolTable {
+  constructor() {
+    this.files = Object.create(null); // relPath -> [{ name, kind, signature, line, language }]
+  }
+
+  /**
+   * Load the symbol table for a repository store
+   * @param {string} repoDir - Repository store directory
+   * @returns {Promise<SymbolTable|null>} Loaded table, or null if the store has none yet
+   */
+  static async load(repoDir) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(symbolTablePath(repoDir), 'utf-8'));
+    } catch {
+      return null;
+    }
+    const table = new SymbolTable();
+    if (data.version === SYMBOL_TABLE_VERSION && data.files) {
+      Object.assign(table.files, data.files);
+    }
+    return table;
+  }
+
+  /**
+   * Persist the symbol table to a repository store
+   * @param {string} repoDir - Repository store directory
+   */
+  async save(repoDir) {
+    const data = { version: SYMBOL_TABLE_VERSION, files: this.files };
+    await fs.writeFile(symbolTablePath(repoDir), JSON.stringify(data), 'utf-8');
+  }
+
+  /**
+   * Number of symbols across all files
+   * @returns {number} Symbol count
+   */
+  get size() {
+    return Object.values(this.files).reduce((sum, symbols) => sum + symbols.length, 0);
+  }
+
+  /**
+   * Check whether a file has been added (possibly with no symbols)
+   * @param {string} relPath - Repository-relative path
+   * @returns {boolean} True if present
+   */
+  hasFile(relPath) {
+    return relPath in this.files;
+  }
+
+  /**
+   * Replace the symbols of a file
+   * @param {string} relPath - Repository-relative path
+   * @param {Array} symbols - Symbols from extractFileSymbols
+   */
+  setFile(relPath, symbols) {
+    this.files[relPath] = symbols;
+  }
+
+  /**
+   * Drop a file from the table
+   * @param {string} relPath - Repository-relative path
+   * @returns {boolean} True if the file was present
+   */
+  removeFile(relPath) {
+    if (!(relPath in this.files)) return false;
+    delete this.files[relPath];
+    return true;
+  }
+
+  /**
+   * Find symbols by name: exact, then prefix, then substring, then fuzzy matches.
+   * Matching ignores case; an exact-case hit sorts ahead of one that differs only in case.
+   * @param {string} query - Symbol name (or part of one)
+   * @param {Object} options - { kind, limit }
+   * @returns {Array} Symbols with file and match type, best first
+   */
+  search(query, { kind = null, limit = 50 } = {}) {
+    const needle = String(query || '').trim();
+    if (!needle) return [];
+    const lowered = needle.toLowerCase();
+
+    const matches = [];
+    for (const [file, symbols] of Object.entries(this.files)) {
+      for (const symbol of symbols) {
+        if (kind && symbol.kind !== kind) continue;
+        const match = matchName(symbol.name, needle, lowered);
+        if (match) matches.push({ ...symbol, file, ...match });
+      }
+    }
+
+    return matches
+      .sort((a, b) =>
+        MATCH_ORDER.indexOf(a.match) - MATCH_ORDER.indexOf(b.match) ||
+        a.distance - b.distance ||
+        a.name.length - b.name.length ||
+        a.name.localeCompare(b.name) ||
+        a.file.localeCompare(b.file) ||
+        a.line - b.line)
+      .slice(0, limit);
+  }
+}
+
+/**
+ * Extract the functions, classes and methods defined in a file, with line numbers
+ * @param {string} content - File content
+ * @param {string} language - Language from the indexer's detectLanguage
+ * @returns {Array<{name, kind, signature, line, language}>} Symbols in file order
+ */
+export function extractFileSymbols(content, language) {
+  if (!content || !language) return [];
+  const analysis = CodeAnalyzer.analyzeCode(content, language, '');
+  const lines = content.split('\n');
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  // The analyzer reports signatures without positions; find each one in the content,
+  // moving past earlier occurrences so repeated signatures get their own lines
+  const cursors = new Map();
+  const locate = (signature, name) => {
+    const from = cursors.get(signature) ?? 0;
+    const at = content.indexOf(signature, from);
+    if (at === -1) return null;
+    cursors.set(signature, at + signature.length);
+    // Decorators can be part of a python signature; point at the definition itself
+    const nameAt = signature.search(new RegExp(`\\b${escapeRegExp(name)}\\b`));
+    return lineOf(lineStarts, at + Math.max(0, nameAt));
+  };
+
+  const symbols = [];
+  const seen = new Set();
+  const add = (name, kind, signature) => {
+    if (typeof name !== 'string' || !name || NOT_SYMBOLS.has(name) || typeof signature !== 'string') return;
+    const line = locate(signature, name);
+    if (!line) return;
+    if (kind === 'function' && language === 'python' && isInsideClass(lines, line)) kind = 'method';
+    const key = `${name}\u0000${kind}\u0000${line}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    symbols.push({ name, kind, signature: cleanSignature(signature), line, language });
+  };
+
+  for (const cls of analysis.classes || []) {
+    add(cls.name, 'class', cls.signature);
+  }
+  for (const fn of analysis.functions || []) {
+    add(fn.name, fn.type === 'method' ? 'method' : 'function', fn.signature);
+  }
+
+  return symbols.sort((a, b) => a.line - b.line);
+}
+
+function matchName(name, needle, lowered) {
+  const candidate = name.toLowerCase();
+  if (name === needle) return { match: 'exact', distance: 0 };
+  if (candidate === lowered) return { match: 'exact', distance: 1 };
+  if (candidate.startsWith(lowered)) return { match: 'prefix', distance: candidate.length - lowered.length };
+  const at = candidate.indexOf(lowered);
+  if (at !== -1) return { match: 'substring', distance: at };
+
+  // Typos: a small edit distance relative to the length of the query
+  const allowed = lowered.length <= 4 ? 1 : lowered.length <= 8 ? 2 : 3;
+  if (Math.abs(candidate.length - lowered.length) <= allowed) {
+    const distance = editDistance(candidate, lowered, allowed);
+    if (distance <= allowed) return { match: 'fuzzy', distance };
+  }
+  // Abbreviations: every query character appears in order, e.g. "rtryupl" -> retryUpload
+  if (lowered.length >= 3 && isSubsequence(lowered, candidate)) {
+    return { match: 'fuzzy', distance: allowed + 1 + candidate.length - lowered.length };
+  }
+  return null;
+}
+
+/**
+ * Levenshtein distance that gives up once it exceeds max
+ */
+function editDistance(a, b, max) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function isSubsequence(needle, haystack) {
+  let i = 0;
+  for (const char of haystack) {
+    if (char === needle[i]) i++;
+    if (i === needle.length) return true;
+  }
+  return false;
+}
+
+function isInsideClass(lines, line) {
+  const indent = lines[line - 1].search(/\S/);
+  if (indent <= 0) return false;
+  for (let i = line - 2; i >= 0; i--) {
+    const text = lines[i];
+    if (text.trim() === '' || text.trim().startsWith('#') || text.trim().startsWith('@')) continue;
+    if (text.search(/\S/) < indent) return /^\s*class\s/.test(text);
+  }
+  return false;
+}
+
+function cleanSignature(signature) {
+  return signature
+    .replace(/^[\s;{}]+/, '')
+    .replace(/^(?:@\w+(?:\([^)]*\))?\s*)+/, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*[{:]\s*$/, '')
+    .trim();
+}
+
+function lineOf(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low + 1;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,226 @@
+/**
+ * Machine-readable output formats for query results
+ * json, jsonl, vimgrep (file:line:col:text for quickfix lists), markdown and SARIF.
+ * When one of these is selected stdout carries only the formatted results; status
+ * output is routed to stderr.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { otherLocations, formatLocation } from './chunk-locations.js';
+
+export const OUTPUT_FORMATS = ['text', 'json', 'jsonl', 'vimgrep', 'markdown', 'sarif'];
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_RULE_ID = 'ziri/query-match';
+
+/**
+ * Resolve the output format from --format (--json is shorthand for --format json)
+ * @returns {string|null} Format name, or null if unsupported
+ */
+export function resolveOutputFormat(argv = {}) {
+  if (argv.format === undefined || argv.format === '') {
+    return argv.json ? 'json' : 'text';
+  }
+  const format = String(argv.format).toLowerCase();
+  return OUTPUT_FORMATS.includes(format) ? format : null;
+}
+
+/**
+ * Whether a format needs a clean stdout
+ */
+export function isMachineFormat(format) {
+  return Boolean(format) && format !== 'text';
+}
+
+/**
+ * Send console.log/console.info to stderr so stdout only carries results
+ * @returns {Function} Restores the original console methods
+ */
+export function routeStatusToStderr() {
+  const { log, info } = console;
+  console.log = (...args) => console.error(...args);
+  console.info = (...args) => console.error(...args);
+  return () => {
+    console.log = log;
+    console.info = info;
+  };
+}
+
+/**
+ * Render query results in a machine format
+ * @param {Array} results - Enriched query results
+ * @param {string} format - One of OUTPUT_FORMATS (except text)
+ * @param {Object} options - query (original text), cwd (for relative paths), toolVersion
+ * @returns {string} Output ending in a newline (empty when there is nothing to print)
+ */
+export function formatResults(results, format, { query = '', cwd = process.cwd(), toolVersion = 'unknown' } = {}) {
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify(results, null, 2)}\n`;
+    case 'jsonl':
+      return results.map(result => `${JSON.stringify(result)}\n`).join('');
+    case 'vimgrep':
+      return results.flatMap(result => [result, ...otherLocations(result).map(location => ({ ...result, ...location }))])
+        .map(result => `${formatVimgrepLine(result, query, cwd)}\n`).join('');
+    case 'markdown':
+      return formatMarkdown(results, query);
+    case 'sarif':
+      return `${JSON.stringify(buildSarifLog(results, { query, cwd, toolVersion }), null, 2)}\n`;
+    default:
+      throw new Error(`Unsupported output format: ${format}`);
+  }
+}
+
+/**
+ * Write formatted output straight to stdout (bypasses any console redirection)
+ */
+export function writeOutput(text) {
+  if (text) process.stdout.write(text);
+}
+
+/**
+ * Version of the ziri package, for tool metadata in SARIF output
+ */
+export async function readToolVersion() {
+  try {
+    const packageJson = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+    return packageJson.version || 'unknown';
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * One quickfix entry: file:line:col:text, pointing at the line that best matches the query
+ */
+export function formatVimgrepLine(result, query, cwd = process.cwd()) {
+  const { line, column, text } = locateMatch(result, query);
+  return `${resultPath(result, cwd)}:${line}:${column}:${text}`;
+}
+
+/**
+ * SARIF 2.1.0 log with one note-level result per hit
+ */
+export function buildSarifLog(results, { query = '', cwd = process.cwd(), toolVersion = 'unknown' } = {}) {
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'ziri',
+          version: toolVersion,
+          informationUri: 'https://github.com/sriharsha-inthub/ziri',
+          rules: [{
+            id: SARIF_RULE_ID,
+            shortDescription: { text: 'Code matching a ziri query' }
+          }]
+        }
+      },
+      results: results.map(result => {
+        const { start, end } = lineRange(result);
+        return {
+          ruleId: SARIF_RULE_ID,
+          level: 'note',
+          message: { text: `Matches "${query}" (score ${result.score})` },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: toUri(resultPath(result, cwd)) },
+              region: { startLine: start, endLine: end }
+            }
+          }],
+          // The same code elsewhere
+          ...(otherLocations(result).length > 0 && {
+            relatedLocations: otherLocations(result).map((location, i) => {
+              const range = lineRange(location);
+              return {
+                id: i + 1,
+                message: { text: 'Same code' },
+                physicalLocation: {
+                  artifactLocation: { uri: toUri(resultPath({ ...result, ...location }, cwd)) },
+                  region: { startLine: range.start, endLine: range.end }
+                }
+              };
+            })
+          }),
+          properties: {
+            score: result.score,
+            repo: result.repo,
+            language: result.language,
+            type: result.type
+          }
+        };
+      })
+    }]
+  };
+}
+
+function formatMarkdown(results, query) {
+  const parts = [`# Results for "${query}"\n`];
+  results.forEach((result, i) => {
+    const location = result.lines ? `:${result.lines}` : '';
+    const repo = result.repo ? `${result.repo}/` : '';
+    parts.push(`\n## ${i + 1}. ${repo}${result.file}${location}\n`);
+    const details = [`Score: ${result.score}`];
+    if (result.functionName) details.push(`Function: \`${result.functionName}\``);
+    if (result.className) details.push(`Class: \`${result.className}\``);
+    parts.push(`\n${details.join(' · ')}\n`);
+    const others = otherLocations(result);
+    if (others.length > 0) {
+      parts.push(`\nAlso in: ${others.map(location => `\`${formatLocation(location)}\``).join(', ')}\n`);
+    }
+    if (result.context) {
+      const fence = result.context.includes('```') ? '````' : '```';
+      parts.push(`\n${fence}${markdownLanguage(result.language)}\n${result.context}\n${fence}\n`);
+    }
+  });
+  return parts.join('');
+}
+
+function markdownLanguage(language) {
+  return language && language !== 'unknown' ? language : '';
+}
+
+function lineRange(result) {
+  const [start, end] = String(result.lines || '1-1').split('-').map(n => parseInt(n, 10));
+  const first = start > 0 ? start : 1;
+  return { start: first, end: end >= first ? end : first };
+}
+
+function locateMatch(result, query) {
+  const { start } = lineRange(result);
+  const lines = String(result.context || '').split('\n');
+  const terms = String(query).toLowerCase().split(/\W+/).filter(term => term.length > 1);
+
+  // Prefer the line matching the most query terms, else the first non-blank line
+  let best = lines.findIndex(line => line.trim().length > 0);
+  let bestHits = 0;
+  lines.forEach((line, i) => {
+    const lower = line.toLowerCase();
+    const hits = terms.filter(term => lower.includes(term)).length;
+    if (hits > bestHits) {
+      best = i;
+      bestHits = hits;
+    }
+  });
+  if (best < 0) return { line: start, column: 1, text: '' };
+
+  const text = lines[best];
+  return {
+    line: start + best,
+    column: text.search(/\S/) + 1 || 1,
+    text: text.trim()
+  };
+}
+
+function resultPath(result, cwd) {
+  if (!result.repoPath) return result.file;
+  const relative = path.relative(cwd, path.join(result.repoPath, result.file));
+  return relative.startsWith('..') ? path.join(result.repoPath, result.file) : relative;
+}
+
+function toUri(filePath) {
+  const normalized = filePath.split(path.sep).join('/');
+  return path.isAbsolute(filePath) ? `file://${normalized.startsWith('/') ? '' : '/'}${normalized}` : normalized;
+}
@@ -0,0 +1,219 @@
+import { loadChunk } from './store_repo.js';
+import { GitSignals, parseSince } from './ranking/git-signals.js';
+
+/**
+ * Structured query filters
+ * Restricts a query to chunks by language, path, chunk type, symbol name or last
+ * commit time, from CLI flags (--lang, --path, --not-path, --type, --symbol, --since)
+ * or inline tokens in the query text (lang:ts path:src/ since:30d auth token).
+ */
+
+export const CHUNK_TYPES = ['function', 'class', 'import', 'comment', 'code'];
+
+const INLINE_KEYS = {
+  'lang': 'languages',
+  'path': 'paths',
+  'not-path': 'notPaths',
+  '-path': 'notPaths',
+  'type': 'types',
+  'symbol': 'symbols',
+  'since': 'since'
+};
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  rb: 'ruby',
+  rs: 'rust',
+  golang: 'go',
+  kt: 'kotlin',
+  cs: 'csharp',
+  'c#': 'csharp',
+  'c++': 'cpp',
+  sh: 'bash',
+  ps: 'powershell',
+  yml: 'yaml',
+  md: 'markdown'
+};
+
+const INLINE_PATTERN = /^(lang|path|not-path|-path|type|symbol|since):(.+)$/i;
+
+/**
+ * Split inline filter tokens out of the query text
+ * @returns {{query: string, filters: Object}} remaining query text and the filters found
+ */
+export function parseInlineFilters(text = '') {
+  const filters = emptyFilters();
+  const words = [];
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const match = word.match(INLINE_PATTERN);
+    if (match) {
+      filters[INLINE_KEYS[match[1].toLowerCase()]].push(...splitValues(match[2]));
+    } else {
+      words.push(word);
+    }
+  }
+
+  return { query: words.join(' '), filters };
+}
+
+/**
+ * Merge --lang/--path/--not-path/--type/--symbol/--since flags with inline filters
+ * @throws {Error} for an unknown --type value or an invalid --since window
+ */
+export function buildQueryFilters(argv = {}, inline = emptyFilters()) {
+  const filters = {
+    languages: [...toList(argv.lang), ...inline.languages].map(normalizeLanguage),
+    paths: [...toList(argv.path), ...inline.paths],
+    notPaths: [...toList(argv['not-path']), ...inline.notPaths],
+    types: [...toList(argv.type), ...inline.types].map(type => type.toLowerCase()),
+    symbols: [...toList(argv.symbol), ...inline.symbols],
+    // The flag wins over an inline since: token
+    since: [...toList(argv.since), ...inline.since].slice(0, 1).map(spec => parseSince(spec))
+  };
+
+  const unknownTypes = filters.types.filter(type => !CHUNK_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    throw new Error(`Unknown chunk type: ${unknownTypes.join(', ')} (expected ${CHUNK_TYPES.join(', ')})`);
+  }
+
+  return filters;
+}
+
+export function hasFilters(filters) {
+  return Boolean(filters) && Object.values(filters).some(values => values.length > 0);
+}
+
+/**
+ * Human-readable summary, e.g. "lang=typescript path=src/**"
+ */
+export function describeFilters(filters) {
+  const parts = [];
+  if (filters.languages.length) parts.push(`lang=${filters.languages.join('|')}`);
+  if (filters.paths.length) parts.push(`path=${filters.paths.join('|')}`);
+  if (filters.notPaths.length) parts.push(`not-path=${filters.notPaths.join('|')}`);
+  if (filters.types.length) parts.push(`type=${filters.types.join('|')}`);
+  if (filters.symbols.length) parts.push(`symbol=${filters.symbols.join('|')}`);
+  if (filters.since?.length) parts.push(`since=${filters.since[0].spec}`);
+  return parts.join(' ');
+}
+
+/**
+ * Keep the index.json rows that match every filter.
+ * Symbol names come from the index row when recorded, otherwise from the stored chunk.
+ * --since keeps files with a commit in the window; untracked files and stores without
+ * git history (db/git.json) don't match.
+ */
+export async function filterIndexRows(repoDir, rows, filters) {
+  if (!hasFilters(filters)) return rows;
+
+  const pathMatchers = filters.paths.map(pathMatcher);
+  const notPathMatchers = filters.notPaths.map(pathMatcher);
+  const symbolMatchers = filters.symbols.map(symbolMatcher);
+  const since = filters.since?.[0];
+  const gitSignals = since ? await GitSignals.load(repoDir) : null;
+
+  const matched = [];
+  for (const row of rows) {
+    const relPath = (row.relPath || '').replace(/\\/g, '/');
+    if (filters.languages.length && !filters.languages.includes(row.meta?.language)) continue;
+    if (filters.types.length && !rowTypes(row).some(type => filters.types.includes(type))) continue;
+    if (pathMatchers.length && !pathMatchers.some(matches => matches(relPath))) continue;
+    if (notPathMatchers.some(matches => matches(relPath))) continue;
+    if (since && !(gitSignals?.get(relPath)?.lastCommit >= since.after)) continue;
+
+    if (symbolMatchers.length) {
+      const symbols = await rowSymbols(repoDir, row);
+      if (!symbols.some(symbol => symbolMatchers.some(matches => matches(symbol)))) continue;
+    }
+
+    matched.push(row);
+  }
+  return matched;
+}
+
+/**
+ * Convert a path glob to a RegExp. '**' spans directories, '*' and '?' stay within one segment.
+ */
+export function globToRegExp(pattern) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // '**/' matches zero or more directories
+      if (pattern[i + 2] === '/') {
+        regex += '(?:.*/)?';
+        i += 2;
+      } else {
+        regex += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Patterns without glob characters match a directory prefix or an exact file
+ */
+function pathMatcher(pattern) {
+  const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+  if (/[*?]/.test(normalized)) {
+    const regex = globToRegExp(normalized);
+    return relPath => regex.test(relPath);
+  }
+  const prefix = normalized.replace(/\/+$/, '');
+  return relPath => relPath === prefix || relPath.startsWith(`${prefix}/`);
+}
+
+/**
+ * Case-insensitive symbol match; '*' acts as a wildcard
+ */
+function symbolMatcher(pattern) {
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+  return symbol => regex.test(symbol);
+}
+
+/**
+ * Kinds of code a row holds: chunks declaring both functions and classes list each
+ */
+function rowTypes(row) {
+  return row.meta?.types || [row.meta?.type];
+}
+
+async function rowSymbols(repoDir, row) {
+  if (Array.isArray(row.meta?.symbols)) {
+    return row.meta.symbols;
+  }
+  // Rows indexed before symbols were recorded in index.json
+  const chunk = await loadChunk(repoDir, row.id);
+  return [chunk?.functionName, chunk?.className].filter(symbol => typeof symbol === 'string');
+}
+
+function normalizeLanguage(language) {
+  const lower = language.toLowerCase();
+  return LANGUAGE_ALIASES[lower] || lower;
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === false) return [];
+  return (Array.isArray(value) ? value : [value]).flatMap(v => splitValues(String(v)));
+}
+
+function splitValues(value) {
+  return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function emptyFilters() {
+  return { languages: [], paths: [], notPaths: [], types: [], symbols: [], since: [] };
+}
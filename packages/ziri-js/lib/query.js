@@ -1,23 +1,108 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import { resolveHome } from './home.js';
-import { computeRepoId, repoStoreDir } from './repoid.js';
-import { readIndex, loadVector, loadChunk } from './store_repo.js';
+import { readIndex, loadChunk } from './store_repo.js';
 import { EnhancedStorage } from './storage/enhanced-storage.js';
-import { cosineSim, TopK } from './similarity.js';
-import { makeEmbedder } from './embedder.js';
+import { TopK } from './similarity.js';
+import { createStoreEmbedders, EmbeddingMismatchError } from './store-embedder.js';
+import { TermIndex } from './ranking/term-index.js';
+import { VectorIndex, searchVectors } from './storage/vector-index.js';
+import { resolveRerankOptions, rerankResults } from './ranking/reranker.js';
+import { resolveDiversityOptions, mergeAdjacentHits, diversifyResults } from './ranking/diversity.js';
+import { resolveExpansionOptions, expandQuery, expansionTexts, fuseRankedLists } from './ranking/query-expansion.js';
+import { parseInlineFilters, buildQueryFilters, hasFilters, describeFilters, filterIndexRows } from './query-filters.js';
+import { combineScores, tokenizeQuery } from './ranking/bm25.js';
+import { explainCandidate, explainBoosts, explainGitBoost, finalizeExplain, formatExplain } from './ranking/explain.js';
+import { GitSignals, resolveGitBoostOptions, computeGitBoost } from './ranking/git-signals.js';
+import { logSearchCommand } from './commit-history.js';
+import { getSources } from './registry.js';
+import { OUTPUT_FORMATS, resolveOutputFormat, isMachineFormat, formatResults, writeOutput, readToolVersion } from './output-formats.js';
+import { resolveRepoTarget, resolveAllTargets, resolveSetTargets, normalizeRepoScores } from './scope.js';
+import { loadOverlay, applyOverlayRows, applyOverlayIndexes } from './index-overlay.js';
+import { groupLocations, atLocation, describeLocations, otherLocations, formatLocation } from './chunk-locations.js';
+
+const QUERY_MODES = ['vector', 'lexical', 'hybrid'];
+
+// Hybrid mode re-ranks a wider vector shortlist so strong lexical hits can still surface
+const HYBRID_CANDIDATE_FACTOR = 4;
+
+// Span merging and MMR need a wider pool than k to fill k distinct results
+const DIVERSITY_CANDIDATE_FACTOR = 3;
 
 /**
  * Enhanced query command with rich context results and scope support
+ * @param {boolean} render - Print the results (false when another command consumes them)
  */
-export async function queryCommand({ argv }){
-  const q = argv._[1];
-  if (!q){ console.error('Provide a query: ziri query "..."'); return; }
+export async function queryCommand({ argv, configManager, render = true }){
+  const rawQuery = argv._[1];
+  if (!rawQuery){ console.error('Provide a query: ziri query "..."'); return; }
+
+  // Commits rather than code: the history collection built by ziri index --history
+  if (argv.scope === 'history') {
+    return await logSearchCommand({ argv, configManager });
+  }
+
+  // Inline filters (lang:ts path:src/) are stripped from the text that gets embedded
+  const { query: q, filters: inlineFilters } = parseInlineFilters(String(rawQuery));
+  let filters;
+  try {
+    filters = buildQueryFilters(argv, inlineFilters);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return;
+  }
+  if (!q){ console.error('Provide search terms along with the filters: ziri query "lang:ts auth token"'); return; }
+  const filtersActive = hasFilters(filters);
+
+  const format = resolveOutputFormat(argv);
+  if (!format) {
+    console.error(`❌ Unsupported format: ${argv.format}`);
+    console.error(`Supported formats: ${OUTPUT_FORMATS.join(', ')}`);
+    return;
+  }
+  // Machine formats print exactly one payload on stdout, even when nothing matched
+  const emitFormatted = async results => {
+    if (!isMachineFormat(format)) return;
+    writeOutput(formatResults(results, format, { query: q, toolVersion: await readToolVersion() }));
+  };
 
   const startTime = Date.now();
-  const embedder = makeEmbedder(process.env.ZIRI_EMBEDDER || 'ollama', {});
-  const qvec = (await embedder.embedBatch([q]))[0];
+  const config = await configManager?.getConfig() || {};
+  const bm25Config = config.query?.ranking?.bm25 || {};
+  const annConfig = config.query?.ann || {};
+  const mode = resolveQueryMode(argv.mode, config);
+  if (!mode) {
+    console.error(`❌ Unsupported mode: ${argv.mode}`);
+    console.log(`Supported modes: ${QUERY_MODES.join(', ')}`);
+    return;
+  }
+
+  // Optional expansion: a drafted snippet and its identifiers are searched alongside the query
+  const expansionOptions = resolveExpansionOptions(argv, config);
+  let expansion = null;
+  if (expansionOptions.enabled) {
+    expansion = await expandQuery(q, expansionOptions);
+  }
+  const texts = [q, ...expansionTexts(expansion)];
+
+  const variantTerms = texts.map(text => (mode !== 'vector' ? tokenizeQuery(text) : []));
+  // Each store is searched with the model it was indexed with; lexical-only queries never embed
+  const embedders = createStoreEmbedders(config);
   const k = Math.max(1, parseInt(argv.k||'8',10));
+  const explainScores = argv.explain === true;
+  let rerankOptions;
+  let diversityOptions;
+  let gitBoostOptions;
+  try {
+    rerankOptions = resolveRerankOptions(argv, config);
+    diversityOptions = resolveDiversityOptions(argv, config);
+    gitBoostOptions = resolveGitBoostOptions(argv, config);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return;
+  }
+
+  const postprocess = diversityOptions.mergeSpans || diversityOptions.mmr;
+  const pool = postprocess ? k * DIVERSITY_CANDIDATE_FACTOR : k;
 
   // Handle scope targeting
   let targetRepos = [];
@@ -25,8 +110,8 @@ export async function queryCommand({ argv }){
 
   if (argv.scope) {
     if (argv.scope === 'all') {
-      // Query all indexed repositories - for now, just current
-      targetRepos = [{ path: process.cwd(), scope: 'all' }];
+      // Query every indexed store plus every registered source
+      targetRepos = await resolveAllTargets();
       scopeDescription = 'all repositories';
     } else if (argv.scope.startsWith('set:')) {
       // Query specific set
@@ -34,25 +119,16 @@ export async function queryCommand({ argv }){
       console.log(`🎯 Querying set: ${setName}`);
 
       try {
-        // Import getSources dynamically
-        const { getSources } = await import('./registry.js');
-        const sources = await getSources();
-        const targetSet = sources.sets?.[setName];
+        targetRepos = await resolveSetTargets(setName);
 
-        if (!targetSet || targetSet.length === 0) {
+        if (!targetRepos) {
+          const sources = await getSources();
           console.error(`❌ Set '${setName}' not found or empty`);
           console.log(`Available sets: ${Object.keys(sources.sets || {}).join(', ') || 'none'}`);
           return;
         }
 
-        if (targetSet.length > 1) {
-          console.error(`❌ Set '${setName}' contains multiple repositories. Please specify a single repository path.`);
-          console.log(`Set contents:`, targetSet);
-          return;
-        }
-
-        targetRepos = [{ path: targetSet[0], scope: setName }];
-        scopeDescription = `set '${setName}'`;
+        scopeDescription = `set '${setName}' (${targetRepos.length} ${targetRepos.length === 1 ? 'repository' : 'repositories'})`;
 
       } catch (error) {
         console.error(`❌ Failed to load set '${setName}':`, error.message);
@@ -60,31 +136,44 @@ export async function queryCommand({ argv }){
       }
     } else if (argv.scope === 'repo') {
       // Query current repository (default behavior)
-      targetRepos = [{ path: process.cwd(), scope: 'current' }];
+      targetRepos = [await resolveRepoTarget(process.cwd(), 'current')];
       scopeDescription = 'current repository';
     } else {
       console.error(`❌ Unsupported scope: ${argv.scope}`);
-      console.log(`Supported scopes: repo, all, set:NAME`);
+      console.log(`Supported scopes: repo, all, set:NAME, history`);
       return;
     }
   } else {
     // Default: query current repository
-    targetRepos = [{ path: process.cwd(), scope: 'current' }];
+    targetRepos = [await resolveRepoTarget(process.cwd(), 'current')];
     scopeDescription = 'current repository';
   }
 
   console.log(`🔍 Querying: "${q}"`);
   console.log(`📁 Scope: ${scopeDescription}`);
   console.log(`🧩 Top ${k} results`);
+  console.log(`⚖️  Mode: ${mode}`);
+  if (filtersActive) {
+    console.log(`🔎 Filters: ${describeFilters(filters)}`);
+  }
+  if (gitBoostOptions.enabled) {
+    console.log(`📈 Git boosts: ${['recency', 'churn'].filter(name => gitBoostOptions[name].enabled).join(', ')}`);
+  }
+  if (expansion) {
+    const guesses = expansion.identifiers.length > 0 ? expansion.identifiers.join(', ') : 'none';
+    console.log(`✨ Expanded with ${expansionOptions.model}${expansion.cached ? ' (cached)' : ''}: ${guesses}`);
+  } else if (expansionOptions.enabled) {
+    console.log(`✨ Expansion unavailable - searching the original query only`);
+  }
 
   let allResults = [];
   let totalIndexSize = 0;
+  let mismatched = 0;
 
   // Query each target repository
   for (const target of targetRepos) {
     try {
-      const { repoId, alias } = await computeRepoId(target.path);
-      const store = repoStoreDir(resolveHome(), alias, repoId);
+      const { store, alias } = target;
 
       console.log(`   🔍 Searching in: ${alias} (${target.scope})`);
 
@@ -103,68 +192,166 @@ export async function queryCommand({ argv }){
         continue;
       }
 
-      // Search in this repository
-      const repoResults = new TopK(k);
-
-      for (const row of index){
-        try {
-          const v = await loadVector(store, row.id);
-          const score = cosineSim(qvec, v);
-          repoResults.push({
-            id: row.id,
-            score,
-            relPath: row.relPath,
-            store,
-            repo: alias,
-            scope: target.scope
-          });
-        } catch (error) {
-          console.warn(`   ⚠️  Could not load vector ${row.id}: ${error.message}`);
+      // The checked-out branch's overlay replaces the files it changed or deleted
+      const baseIndex = index;
+      const overlay = target.path ? await loadOverlay(store, target.path) : null;
+      if (overlay) {
+        index = applyOverlayRows(baseIndex, overlay);
+        console.log(`   🌿 Using the ${overlay.branch} overlay (${overlay.replaced.size} files differ from ${overlay.base})`);
+        if (overlay.stale) {
+          console.log(`   ⚠️  ${overlay.base} was re-indexed at another commit since the ${overlay.branch} overlay was built, so files it shared with ${overlay.base} may show ${overlay.base}'s content - run 'ziri index' on ${overlay.branch} to refresh it`);
         }
       }
 
+      // Recency/churn boosts and --since need the history recorded at index time
+      const needsHistory = gitBoostOptions.enabled || filters.since.length > 0;
+      const gitSignals = needsHistory ? await GitSignals.load(store) : null;
+      if (needsHistory && !gitSignals) {
+        console.log(`   ⚠️  No git history for ${alias} - run 'ziri index' in a git checkout to use recency, churn or --since`);
+      }
+
+      // Filters narrow the candidate rows before any scoring or top-k selection
+      const rows = await filterIndexRows(store, index, filters);
+      if (rows.length === 0) {
+        console.log(`   📭 No chunks in ${alias} match the filters`);
+        continue;
+      }
+      const allow = filtersActive ? new Set(rows.map(row => row.id)) : null;
+
+      // Lexical scores come from the term statistics persisted at index time
+      let repoMode = mode;
+      let termIndex = null;
+      if (mode !== 'vector') {
+        termIndex = await TermIndex.load(store);
+        if (termIndex.size === 0) {
+          console.log(`   ⚠️  No term statistics for ${alias} - run 'ziri index' to enable ${mode} search`);
+          if (mode === 'lexical') continue;
+          repoMode = 'vector';
+        }
+      }
+
+      // Vector scores come from the persisted ANN index (exact scan if it is missing or stale)
+      const annEnabled = annConfig.enabled !== false;
+      const vectorIndex = repoMode !== 'lexical' && annEnabled ? await VectorIndex.load(store) : null;
+      if (overlay) await applyOverlayIndexes(store, baseIndex, overlay, { termIndex, vectorIndex });
+      // Every place a chunk's content occurs, among the rows the filters kept
+      const locations = groupLocations(rows);
+      const context = { store, index, locations, allow, repoMode, termIndex, vectorIndex, bm25Config, annConfig };
+
+      const vectors = repoMode !== 'lexical' ? await embedders.embed(store, texts, alias) : [];
+      const variants = texts.map((text, i) => ({ vector: vectors[i] || null, terms: variantTerms[i] }));
+
+      // Each query variant ranks its own candidates; expansions are fused with the original
+      const depth = variants.length > 1 ? pool * HYBRID_CANDIDATE_FACTOR : pool;
+      const rankings = [];
+      for (const variant of variants) {
+        const { ranked, method } = await rankCandidates(variant, depth, context);
+        if (method === 'scan' && annEnabled && rankings.length === 0) {
+          console.log(`   ⚠️  No vector index for ${alias} - scanning every chunk (run 'ziri index' to build it)`);
+        }
+        rankings.push(ranked);
+      }
+
+      const repoResults = new TopK(pool);
+      for (const candidate of fuseRankings(rankings)) {
+        let explain = explainScores
+          ? explainCandidate(candidate, { mode: repoMode, weights: bm25Config.weights, variants: rankings.length, filters: filtersActive ? describeFilters(filters) : null })
+          : undefined;
+        let score = candidate.score;
+        if (gitBoostOptions.enabled && gitSignals) {
+          const boost = computeGitBoost(gitSignals.get(candidate.relPath), gitSignals, gitBoostOptions);
+          score = candidate.score * boost.factor;
+          if (explain) explain = explainGitBoost(explain, boost, candidate.score, score);
+        }
+        repoResults.push({ ...candidate, score, store, repo: alias, repoPath: target.path, scope: target.scope, ...(explain && { explain }) });
+      }
+
       // Add results from this repository
       allResults = allResults.concat(repoResults.values());
       totalIndexSize += index.length;
 
     } catch (error) {
-      console.warn(`   ⚠️  Could not query repository ${target.path}: ${error.message}`);
+      if (error instanceof EmbeddingMismatchError) {
+        console.error(`   ❌ ${error.message}`);
+        mismatched++;
+        continue;
+      }
+      console.warn(`   ⚠️  Could not query repository ${target.path || target.store}: ${error.message}`);
     }
   }
 
   if (allResults.length === 0) {
+    await emitFormatted([]);
+    if (mismatched > 0) {
+      process.exitCode = 1;
+      return [];
+    }
     console.log(`\n📭 No results found in ${scopeDescription}`);
+    if (filtersActive) {
+      console.log(`   💡 No indexed chunks match: ${describeFilters(filters)}`);
+      return [];
+    }
     console.log(`   💡 Make sure the repository has been indexed first:`);
     console.log(`      ziri index --verbose`);
-    return;
+    return [];
   }
 
-  // Sort all results and take top k
+  // Scores from different repositories aren't on the same scale
+  if (targetRepos.length > 1) {
+    allResults = normalizeRepoScores(allResults);
+    if (explainScores) {
+      const repoBest = new Map();
+      for (const result of allResults) {
+        repoBest.set(result.store, Math.max(repoBest.get(result.store) || 0, result.rawScore));
+      }
+      for (const result of allResults) {
+        result.explain = {
+          ...result.explain,
+          normalization: { rawScore: round4(result.rawScore), repoBest: round4(repoBest.get(result.store)), score: round4(result.score) }
+        };
+      }
+    }
+  }
+
+  // Sort all results and take the candidate pool (k, widened for merging and the reranker)
   allResults.sort((a, b) => b.score - a.score);
-  const topResults = allResults.slice(0, k);
+  const keep = rerankOptions.enabled ? Math.max(k, rerankOptions.poolSize) : k;
+  const topResults = allResults.slice(0, rerankOptions.enabled ? Math.max(pool, keep) : pool);
 
   // Enrich results with content and metadata using enhanced storage
   const enhancedStorage = new EnhancedStorage();
-  const enrichedResults = [];
+  let enrichedResults = [];
   
   for (const result of topResults) {
     try {
       // Try to load enhanced chunk data first
-      const enhancedChunkData = await enhancedStorage.loadEnhancedChunk(result.store, result.id);
+      // Chunks are stored once per content; results are reported at their first location
+      const enhancedChunkData = atLocation(await enhancedStorage.loadEnhancedChunk(result.store, result.id), result.locations?.[0]);
       
       if (enhancedChunkData) {
         // Convert enhanced chunk data to rich query result
         const enhancedResult = createEnhancedQueryResult(enhancedChunkData, result.score, result.repo, q);
         enhancedResult.scope = result.scope;
+        enhancedResult.repoPath = result.repoPath;
+        if (result.locations?.length > 1) enhancedResult.locations = describeLocations(result.locations);
+        if (result.explain) {
+          const { boosts } = computeNameBoost(enhancedChunkData, result.score, q);
+          enhancedResult.explain = explainBoosts(result.explain, boosts, result.score, enhancedResult.score);
+        }
         enrichedResults.push(enhancedResult);
       } else {
         // Fallback: try to load basic chunk data and enhance it
-        const basicChunkData = await loadChunk(result.store, result.id);
+        const basicChunkData = atLocation(await loadChunk(result.store, result.id), result.locations?.[0]);
         
         if (basicChunkData) {
           // Convert basic chunk to enhanced format on-the-fly
           const enhancedResult = enhancedStorage.convertToQueryResult(basicChunkData, result.score, result.repo);
           enhancedResult.scope = result.scope;
+          enhancedResult.repoPath = result.repoPath;
+          if (result.locations?.length > 1) enhancedResult.locations = describeLocations(result.locations);
+          if (result.explain) {
+            enhancedResult.explain = explainBoosts(result.explain, [], result.score, enhancedResult.score);
+          }
           enrichedResults.push(enhancedResult);
         } else {
           // Last resort: create minimal result for backward compatibility
@@ -178,6 +365,43 @@ export async function queryCommand({ argv }){
     }
   }
 
+  // Overlapping chunks of one file become a single span; MMR then spreads results across the codebase
+  if (diversityOptions.mergeSpans) {
+    enrichedResults = mergeAdjacentHits(enrichedResults, diversityOptions);
+    if (explainScores) {
+      enrichedResults = enrichedResults.map(result => (result.mergedHits && result.explain
+        ? { ...result, explain: { ...result.explain, merge: { hits: result.mergedHits, scoreBefore: result.explain.boostedScore, scoreAfter: result.score } } }
+        : result));
+    }
+  }
+  if (diversityOptions.mmr) {
+    const scoreRanks = new Map([...enrichedResults].sort((a, b) => b.score - a.score).map((result, i) => [result, i + 1]));
+    enrichedResults = diversifyResults(enrichedResults, keep, diversityOptions);
+    if (explainScores) {
+      enrichedResults = enrichedResults.map((result, i) => (result.explain
+        ? { ...result, explain: { ...result.explain, diversity: { method: 'mmr', lambda: diversityOptions.lambda, rankBefore: scoreRanks.get(result), rankAfter: i + 1 } } }
+        : result));
+    }
+  } else {
+    enrichedResults = enrichedResults.slice(0, keep);
+  }
+
+  // Optional second stage: a text model rates each candidate and reorders the pool
+  if (rerankOptions.enabled) {
+    console.log(`\n🧠 Reranking ${enrichedResults.length} candidates with ${rerankOptions.model} (${rerankOptions.provider})...`);
+    const rerank = await rerankResults(q, enrichedResults, rerankOptions);
+    if (rerank.reranked) {
+      enrichedResults = rerank.results;
+    } else {
+      console.warn(`⚠️  Reranking skipped: ${rerank.reason} - keeping retrieval order`);
+    }
+    enrichedResults = enrichedResults.slice(0, k);
+  }
+
+  if (explainScores) {
+    enrichedResults = finalizeExplain(enrichedResults);
+  }
+
   const queryTime = Date.now() - startTime;
 
   // Display summary
@@ -189,40 +413,117 @@ export async function queryCommand({ argv }){
   console.log(`   📂 Repositories searched: ${targetRepos.length}`);
   console.log(`   📊 Total indexed items: ${totalIndexSize}`);
 
-  // Display rich results in a user-friendly format
-  if (argv.json) {
-    // JSON output for programmatic use
-    console.log(`\n${JSON.stringify(enrichedResults, null, 2)}`);
-  } else {
-    // Human-readable output with rich formatting
-    displayRichQueryResults(enrichedResults, q);
+  if (!render) {
+    return enrichedResults;
+  }
+
+  // Machine formats go to stdout on their own; the status lines above are on stderr
+  if (isMachineFormat(format)) {
+    await emitFormatted(enrichedResults);
+    return enrichedResults;
   }
 
+  // Human-readable output with rich formatting
+  displayRichQueryResults(enrichedResults, q);
+
   if (enrichedResults.some(r => r.context && r.context.length > 0)) {
     console.log(`\n💡 Enhanced results include actual code snippets and surrounding context!`);
-    if (!argv.json) {
-      console.log(`   Use --json flag for machine-readable output`);
-    }
+    console.log(`   Use --format json|jsonl|vimgrep|markdown|sarif for machine-readable output`);
   }
 
   if (enrichedResults.length === 0) {
     console.log(`\n💡 Tip: Make sure to index the repository first:`);
     console.log(`   ziri index --verbose`);
   }
+
+  return enrichedResults;
 }
 
 /**
- * Create enhanced query result from enhanced chunk data
+ * Resolve the retrieval mode from the --mode flag or configured default
+ * @returns {string|null} vector, lexical or hybrid (null if unsupported)
  */
-export function createEnhancedQueryResult(chunkData, score, repoAlias, originalQuery) {
-  // Apply function name ranking boost (Requirement 7.5)
-  let adjustedScore = score;
-  if (chunkData.functionName && typeof chunkData.functionName === 'string' && originalQuery.toLowerCase().includes(chunkData.functionName.toLowerCase())) {
-    adjustedScore = Math.min(1.0, score * 1.2); // 20% boost for function name matches
+export function resolveQueryMode(requested, config = {}) {
+  if (requested) {
+    return QUERY_MODES.includes(requested) ? requested : null;
+  }
+  if (config.query?.ranking?.bm25?.enabled === false) {
+    return 'vector';
   }
-  if (chunkData.className && typeof chunkData.className === 'string' && originalQuery.toLowerCase().includes(chunkData.className.toLowerCase())) {
-    adjustedScore = Math.min(1.0, score * 1.15); // 15% boost for class name matches
+  const configured = config.query?.mode;
+  return QUERY_MODES.includes(configured) ? configured : 'hybrid';
+}
+
+/**
+ * Rank one query variant's candidates within a repository, best first
+ */
+async function rankCandidates(variant, depth, { store, index, locations, allow, repoMode, termIndex, vectorIndex, bm25Config, annConfig }) {
+  let lexicalScores = new Map();
+  if (repoMode !== 'vector' && termIndex) {
+    lexicalScores = termIndex.score(variant.terms, { k1: bm25Config.k1, b: bm25Config.b });
+    if (allow) {
+      lexicalScores = new Map([...lexicalScores].filter(([id]) => allow.has(id)));
+    }
+  }
+
+  let vectorScores = new Map();
+  let method = null;
+  if (repoMode !== 'lexical') {
+    const search = await searchVectors(store, index, variant.vector, {
+      k: repoMode === 'hybrid' ? depth * HYBRID_CANDIDATE_FACTOR : depth,
+      include: [...lexicalScores.keys()],
+      nprobe: annConfig.nprobe,
+      enabled: annConfig.enabled !== false,
+      allow,
+      index: vectorIndex
+    });
+    vectorScores = search.scores;
+    method = search.method;
+  }
+
+  const ranked = new TopK(depth);
+  const candidates = new Set([...vectorScores.keys(), ...lexicalScores.keys()]);
+
+  for (const id of candidates){
+    if (!locations.has(id)) continue;
+    const lexicalScore = lexicalScores.get(id) || 0;
+    if (repoMode === 'lexical' && lexicalScore === 0) continue;
+
+    const vectorScore = vectorScores.get(id) || 0;
+    let score = vectorScore;
+    if (repoMode === 'lexical') {
+      score = lexicalScore;
+    } else if (repoMode === 'hybrid') {
+      score = combineScores(vectorScore, lexicalScore, bm25Config.weights);
+    }
+    ranked.push({ id, score, vectorScore, lexicalScore, relPath: locations.get(id)[0].relPath, locations: locations.get(id) });
+  }
+
+  return { ranked: ranked.values(), method };
+}
+
+/**
+ * Merge per-variant rankings; a single ranking keeps its own scores
+ */
+function fuseRankings(rankings) {
+  if (rankings.length === 1) return rankings[0];
+
+  // Component scores are reported from the first variant (the original query) that found each chunk
+  const entries = new Map();
+  for (const ranked of rankings) {
+    for (const entry of ranked) {
+      if (!entries.has(entry.id)) entries.set(entry.id, entry);
+    }
   }
+  const fused = fuseRankedLists(rankings.map(ranked => ranked.map(entry => entry.id)));
+  return [...fused].map(([id, score]) => ({ ...entries.get(id), retrievalScore: entries.get(id).score, score }));
+}
+
+/**
+ * Create enhanced query result from enhanced chunk data
+ */
+export function createEnhancedQueryResult(chunkData, score, repoAlias, originalQuery) {
+  const { score: adjustedScore } = computeNameBoost(chunkData, score, originalQuery);
 
   return {
     score: Number(adjustedScore.toFixed(4)),
@@ -250,6 +551,28 @@ export function createEnhancedQueryResult(chunkData, score, repoAlias, originalQ
   };
 }
 
+/**
+ * Function/class name ranking boosts (Requirement 7.5). A class name match replaces
+ * a function name match rather than stacking on it.
+ * @returns {{score: number, boosts: Array<{type, name, factor, applied}>}}
+ */
+export function computeNameBoost(chunkData, score, originalQuery) {
+  const query = originalQuery.toLowerCase();
+  const boosts = [];
+  if (chunkData.functionName && typeof chunkData.functionName === 'string' && query.includes(chunkData.functionName.toLowerCase())) {
+    boosts.push({ type: 'function-name', name: chunkData.functionName, factor: 1.2 }); // 20% boost for function name matches
+  }
+  if (chunkData.className && typeof chunkData.className === 'string' && query.includes(chunkData.className.toLowerCase())) {
+    boosts.push({ type: 'class-name', name: chunkData.className, factor: 1.15 }); // 15% boost for class name matches
+  }
+
+  const applied = boosts.at(-1);
+  return {
+    score: applied ? Math.min(1.0, score * applied.factor) : score,
+    boosts: boosts.map(boost => ({ ...boost, applied: boost === applied }))
+  };
+}
+
 /**
  * Create legacy query result for backward compatibility
  */
@@ -258,6 +581,7 @@ function createLegacyQueryResult(result) {
     score: Number(result.score.toFixed(4)),
     file: result.relPath,
     repo: result.repo,
+    repoPath: result.repoPath,
     scope: result.scope,
     lines: "1-1", // Default for legacy
     context: "", // No content available
@@ -407,8 +731,17 @@ function displayRichQueryResults(results, originalQuery) {
   results.forEach((result, index) => {
     console.log(`\n📄 Result ${index + 1}:`);
     console.log(`   📊 Score: ${result.score} (${Math.round(result.score * 100)}%)`);
+    if (result.rerankScore !== undefined) {
+      console.log(`   🧠 Rerank: ${result.rerankScore} (retrieval rank #${result.originalRank})`);
+    }
     console.log(`   📁 File: ${result.file}`);
-    console.log(`   📍 Lines: ${result.lines}`);
+    if (result.repo) {
+      console.log(`   📦 Repo: ${result.repo}`);
+    }
+    console.log(`   📍 Lines: ${result.lines}${result.mergedHits ? ` (${result.mergedHits} overlapping hits merged)` : ''}`);
+    if (otherLocations(result).length > 0) {
+      console.log(`   🔁 Also in: ${otherLocations(result).map(formatLocation).join(', ')}`);
+    }
     console.log(`   🏷️  Language: ${result.language}`);
     console.log(`   🔖 Type: ${result.type}`);
     
@@ -420,6 +753,12 @@ function displayRichQueryResults(results, originalQuery) {
     }
     
     console.log(`   💡 Relevance: ${result.relevanceExplanation}`);
+    if (result.explain) {
+      console.log(`   🧮 Score breakdown:`);
+      for (const line of formatExplain(result.explain)) {
+        console.log(`      ${line}`);
+      }
+    }
     
     // Display code context if available
     if (result.context && result.context.trim().length > 0) {
@@ -514,3 +853,7 @@ function generateRelevanceExplanation(score, chunkData) {
 
   return explanation;
 }
+
+function round4(value) {
+  return Number(Number(value).toFixed(4));
+}
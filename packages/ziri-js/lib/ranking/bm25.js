@@ -90,8 +90,9 @@ export class BM25Scorer {
       return 0;
     }
 
-    // Traditional IDF formula: log((N - n + 0.5) / (n + 0.5))
+    // Smoothed IDF formula: log(1 + (N - n + 0.5) / (n + 0.5))
     // Where N = total documents, n = documents containing term
+    // The +1 keeps terms found in most chunks (common in small repos) from scoring 0
     const docFreq = this.termStats[term];
     const numerator = this.totalDocuments - docFreq + 0.5;
     const denominator = docFreq + 0.5;
@@ -100,7 +101,7 @@ export class BM25Scorer {
       return 0;
     }
     
-    const idf = Math.log(numerator / denominator);
+    const idf = Math.log(1 + numerator / denominator);
     return Math.max(0, idf); // Ensure non-negative
   }
 
@@ -160,28 +161,33 @@ export function extractTerms(content, language, metadata = {}) {
     return {};
   }
 
-  const terms = {};
+  // Null prototype so identifiers like "constructor" are plain keys
+  const terms = Object.create(null);
   
   // Extract basic terms from content
   const basicTerms = extractBasicTerms(content, language);
   Object.assign(terms, basicTerms);
   
   // Add special terms from metadata
-  if (metadata.functionName) {
+  // Metadata terms are lowercased to match content terms and tokenizeQuery()
+  if (typeof metadata.functionName === 'string') {
     // Function names get higher weight
-    terms[metadata.functionName] = (terms[metadata.functionName] || 0) + 2;
+    const term = metadata.functionName.toLowerCase();
+    terms[term] = (terms[term] || 0) + 2;
   }
   
-  if (metadata.className) {
+  if (typeof metadata.className === 'string') {
     // Class names get higher weight
-    terms[metadata.className] = (terms[metadata.className] || 0) + 2;
+    const term = metadata.className.toLowerCase();
+    terms[term] = (terms[term] || 0) + 2;
   }
   
   if (metadata.imports && Array.isArray(metadata.imports)) {
     // Imports get moderate weight
     for (const imp of metadata.imports) {
       if (typeof imp === 'string') {
-        terms[imp] = (terms[imp] || 0) + 1;
+        const term = imp.toLowerCase();
+        terms[term] = (terms[term] || 0) + 1;
       }
     }
   }
@@ -196,7 +202,7 @@ export function extractTerms(content, language, metadata = {}) {
  * @returns {Object} Term frequency mapping
  */
 function extractBasicTerms(content, language) {
-  const terms = {};
+  const terms = Object.create(null);
   
   if (!content) {
     return terms;
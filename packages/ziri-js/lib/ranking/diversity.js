@@ -0,0 +1,176 @@
+/**
+ * Result spans and diversity
+ * Chunks overlap by ~15% of their lines, so one function often comes back as two or
+ * three near-identical hits. Hits from the same file whose line ranges overlap or
+ * touch are merged into one span, then a maximal marginal relevance (MMR) pass picks
+ * the final results so they cover more distinct places in the codebase.
+ */
+
+export const DEFAULT_DIVERSITY_OPTIONS = {
+  mergeSpans: true,
+  gap: 0, // lines allowed between two hits that are still merged
+  mmr: true,
+  lambda: 0.7 // 1 = relevance only, 0 = diversity only
+};
+
+// Each extra hit in a span adds a share of its score to the best hit's score
+const MERGED_HIT_WEIGHT = 0.1;
+// Distinct spans of the same file still count as partly redundant
+const SAME_FILE_SIMILARITY = 0.5;
+
+/**
+ * Resolve span/diversity settings from query.diversity config and flags
+ * (--no-merge, --no-mmr, --mmr-lambda)
+ */
+export function resolveDiversityOptions(argv = {}, config = {}) {
+  const options = { ...DEFAULT_DIVERSITY_OPTIONS, ...config.query?.diversity };
+  if (argv.merge === false) options.mergeSpans = false;
+  if (argv.mmr === false) options.mmr = false;
+  if (argv['mmr-lambda'] !== undefined) options.lambda = parseFloat(argv['mmr-lambda']);
+
+  if (!(options.lambda >= 0 && options.lambda <= 1)) {
+    throw new Error(`MMR lambda must be between 0 and 1 (got ${argv['mmr-lambda'] ?? options.lambda})`);
+  }
+  options.gap = Math.max(0, parseInt(options.gap, 10) || 0);
+  return options;
+}
+
+/**
+ * Merge hits from the same file whose line ranges overlap or touch
+ * @param {Array} results - Enriched query results, best first
+ * @returns {Array} Spans sorted by combined score; merged spans carry mergedHits
+ */
+export function mergeAdjacentHits(results, { gap = 0 } = {}) {
+  const groups = new Map();
+  const passthrough = [];
+
+  for (const result of results) {
+    const range = parseLines(result.lines);
+    // Results without content (legacy stores) have no usable line range
+    if (!range || !result.context) {
+      passthrough.push(result);
+      continue;
+    }
+    const key = `${result.repo || ''}\u0000${result.file}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ result, ...range });
+  }
+
+  const spans = [...passthrough];
+  for (const hits of groups.values()) {
+    hits.sort((a, b) => a.start - b.start || b.end - a.end);
+    let current = [hits[0]];
+    let end = hits[0].end;
+    for (const hit of hits.slice(1)) {
+      if (hit.start <= end + 1 + gap) {
+        current.push(hit);
+        end = Math.max(end, hit.end);
+      } else {
+        spans.push(buildSpan(current));
+        current = [hit];
+        end = hit.end;
+      }
+    }
+    spans.push(buildSpan(current));
+  }
+
+  return spans.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Pick k results by maximal marginal relevance
+ * @param {Array} results - Candidates sorted best first
+ * @param {number} k - Number of results to keep
+ * @returns {Array}
+ */
+export function diversifyResults(results, k, { lambda = DEFAULT_DIVERSITY_OPTIONS.lambda } = {}) {
+  if (results.length <= 1 || lambda >= 1) return results.slice(0, k);
+
+  const tokens = results.map(result => tokenSet(result.context));
+  const remaining = results.map((_, i) => i);
+  const picked = [];
+  // Highest similarity of each remaining candidate to anything already picked
+  const redundancy = new Array(results.length).fill(0);
+
+  while (picked.length < k && remaining.length > 0) {
+    let bestPos = 0;
+    let bestValue = -Infinity;
+    remaining.forEach((i, pos) => {
+      const value = lambda * results[i].score - (1 - lambda) * redundancy[i];
+      if (value > bestValue) {
+        bestValue = value;
+        bestPos = pos;
+      }
+    });
+
+    const [chosen] = remaining.splice(bestPos, 1);
+    picked.push(chosen);
+    for (const i of remaining) {
+      redundancy[i] = Math.max(redundancy[i], similarity(results[i], tokens[i], results[chosen], tokens[chosen]));
+    }
+  }
+
+  return picked.map(i => results[i]);
+}
+
+function buildSpan(hits) {
+  if (hits.length === 1) return hits[0].result;
+
+  const best = hits.reduce((a, b) => (b.result.score > a.result.score ? b : a));
+  const extra = hits.reduce((sum, hit) => sum + (hit === best ? 0 : hit.result.score), 0);
+  const score = Math.min(1, best.result.score + MERGED_HIT_WEIGHT * extra);
+
+  // Stitch the contents together, skipping lines a previous hit already covered
+  const lines = [];
+  let end = hits[0].start - 1;
+  for (const hit of hits) {
+    if (hit.end <= end) continue;
+    const content = hit.result.context.split('\n');
+    lines.push(...content.slice(Math.max(0, end - hit.start + 1)));
+    end = hit.end;
+  }
+
+  const last = hits.reduce((a, b) => (b.end > a.end ? b : a));
+  const union = field => [...new Set(hits.flatMap(hit => hit.result[field] || []))];
+
+  return {
+    ...best.result,
+    score: Number(score.toFixed(4)),
+    lines: `${hits[0].start}-${end}`,
+    context: lines.join('\n'),
+    functions: union('functions'),
+    classes: union('classes'),
+    imports: union('imports'),
+    comments: union('comments'),
+    docstrings: union('docstrings'),
+    surroundingLines: (hits[0].result.surroundingLines || last.result.surroundingLines) && {
+      before: hits[0].result.surroundingLines?.before || [],
+      after: last.result.surroundingLines?.after || []
+    },
+    metadata: { ...best.result.metadata, tokenCount: Math.ceil(lines.join('\n').length / 4) },
+    mergedHits: hits.length
+  };
+}
+
+function parseLines(lines) {
+  const match = /^(\d+)-(\d+)$/.exec(String(lines || ''));
+  if (!match) return null;
+  const start = parseInt(match[1], 10);
+  const end = parseInt(match[2], 10);
+  return end >= start ? { start, end } : null;
+}
+
+function tokenSet(text) {
+  return new Set((String(text || '').match(/[A-Za-z_][A-Za-z0-9_]+/g) || []).map(token => token.toLowerCase()));
+}
+
+function similarity(a, tokensA, b, tokensB) {
+  let shared = 0;
+  for (const token of tokensA) {
+    if (tokensB.has(token)) shared++;
+  }
+  const union = tokensA.size + tokensB.size - shared;
+  const jaccard = union > 0 ? shared / union : 0;
+  const sameFile = a.file === b.file && a.repo === b.repo;
+  return sameFile ? Math.max(jaccard, SAME_FILE_SIMILARITY) : jaccard;
+}
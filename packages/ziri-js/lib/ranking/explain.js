@@ -0,0 +1,150 @@
+/**
+ * Score breakdowns for `ziri query --explain`
+ * Each stage of the query pipeline records what it did to a result's score: retrieval
+ * (cosine and BM25 with their weights), expansion fusion, git recency/churn boosts,
+ * per-repository rescaling, name boosts, span merging, MMR and reranking. The breakdown is attached to results
+ * as `explain` and printed under each result.
+ */
+
+import { combineScores } from './bm25.js';
+
+/**
+ * Effective vector/lexical weights for a retrieval mode. Hybrid weights come from
+ * combineScores so the breakdown always matches the arithmetic actually used.
+ */
+export function retrievalWeights(mode, weights = {}) {
+  if (mode === 'vector') return { vector: 1, lexical: 0 };
+  if (mode === 'lexical') return { vector: 0, lexical: 1 };
+  return {
+    vector: round(combineScores(1, 0, weights)),
+    lexical: round(combineScores(0, 1, weights))
+  };
+}
+
+/**
+ * Breakdown of a retrieval candidate
+ * @param {Object} candidate - { score, vectorScore, lexicalScore, retrievalScore? } from ranking
+ * @param {Object} options - mode used for the repository, bm25 weights, number of fused query
+ *   variants, and a description of active filters
+ */
+export function explainCandidate(candidate, { mode, weights, variants = 1, filters = null } = {}) {
+  const explain = {
+    mode,
+    retrieval: {
+      vector: mode === 'lexical' ? null : round(candidate.vectorScore || 0),
+      lexical: mode === 'vector' ? null : round(candidate.lexicalScore || 0),
+      weights: retrievalWeights(mode, weights),
+      score: round(candidate.retrievalScore ?? candidate.score)
+    },
+    fusion: null,
+    git: null,
+    normalization: null,
+    filters,
+    boosts: [],
+    boostedScore: null,
+    capped: false,
+    merge: null,
+    diversity: null,
+    rerank: null,
+    finalScore: null,
+    rank: null
+  };
+  if (variants > 1) {
+    explain.fusion = { method: 'rrf', lists: variants, score: round(candidate.score) };
+  }
+  return explain;
+}
+
+/**
+ * Record the git recency/churn boost
+ * @param {Object} explain - Breakdown to extend
+ * @param {Object} boost - { recency, churn } from computeGitBoost
+ * @param {number} before - Score going in
+ * @param {number} after - Score coming out
+ */
+export function explainGitBoost(explain, boost, before, after) {
+  return { ...explain, git: { recency: boost.recency, churn: boost.churn, scoreBefore: round(before), score: round(after) } };
+}
+
+/**
+ * Record the name boosts createEnhancedQueryResult applied
+ * @param {Object} explain - Breakdown to extend
+ * @param {Array} boosts - { type, name, factor, applied } from computeNameBoost
+ * @param {number} before - Score going in
+ * @param {number} after - Score coming out
+ */
+export function explainBoosts(explain, boosts, before, after) {
+  const applied = boosts.find(boost => boost.applied);
+  return {
+    ...explain,
+    boosts: boosts.map(boost => ({ ...boost })),
+    boostedScore: round(after),
+    capped: Boolean(applied) && before * applied.factor > 1
+  };
+}
+
+/**
+ * Fill in the final score and rank of every explained result
+ */
+export function finalizeExplain(results) {
+  return results.map((result, i) => (result.explain
+    ? { ...result, explain: { ...result.explain, finalScore: result.score, rank: i + 1, ...rerankPart(result) } }
+    : result));
+}
+
+/**
+ * Human-readable lines for a breakdown
+ * @returns {Array<string>}
+ */
+export function formatExplain(explain) {
+  const lines = [];
+  const { retrieval } = explain;
+  const parts = [];
+  if (retrieval.vector !== null) parts.push(`cosine ${retrieval.vector} × ${retrieval.weights.vector}`);
+  if (retrieval.lexical !== null) parts.push(`BM25 ${retrieval.lexical} × ${retrieval.weights.lexical}`);
+  lines.push(`${explain.mode}: ${parts.join(' + ')} = ${retrieval.score}`);
+
+  if (explain.fusion) {
+    lines.push(`expansion: fused ${explain.fusion.lists} ranked lists (RRF) → ${explain.fusion.score}`);
+  }
+  if (explain.git) {
+    const parts = [];
+    if (explain.git.recency) parts.push(`changed ${explain.git.recency.ageDays}d before the latest commit ×${explain.git.recency.factor}`);
+    if (explain.git.churn) parts.push(`${explain.git.churn.commits} commit${explain.git.churn.commits === 1 ? '' : 's'} ×${explain.git.churn.factor}`);
+    lines.push(`git: ${parts.length > 0 ? parts.join(', ') : 'no history for this file'} → ${explain.git.score}`);
+  }
+  if (explain.normalization) {
+    lines.push(`repository rescale: ${explain.normalization.rawScore} / best ${explain.normalization.repoBest} → ${explain.normalization.score}`);
+  }
+  if (explain.filters) {
+    lines.push(`filters: ${explain.filters} (narrow candidates, no score weight)`);
+  }
+  if (explain.boosts.length > 0) {
+    const boosts = explain.boosts.map(boost =>
+      `${boost.type} '${boost.name}' ×${boost.factor}${boost.applied ? '' : ' (superseded)'}`);
+    lines.push(`boosts: ${boosts.join(', ')} → ${explain.boostedScore}${explain.capped ? ' (capped at 1)' : ''}`);
+  } else {
+    lines.push('boosts: none');
+  }
+  if (explain.merge) {
+    lines.push(`merged ${explain.merge.hits} overlapping hits: ${explain.merge.scoreBefore} → ${explain.merge.scoreAfter}`);
+  }
+  if (explain.diversity) {
+    lines.push(`mmr (λ ${explain.diversity.lambda}): score rank #${explain.diversity.rankBefore} → #${explain.diversity.rankAfter}`);
+  }
+  if (explain.rerank) {
+    lines.push(`rerank: rated ${explain.rerank.score}, was #${explain.rerank.originalRank}`);
+  }
+  lines.push(`final: ${explain.finalScore} (rank #${explain.rank})`);
+  return lines;
+}
+
+function rerankPart(result) {
+  return result.rerankScore !== undefined
+    ? { rerank: { score: result.rerankScore, originalRank: result.originalRank } }
+    : {};
+}
+
+function round(value) {
+  return Number(Number(value).toFixed(4));
+}
@@ -0,0 +1,190 @@
+/**
+ * Git recency and churn signals
+ * `ziri index` records when each file was last committed and how many commits touched
+ * it (db/git.json). Queries can boost recently changed files (`recency`) and
+ * frequently changed ones (`churn`), and `--since 30d` keeps only files committed
+ * within a window.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { runGit, streamGit } from '../git.js';
+
+const GIT_SIGNALS_VERSION = 1;
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Record separator printed before each commit's timestamp
+const COMMIT_MARKER = '\u001e';
+
+export const DEFAULT_GIT_BOOST_OPTIONS = {
+  recency: { enabled: false, weight: 0.1, halfLifeDays: 90 },
+  churn: { enabled: false, weight: 0.05 }
+};
+
+const SINCE_UNITS = { h: 1 / 24, d: 1, w: 7, m: 30, y: 365 };
+
+/**
+ * Resolve the git signals path for a repository store
+ * @param {string} repoDir - Repository store directory
+ * @returns {string} Path to git.json
+ */
+export function gitSignalsPath(repoDir) {
+  return path.join(repoDir, 'db', 'git.json');
+}
+
+/**
+ * Git Signals Class
+ * Per-file last commit time (unix seconds) and commit count, relative to the indexed directory
+ */
+export class GitSignals {
+  constructor({ head = null, newestCommit = 0, commits = 0, files = {} } = {}) {
+    this.head = head;
+    this.newestCommit = newestCommit;
+    this.commits = commits;
+    // Null prototype so paths like "constructor" are plain keys
+    this.files = Object.assign(Object.create(null), files);
+    this.maxCommits = Math.max(0, ...Object.values(this.files).map(file => file.commits));
+  }
+
+  /**
+   * Load the signals of a repository store
+   * @returns {Promise<GitSignals|null>} Null when the store has none (not a git checkout, or indexed before)
+   */
+  static async load(repoDir) {
+    try {
+      const data = JSON.parse(await fs.readFile(gitSignalsPath(repoDir), 'utf-8'));
+      return data.version === GIT_SIGNALS_VERSION ? new GitSignals(data) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async save(repoDir) {
+    const data = { version: GIT_SIGNALS_VERSION, head: this.head, newestCommit: this.newestCommit, commits: this.commits, files: this.files };
+    await fs.writeFile(gitSignalsPath(repoDir), JSON.stringify(data), 'utf-8');
+  }
+
+  get size() {
+    return Object.keys(this.files).length;
+  }
+
+  /**
+   * @returns {{lastCommit: number, commits: number}|null} Null for untracked files
+   */
+  get(relPath) {
+    return this.files[String(relPath).replace(/\\/g, '/')] || null;
+  }
+}
+
+/**
+ * Read per-file history from `git log`
+ * @param {string} repoPath - Indexed directory (a git checkout or a directory inside one)
+ * @param {Object} options - maxCommits to read (newest first), previous signals to reuse when HEAD hasn't moved,
+ * rev to read the history of instead of HEAD
+ * @returns {Promise<GitSignals|null>} Null outside a git checkout or when git is unavailable
+ */
+export async function collectGitSignals(repoPath, { maxCommits = 10000, previous = null, rev = 'HEAD' } = {}) {
+  const head = await runGit(repoPath, ['rev-parse', rev]).catch(() => null);
+  if (!head) return null;
+  if (previous && previous.head === head) return previous;
+
+  const files = Object.create(null);
+  let commits = 0;
+  let newestCommit = 0;
+  let timestamp = 0;
+
+  // Paths are printed relative to repoPath (--relative), newest commit first
+  const args = ['-c', 'core.quotepath=off', 'log', '--no-merges', '--relative', '--name-only', `--format=${COMMIT_MARKER}%ct`, '-n', String(maxCommits), head];
+  const ok = await streamGit(repoPath, args, line => {
+    if (line.startsWith(COMMIT_MARKER)) {
+      timestamp = parseInt(line.slice(1), 10) || 0;
+      newestCommit = Math.max(newestCommit, timestamp);
+      commits++;
+      return;
+    }
+    if (!line) return;
+    const file = files[line];
+    if (file) {
+      file.commits++;
+    } else {
+      files[line] = { lastCommit: timestamp, commits: 1 };
+    }
+  });
+  if (!ok) return null;
+
+  return new GitSignals({ head, newestCommit, commits, files });
+}
+
+/**
+ * Resolve recency/churn boost settings from query.ranking config and --recency/--churn flags
+ */
+export function resolveGitBoostOptions(argv = {}, config = {}) {
+  const ranking = config.query?.ranking || {};
+  const options = {
+    recency: { ...DEFAULT_GIT_BOOST_OPTIONS.recency, ...ranking.recency },
+    churn: { ...DEFAULT_GIT_BOOST_OPTIONS.churn, ...ranking.churn }
+  };
+  if (argv.recency) options.recency.enabled = true;
+  if (argv.churn) options.churn.enabled = true;
+
+  for (const [name, option] of Object.entries(options)) {
+    if (!(option.weight >= 0)) {
+      throw new Error(`${name} weight must be a non-negative number (got ${option.weight})`);
+    }
+  }
+  if (!(options.recency.halfLifeDays > 0)) {
+    throw new Error(`recency halfLifeDays must be positive (got ${options.recency.halfLifeDays})`);
+  }
+  options.enabled = options.recency.enabled || options.churn.enabled;
+  return options;
+}
+
+/**
+ * Boost for one file. Recency halves every halfLifeDays behind the repository's newest
+ * commit; churn is log-scaled against the most changed file in the repository.
+ * @param {Object|null} file - { lastCommit, commits } from GitSignals.get
+ * @param {GitSignals} signals - Signals of the file's repository
+ * @param {Object} options - From resolveGitBoostOptions
+ * @returns {{factor: number, recency: Object|null, churn: Object|null}}
+ */
+export function computeGitBoost(file, signals, options) {
+  let factor = 1;
+  let recency = null;
+  let churn = null;
+  if (!file || !signals) return { factor, recency, churn };
+
+  if (options.recency.enabled) {
+    const ageDays = Math.max(0, (signals.newestCommit - file.lastCommit) / DAY_SECONDS);
+    const boost = 1 + options.recency.weight * Math.pow(0.5, ageDays / options.recency.halfLifeDays);
+    recency = { ageDays: Math.round(ageDays), factor: round(boost) };
+    factor *= boost;
+  }
+  if (options.churn.enabled && signals.maxCommits > 0) {
+    const boost = 1 + options.churn.weight * Math.log1p(file.commits) / Math.log1p(signals.maxCommits);
+    churn = { commits: file.commits, factor: round(boost) };
+    factor *= boost;
+  }
+  return { factor, recency, churn };
+}
+
+/**
+ * Parse a --since window: `30d`, `12h`, `2w`, `6m`, `1y` or a date (`2024-05-01`)
+ * @returns {{spec: string, after: number}} after is a unix timestamp in seconds
+ * @throws {Error} For anything else
+ */
+export function parseSince(spec, now = Date.now()) {
+  const text = String(spec ?? '').trim();
+  const match = /^(\d+(?:\.\d+)?)\s*([hdwmy])$/i.exec(text);
+  if (match) {
+    const days = parseFloat(match[1]) * SINCE_UNITS[match[2].toLowerCase()];
+    return { spec: text, after: Math.floor(now / 1000 - days * DAY_SECONDS) };
+  }
+  if (/^\d{4}-\d{2}-\d{2}/.test(text) && !Number.isNaN(Date.parse(text))) {
+    return { spec: text, after: Math.floor(Date.parse(text) / 1000) };
+  }
+  throw new Error(`Invalid --since value '${text}' (expected e.g. 30d, 12h, 2w, 6m, 1y or 2024-05-01)`);
+}
+
+function round(value) {
+  return Number(value.toFixed(4));
+}
@@ -0,0 +1,146 @@
+/**
+ * Query expansion (HyDE)
+ * Natural-language questions embed poorly against code, so the text model drafts a
+ * hypothetical code snippet that would answer the question. The snippet and the
+ * identifiers it guesses are searched alongside the original query and the ranked
+ * lists are fused. Expansions are cached in the EmbedCache store, keyed by model.
+ */
+
+import { EmbedCache } from '../embed_cache.js';
+
+export const DEFAULT_EXPANSION_OPTIONS = {
+  enabled: false,
+  model: null, // defaults to providers.ollama.textModel
+  baseUrl: null,
+  timeout: 20000
+};
+
+// Bump when the prompt changes so cached expansions are regenerated
+const PROMPT_VERSION = 1;
+const MAX_IDENTIFIERS = 12;
+const RRF_K = 60;
+
+const KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'def',
+  'delete', 'elif', 'else', 'except', 'export', 'extends', 'false', 'finally', 'from', 'func',
+  'function', 'import', 'lambda', 'none', 'null', 'pass', 'private', 'public', 'raise', 'return',
+  'self', 'static', 'super', 'switch', 'this', 'throw', 'true', 'typeof', 'undefined', 'while',
+  'with', 'yield', 'string', 'number', 'boolean', 'void', 'console', 'print', 'require', 'module'
+]);
+
+/**
+ * Resolve expansion settings from query.expand config and the --expand flag
+ */
+export function resolveExpansionOptions(argv = {}, config = {}) {
+  const options = { ...DEFAULT_EXPANSION_OPTIONS, ...config.query?.expand };
+  if (argv.expand) options.enabled = true;
+
+  const ollama = config.providers?.ollama || {};
+  options.baseUrl = (options.baseUrl || ollama.baseUrl || 'http://localhost:11434').replace(/\/$/, '');
+  options.model ||= ollama.textModel || 'qwen2:1.5b';
+  return options;
+}
+
+/**
+ * Draft a hypothetical snippet for the query (cached per model)
+ * @returns {Promise<{snippet: string, identifiers: string[], cached: boolean}|null>} null if the model is unavailable
+ */
+export async function expandQuery(query, options) {
+  const cache = new EmbedCache(`expand:${options.model}`);
+  const key = `v${PROMPT_VERSION}|${query}`;
+
+  const hit = await cache.get(key);
+  if (hit?.snippet) {
+    return { ...hit, cached: true };
+  }
+
+  let snippet;
+  try {
+    snippet = await generateSnippet(query, options);
+  } catch (error) {
+    console.warn(`⚠️  Query expansion failed: ${error.message}`);
+    return null;
+  }
+  if (!snippet) return null;
+
+  const expansion = { snippet, identifiers: extractIdentifiers(snippet) };
+  await cache.set(key, expansion);
+  return { ...expansion, cached: false };
+}
+
+/**
+ * Texts to search in addition to the original query
+ */
+export function expansionTexts(expansion) {
+  if (!expansion) return [];
+  return [expansion.snippet, expansion.identifiers.join(' ')].filter(text => text && text.trim().length > 0);
+}
+
+/**
+ * Pull likely identifier names (camelCase, snake_case, PascalCase) out of a snippet
+ */
+export function extractIdentifiers(snippet) {
+  const seen = new Set();
+  const identifiers = [];
+  for (const [word] of String(snippet).matchAll(/[A-Za-z_][A-Za-z0-9_]{3,}/g)) {
+    const lower = word.toLowerCase();
+    if (KEYWORDS.has(lower) || seen.has(lower)) continue;
+    // Plain lowercase words are usually prose or keywords rather than names
+    if (!/[A-Z_]/.test(word.slice(1))) continue;
+    seen.add(lower);
+    identifiers.push(word);
+    if (identifiers.length >= MAX_IDENTIFIERS) break;
+  }
+  return identifiers;
+}
+
+/**
+ * Reciprocal rank fusion of several ranked id lists.
+ * Scores are scaled so an id ranked first in every list scores 1.
+ * @param {Array<Array<string>>} lists - Ranked ids, best first
+ * @returns {Map<string, number>}
+ */
+export function fuseRankedLists(lists) {
+  const fused = new Map();
+  for (const list of lists) {
+    list.forEach((id, rank) => {
+      fused.set(id, (fused.get(id) || 0) + 1 / (RRF_K + rank + 1));
+    });
+  }
+  const best = lists.length / (RRF_K + 1);
+  for (const [id, score] of fused) {
+    fused.set(id, score / best);
+  }
+  return fused;
+}
+
+async function generateSnippet(query, options) {
+  const prompt = [
+    'You are helping search a codebase.',
+    'Write a short, plausible code snippet (at most 15 lines) that would answer the question below.',
+    'Use realistic function, class and variable names. Reply with code only.',
+    '',
+    `Question: ${query}`
+  ].join('\n');
+
+  const response = await fetch(`${options.baseUrl}/api/generate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model: options.model,
+      prompt,
+      stream: false,
+      options: { temperature: 0, num_predict: 300 }
+    }),
+    signal: AbortSignal.timeout(options.timeout)
+  });
+  if (!response.ok) {
+    throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
+  }
+  const data = await response.json();
+  return stripCodeFence(data.response || '');
+}
+
+function stripCodeFence(text) {
+  return text.replace(/^\s*```[\w-]*\s*\n?/, '').replace(/\n?```\s*$/, '').trim();
+}
@@ -0,0 +1,171 @@
+/**
+ * Second-stage reranking
+ * Asks a text model to rate each of the top candidates for relevance to the query
+ * (pointwise) and reorders them by that rating. Any failure or timeout keeps the
+ * original order.
+ */
+
+export const DEFAULT_RERANK_OPTIONS = {
+  enabled: false,
+  provider: 'ollama', // ollama | openai (any OpenAI-compatible endpoint)
+  model: null, // defaults to providers.ollama.textModel / gpt-4o-mini
+  baseUrl: null,
+  poolSize: 20,
+  timeout: 15000,
+  concurrency: 4
+};
+
+const RERANK_PROVIDERS = ['ollama', 'openai'];
+const MAX_SNIPPET_CHARS = 2000;
+
+/**
+ * Resolve rerank settings from query.rerank config and --rerank* flags
+ */
+export function resolveRerankOptions(argv = {}, config = {}) {
+  const options = { ...DEFAULT_RERANK_OPTIONS, ...config.query?.rerank };
+  if (argv.rerank) options.enabled = true;
+  if (argv['rerank-pool']) options.poolSize = parseInt(argv['rerank-pool'], 10);
+  if (argv['rerank-timeout']) options.timeout = parseInt(argv['rerank-timeout'], 10);
+
+  if (!RERANK_PROVIDERS.includes(options.provider)) {
+    throw new Error(`Unsupported rerank provider: ${options.provider} (expected ${RERANK_PROVIDERS.join(', ')})`);
+  }
+  if (!(options.poolSize > 0)) options.poolSize = DEFAULT_RERANK_OPTIONS.poolSize;
+  if (!(options.timeout > 0)) options.timeout = DEFAULT_RERANK_OPTIONS.timeout;
+
+  if (options.provider === 'ollama') {
+    const ollama = config.providers?.ollama || {};
+    options.baseUrl ||= ollama.baseUrl || 'http://localhost:11434';
+    options.model ||= ollama.textModel || 'qwen2:1.5b';
+  } else {
+    const openai = config.providers?.openai || {};
+    options.baseUrl ||= openai.baseUrl || 'https://api.openai.com/v1';
+    options.model ||= 'gpt-4o-mini';
+    options.apiKey ||= openai.apiKey || process.env.ZIRI_OPENAI_API_KEY || process.env.OPENAI_API_KEY;
+  }
+  options.baseUrl = options.baseUrl.replace(/\/$/, '');
+
+  return options;
+}
+
+/**
+ * Reorder results by model-rated relevance
+ * @param {string} query - The user's query
+ * @param {Array} results - Enriched query results (needs file, lines and context)
+ * @param {Object} options - Resolved rerank options
+ * @returns {Promise<{results: Array, reranked: boolean, reason?: string}>}
+ */
+export async function rerankResults(query, results, options) {
+  if (results.length < 2) {
+    return { results, reranked: false, reason: 'fewer than two candidates' };
+  }
+
+  // The deadline covers the whole stage, even if a request ignores the abort signal
+  const controller = new AbortController();
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${options.timeout}ms`)), options.timeout);
+  });
+
+  try {
+    const ratings = new Array(results.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < results.length) {
+        const i = next++;
+        const reply = await requestRating(buildRelevancePrompt(query, results[i]), options, controller.signal);
+        const rating = parseRelevanceScore(reply);
+        if (rating === null) {
+          throw new Error(`unreadable rating "${String(reply).slice(0, 40)}"`);
+        }
+        ratings[i] = rating;
+      }
+    };
+    const workers = Array.from({ length: Math.min(options.concurrency || 1, results.length) }, worker);
+    await Promise.race([Promise.all(workers), deadline]);
+
+    // Ties keep the original retrieval order
+    const reranked = results
+      .map((result, i) => ({ ...result, rerankScore: ratings[i], originalRank: i + 1 }))
+      .sort((a, b) => b.rerankScore - a.rerankScore || a.originalRank - b.originalRank);
+
+    return { results: reranked, reranked: true };
+  } catch (error) {
+    // Stop any requests still in flight
+    controller.abort();
+    return { results, reranked: false, reason: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Pointwise relevance prompt for one candidate
+ */
+export function buildRelevancePrompt(query, result) {
+  const snippet = (result.context || '').slice(0, MAX_SNIPPET_CHARS);
+  return [
+    'Rate how relevant the code below is to the search query on a scale from 0 (unrelated) to 10 (exactly what was asked for).',
+    'Reply with the number only.',
+    '',
+    `Query: ${query}`,
+    '',
+    `File: ${result.file}${result.lines ? ` (lines ${result.lines})` : ''}`,
+    '```',
+    snippet,
+    '```',
+    '',
+    'Relevance (0-10):'
+  ].join('\n');
+}
+
+/**
+ * Read the first number in a model reply as a 0-1 relevance score
+ * @returns {number|null}
+ */
+export function parseRelevanceScore(text) {
+  const match = String(text ?? '').match(/-?\d+(?:\.\d+)?/);
+  if (!match) return null;
+  const value = parseFloat(match[0]);
+  return Math.min(10, Math.max(0, value)) / 10;
+}
+
+async function requestRating(prompt, options, signal) {
+  if (options.provider === 'ollama') {
+    const response = await fetch(`${options.baseUrl}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: options.model,
+        prompt,
+        stream: false,
+        options: { temperature: 0, num_predict: 8 }
+      }),
+      signal
+    });
+    if (!response.ok) {
+      throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    return data.response;
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (options.apiKey) headers.Authorization = `Bearer ${options.apiKey}`;
+  const response = await fetch(`${options.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: options.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0,
+      max_tokens: 8
+    }),
+    signal
+  });
+  if (!response.ok) {
+    throw new Error(`Rerank API error: ${response.status} ${response.statusText}`);
+  }
+  const data = await response.json();
+  return data.choices?.[0]?.message?.content;
+}
@@ -0,0 +1,185 @@
+/**
+ * Persistent term statistics for lexical (BM25) retrieval
+ * One index per repository store, kept next to the vector index in db/terms.json
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { BM25Scorer, extractTerms } from './bm25.js';
+
+const TERM_INDEX_VERSION = 1;
+
+/**
+ * Resolve the term index path for a repository store
+ * @param {string} repoDir - Repository store directory
+ * @returns {string} Path to terms.json
+ */
+export function termIndexPath(repoDir) {
+  return path.join(repoDir, 'db', 'terms.json');
+}
+
+/**
+ * Term Index Class
+ * Tracks per-chunk term frequencies and repository-level document frequencies
+ */
+export class TermIndex {
+  constructor() {
+    // Null prototypes so identifiers like "constructor" are plain keys
+    this.docs = Object.create(null);      // chunkId -> { length, terms }
+    this.docFreq = Object.create(null);   // term -> number of chunks containing it
+    this.postings = Object.create(null);  // term -> Set of chunkIds
+    this.totalLength = 0;
+    this.documentCount = 0;
+  }
+
+  /**
+   * Load the term index for a repository store
+   * @param {string} repoDir - Repository store directory
+   * @returns {Promise<TermIndex>} Loaded index (empty if none exists yet)
+   */
+  static async load(repoDir) {
+    const index = new TermIndex();
+    try {
+      const data = JSON.parse(await fs.readFile(termIndexPath(repoDir), 'utf-8'));
+      if (data.version === TERM_INDEX_VERSION && data.docs) {
+        for (const [id, doc] of Object.entries(data.docs)) {
+          index.insert(id, { length: doc.length, terms: Object.assign(Object.create(null), doc.terms) });
+        }
+      }
+    } catch {
+      // No term index yet
+    }
+    return index;
+  }
+
+  /**
+   * Persist the term index to a repository store
+   * @param {string} repoDir - Repository store directory
+   */
+  async save(repoDir) {
+    const data = { version: TERM_INDEX_VERSION, docs: this.docs };
+    await fs.writeFile(termIndexPath(repoDir), JSON.stringify(data), 'utf-8');
+  }
+
+  /**
+   * Number of indexed chunks
+   * @returns {number} Document count
+   */
+  get size() {
+    return this.documentCount;
+  }
+
+  /**
+   * Check whether a chunk is present in the index
+   * @param {string} id - Chunk ID
+   * @returns {boolean} True if indexed
+   */
+  has(id) {
+    return id in this.docs;
+  }
+
+  /**
+   * Add (or replace) a chunk in the index
+   * @param {string} id - Chunk ID
+   * @param {string} content - Chunk content
+   * @param {string} language - Programming language
+   * @param {Object} metadata - Function/class names and imports
+   */
+  addDocument(id, content, language, metadata = {}) {
+    if (this.has(id)) {
+      this.removeDocument(id);
+    }
+    const terms = extractTerms(content, language, {
+      functionName: metadata.functionName,
+      className: metadata.className,
+      imports: metadata.imports
+    });
+    this.insert(id, { length: content ? content.length : 0, terms });
+  }
+
+  /**
+   * Remove a chunk from the index
+   * @param {string} id - Chunk ID
+   * @returns {boolean} True if the chunk was indexed
+   */
+  removeDocument(id) {
+    const doc = this.docs[id];
+    if (!doc) {
+      return false;
+    }
+    for (const term of Object.keys(doc.terms)) {
+      this.docFreq[term]--;
+      this.postings[term]?.delete(id);
+      if (this.docFreq[term] <= 0) {
+        delete this.docFreq[term];
+        delete this.postings[term];
+      }
+    }
+    this.totalLength -= doc.length;
+    this.documentCount--;
+    delete this.docs[id];
+    return true;
+  }
+
+  /**
+   * Score every chunk containing at least one query term
+   * @param {Array<string>} queryTerms - Tokenized query terms
+   * @param {Object} options - BM25 options (k1, b)
+   * @returns {Map<string, number>} Normalized BM25 score (0-1) per chunk ID
+   */
+  score(queryTerms, options = {}) {
+    const scores = new Map();
+    const totalDocuments = this.size;
+    if (!queryTerms || queryTerms.length === 0 || totalDocuments === 0) {
+      return scores;
+    }
+
+    const scorer = new BM25Scorer({
+      k1: options.k1,
+      b: options.b,
+      termStats: this.docFreq,
+      totalDocuments,
+      averageDocumentLength: this.totalLength / totalDocuments
+    });
+
+    const candidates = new Set();
+    for (const term of queryTerms) {
+      for (const id of this.postings[term] || []) {
+        candidates.add(id);
+      }
+    }
+
+    let maxScore = 0;
+    for (const id of candidates) {
+      const doc = this.docs[id];
+      const raw = scorer.calculateScore(queryTerms, doc.terms, doc.length);
+      if (raw > 0) {
+        scores.set(id, raw);
+        maxScore = Math.max(maxScore, raw);
+      }
+    }
+
+    // Normalize against the best match in this repository
+    for (const [id, raw] of scores) {
+      scores.set(id, scorer.normalizeScore(raw, maxScore));
+    }
+
+    return scores;
+  }
+
+  /**
+   * Insert a pre-tokenized document
+   * @param {string} id - Chunk ID
+   * @param {Object} doc - Document entry ({ length, terms })
+   * @private
+   */
+  insert(id, doc) {
+    this.docs[id] = doc;
+    this.totalLength += doc.length;
+    this.documentCount++;
+    for (const term of Object.keys(doc.terms)) {
+      this.docFreq[term] = (this.docFreq[term] || 0) + 1;
+      (this.postings[term] ||= new Set()).add(id);
+    }
+  }
+}
@@ -7,6 +7,8 @@ import readline from 'node:readline';
 import { stdin as input, stdout as output } from 'node:process';
 import { queryCommand } from './query.js';
 import { chatCommand } from './chat.js';
+import { similarCommand } from './similar.js';
+import { readHistory, recordQuery, pickReplayOptions } from './history.js';
 
 /**
  * Ziri Interactive REPL
@@ -59,6 +61,9 @@ export class ZiriRepl {
     console.log('Type your questions or commands. Type "help" for available commands.');
     console.log('');
 
+    // Pick up where the shared query log left off (CLI and earlier REPL sessions)
+    this.history = (await readHistory({ limit: 100 })).map(entry => entry.query);
+
     this.rl = readline.createInterface({ input, output });
     
     // Set up command completion
@@ -97,7 +102,12 @@ export class ZiriRepl {
       await this.handleCommand(input.substring(1));
     } else {
       // Handle query or chat based on current mode
-      await this.handleQueryOrChat(input);
+      const ran = await this.handleQueryOrChat(input);
+      // Queries and chats also go to the persistent log shared with 'ziri history',
+      // with the flags they ran with so a replay matches
+      if (ran) {
+        await recordQuery({ command: ran.argv._[0], query: input, source: 'repl', options: pickReplayOptions(ran.argv), results: ran.results });
+      }
     }
     
     this.rl.prompt();
@@ -155,6 +165,15 @@ export class ZiriRepl {
         });
         break;
         
+      case 'similar':
+      case 'sim':
+        if (args.length === 0) {
+          console.log('Usage: /similar <path>:<start>-<end> [--other-files] [--other-repos]');
+        } else {
+          await this.executeSimilar(args);
+        }
+        break;
+        
       case 'clear':
         console.clear();
         break;
@@ -186,27 +205,28 @@ export class ZiriRepl {
   /**
    * Handle query or chat based on current mode
    * @param {string} input - User input
+   * @returns {Promise<{argv: Object, results?: Array}|null>} What ran, or null if nothing did
    */
   async handleQueryOrChat(input) {
     try {
       switch (this.mode) {
         case 'query':
-          await this.executeQuery(input);
-          break;
+          return await this.executeQuery(input);
         case 'chat':
-          await this.executeChat(input);
-          break;
+          return await this.executeChat(input);
         default:
           console.log('❌ Invalid mode');
       }
     } catch (error) {
       console.error('❌ Error:', error.message);
     }
+    return null;
   }
 
   /**
    * Execute a query
    * @param {string} query - Search query
+   * @returns {Promise<{argv: Object, results?: Array}>} The arguments it ran with and its results
    */
   async executeQuery(query) {
     console.log(`🔍 Searching for: "${query}"`);
@@ -218,12 +238,14 @@ export class ZiriRepl {
       scope: 'repo' // Default to current repo
     };
     
-    await queryCommand({ argv });
+    const results = await queryCommand({ argv });
+    return { argv, results: Array.isArray(results) ? results : undefined };
   }
 
   /**
    * Execute a chat
    * @param {string} question - Chat question
+   * @returns {Promise<{argv: Object}>} The arguments it ran with
    */
   async executeChat(question) {
     console.log(`💬 Chatting about: "${question}"`);
@@ -236,6 +258,22 @@ export class ZiriRepl {
     };
     
     await chatCommand({ argv, configManager: this.configManager });
+    return { argv };
+  }
+
+  /**
+   * Find code similar to a block of lines
+   * @param {string[]} args - Location followed by optional flags
+   */
+  async executeSimilar(args) {
+    const argv = {
+      _: ['similar', args[0]],
+      k: '5',
+      'other-files': args.includes('--other-files'),
+      'other-repos': args.includes('--other-repos')
+    };
+    
+    await similarCommand({ argv, configManager: this.configManager });
   }
 
   /**
@@ -246,7 +284,9 @@ export class ZiriRepl {
 Ziri Interactive REPL Commands:
   /help, /h          Show this help message
   /mode [query|chat] Switch between query and chat modes
-  /history, /hist    Show command history
+  /history, /hist    Show command history (shared with 'ziri history')
+  /similar <path:start-end> [--other-files] [--other-repos]
+                     Find code that looks like a block of lines
   /clear             Clear the screen
   /config            Show current configuration
   /quit, /exit, /q   Exit the REPL
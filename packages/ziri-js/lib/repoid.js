@@ -8,7 +8,11 @@ export async function computeRepoId(cwd){
   try{
     const { execFile } = await import('node:child_process');
     const exec = (c,a)=>new Promise((res,rej)=>execFile(c,a,{cwd},(e,so)=>e?rej(e):res(so.trim())));
-    const root = await exec('git',['rev-parse','--show-toplevel']).catch(()=>null);
+    // A bare repository (a mirror) has no working tree; it is named after its directory, minus .git
+    const bare = await exec('git',['rev-parse','--is-bare-repository']).catch(()=>null) === 'true';
+    const root = bare
+      ? (await exec('git',['rev-parse','--absolute-git-dir'])).replace(/\.git$/,'')
+      : await exec('git',['rev-parse','--show-toplevel']).catch(()=>null);
     if (root){
       const remote = await exec('git',['config','--get','remote.origin.url']).catch(()=>root);
       const rootCommit = await exec('git',['rev-list','--max-parents=0','HEAD']).catch(()=> 'nogitroot');
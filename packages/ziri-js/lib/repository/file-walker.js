@@ -192,13 +192,18 @@ export class FileWalker {
 
   /**
    * Stream files from a directory with exclusion support
+   * @param {string} repoPath - Repository root
+   * @param {Array<string>} excludePatterns - Patterns to skip on top of the defaults
+   * @param {Object} options
+   * @param {IgnoreMatcher} options.ignore - .gitignore-style rules to apply as well (see filesystem/ignore-rules.js)
    */
-  async* discoverFiles(repoPath, excludePatterns = []) {
+  async* discoverFiles(repoPath, excludePatterns = [], { ignore } = {}) {
     const repoAbsPath = path.resolve(repoPath);
     
     const walkDirectory = async function* (currentPath) {
       let entries;
       try {
+        if (ignore) await ignore.loadDirectory(path.relative(repoAbsPath, currentPath).replace(/\\/g, '/'));
         entries = await fs.readdir(currentPath, { withFileTypes: true });
       } catch (error) {
         // Skip directories we can't read
@@ -210,7 +215,7 @@ export class FileWalker {
         const relativePath = path.relative(repoAbsPath, fullPath).replace(/\\/g, '/');
         
         // Check exclusion patterns
-        if (this._shouldExclude(relativePath, excludePatterns)) {
+        if (this._shouldExclude(relativePath, excludePatterns) || ignore?.ignores(relativePath, entry.isDirectory())) {
           continue;
         }
         
@@ -221,7 +226,7 @@ export class FileWalker {
             const stat = await fs.stat(fullPath);
             
             // Skip files that are too large
-            if (stat.size > this.maxFileSize) {
+            if (stat.size > this.maxFileSize || (ignore && !ignore.acceptsSize(stat.size))) {
               continue;
             }
             
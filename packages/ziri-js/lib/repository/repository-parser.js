@@ -27,8 +27,8 @@ export class RepositoryParser {
   /**
    * Discover files in a repository with exclusion pattern support
    */
-  async* discoverFiles(repoPath, excludePatterns = []) {
-    yield* this.fileWalker.discoverFiles(repoPath, excludePatterns);
+  async* discoverFiles(repoPath, excludePatterns = [], options = {}) {
+    yield* this.fileWalker.discoverFiles(repoPath, excludePatterns, options);
   }
 
   /**
@@ -0,0 +1,138 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { resolveHome } from './home.js';
+import { computeRepoId, repoStoreDir } from './repoid.js';
+import { getSources } from './registry.js';
+
+/**
+ * Query scope resolution
+ * Turns --scope values into the repository stores a query should search
+ */
+
+const STORE_SUFFIX = /--[0-9a-f]{6}$/;
+
+/**
+ * Resolve the store for a repository path
+ * @returns {Promise<{store: string, alias: string, path: string, scope: string}>}
+ */
+export async function resolveRepoTarget(repoPath, scope) {
+  const { repoId, alias } = await computeRepoId(repoPath);
+  return { store: repoStoreDir(resolveHome(), alias, repoId), alias, path: repoPath, scope };
+}
+
+/**
+ * List every repository store under <home>/repos
+ * @returns {Promise<Array<{store: string, alias: string, scope: string}>>}
+ */
+export async function listRepoStores(home = resolveHome()) {
+  const reposDir = path.join(home, 'repos');
+  let entries = [];
+  try {
+    entries = await fs.readdir(reposDir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  return entries
+    .filter(entry => entry.isDirectory())
+    .map(entry => ({
+      store: path.join(reposDir, entry.name),
+      alias: entry.name.replace(STORE_SUFFIX, ''),
+      scope: 'all'
+    }))
+    .sort((a, b) => a.store.localeCompare(b.store));
+}
+
+/**
+ * Resolve all indexed stores plus every path registered in sources.yaml.
+ * Registered paths that share a store with an existing entry are only searched once.
+ */
+export async function resolveAllTargets() {
+  const targets = await listRepoStores();
+  const seen = new Map(targets.map(target => [target.store, target]));
+
+  const sources = await getSources();
+  for (const paths of Object.values(sources.sets || {})) {
+    for (const repoPath of paths || []) {
+      try {
+        const target = await resolveRepoTarget(repoPath, 'all');
+        const existing = seen.get(target.store);
+        if (existing) {
+          existing.path ||= repoPath;
+          continue;
+        }
+        seen.set(target.store, target);
+        targets.push(target);
+      } catch (error) {
+        console.warn(`   ⚠️  Could not resolve registered path ${repoPath}: ${error.message}`);
+      }
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Resolve every member of a sources.yaml set
+ * @returns {Promise<Array|null>} targets, or null when the set is missing or empty
+ */
+export async function resolveSetTargets(setName) {
+  const sources = await getSources();
+  const members = sources.sets?.[setName];
+  if (!members || members.length === 0) {
+    return null;
+  }
+
+  const targets = [];
+  const seen = new Set();
+  for (const repoPath of members) {
+    const target = await resolveRepoTarget(repoPath, setName);
+    if (seen.has(target.store)) continue;
+    seen.add(target.store);
+    targets.push(target);
+  }
+  return targets;
+}
+
+/**
+ * Resolve a --scope value (repo, all, set:NAME) into targets plus a description for status output
+ * @returns {Promise<{targets: Array, description: string}>}
+ * @throws {Error} When the scope is unsupported or names a missing set
+ */
+export async function resolveScope(scope = 'repo', cwd = process.cwd()) {
+  if (scope === 'repo') {
+    return { targets: [await resolveRepoTarget(cwd, 'current')], description: 'current repository' };
+  }
+  if (scope === 'all') {
+    return { targets: await resolveAllTargets(), description: 'all repositories' };
+  }
+  if (String(scope).startsWith('set:')) {
+    const setName = scope.slice(4);
+    const targets = await resolveSetTargets(setName);
+    if (!targets) {
+      throw new Error(`Set '${setName}' not found or empty`);
+    }
+    return { targets, description: `set '${setName}'` };
+  }
+  throw new Error(`Unsupported scope: ${scope} (supported: repo, all, set:NAME)`);
+}
+
+/**
+ * Rescale each repository's scores against its own best hit so that results from
+ * large repositories don't crowd out smaller ones. Raw scores are kept as rawScore.
+ */
+export function normalizeRepoScores(results) {
+  const maxByStore = new Map();
+  for (const result of results) {
+    maxByStore.set(result.store, Math.max(maxByStore.get(result.store) || 0, result.score));
+  }
+
+  return results.map(result => {
+    const max = maxByStore.get(result.store);
+    return {
+      ...result,
+      rawScore: result.score,
+      score: max > 0 ? result.score / max : 0
+    };
+  });
+}
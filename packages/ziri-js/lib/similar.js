@@ -0,0 +1,288 @@
+/**
+ * Similar Code Command
+ * Finds the indexed chunks closest to a block of code given by location
+ * (`src/foo.js:40-80`). The stored vector is reused when the range is exactly an
+ * indexed chunk; any other range is read from the checkout and embedded.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { readIndex, loadChunk, loadVector } from './store_repo.js';
+import { EnhancedStorage } from './storage/enhanced-storage.js';
+import { VectorIndex, searchVectors } from './storage/vector-index.js';
+import { resolveStoreEmbedder, storeDimensions, assertDimensions } from './store-embedder.js';
+import { TopK } from './similarity.js';
+import { resolveRepoTarget, resolveScope } from './scope.js';
+import { mergeAdjacentHits } from './ranking/diversity.js';
+import { createEnhancedQueryResult } from './query.js';
+import { groupLocations, atLocation } from './chunk-locations.js';
+import { OUTPUT_FORMATS, resolveOutputFormat, isMachineFormat, formatResults, writeOutput, readToolVersion } from './output-formats.js';
+
+export const DEFAULT_SIMILAR_K = 8;
+
+// Extra candidates per repository so dropping the source span and merging overlaps still leaves k
+const CANDIDATE_FACTOR = 3;
+
+/**
+ * Parse a `path:start-end` (or `path:line`) location
+ * @param {string} spec - Location as typed on the command line
+ * @returns {{file: string, start: number, end: number}}
+ * @throws {Error} When the location has no usable line range
+ */
+export function parseLocation(spec) {
+  const match = /^(.+?):(\d+)(?:-(\d+))?$/.exec(String(spec || '').trim());
+  if (!match) {
+    throw new Error(`Expected a location like src/foo.js:40-80 (got '${spec ?? ''}')`);
+  }
+  const start = parseInt(match[2], 10);
+  const end = match[3] !== undefined ? parseInt(match[3], 10) : start;
+  if (start < 1 || end < start) {
+    throw new Error(`Invalid line range ${match[2]}-${match[3] ?? match[2]} in '${spec}'`);
+  }
+  return { file: match[1], start, end };
+}
+
+/**
+ * Read the source block from the checkout
+ * @param {string} repoPath - Repository root the index paths are relative to
+ * @param {{file: string, start: number, end: number}} location - Parsed location
+ * @returns {Promise<{file: string, start: number, end: number, text: string}>} Source with a repo-relative file
+ */
+export async function readSourceBlock(repoPath, location) {
+  const absolute = path.resolve(repoPath, location.file);
+  const file = path.relative(repoPath, absolute).split(path.sep).join('/');
+  const lines = (await fs.readFile(absolute, 'utf-8')).split('\n');
+  if (location.start > lines.length) {
+    throw new Error(`${file} has ${lines.length} lines; range ${location.start}-${location.end} is past the end`);
+  }
+  const end = Math.min(location.end, lines.length);
+  const text = lines.slice(location.start - 1, end).join('\n');
+  if (!text.trim()) {
+    throw new Error(`${file}:${location.start}-${end} is empty`);
+  }
+  return { file, start: location.start, end, text };
+}
+
+/**
+ * Find the vector for a source block: the stored one when the block is exactly an
+ * indexed chunk whose content still matches the checkout, otherwise a fresh embedding
+ * @param {string} store - Store directory of the source repository
+ * @param {Array} index - index.json rows of that store
+ * @param {Object} source - Block from readSourceBlock
+ * @param {Function} getEmbedder - Returns the embedder, only called when needed
+ * @returns {Promise<{vector: Array<number>, reused: boolean, chunkId: string|null}>}
+ */
+export async function resolveSourceVector(store, index, source, getEmbedder) {
+  for (const row of index) {
+    if (row.relPath !== source.file) continue;
+    // The row holds the span; stored chunks keep the first location their content had
+    const chunk = await loadChunk(store, row.id);
+    if (!chunk || (row.startLine ?? chunk.startLine) !== source.start || (row.endLine ?? chunk.endLine) !== source.end || chunk.content !== source.text) continue;
+    try {
+      return { vector: Array.from(await loadVector(store, row.id)), reused: true, chunkId: row.id };
+    } catch {
+      // Vector file missing; embed below
+    }
+  }
+
+  const [vector] = await getEmbedder().embedBatch([source.text]);
+  return { vector, reused: false, chunkId: null };
+}
+
+/**
+ * Nearest neighbours of a vector across repositories, excluding the source span
+ * @param {Array<number>} vector - Source vector
+ * @param {Object} options - targets, source ({store, file, start, end}), k, otherFiles, otherRepos
+ * @returns {Promise<Array>} Enriched results, best first
+ */
+export async function findSimilarChunks(vector, { targets, source, k = DEFAULT_SIMILAR_K, otherFiles = false, otherRepos = false }) {
+  const candidates = [];
+  const depth = k * CANDIDATE_FACTOR;
+
+  for (const target of targets) {
+    const sameRepo = target.store === source.store;
+    if (otherRepos && sameRepo) continue;
+
+    let index;
+    try {
+      index = await readIndex(target.store);
+    } catch {
+      continue;
+    }
+    if (index.length === 0) continue;
+
+    // Vectors from another model can't be compared with the source vector
+    const dimensions = await storeDimensions(target.store, index);
+    if (dimensions && dimensions !== vector.length) {
+      console.warn(`   ⚠️  Skipping ${target.alias}: indexed with ${dimensions}-dimension vectors, the source has ${vector.length}`);
+      continue;
+    }
+
+    // With --other-files the source file is left out before ranking
+    const allow = otherFiles && sameRepo
+      ? new Set(index.filter(row => row.relPath !== source.file).map(row => row.id))
+      : null;
+
+    try {
+      const vectorIndex = await VectorIndex.load(target.store);
+      // The source chunk itself is always the top hit, so ask for one more
+      const { scores } = await searchVectors(target.store, index, vector, { k: depth + 1, allow, index: vectorIndex });
+      const locations = groupLocations(index);
+      const top = new TopK(depth + 1);
+      for (const [id, score] of scores) {
+        if (locations.has(id)) top.push({ id, score });
+      }
+      // Every copy of a matching chunk is a match of its own
+      for (const hit of top.values()) {
+        for (const location of locations.get(hit.id)) {
+          if (allow && location.relPath === source.file) continue;
+          candidates.push({ ...hit, relPath: location.relPath, location, store: target.store, repo: target.alias, repoPath: target.path, scope: target.scope });
+        }
+      }
+    } catch (error) {
+      console.warn(`   ⚠️  Could not search ${target.alias}: ${error.message}`);
+    }
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+
+  const enhancedStorage = new EnhancedStorage();
+  const results = [];
+  for (const candidate of candidates) {
+    const chunkData = atLocation(await enhancedStorage.loadEnhancedChunk(candidate.store, candidate.id), candidate.location);
+    if (!chunkData) continue;
+    if (candidate.store === source.store && overlapsSource(chunkData, source)) continue;
+    const result = createEnhancedQueryResult(chunkData, candidate.score, candidate.repo, '');
+    result.scope = candidate.scope;
+    result.repoPath = candidate.repoPath;
+    results.push(result);
+  }
+
+  // Neighbouring chunks of one match become a single span
+  return mergeAdjacentHits(results).slice(0, k);
+}
+
+/**
+ * Find code similar to a block. Shared by the CLI, the REPL and the LSP server,
+ * which passes the editor's (possibly unsaved) text as the block.
+ * @param {Object} source - { file (repo-relative), start, end, text }
+ * @param {Object} options - repoPath, scope (default repo, or all with otherRepos), k, otherFiles, otherRepos,
+ *   config, and log for status lines (the LSP server can't write to stdout)
+ * @returns {Promise<{results: Array, reused: boolean}>}
+ * @throws {Error} When the scope is invalid or the block can't be embedded
+ */
+export async function findSimilar(source, { repoPath = process.cwd(), scope, k = DEFAULT_SIMILAR_K, otherFiles = false, otherRepos = false, config = {}, log = console.log } = {}) {
+  // Other repositories only exist outside the current one, so default to all of them
+  const resolvedScope = await resolveScope(scope || (otherRepos ? 'all' : 'repo'), repoPath);
+
+  const sourceTarget = await resolveRepoTarget(repoPath, 'current');
+  let sourceIndex = [];
+  try {
+    sourceIndex = await readIndex(sourceTarget.store);
+  } catch {
+    // Not indexed: the block is embedded and compared against the other targets
+  }
+
+  // Only ranges that aren't an indexed chunk need the embedding provider, and then
+  // the one the repository was indexed with
+  const { embedder, info } = await resolveStoreEmbedder(sourceTarget.store, config);
+  let resolved;
+  try {
+    resolved = await resolveSourceVector(sourceTarget.store, sourceIndex, source, () => embedder);
+  } catch (error) {
+    throw new Error(`Could not embed ${source.file}:${source.start}-${source.end}: ${error.message}`);
+  }
+  assertDimensions(info, resolved.vector, { label: sourceTarget.alias, embedder });
+
+  log(`🔁 Finding code similar to ${source.file}:${source.start}-${source.end}`);
+  log(`📁 Scope: ${resolvedScope.description}${otherFiles ? ', other files only' : ''}${otherRepos ? ', other repositories only' : ''}`);
+  log(resolved.reused ? '♻️  Reusing the indexed vector for this chunk' : `🤖 Embedded the selected lines with ${embedder.id} (${embedder.model})`);
+
+  const results = await findSimilarChunks(resolved.vector, {
+    targets: resolvedScope.targets,
+    source: { store: sourceTarget.store, file: source.file, start: source.start, end: source.end },
+    k,
+    otherFiles,
+    otherRepos
+  });
+  return { results, reused: resolved.reused };
+}
+
+/**
+ * ziri similar src/foo.js:40-80 [--k 8] [--scope repo|all|set:NAME] [--other-files] [--other-repos] [--format]
+ */
+export async function similarCommand({ argv, configManager }) {
+  let location;
+  try {
+    location = parseLocation(argv._[1]);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('Usage: ziri similar <path>:<start>-<end> [--k 8] [--other-files] [--other-repos]');
+    return;
+  }
+
+  const format = resolveOutputFormat(argv);
+  if (!format) {
+    console.error(`❌ Unsupported format: ${argv.format}`);
+    console.error(`Supported formats: ${OUTPUT_FORMATS.join(', ')}`);
+    return;
+  }
+  const k = parseInt(argv.k || String(DEFAULT_SIMILAR_K), 10);
+  const otherRepos = argv['other-repos'] === true;
+
+  const repoPath = process.cwd();
+  let source;
+  try {
+    source = await readSourceBlock(repoPath, location);
+  } catch (error) {
+    console.error(`❌ Could not read ${location.file}: ${error.message}`);
+    return;
+  }
+
+  let found;
+  try {
+    found = await findSimilar(source, {
+      repoPath,
+      scope: argv.scope,
+      k,
+      otherFiles: argv['other-files'] === true,
+      otherRepos,
+      config: await configManager?.getConfig() || {}
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return;
+  }
+  const { results } = found;
+
+  const spec = `${source.file}:${source.start}-${source.end}`;
+  if (isMachineFormat(format)) {
+    writeOutput(formatResults(results, format, { query: spec, cwd: repoPath, toolVersion: await readToolVersion() }));
+    return results;
+  }
+
+  displaySimilarResults(results);
+  return results;
+}
+
+function displaySimilarResults(results) {
+  if (results.length === 0) {
+    console.log('\n📭 No similar code found');
+    console.log(`   💡 Make sure the repository has been indexed first: ziri index`);
+    return;
+  }
+
+  console.log('');
+  results.forEach((result, i) => {
+    const symbol = result.functionName || result.className;
+    console.log(`${i + 1}. 📊 ${result.score}  ${result.repo ? `${result.repo}/` : ''}${result.file}:${result.lines}${symbol ? `  (${symbol})` : ''}`);
+    const preview = String(result.context || '').split('\n').filter(line => line.trim()).slice(0, 3);
+    for (const line of preview) {
+      console.log(`   │ ${line.length > 100 ? `${line.slice(0, 97)}...` : line}`);
+    }
+  });
+}
+
+function overlapsSource(chunkData, source) {
+  return chunkData.relativePath === source.file && chunkData.startLine <= source.end && chunkData.endLine >= source.start;
+}
@@ -0,0 +1,396 @@
+/**
+ * Persistent approximate-nearest-neighbour index
+ * Packs every chunk vector of a repository into one file and groups them into
+ * k-means clusters (IVF) so queries only score the clusters closest to the query.
+ * Small repositories skip clustering and are searched exactly over the packed vectors.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { cosineSim, TopK } from '../similarity.js';
+import { loadVector } from '../store_repo.js';
+
+const VERSION = 1;
+const TRAIN_SAMPLES_PER_LIST = 16;
+const TRAIN_ITERATIONS = 8;
+
+export const DEFAULT_ANN_OPTIONS = {
+  enabled: true,
+  minVectors: 5000,
+  nprobe: null
+};
+
+export function vectorIndexDir(repoDir) {
+  return path.join(repoDir, 'db', 'ann');
+}
+
+export class VectorIndex {
+  constructor(dims = 0) {
+    this.dims = dims;
+    this.ids = [];
+    this.rows = new Map();
+    this.vectors = new Float32Array(0);
+    this.assignments = new Int32Array(0);
+    this.centroids = null;
+    this.nlist = 0;
+    this.trainedSize = 0;
+  }
+
+  get size() {
+    return this.ids.length;
+  }
+
+  has(id) {
+    return this.rows.has(id);
+  }
+
+  /**
+   * Load the index for a repository store (empty if missing or unreadable)
+   */
+  static async load(repoDir) {
+    const dir = vectorIndexDir(repoDir);
+    const index = new VectorIndex();
+
+    let meta;
+    try {
+      meta = JSON.parse(await fs.readFile(path.join(dir, 'meta.json'), 'utf-8'));
+    } catch {
+      return index;
+    }
+    if (meta.version !== VERSION) {
+      return index;
+    }
+
+    // A size mismatch means an interrupted write - treat it as missing
+    const vectors = await readFloats(path.join(dir, 'vectors.bin'));
+    if (!vectors || vectors.length !== meta.ids.length * meta.dims) {
+      return index;
+    }
+
+    index.dims = meta.dims;
+    index.ids = meta.ids;
+    index.vectors = vectors;
+    index.assignments = Int32Array.from(meta.assignments);
+    meta.ids.forEach((id, row) => index.rows.set(id, row));
+
+    if (meta.nlist > 0) {
+      const centroids = await readFloats(path.join(dir, 'centroids.bin'));
+      if (centroids && centroids.length === meta.nlist * meta.dims) {
+        index.centroids = centroids;
+        index.nlist = meta.nlist;
+        index.trainedSize = meta.trainedSize || 0;
+      } else {
+        index.assignments.fill(0);
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Persist the index. meta.json is written last so readers never pair it with stale vectors.
+   */
+  async save(repoDir) {
+    const dir = vectorIndexDir(repoDir);
+    await fs.mkdir(dir, { recursive: true });
+
+    const used = this.vectors.subarray(0, this.size * this.dims);
+    await writeAtomic(path.join(dir, 'vectors.bin'), Buffer.from(used.buffer, used.byteOffset, used.byteLength));
+    if (this.nlist > 0) {
+      await writeAtomic(path.join(dir, 'centroids.bin'), Buffer.from(this.centroids.buffer, this.centroids.byteOffset, this.centroids.byteLength));
+    }
+
+    const meta = {
+      version: VERSION,
+      dims: this.dims,
+      nlist: this.nlist,
+      trainedSize: this.trainedSize,
+      ids: this.ids,
+      assignments: Array.from(this.assignments.subarray(0, this.size))
+    };
+    await writeAtomic(path.join(dir, 'meta.json'), JSON.stringify(meta));
+  }
+
+  /**
+   * Drop every vector, e.g. after the embedding model changed dimensions
+   */
+  reset(dims = 0) {
+    this.dims = dims;
+    this.ids = [];
+    this.rows.clear();
+    this.vectors = new Float32Array(0);
+    this.assignments = new Int32Array(0);
+    this.centroids = null;
+    this.nlist = 0;
+    this.trainedSize = 0;
+  }
+
+  /**
+   * Add or replace a vector
+   */
+  upsert(id, vector) {
+    if (!this.dims) {
+      this.dims = vector.length;
+    }
+    if (vector.length !== this.dims) {
+      throw new Error(`Vector for ${id} has ${vector.length} dimensions, index expects ${this.dims}`);
+    }
+
+    let row = this.rows.get(id);
+    if (row === undefined) {
+      row = this.ids.length;
+      this.ensureCapacity(row + 1);
+      this.ids.push(id);
+      this.rows.set(id, row);
+    }
+
+    normalizeInto(this.vectors, row * this.dims, vector);
+    this.assignments[row] = this.nlist > 0 ? this.nearestCentroid(this.vectors, row * this.dims) : 0;
+  }
+
+  /**
+   * Remove a vector by moving the last row into its slot
+   * @returns {boolean} true if the id was present
+   */
+  remove(id) {
+    const row = this.rows.get(id);
+    if (row === undefined) return false;
+
+    const last = this.ids.length - 1;
+    if (row !== last) {
+      const lastId = this.ids[last];
+      this.vectors.copyWithin(row * this.dims, last * this.dims, (last + 1) * this.dims);
+      this.assignments[row] = this.assignments[last];
+      this.ids[row] = lastId;
+      this.rows.set(lastId, row);
+    }
+    this.ids.pop();
+    this.rows.delete(id);
+    return true;
+  }
+
+  /**
+   * Whether clustering is missing or out of date for the current size
+   */
+  needsTraining(minVectors = DEFAULT_ANN_OPTIONS.minVectors) {
+    if (this.size < minVectors) return false;
+    return this.nlist === 0 || this.size > this.trainedSize * 2 || this.size < this.trainedSize / 2;
+  }
+
+  /**
+   * Retrain the clusters when needed
+   * @returns {boolean} true if the index was retrained
+   */
+  optimize({ minVectors = DEFAULT_ANN_OPTIONS.minVectors } = {}) {
+    if (!this.needsTraining(minVectors)) return false;
+    this.train();
+    return true;
+  }
+
+  /**
+   * Cluster the vectors with spherical k-means (sqrt(n)/2 lists, trained on a sample)
+   */
+  train() {
+    const n = this.size;
+    const dims = this.dims;
+    const nlist = Math.max(1, Math.min(1024, Math.round(Math.sqrt(n) / 2)));
+    if (n === 0 || nlist === 1) {
+      this.centroids = null;
+      this.nlist = 0;
+      this.trainedSize = n;
+      this.assignments.fill(0);
+      return;
+    }
+
+    // Evenly spaced sample keeps training deterministic
+    const sampleSize = Math.min(n, nlist * TRAIN_SAMPLES_PER_LIST);
+    const step = n / sampleSize;
+    const sample = new Int32Array(sampleSize);
+    for (let i = 0; i < sampleSize; i++) sample[i] = Math.floor(i * step);
+
+    const centroids = new Float32Array(nlist * dims);
+    for (let c = 0; c < nlist; c++) {
+      const row = sample[Math.floor(c * sampleSize / nlist)];
+      centroids.set(this.vectors.subarray(row * dims, (row + 1) * dims), c * dims);
+    }
+    this.centroids = centroids;
+    this.nlist = nlist;
+
+    const sampleAssignments = new Int32Array(sampleSize);
+    for (let iteration = 0; iteration < TRAIN_ITERATIONS; iteration++) {
+      for (let i = 0; i < sampleSize; i++) {
+        sampleAssignments[i] = this.nearestCentroid(this.vectors, sample[i] * dims);
+      }
+
+      const sums = new Float32Array(nlist * dims);
+      const counts = new Int32Array(nlist);
+      for (let i = 0; i < sampleSize; i++) {
+        const c = sampleAssignments[i];
+        const offset = sample[i] * dims;
+        counts[c]++;
+        for (let d = 0; d < dims; d++) sums[c * dims + d] += this.vectors[offset + d];
+      }
+      for (let c = 0; c < nlist; c++) {
+        // Empty clusters keep their previous centroid
+        if (counts[c] === 0) continue;
+        normalizeInto(centroids, c * dims, sums.subarray(c * dims, (c + 1) * dims));
+      }
+    }
+
+    for (let row = 0; row < n; row++) {
+      this.assignments[row] = this.nearestCentroid(this.vectors, row * dims);
+    }
+    this.trainedSize = n;
+  }
+
+  /**
+   * Find the k most similar vectors, optionally only among ids accepted by filter
+   * @returns {Array<{id: string, score: number}>} sorted by descending cosine similarity
+   */
+  search(query, k, { nprobe, filter } = {}) {
+    if (this.size === 0) return [];
+    if (query.length !== this.dims) {
+      throw new Error(`Query has ${query.length} dimensions, index expects ${this.dims}`);
+    }
+
+    const q = new Float32Array(this.dims);
+    normalizeInto(q, 0, query);
+
+    // Only scan the clusters whose centroids are closest to the query.
+    // Filtered searches scan every cluster so matches outside the nearest ones aren't lost.
+    let probe = null;
+    const lists = Math.min(this.nlist, nprobe || defaultProbes(this.nlist));
+    if (this.nlist > 1 && lists < this.nlist && !filter) {
+      const ranked = new TopK(lists);
+      for (let c = 0; c < this.nlist; c++) {
+        ranked.push({ list: c, score: dot(q, this.centroids, c * this.dims) });
+      }
+      probe = new Uint8Array(this.nlist);
+      for (const { list } of ranked.values()) probe[list] = 1;
+    }
+
+    const top = new TopK(k);
+    for (let row = 0; row < this.size; row++) {
+      if (probe && !probe[this.assignments[row]]) continue;
+      if (filter && !filter(this.ids[row])) continue;
+      top.push({ id: this.ids[row], score: dot(q, this.vectors, row * this.dims) });
+    }
+    return top.values();
+  }
+
+  /**
+   * Exact similarity for specific ids (ids not in the index are skipped)
+   */
+  scoreIds(query, ids) {
+    const q = new Float32Array(this.dims);
+    normalizeInto(q, 0, query);
+    const scores = new Map();
+    for (const id of ids) {
+      const row = this.rows.get(id);
+      if (row !== undefined) scores.set(id, dot(q, this.vectors, row * this.dims));
+    }
+    return scores;
+  }
+
+  nearestCentroid(vectors, offset) {
+    let best = 0;
+    let bestScore = -Infinity;
+    for (let c = 0; c < this.nlist; c++) {
+      let score = 0;
+      const base = c * this.dims;
+      for (let d = 0; d < this.dims; d++) score += vectors[offset + d] * this.centroids[base + d];
+      if (score > bestScore) {
+        bestScore = score;
+        best = c;
+      }
+    }
+    return best;
+  }
+
+  ensureCapacity(rows) {
+    if (this.vectors.length >= rows * this.dims && this.assignments.length >= rows) return;
+    const capacity = Math.max(rows, this.assignments.length * 2, 64);
+    const vectors = new Float32Array(capacity * this.dims);
+    vectors.set(this.vectors.subarray(0, this.size * this.dims));
+    const assignments = new Int32Array(capacity);
+    assignments.set(this.assignments.subarray(0, this.size));
+    this.vectors = vectors;
+    this.assignments = assignments;
+  }
+}
+
+/**
+ * Score a repository's chunks against a query vector.
+ * Uses the persisted index when it covers every row of index.json; otherwise falls back
+ * to an exact scan over the per-chunk vector files.
+ *
+ * @param {string} repoDir - Repository store directory
+ * @param {Array} indexRows - Rows from index.json
+ * @param {Array<number>} query - Query vector
+ * @param {Object} options - k, extra ids to score exactly (include), nprobe,
+ *   allow (Set of ids to restrict the search to, null for all) and index (an already
+ *   loaded VectorIndex, when searching one repository with several query vectors)
+ * @returns {Promise<{scores: Map<string, number>, method: string}>} method is 'ann', 'exact' or 'scan'
+ */
+export async function searchVectors(repoDir, indexRows, query, { k, include = [], nprobe, enabled = true, allow = null, index: loaded = null } = {}) {
+  if (enabled) {
+    const index = loaded || await VectorIndex.load(repoDir);
+    const covered = index.size > 0 && index.dims === query.length && indexRows.every(row => index.has(row.id));
+    if (covered) {
+      const scores = new Map();
+      const filter = allow ? id => allow.has(id) : undefined;
+      for (const hit of index.search(query, k, { nprobe, filter })) {
+        scores.set(hit.id, hit.score);
+      }
+      const missing = include.filter(id => !scores.has(id));
+      for (const [id, score] of index.scoreIds(query, missing)) {
+        scores.set(id, score);
+      }
+      return { scores, method: index.nlist > 1 && !allow ? 'ann' : 'exact' };
+    }
+  }
+
+  const scores = new Map();
+  for (const row of indexRows) {
+    // Chunks stored once are read once, however many locations share them
+    if (scores.has(row.id) || (allow && !allow.has(row.id))) continue;
+    try {
+      scores.set(row.id, cosineSim(query, await loadVector(repoDir, row.id)));
+    } catch (error) {
+      console.warn(`   ⚠️  Could not load vector ${row.id}: ${error.message}`);
+    }
+  }
+  return { scores, method: 'scan' };
+}
+
+function defaultProbes(nlist) {
+  return Math.max(4, Math.ceil(nlist / 10));
+}
+
+function dot(q, vectors, offset) {
+  let sum = 0;
+  for (let d = 0; d < q.length; d++) sum += q[d] * vectors[offset + d];
+  return sum;
+}
+
+function normalizeInto(target, offset, vector) {
+  let norm = 0;
+  for (let d = 0; d < vector.length; d++) norm += vector[d] * vector[d];
+  norm = Math.sqrt(norm) || 1;
+  for (let d = 0; d < vector.length; d++) target[offset + d] = vector[d] / norm;
+}
+
+async function readFloats(file) {
+  try {
+    const buf = await fs.readFile(file);
+    return new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+  } catch {
+    return null;
+  }
+}
+
+async function writeAtomic(file, data) {
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, data);
+  await fs.rename(tmp, file);
+}
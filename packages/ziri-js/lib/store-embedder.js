@@ -0,0 +1,168 @@
+/**
+ * Embedding model bookkeeping for repository stores
+ * `ziri index` records which provider, model and vector size built a store in
+ * embedding.json. Everything that embeds text to compare against a store (query,
+ * chat, context, similar, LSP, watch) resolves the same embedder from that record
+ * instead of the current configuration, and refuses to compare vectors of
+ * different sizes.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { makeEmbedder } from './embedder.js';
+import { readIndex, loadVector } from './store_repo.js';
+import { ZiriError } from './error/error-handler.js';
+
+/**
+ * Resolve the embedding record path for a repository store
+ * @param {string} repoDir - Repository store directory
+ * @returns {string} Path to embedding.json
+ */
+export function embeddingInfoPath(repoDir) {
+  return path.join(repoDir, 'embedding.json');
+}
+
+/**
+ * Raised when query vectors and stored vectors come from different models
+ */
+export class EmbeddingMismatchError extends ZiriError {
+  constructor(message, details = {}) {
+    super(message, 'EMBEDDING_MISMATCH', details);
+    this.name = 'EmbeddingMismatchError';
+  }
+}
+
+/**
+ * Read the embedding record of a store
+ * @param {string} repoDir - Repository store directory
+ * @returns {Promise<{provider: string, model: string, dimensions: number}|null>} Null for stores indexed before it was recorded
+ */
+export async function readEmbeddingInfo(repoDir) {
+  try {
+    const info = JSON.parse(await fs.readFile(embeddingInfoPath(repoDir), 'utf-8'));
+    return info?.provider && info?.model ? info : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Record the embedder that built a store
+ * @param {string} repoDir - Repository store directory
+ * @param {Object} embedder - Embedder from makeEmbedder
+ * @param {number} dimensions - Length of its vectors
+ */
+export async function writeEmbeddingInfo(repoDir, embedder, dimensions) {
+  const info = { provider: embedder.id, model: embedder.model, dimensions, recordedAt: new Date().toISOString() };
+  await fs.writeFile(embeddingInfoPath(repoDir), JSON.stringify(info, null, 2), 'utf-8');
+  return info;
+}
+
+/**
+ * Whether an embedder is the one a record describes
+ */
+export function isSameEmbedder(info, embedder) {
+  return info.provider === embedder.id && info.model === embedder.model;
+}
+
+/**
+ * `ollama/nomic-embed-text (768 dims)`
+ */
+export function describeEmbedding(info) {
+  const name = info.provider ? `${info.provider}/${info.model}` : 'an unrecorded model';
+  return info.dimensions ? `${name} (${info.dimensions} dims)` : name;
+}
+
+/**
+ * Vector size of a store that has no embedding record, read from its first stored vector
+ * @param {string} repoDir - Repository store directory
+ * @param {Array} [index] - index.json rows, read when not given
+ * @returns {Promise<number|null>} Null for empty stores
+ */
+export async function inferDimensions(repoDir, index) {
+  const rows = index || await readIndex(repoDir);
+  for (const row of rows.slice(0, 3)) {
+    try {
+      const vector = await loadVector(repoDir, row.id);
+      if (vector.length > 0) return vector.length;
+    } catch {
+      // Missing vector file; try the next row
+    }
+  }
+  return null;
+}
+
+/**
+ * Vector size of a store, from its record or its stored vectors
+ * @param {string} repoDir - Repository store directory
+ * @param {Array} [index] - index.json rows, read when needed and not given
+ * @returns {Promise<number|null>}
+ */
+export async function storeDimensions(repoDir, index) {
+  const info = await readEmbeddingInfo(repoDir);
+  return info?.dimensions || inferDimensions(repoDir, index);
+}
+
+/**
+ * Throw unless a vector has the size a store was built with
+ * @param {Object} info - { provider?, model?, dimensions } of the store
+ * @param {Array<number>} vector - Vector about to be compared against it
+ * @param {Object} context - label (repository alias) and the embedder that produced the vector
+ * @throws {EmbeddingMismatchError}
+ */
+export function assertDimensions(info, vector, { label = 'repository', embedder } = {}) {
+  if (!info?.dimensions || !vector || vector.length === info.dimensions) return;
+  const produced = embedder ? `${embedder.id}/${embedder.model} (${vector.length} dims)` : `${vector.length}-dimension vectors`;
+  throw new EmbeddingMismatchError(
+    `${label} was indexed with ${describeEmbedding(info)}, not ${produced}. ` +
+    `Re-index it with 'ziri index --force' to switch models.`,
+    { expected: info.dimensions, actual: vector.length }
+  );
+}
+
+/**
+ * The embedder a store was built with, or the configured one for stores without a record
+ * @param {string} repoDir - Repository store directory
+ * @param {Object} config - Ziri configuration (defaultProvider, providers)
+ * @returns {Promise<{embedder: Object, info: Object, recorded: boolean}>} info always carries dimensions when known
+ */
+export async function resolveStoreEmbedder(repoDir, config = {}) {
+  const info = await readEmbeddingInfo(repoDir);
+  if (info) {
+    return { embedder: makeEmbedder(info.provider, config, { model: info.model }), info, recorded: true };
+  }
+  const embedder = makeEmbedder(config.defaultProvider || 'ollama', config);
+  return { embedder, info: { dimensions: await inferDimensions(repoDir) }, recorded: false };
+}
+
+/**
+ * Embeds query text for many stores, once per distinct model
+ * @param {Object} config - Ziri configuration
+ * @returns {{embed: Function, embedderFor: Function}}
+ */
+export function createStoreEmbedders(config = {}) {
+  const resolved = new Map(); // store -> resolveStoreEmbedder result
+  const vectors = new Map();  // provider/model -> Promise of vectors for the texts
+
+  const embedderFor = async (repoDir) => {
+    if (!resolved.has(repoDir)) resolved.set(repoDir, await resolveStoreEmbedder(repoDir, config));
+    return resolved.get(repoDir);
+  };
+
+  /**
+   * Embed texts with the model of a store and check them against its vector size
+   * @param {string} repoDir - Repository store directory
+   * @param {Array<string>} texts - Texts to embed (the same texts for every store)
+   * @param {string} label - Repository name for error messages
+   */
+  const embed = async (repoDir, texts, label) => {
+    const { embedder, info } = await embedderFor(repoDir);
+    const key = `${embedder.id}/${embedder.model}`;
+    if (!vectors.has(key)) vectors.set(key, embedder.embedBatch(texts));
+    const embedded = await vectors.get(key);
+    assertDimensions(info, embedded[0], { label, embedder });
+    return embedded;
+  };
+
+  return { embed, embedderFor };
+}
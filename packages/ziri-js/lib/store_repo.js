@@ -89,12 +89,21 @@ export async function writeIndex(repoDir, index) {
     const encryptedData = encryptionService.encryptToJson(index);
     await fs.writeFile(indexPath + '.enc', encryptedData, 'utf-8');
     // Also write unencrypted version for compatibility
-    await fs.writeFile(indexPath, JSON.stringify(index, null, 2), 'utf-8');
+    await writeFileAtomic(indexPath, JSON.stringify(index, null, 2));
   } else {
-    await fs.writeFile(indexPath, JSON.stringify(index, null, 2), 'utf-8');
+    await writeFileAtomic(indexPath, JSON.stringify(index, null, 2));
   }
 }
 
+/**
+ * Replace a file so an interrupted write leaves the previous version in place
+ */
+async function writeFileAtomic(file, data) {
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, data, 'utf-8');
+  await fs.rename(tmp, file);
+}
+
 /**
  * Enhanced saveChunk - stores both vector and content metadata using EnhancedStorage
  */
@@ -6,11 +6,18 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { IgnoreMatcher } from '../filesystem/ignore-rules.js';
 
 export class ProjectSummarizer {
-  constructor(indexStore, repositoryParser) {
+  /**
+   * @param {Object} indexStore - Store with the repository metadata
+   * @param {Object} repositoryParser - Parser whose discoverFiles walks the repository
+   * @param {Object} options - config, whose exclusions apply with the repository's ignore files
+   */
+  constructor(indexStore, repositoryParser, { config = {} } = {}) {
     this.indexStore = indexStore;
     this.repositoryParser = repositoryParser;
+    this.config = config;
     this.summarizerVersion = '1.0.0';
   }
 
@@ -117,8 +124,9 @@ export class ProjectSummarizer {
       documentationFiles: []
     };
 
-    // Walk through repository files
-    for await (const fileInfo of this.repositoryParser.discoverFiles(repoPath, [])) {
+    // Walk through repository files, skipping what indexing skips
+    const ignore = await IgnoreMatcher.create(repoPath, { config: this.config });
+    for await (const fileInfo of this.repositoryParser.discoverFiles(repoPath, [], { ignore })) {
       const fileAnalysis = await this.analyzeFile(fileInfo);
       analysis.files.push(fileAnalysis);
       
@@ -0,0 +1,100 @@
+/**
+ * Symbol Lookup Command
+ * Finds functions, classes and methods by name in the symbol table built at index
+ * time. Nothing is embedded, so it keeps working when the embedding provider is down.
+ */
+
+import { SymbolTable, SYMBOL_KINDS } from './metadata/symbol-table.js';
+import { resolveScope } from './scope.js';
+import { writeOutput } from './output-formats.js';
+
+const DEFAULT_SYMBOL_LIMIT = 20;
+
+const KIND_ICONS = {
+  function: '🔧',
+  class: '🏗️ ',
+  method: '🔹'
+};
+
+/**
+ * ziri symbols <name> [--kind function|class|method] [--scope repo|all|set:NAME] [--limit N] [--json]
+ */
+export async function symbolsCommand({ argv }) {
+  const name = argv._[1];
+  if (!name) {
+    console.error('❌ Symbol name required. Usage: ziri symbols <name> [--kind function|class|method] [--json]');
+    return;
+  }
+
+  const kind = argv.kind ? String(argv.kind).toLowerCase() : null;
+  if (kind && !SYMBOL_KINDS.includes(kind)) {
+    console.error(`❌ Unsupported kind: ${argv.kind}`);
+    console.error(`Supported kinds: ${SYMBOL_KINDS.join(', ')}`);
+    return;
+  }
+  const limit = argv.limit !== undefined ? parseInt(argv.limit, 10) : DEFAULT_SYMBOL_LIMIT;
+  if (!(limit > 0)) {
+    console.error(`❌ --limit must be a positive number (got ${argv.limit})`);
+    return;
+  }
+  const json = argv.json === true || argv.format === 'json';
+
+  let scope;
+  try {
+    scope = await resolveScope(argv.scope);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return;
+  }
+
+  console.log(`🏷️  Looking up "${name}" in ${scope.description}${kind ? ` (${kind})` : ''}`);
+
+  const matches = [];
+  const unindexed = [];
+  for (const target of scope.targets) {
+    const table = await SymbolTable.load(target.store);
+    if (!table) {
+      unindexed.push(target.alias);
+      continue;
+    }
+    for (const match of table.search(name, { kind, limit })) {
+      matches.push({ ...match, repo: target.alias });
+    }
+  }
+
+  if (unindexed.length > 0) {
+    console.warn(`⚠️  No symbol table for ${unindexed.join(', ')} - run 'ziri index' to build one`);
+  }
+
+  const results = matches
+    .sort((a, b) => matchRank(a) - matchRank(b))
+    .slice(0, limit)
+    .map(({ name, kind, signature, file, line, language, repo, match }) => ({ name, kind, signature, file, line, language, repo, match }));
+
+  if (json) {
+    writeOutput(`${JSON.stringify(results, null, 2)}\n`);
+    return results;
+  }
+
+  if (results.length === 0) {
+    console.log(`\n📭 No symbols matching "${name}"`);
+    return results;
+  }
+
+  console.log('');
+  const width = Math.max(...results.map(result => result.signature.length));
+  for (const result of results) {
+    const location = `${result.file}:${result.line}`;
+    const repo = scope.targets.length > 1 ? `  [${result.repo}]` : '';
+    const match = result.match === 'exact' ? '' : `  (${result.match})`;
+    console.log(`${KIND_ICONS[result.kind] || '•'} ${result.kind.padEnd(8)}  ${result.signature.padEnd(width)}  ${location}${repo}${match}`);
+  }
+  console.log(`\n🧩 ${results.length} ${results.length === 1 ? 'symbol' : 'symbols'}`);
+  return results;
+}
+
+// Keep the per-store ordering (match tier, then closeness) when merging stores
+function matchRank(result) {
+  const tiers = { exact: 0, prefix: 1, substring: 2, fuzzy: 3 };
+  return tiers[result.match] * 1000 + Math.min(result.distance, 999);
+}
@@ -0,0 +1,287 @@
+/**
+ * Syntax-aware chunking
+ * Cuts files at the declaration boundaries ASTCodeAnalyzer's parsers report instead of
+ * every few thousand characters: each top-level function, class or statement starts a
+ * new chunk (with the comments above it), declarations larger than the target are
+ * split between their inner statements (class members, function body statements), and
+ * runs of small declarations are packed together. Files that don't parse, and languages
+ * without a parser, are chunked by lines as before. ASTCodeAnalyzer's Python, Java and
+ * C/C++ parsers are placeholders, so only the languages in SYNTAX_LANGUAGES are parsed.
+ * Whatever the strategy, no chunk is larger than an embedding request takes.
+ */
+
+import { chunkTextWithLines } from './chunker.js';
+
+export const CHUNKING_STRATEGIES = ['syntax', 'lines'];
+
+// Languages whose parser reports declarations; every other language is chunked by lines
+export const SYNTAX_LANGUAGES = ['javascript', 'typescript', 'esql', 'dwl', 'dataweave'];
+
+// Embedding requests are refused above ~2048 tokens, about 4 characters each
+export const MAX_CHUNK_CHARS = 8192;
+
+export const DEFAULT_CHUNKING_OPTIONS = {
+  strategy: 'syntax',
+  targetChars: 4000,
+  // Small neighbouring declarations are packed until a chunk reaches this size
+  minChars: 1000,
+  languages: {}
+};
+
+let analyzerModule;
+
+/**
+ * Load ASTCodeAnalyzer on first use; its parsers are optional dependencies
+ * @returns {Promise<Object|null>} Null when the parsers aren't installed
+ */
+async function loadAnalyzer() {
+  if (analyzerModule === undefined) {
+    analyzerModule = await import('./metadata/ast-code-analyzer.js').catch(() => null);
+  }
+  return analyzerModule?.ASTCodeAnalyzer || null;
+}
+
+/**
+ * Resolve the chunking options for indexing from the `chunking` config and --chunking
+ * @param {Object} argv - CLI arguments
+ * @param {Object} config - Ziri configuration
+ * @returns {Object} strategy, targetChars, minChars and per-language strategies
+ * @throws {Error} For unknown strategies
+ */
+export function resolveChunkingOptions(argv = {}, config = {}) {
+  const options = { ...DEFAULT_CHUNKING_OPTIONS, ...config.chunking };
+  options.languages = { ...options.languages };
+  if (argv.chunking) {
+    // An explicit flag applies to every language
+    options.strategy = argv.chunking;
+    options.languages = {};
+  }
+
+  for (const [language, strategy] of [['default', options.strategy], ...Object.entries(options.languages)]) {
+    if (!CHUNKING_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown chunking strategy '${strategy}' for ${language} (expected ${CHUNKING_STRATEGIES.join(' or ')})`);
+    }
+  }
+  if (!(options.targetChars > 0)) {
+    throw new Error(`chunking targetChars must be positive (got ${options.targetChars})`);
+  }
+  return options;
+}
+
+/**
+ * Whether a language can be cut at declarations
+ * @param {string} language - Detected language
+ */
+export function hasSyntaxParser(language) {
+  return SYNTAX_LANGUAGES.includes(String(language).toLowerCase());
+}
+
+/**
+ * Chunk a file with the strategy configured for its language
+ * @param {string} content - File content
+ * @param {Object} context - language and filePath of the file
+ * @param {Object} options - From resolveChunkingOptions
+ * @returns {Promise<{chunks: Array, strategy: string}>} Chunks as chunkTextWithLines returns them,
+ * and the strategy that produced them ('lines' when parsing failed or the language has no parser)
+ */
+export async function chunkCode(content, { language = 'unknown', filePath = '' } = {}, options = DEFAULT_CHUNKING_OPTIONS) {
+  const strategy = options.languages?.[language] || options.strategy;
+  if (strategy === 'syntax' && hasSyntaxParser(language)) {
+    const declarations = await parseDeclarations(content, language, filePath);
+    if (declarations && declarations.length > 0) {
+      return { chunks: splitOversizedChunks(chunkBySyntax(content, declarations, options)), strategy: 'syntax' };
+    }
+  }
+  return { chunks: splitOversizedChunks(chunkTextWithLines(content, { targetChars: options.targetChars })), strategy: 'lines' };
+}
+
+/**
+ * Split chunks too large to embed: between lines where a chunk has several, and every
+ * maxChars characters for a line that is too long by itself (minified or generated code)
+ * @param {Array} chunks - Chunks with content, startLine and endLine
+ * @param {number} [maxChars] - Largest chunk to keep whole
+ * @returns {Array} Chunks of at most maxChars characters, with their line spans
+ */
+export function splitOversizedChunks(chunks, maxChars = MAX_CHUNK_CHARS) {
+  const out = [];
+  const push = (text, startLine, endLine) => {
+    if (text.trim()) out.push({ content: text, startLine, endLine, size: text.length });
+  };
+
+  for (const chunk of chunks) {
+    if (chunk.content.length <= maxChars) {
+      out.push(chunk);
+      continue;
+    }
+    let piece = null;
+    const flush = () => {
+      if (piece) push(piece.lines.join('\n'), piece.startLine, piece.endLine);
+      piece = null;
+    };
+    chunk.content.split('\n').forEach((text, i) => {
+      const line = chunk.startLine + i;
+      if (text.length > maxChars) {
+        flush();
+        for (let at = 0; at < text.length; at += maxChars) push(text.slice(at, at + maxChars), line, line);
+        return;
+      }
+      if (piece && piece.size + 1 + text.length > maxChars) flush();
+      if (!piece) piece = { lines: [], startLine: line, size: -1 };
+      piece.lines.push(text);
+      piece.size += text.length + 1;
+      piece.endLine = line;
+    });
+    flush();
+  }
+  return out;
+}
+
+/**
+ * Top-level declarations of a file from its ASTCodeAnalyzer parser
+ * @returns {Promise<Array|null>} AST nodes with line locations, null when the file can't be parsed
+ */
+export async function parseDeclarations(content, language, filePath = '') {
+  const ASTCodeAnalyzer = await loadAnalyzer();
+  if (!ASTCodeAnalyzer) return null;
+  try {
+    const parser = new ASTCodeAnalyzer().getASTAnalyzer(language);
+    if (!parser) return null;
+    const ast = await parser.parse(content, filePath);
+    const body = ast?.program?.body || ast?.body;
+    return Array.isArray(body) ? body.filter(node => lineSpan(node)) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Chunk content at declaration boundaries
+ * @param {string} content - File content
+ * @param {Array} declarations - Top-level AST nodes (Babel `loc` or analyzer `location`)
+ * @param {Object} options - targetChars, minChars
+ * @returns {Array<{content: string, startLine: number, endLine: number, size: number}>}
+ */
+export function chunkBySyntax(content, declarations, options = {}) {
+  const { targetChars, minChars } = { ...DEFAULT_CHUNKING_OPTIONS, ...options };
+  const lines = content.split('\n');
+  const sizes = lines.map(line => line.length + 1);
+  const rangeSize = (start, end) => {
+    let size = 0;
+    for (let i = start; i <= end; i++) size += sizes[i - 1];
+    return size;
+  };
+
+  // Cut points come from the nodes; whatever they report, every line lands in exactly one range
+  const split = (start, end, nodes) => {
+    if (rangeSize(start, end) <= targetChars) return [{ startLine: start, endLine: end }];
+
+    const children = orderedSpans(nodes, start, end);
+    if (children.length === 0) {
+      const text = lines.slice(start - 1, end).join('\n');
+      return chunkTextWithLines(text, { targetChars }).map(chunk => ({
+        startLine: chunk.startLine + start - 1,
+        endLine: chunk.endLine + start - 1
+      }));
+    }
+
+    // Each piece is a child with the comments and blank lines above it
+    const pieces = [];
+    let cursor = start;
+    for (const child of children) {
+      pieces.push({ startLine: cursor, endLine: child.endLine, node: child.node });
+      cursor = child.endLine + 1;
+    }
+    if (cursor <= end) pieces.push({ startLine: cursor, endLine: end, node: null });
+
+    const ranges = [];
+    let current = null;
+    for (const piece of pieces) {
+      const size = rangeSize(piece.startLine, piece.endLine);
+      if (size > targetChars) {
+        // Oversized pieces are split on their own and never packed with neighbours
+        current = null;
+        ranges.push(...split(piece.startLine, piece.endLine, innerStatements(piece.node)));
+        continue;
+      }
+      // Trailing lines after the last child (a closing brace) stay with it
+      const trailing = !piece.node;
+      if (current && (current.size < minChars || trailing) && current.size + size <= targetChars) {
+        current.endLine = piece.endLine;
+        current.size += size;
+      } else {
+        current = { startLine: piece.startLine, endLine: piece.endLine, size };
+        ranges.push(current);
+      }
+    }
+    return ranges;
+  };
+
+  const chunks = [];
+  for (const range of split(1, lines.length, declarations)) {
+    let { startLine, endLine } = range;
+    while (startLine < endLine && !lines[startLine - 1].trim()) startLine++;
+    while (endLine > startLine && !lines[endLine - 1].trim()) endLine--;
+    const text = lines.slice(startLine - 1, endLine).join('\n').trim();
+    if (text) chunks.push({ content: text, startLine, endLine, size: text.length });
+  }
+  return chunks;
+}
+
+/**
+ * Line span of a node: Babel nodes carry `loc`, the ESQL/DWL analyzers `location`
+ */
+function lineSpan(node) {
+  const loc = node?.loc || node?.location;
+  const start = loc?.start?.line;
+  const end = loc?.end?.line;
+  return start > 0 && end >= start ? { startLine: start, endLine: end } : null;
+}
+
+/**
+ * Spans of nodes inside [start, end], in order, without overlaps
+ */
+function orderedSpans(nodes, start, end) {
+  const spans = nodes
+    .map(node => ({ node, span: lineSpan(node) }))
+    .filter(({ span }) => span && span.startLine >= start && span.startLine <= end)
+    .map(({ node, span }) => ({ node, startLine: span.startLine, endLine: Math.min(span.endLine, end) }))
+    .sort((a, b) => a.startLine - b.startLine);
+
+  const ordered = [];
+  for (const span of spans) {
+    const last = ordered[ordered.length - 1];
+    if (last && span.startLine <= last.endLine) continue;
+    ordered.push(span);
+  }
+  return ordered;
+}
+
+/**
+ * Statement-level children of a Babel declaration, where an oversized one can be split:
+ * class members, function body statements, object properties and the callback body of
+ * calls like describe(...)
+ */
+function innerStatements(node) {
+  if (!node?.loc) return [];
+  switch (node.type) {
+    case 'ExportNamedDeclaration':
+    case 'ExportDefaultDeclaration':
+      return innerStatements(node.declaration);
+    case 'ExpressionStatement':
+      return innerStatements(node.expression);
+    case 'VariableDeclaration':
+      return node.declarations.length === 1 ? innerStatements(node.declarations[0].init) : node.declarations;
+    case 'CallExpression': {
+      const callback = [...node.arguments].reverse().find(arg => /Function/.test(arg.type));
+      return innerStatements(callback);
+    }
+    case 'ObjectExpression':
+      return node.properties;
+    case 'TSModuleDeclaration':
+      return node.body?.body || [];
+    default:
+      // Functions, methods and classes
+      if (node.body?.type === 'BlockStatement' || node.body?.type === 'ClassBody') return node.body.body;
+      return [];
+  }
+}
@@ -3,22 +3,35 @@ import path from 'node:path';
 import { walkDir } from './filewalk.js';
 import { computeRepoId, repoStoreDir } from './repoid.js';
 import { resolveHome } from './home.js';
-import { readIndex, writeIndex, ensureRepoStore, saveChunk, removeChunk } from './store_repo.js';
+import { readIndex, writeIndex, ensureRepoStore, saveChunk, loadChunk } from './store_repo.js';
 import { sha256 } from './hash.js';
-import { makeEmbedder } from './embedder.js';
-import { chunkTextWithLines } from './chunker.js';
+import { chunkContentId, removeFileChunks, removeRows } from './index-maintenance.js';
+import { chunkIdsInUse, resolveIndexOverlay, readOverlayInfo, writeOverlayInfo } from './index-overlay.js';
+import { readManifest } from './index-checkpoint.js';
+import { readSourceInfo } from './index-source.js';
+import { resolveStoreEmbedder, writeEmbeddingInfo, assertDimensions } from './store-embedder.js';
+import { chunkCode, resolveChunkingOptions } from './syntax-chunker.js';
+import { TermIndex } from './ranking/term-index.js';
+import { SymbolTable, extractFileSymbols } from './metadata/symbol-table.js';
+import { chunkSymbols, chunkTypes, detectCodeType, extractFunctionName, extractClassName } from './metadata/chunk-metadata.js';
+import { VectorIndex, DEFAULT_ANN_OPTIONS } from './storage/vector-index.js';
+import { IgnoreMatcher, IGNORE_FILES } from './filesystem/ignore-rules.js';
 import fs from 'node:fs/promises';
 
 /**
  * Watch mode for automatic re-indexing
  * 
  * This module implements file system watching using chokidar to automatically
- * re-index files as they change during development.
+ * re-index files as they change during development. On a branch other than the
+ * base one, changes go into the branch's overlay the way 'ziri index' writes them.
  */
 
 class WatchMode {
-  constructor(configManager) {
+  constructor(configManager, { exclude } = {}) {
     this.configManager = configManager;
+    this.exclude = exclude;
+    this.config = {};
+    this.ignore = null;
     this.watcher = null;
     this.isProcessing = false;
     this.pendingChanges = new Set();
@@ -26,9 +39,17 @@ class WatchMode {
     this.debounceDelay = 100; // ms
     this.repoPath = process.cwd();
     this.embedder = null;
+    this.embeddingInfo = null;
+    this.embeddingRecorded = false;
     this.storeDir = null;
+    this.viewDir = null;
+    this.overlay = null;
     this.manifestPath = null;
     this.manifest = {};
+    this.baseManifest = {};
+    this.vectorIndex = null;
+    this.annOptions = DEFAULT_ANN_OPTIONS;
+    this.vectorIndexDirty = false;
   }
 
   /**
@@ -37,26 +58,61 @@ class WatchMode {
   async initialize() {
     const { repoId, alias } = await computeRepoId(this.repoPath);
     this.storeDir = repoStoreDir(resolveHome(), alias, repoId);
-    this.manifestPath = path.join(this.storeDir, 'manifest.json');
-    
-    // Load existing manifest
-    try {
-      this.manifest = JSON.parse(await fs.readFile(this.manifestPath, 'utf-8'));
-    } catch {
-      this.manifest = {};
+    const config = await this.configManager?.getConfig() || {};
+    this.config = config;
+
+    // Rows, manifest and terms of a non-base branch live in its overlay; chunk files stay shared
+    this.baseManifest = await readManifest(path.join(this.storeDir, 'manifest.json'));
+    this.overlay = await resolveIndexOverlay(this.repoPath, this.storeDir, { config });
+    if (this.overlay && Object.keys(this.baseManifest).length === 0) {
+      throw new Error(`${this.overlay.base} isn't indexed yet. Run 'ziri index' first; it indexes ${this.overlay.base} before ${this.overlay.branch}`);
+    }
+    this.viewDir = this.overlay ? this.overlay.dir : this.storeDir;
+    this.manifestPath = path.join(this.viewDir, 'manifest.json');
+    this.manifest = this.overlay ? await readManifest(this.manifestPath) : this.baseManifest;
+    if (this.overlay) {
+      await fs.mkdir(path.join(this.viewDir, 'db'), { recursive: true });
+      if (!await readOverlayInfo(this.viewDir)) {
+        console.warn(`⚠️  ${this.overlay.branch} has no overlay yet; only files changed while watching are indexed. Run 'ziri index' to index files that already differ from ${this.overlay.base}`);
+      }
     }
 
-    // Initialize embedder
-    const config = await this.configManager?.getConfig() || {};
-    const defaultProvider = config.defaultProvider || 'ollama';
-    this.embedder = makeEmbedder(defaultProvider, config);
+    // New chunks must be embedded with the model the store was indexed with
+    const { embedder, info, recorded } = await resolveStoreEmbedder(this.storeDir, config);
+    this.embedder = embedder;
+    this.embeddingInfo = info;
+    this.embeddingRecorded = recorded;
+
+    // Keep the ANN index in memory and persist it once per batch of changes
+    this.annOptions = { ...DEFAULT_ANN_OPTIONS, ...config.query?.ann };
+    this.chunkingOptions = resolveChunkingOptions({}, config);
+    // Queries fold an overlay's vectors into the base's ANN index, so overlays don't keep one
+    if (this.annOptions.enabled && !this.overlay) {
+      this.vectorIndex = await VectorIndex.load(this.storeDir);
+    }
+    await this.loadIgnoreRules();
     
     console.log(`🔍 Watch mode initialized for: ${alias}`);
     console.log(`📁 Path: ${this.repoPath}`);
     console.log(`🆔 Repo ID: ${repoId.slice(0, 8)}...`);
+    if (this.overlay) {
+      console.log(`🌿 Branch: ${this.overlay.branch} (overlay on ${this.overlay.base})`);
+    }
     console.log(`🤖 Using embedder: ${this.embedder.id} (${this.embedder.model})`);
   }
 
+  /**
+   * Refuse vectors the store can't be searched with, and record the model of stores
+   * indexed before it was recorded
+   */
+  async checkEmbedding(vector) {
+    assertDimensions(this.embeddingInfo, vector, { label: path.basename(this.repoPath), embedder: this.embedder });
+    if (!this.embeddingRecorded) {
+      this.embeddingInfo = await writeEmbeddingInfo(this.storeDir, this.embedder, vector.length);
+      this.embeddingRecorded = true;
+    }
+  }
+
   /**
    * Start watching the repository
    */
@@ -65,7 +121,7 @@ class WatchMode {
     
     // Create watcher with appropriate options
     this.watcher = chokidar.watch(this.repoPath, {
-      ignored: this.getIgnorePatterns(),
+      ignored: (filePath, stats) => this.isIgnored(filePath, stats),
       persistent: true,
       ignoreInitial: true,
       awaitWriteFinish: {
@@ -116,84 +172,21 @@ class WatchMode {
   }
 
   /**
-   * Get ignore patterns for file watching
+   * Load the ignore rules: .gitignore and .ziriignore files, the exclusions config and --exclude
    */
-  getIgnorePatterns() {
-    return [
-      // Build/dependency directories
-      '**/node_modules/**',
-      'node_modules/**',
-      '**/dist/**',
-      'dist/**',
-      '**/build/**',
-      'build/**',
-      '**/.next/**',
-      '.next/**',
-      '**/out/**',
-      'out/**',
-      
-      // Version control
-      '**/.git/**',
-      '.git/**',
-      '**/.svn/**',
-      '.svn/**',
-      
-      // Cache/temp directories
-      '**/.cache/**',
-      '.cache/**',
-      '**/tmp/**',
-      'tmp/**',
-      '**/temp/**',
-      'temp/**',
-      '**/coverage/**',
-      'coverage/**',
-      
-      // Generated docs
-      '**/docs/build/**',
-      '**/docs/dist/**',
-      '**/docs/.docusaurus/**',
-      '**/docs/node_modules/**',
-      
-      // Lock files and binaries
-      '**/*.lock',
-      '**/*.min.*',
-      '**/*.bin',
-      '**/*.exe',
-      '**/*.dll',
-      '**/*.so',
-      '**/*.dylib',
-      
-      // Media files
-      '**/*.png',
-      '**/*.jpg',
-      '**/*.jpeg',
-      '**/*.gif',
-      '**/*.svg',
-      '**/*.ico',
-      '**/*.mp4',
-      '**/*.mov',
-      '**/*.avi',
-      '**/*.webm',
-      
-      // Archive files
-      '**/*.zip',
-      '**/*.gz',
-      '**/*.tar',
-      '**/*.rar',
-      '**/*.7z',
-      '**/*.bz2',
-      
-      // OS files
-      '**/.DS_Store',
-      '**/Thumbs.db',
-      '**/*.tmp',
-      
-      // IDE files
-      '**/.vscode/**',
-      '**/.idea/**',
-      '**/*.swp',
-      '**/*.swo'
-    ];
+  async loadIgnoreRules() {
+    this.ignore = await IgnoreMatcher.create(this.repoPath, { config: this.config, exclude: this.exclude });
+    // chokidar asks synchronously, so nested ignore files are read up front
+    await this.ignore.loadAll();
+  }
+
+  /**
+   * Whether chokidar should skip a path
+   */
+  isIgnored(filePath, stats) {
+    const relativePath = path.relative(this.repoPath, filePath).replace(/\\/g, '/');
+    if (!relativePath || relativePath.startsWith('..') || !this.ignore) return false;
+    return this.ignore.ignores(relativePath, stats?.isDirectory() ?? false);
   }
 
   /**
@@ -208,6 +201,11 @@ class WatchMode {
         console.warn(`⚠️  Skipping invalid path: ${filePath}`);
         return;
       }
+
+      // Edited ignore rules apply to the changes that follow
+      if (IGNORE_FILES.includes(path.basename(relativePath))) {
+        this.loadIgnoreRules().catch(error => console.warn(`⚠️  Could not reload ignore rules: ${error.message}`));
+      }
       
       // Add to pending changes
       this.pendingChanges.add({ event, filePath, relativePath });
@@ -259,6 +257,8 @@ class WatchMode {
         }
       }
       
+      await this.saveVectorIndex();
+      
       const processingTime = Date.now() - processingStartTime;
       console.log(`✅ File processing complete (${processedCount} successful, ${errorCount} failed, ${processingTime}ms)`);
     } catch (error) {
@@ -320,8 +320,8 @@ class WatchMode {
     try {
       // Check file size
       const stat = await fs.stat(filePath);
-      if (stat.size > 1.5 * 1024 * 1024) {
-        console.log(`⏭️  Skipped large file: ${relativePath} (${(stat.size/1024/1024).toFixed(1)}MB)`);
+      if (this.ignore && !this.ignore.acceptsSize(stat.size)) {
+        console.log(`⏭️  Skipped ${relativePath} (${(stat.size/1024).toFixed(1)}KB, outside exclusions size limits)`);
         return;
       }
 
@@ -334,16 +334,28 @@ class WatchMode {
         return;
       }
 
+      // A file back to the base's content is read from the base again
+      if (this.overlay && this.baseManifest[relativePath]?.hash === fileHash) {
+        const chunksRemoved = await this.removeFileChunks(relativePath);
+        const wasDeleted = await this.recordOverlayChange(relativePath, { deleted: false });
+        if (chunksRemoved > 0 || wasDeleted || this.manifest[relativePath]) {
+          delete this.manifest[relativePath];
+          await fs.writeFile(this.manifestPath, JSON.stringify(this.manifest), 'utf-8');
+          await this.updateSymbols(relativePath, null);
+        }
+        console.log(`⏭️  Same as ${this.overlay.base}: ${relativePath}`);
+        return;
+      }
+
       console.log(`📄 Processing: ${relativePath} (${(stat.size/1024).toFixed(1)}KB)`);
       
-      // Remove existing chunks for this file
-      await this.removeFileChunks(relativePath);
-      
       // Chunk the file content
-      const chunks = chunkTextWithLines(content);
+      const { chunks } = await chunkCode(content, { language: this.detectLanguage(relativePath), filePath: relativePath }, this.chunkingOptions);
+      const fileSymbols = extractFileSymbols(content, this.detectLanguage(relativePath));
       
       if (chunks.length === 0) {
         console.log(`⏭️  No content to index: ${relativePath}`);
+        await this.removeFileChunks(relativePath);
         // Still update manifest to avoid reprocessing
         this.manifest[relativePath] = {
           hash: fileHash,
@@ -352,14 +364,40 @@ class WatchMode {
           mtime: Date.now()
         };
         await fs.writeFile(this.manifestPath, JSON.stringify(this.manifest), 'utf-8');
+        await this.updateSymbols(relativePath, fileSymbols);
         return;
       }
 
       // Process chunks in batches
       const batch = [];
       let budget = 6144; // Same as indexer.js
-      const indexArr = await readIndex(this.storeDir);
+      let indexArr = await readIndex(this.viewDir);
+      const termIndex = await TermIndex.load(this.viewDir);
+      // Chunks other files, branch overlays or the base still refer to are kept
+      const shared = await chunkIdsInUse(this.storeDir, { except: this.viewDir });
+      // The previous version's rows go once the new ones are in, so unchanged chunks are kept
+      const previous = indexArr.filter(row => row.relPath === relativePath);
       let processedChunks = 0;
+      let reusedChunks = 0;
+
+      const addRow = (id, chunk) => {
+        const [type, ...otherTypes] = chunkTypes(chunk, fileSymbols);
+        indexArr.push({ 
+          id, 
+          relPath: relativePath, 
+          fileHash,
+          startLine: chunk.startLine,
+          endLine: chunk.endLine,
+          meta: { 
+            alias: path.basename(this.repoPath), 
+            language: this.detectLanguage(relativePath), 
+            type,
+            ...(otherTypes.length > 0 ? { types: [type, ...otherTypes] } : {}),
+            symbols: chunkSymbols(chunk, fileSymbols)
+          } 
+        });
+        processedChunks++;
+      };
       
       const flush = async () => {
         if (!batch.length) return;
@@ -369,10 +407,15 @@ class WatchMode {
           const embeddingStart = Date.now();
           const vecs = await this.embedder.embedBatch(batch.map(b => b.chunk.content));
           const embeddingTime = Date.now() - embeddingStart;
+          await this.checkEmbedding(vecs[0]);
           
           for (let i = 0; i < batch.length; i++) {
-            const chunk = batch[i].chunk;
-            const id = sha256(path.basename(this.repoPath) + '|' + relativePath + '|' + i + '|' + fileHash);
+            const { chunk, id } = batch[i];
+            // Repeated content within the batch is stored once
+            if (termIndex.has(id)) {
+              addRow(id, chunk);
+              continue;
+            }
             
             // Enhanced chunk data with rich metadata
             const chunkData = {
@@ -382,7 +425,7 @@ class WatchMode {
               startLine: chunk.startLine,
               endLine: chunk.endLine,
               language: this.detectLanguage(relativePath),
-              type: this.detectCodeType(chunk.content),
+              type: chunkTypes(chunk, fileSymbols)[0],
               functionName: this.extractFunctionName(chunk.content),
               className: this.extractClassName(chunk.content),
               imports: this.extractImports(chunk.content),
@@ -394,19 +437,12 @@ class WatchMode {
               }
             };
 
-            await saveChunk(this.storeDir, id, vecs[i], chunkData);
-            indexArr.push({ 
-              id, 
-              relPath: relativePath, 
-              meta: { 
-                alias: path.basename(this.repoPath), 
-                language: chunkData.language, 
-                type: chunkData.type 
-              } 
-            });
+            const stored = await saveChunk(this.storeDir, id, vecs[i], chunkData);
+            termIndex.addDocument(id, chunk.content, chunkData.language, stored || chunkData);
+            this.updateVectorIndex(id, vecs[i]);
+            addRow(id, chunk);
           }
           
-          processedChunks += batch.length;
           console.log(`  ✅ Embedded ${batch.length} chunks (${embeddingTime}ms)`);
           batch.length = 0;
           budget = 6144;
@@ -419,16 +455,22 @@ class WatchMode {
       for (let i = 0; i < chunks.length; i++) {
         const chunk = chunks[i];
         const est = Math.ceil(chunk.content.length / 4);
-        if (est > 2048) {
-          console.log(`  ⏭️  Skipped large chunk (${est} tokens): ${relativePath} [${chunk.startLine}-${chunk.endLine}]`);
+        // Content the store already holds isn't embedded again
+        const id = chunkContentId(chunk.content);
+        if (termIndex.has(id) || await this.reuseSharedChunk(id, termIndex, shared)) {
+          addRow(id, chunk);
+          reusedChunks++;
           continue;
         }
         if (est > budget) await flush();
-        batch.push({ chunk });
+        batch.push({ chunk, id });
         budget -= est;
       }
       await flush();
 
+      indexArr = await removeRows(this.storeDir, indexArr, previous, { termIndex, vectorIndex: this.vectorIndex, shared });
+      if (previous.length > 0 && this.vectorIndex) this.vectorIndexDirty = true;
+
       // Update manifest
       this.manifest[relativePath] = {
         hash: fileHash,
@@ -438,9 +480,12 @@ class WatchMode {
       };
       
       await fs.writeFile(this.manifestPath, JSON.stringify(this.manifest), 'utf-8');
-      await writeIndex(this.storeDir, indexArr);
+      await writeIndex(this.viewDir, indexArr);
+      await termIndex.save(this.viewDir);
+      await this.updateSymbols(relativePath, fileSymbols);
+      await this.recordOverlayChange(relativePath, { deleted: false });
       
-      console.log(`✅ Indexed: ${relativePath} (${processedChunks} chunks)`);
+      console.log(`✅ Indexed: ${relativePath} (${processedChunks} chunks${reusedChunks > 0 ? `, ${reusedChunks} already stored` : ''})`);
     } catch (error) {
       console.error(`❌ Failed to index ${relativePath}:`, error.message);
       if (error.code === 'ENOENT') {
@@ -452,6 +497,70 @@ class WatchMode {
     }
   }
 
+  /**
+   * Pick up a chunk another view of the store holds (the base, for an overlay) without
+   * embedding it again
+   */
+  async reuseSharedChunk(id, termIndex, shared) {
+    if (!shared.has(id)) return false;
+    const stored = await loadChunk(this.storeDir, id);
+    if (!stored) return false;
+    termIndex.addDocument(id, stored.content, stored.language, stored);
+    return true;
+  }
+
+  /**
+   * Keep overlay.json's list of files deleted from the base in step with a change
+   * @returns {boolean} Whether the file was listed as deleted before
+   */
+  async recordOverlayChange(relativePath, { deleted }) {
+    if (!this.overlay) return false;
+    const info = await readOverlayInfo(this.viewDir);
+    const list = new Set(info?.deleted || []);
+    const wasDeleted = list.has(relativePath);
+    const shouldList = deleted && Boolean(this.baseManifest[relativePath]);
+    if (info && wasDeleted === shouldList) return wasDeleted;
+
+    if (shouldList) list.add(relativePath);
+    else list.delete(relativePath);
+    await writeOverlayInfo(this.viewDir, {
+      ...this.overlay,
+      baseCommit: info ? info.baseCommit : (await readSourceInfo(this.storeDir))?.commit,
+      commit: info?.commit ?? null,
+      deleted: [...list].sort()
+    });
+    return wasDeleted;
+  }
+
+  /**
+   * Add a freshly embedded chunk to the in-memory vector index
+   */
+  updateVectorIndex(id, vector) {
+    if (!this.vectorIndex) return;
+    if (this.vectorIndex.dims && this.vectorIndex.dims !== vector.length) {
+      // Mixed dimensions can't share an index; queries fall back to exact scan until 'ziri index' rebuilds it
+      console.warn(`  ⚠️  Embedding dimensions changed (${this.vectorIndex.dims} → ${vector.length}), vector index disabled`);
+      this.vectorIndex = null;
+      return;
+    }
+    this.vectorIndex.upsert(id, vector);
+    this.vectorIndexDirty = true;
+  }
+
+  /**
+   * Persist vector index changes, re-clustering if it has grown or shrunk a lot
+   */
+  async saveVectorIndex() {
+    if (!this.vectorIndex || !this.vectorIndexDirty) return;
+    try {
+      this.vectorIndex.optimize(this.annOptions);
+      await this.vectorIndex.save(this.storeDir);
+      this.vectorIndexDirty = false;
+    } catch (error) {
+      console.warn(`⚠️  Could not save vector index: ${error.message}`);
+    }
+  }
+
   /**
    * Remove a file from the index
    */
@@ -465,6 +574,8 @@ class WatchMode {
       // Remove from manifest
       delete this.manifest[relativePath];
       await fs.writeFile(this.manifestPath, JSON.stringify(this.manifest), 'utf-8');
+      await this.updateSymbols(relativePath, null);
+      await this.recordOverlayChange(relativePath, { deleted: true });
       
       console.log(`✅ Removed: ${relativePath} (${chunksRemoved} chunks)`);
     } catch (error) {
@@ -473,30 +584,37 @@ class WatchMode {
     }
   }
 
+  /**
+   * Refresh a file's entry in the symbol table (symbols null removes it)
+   * @param {string} relativePath - File path in the repository
+   * @param {Array|null} symbols - extractFileSymbols of the file's new content
+   */
+  async updateSymbols(relativePath, symbols) {
+    const symbolTable = await SymbolTable.load(this.viewDir) || new SymbolTable();
+    if (symbols === null) {
+      if (!symbolTable.removeFile(relativePath)) return;
+    } else {
+      symbolTable.setFile(relativePath, symbols);
+    }
+    await symbolTable.save(this.viewDir);
+  }
+
   /**
    * Remove all chunks for a specific file
    */
   async removeFileChunks(relativePath) {
     try {
-      const indexArr = await readIndex(this.storeDir);
-      const chunksToRemove = indexArr.filter(item => item.relPath === relativePath);
-      let removedCount = 0;
-      
-      for (const chunk of chunksToRemove) {
-        try {
-          await removeChunk(this.storeDir, chunk.id);
-          removedCount++;
-        } catch (error) {
-          console.warn(`  ⚠️  Failed to remove chunk ${chunk.id}:`, error.message);
-          // Continue removing other chunks
-        }
-      }
+      const indexArr = await readIndex(this.viewDir);
+      const termIndex = await TermIndex.load(this.viewDir);
+      // Chunks other files, branch overlays or the base still refer to are kept
+      const shared = await chunkIdsInUse(this.storeDir, { except: this.viewDir });
+      const { index, removed } = await removeFileChunks(this.storeDir, indexArr, [relativePath], { termIndex, vectorIndex: this.vectorIndex, shared });
+      if (removed > 0 && this.vectorIndex) this.vectorIndexDirty = true;
       
-      // Update index array
-      const newIndexArr = indexArr.filter(item => item.relPath !== relativePath);
-      await writeIndex(this.storeDir, newIndexArr);
+      await writeIndex(this.viewDir, index);
+      await termIndex.save(this.viewDir);
       
-      return removedCount;
+      return removed;
     } catch (error) {
       console.error(`❌ Failed to remove chunks for ${relativePath}:`, error.message);
       throw error;
@@ -532,6 +650,8 @@ class WatchMode {
       '.fish': 'fish',
       '.ps1': 'powershell',
       '.sql': 'sql',
+      '.esql': 'esql',
+      '.dwl': 'dwl',
       '.html': 'html',
       '.css': 'css',
       '.scss': 'scss',
@@ -552,61 +672,15 @@ class WatchMode {
   }
 
   detectCodeType(content) {
-    const trimmed = content.trim();
-    
-    if (/^(function|def|async\s+function|const\s+\w+\s*=\s*\(|let\s+\w+\s*=\s*\(|var\s+\w+\s*=\s*\()/m.test(trimmed)) {
-      return 'function';
-    }
-    
-    if (/^(class|interface|type\s+\w+\s*=)/m.test(trimmed)) {
-      return 'class';
-    }
-    
-    if (/^(import|export|from|require\()/m.test(trimmed)) {
-      return 'import';
-    }
-    
-    if (/^(\/\/|\/\*|\*|#|<!--)/m.test(trimmed)) {
-      return 'comment';
-    }
-    
-    return 'code';
+    return detectCodeType(content);
   }
 
   extractFunctionName(content) {
-    const patterns = [
-      /function\s+(\w+)/,
-      /def\s+(\w+)/,
-      /const\s+(\w+)\s*=/,
-      /let\s+(\w+)\s*=/,
-      /var\s+(\w+)\s*=/,
-      /(\w+)\s*:\s*function/,
-      /(\w+)\s*\(/
-    ];
-    
-    for (const pattern of patterns) {
-      const match = content.match(pattern);
-      if (match) {
-        return match[1];
-      }
-    }
-    return null;
+    return extractFunctionName(content);
   }
 
   extractClassName(content) {
-    const patterns = [
-      /class\s+(\w+)/,
-      /interface\s+(\w+)/,
-      /type\s+(\w+)\s*=/
-    ];
-    
-    for (const pattern of patterns) {
-      const match = content.match(pattern);
-      if (match) {
-        return match[1];
-      }
-    }
-    return null;
+    return extractClassName(content);
   }
 
   extractImports(content) {
@@ -652,7 +726,7 @@ class WatchMode {
 export { WatchMode };
 
 export async function watchCommand({ argv, configManager }) {
-  const watchMode = new WatchMode(configManager);
+  const watchMode = new WatchMode(configManager, { exclude: argv.exclude });
   
   try {
     await watchMode.start();
@@ -0,0 +1,49 @@
+/**
+ * Tests for the locations of chunks stored once per content
+ */
+
+import { describe, it, expect } from 'vitest';
+import { groupLocations, atLocation, describeLocations, otherLocations, formatLocation } from '../../lib/chunk-locations.js';
+
+describe('chunk locations', () => {
+  const rows = [
+    { id: 'retry', relPath: 'vendor/upload.js', startLine: 40, endLine: 43 },
+    { id: 'token', relPath: 'src/auth.js', startLine: 1, endLine: 9 },
+    { id: 'retry', relPath: 'src/upload.js', startLine: 10, endLine: 13 }
+  ];
+  const stored = {
+    content: 'export function retryUpload(file) {}',
+    filePath: '/work/app/vendor/upload.js',
+    relativePath: 'vendor/upload.js',
+    startLine: 40,
+    endLine: 43,
+    surroundingContext: { before: ['// vendored'], after: [] }
+  };
+
+  it('should group the rows of each chunk in path and line order', () => {
+    const groups = groupLocations(rows);
+    expect([...groups.keys()]).toEqual(['retry', 'token']);
+    expect(groups.get('retry').map(row => row.relPath)).toEqual(['src/upload.js', 'vendor/upload.js']);
+  });
+
+  it('should report stored content at another location', () => {
+    expect(atLocation(stored, rows[0])).toBe(stored);
+    expect(atLocation(stored, undefined)).toBe(stored);
+
+    const moved = atLocation(stored, rows[2]);
+    expect(moved).toMatchObject({ content: stored.content, filePath: '/work/app/src/upload.js', relativePath: 'src/upload.js', startLine: 10, endLine: 13 });
+    // The lines around the first copy aren't the ones around this one
+    expect(moved.surroundingContext).toBeUndefined();
+
+    // Rows from before chunks were stored by content have no line span
+    expect(atLocation(stored, { id: 'retry', relPath: 'lib/upload.js' })).toMatchObject({ relativePath: 'lib/upload.js', startLine: 40, endLine: 43 });
+  });
+
+  it('should describe the places a result occurs', () => {
+    const locations = describeLocations(groupLocations(rows).get('retry'));
+    expect(locations).toEqual([{ file: 'src/upload.js', lines: '10-13' }, { file: 'vendor/upload.js', lines: '40-43' }]);
+    expect(otherLocations({ locations }).map(formatLocation)).toEqual(['vendor/upload.js:40-43']);
+    expect(otherLocations({})).toEqual([]);
+    expect(formatLocation({ file: 'a.js', lines: null })).toBe('a.js');
+  });
+});
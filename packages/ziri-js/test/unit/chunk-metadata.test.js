@@ -0,0 +1,99 @@
+/**
+ * Tests for the metadata index.json rows record about a chunk
+ */
+
+import { describe, it, expect } from 'vitest';
+import { chunkSymbols, chunkTypes, detectCodeType } from '../../lib/metadata/chunk-metadata.js';
+import { extractFileSymbols } from '../../lib/metadata/symbol-table.js';
+import { chunkCode, resolveChunkingOptions } from '../../lib/syntax-chunker.js';
+import { buildQueryFilters, filterIndexRows } from '../../lib/query-filters.js';
+
+const AUTH_SOURCE = [
+  'export async function refreshToken(token) {',  // 1
+  '  return token.trim();',                       // 2
+  '}',                                            // 3
+  '',                                             // 4
+  'export function computeRepoId(repoPath) {',    // 5
+  '  return repoPath.length;',                    // 6
+  '}',                                            // 7
+  '',                                             // 8
+  'export class TokenCache {',                    // 9
+  '  get(key) { return key; }',                   // 10
+  '}'                                             // 11
+].join('\n');
+
+describe('chunkSymbols', () => {
+  it('should record every declaration a packed chunk holds, not just the first', async () => {
+    const { chunks, strategy } = await chunkCode(AUTH_SOURCE, { language: 'javascript', filePath: 'src/auth.js' }, resolveChunkingOptions());
+    expect(strategy).toBe('syntax');
+    expect(chunks).toHaveLength(1);
+
+    const symbols = chunkSymbols(chunks[0], extractFileSymbols(AUTH_SOURCE, 'javascript'));
+    expect(symbols).toEqual(['refreshToken', 'computeRepoId', 'TokenCache', 'get']);
+
+    const row = { id: 'a', relPath: 'src/auth.js', meta: { language: 'javascript', symbols } };
+    const filters = buildQueryFilters({ symbol: 'computeRepoId' });
+    expect(await filterIndexRows('/nonexistent', [row], filters)).toEqual([row]);
+  });
+
+  it('should only count declarations within the chunk\'s lines', () => {
+    const fileSymbols = extractFileSymbols(AUTH_SOURCE, 'javascript');
+    expect(chunkSymbols({ content: 'ignored', startLine: 5, endLine: 8 }, fileSymbols)).toEqual(['computeRepoId']);
+  });
+
+  it('should fall back to the names the regexes find when nothing was extracted', () => {
+    const chunk = { content: 'fn retry_upload(file: &str) {}\nstruct Queue;', startLine: 1, endLine: 2 };
+    expect(chunkSymbols(chunk, [])).toEqual(['retry_upload']);
+  });
+});
+
+const UPLOADER_SOURCE = [
+  "import fs from 'node:fs';",                        // 1
+  '',                                                 // 2
+  'export async function retryUpload(file) {',        // 3
+  '  return fs.promises.readFile(file);',             // 4
+  '}',                                                // 5
+  '',                                                 // 6
+  'export class UploadQueue {',                       // 7
+  '  push(item) { return item; }',                    // 8
+  '}'                                                 // 9
+].join('\n');
+
+describe('chunkTypes', () => {
+  const fileSymbols = extractFileSymbols(UPLOADER_SOURCE, 'javascript');
+  const lines = UPLOADER_SOURCE.split('\n');
+  const chunk = (startLine, endLine) => ({ content: lines.slice(startLine - 1, endLine).join('\n'), startLine, endLine });
+
+  const row = (id, types) => ({ id, relPath: 'src/uploader.js', meta: { language: 'javascript', type: types[0], ...(types.length > 1 ? { types } : {}) } });
+  const typed = async (rows, type) => (await filterIndexRows('/nonexistent', rows, buildQueryFilters({ type }))).map(match => match.id);
+
+  it('should type exported functions and classes by their declarations, so --type finds them', async () => {
+    expect(chunkTypes(chunk(1, 5), fileSymbols)).toEqual(['function']);
+    expect(chunkTypes(chunk(7, 9), fileSymbols)).toEqual(['class']);
+
+    const rows = [row('fn', chunkTypes(chunk(1, 5), fileSymbols)), row('cls', chunkTypes(chunk(7, 9), fileSymbols))];
+    expect(await typed(rows, 'function')).toEqual(['fn']);
+    expect(await typed(rows, 'class')).toEqual(['cls']);
+  });
+
+  it('should list every kind a packed chunk declares', async () => {
+    const types = chunkTypes(chunk(1, 9), fileSymbols);
+    expect(types).toEqual(['function', 'class']);
+
+    const rows = [row('both', types), row('imports', chunkTypes(chunk(1, 1), fileSymbols))];
+    expect(await typed(rows, 'function')).toEqual(['both']);
+    expect(await typed(rows, 'class')).toEqual(['both']);
+    expect(await typed(rows, 'import')).toEqual(['imports']);
+  });
+
+  it('should recognise export, default and async prefixes without parsed declarations', () => {
+    expect(detectCodeType('export async function retryUpload(file) {}')).toBe('function');
+    expect(detectCodeType('export default function main() {}')).toBe('function');
+    expect(detectCodeType('export const load = async (id) => id;')).toBe('function');
+    expect(detectCodeType('async def fetch(url):\n    pass')).toBe('function');
+    expect(detectCodeType('export class UploadQueue {}')).toBe('class');
+    expect(detectCodeType('export default class Policy {}')).toBe('class');
+    expect(detectCodeType("import fs from 'node:fs';\nexport { fs };")).toBe('import');
+    expect(detectCodeType('// notes')).toBe('comment');
+  });
+});
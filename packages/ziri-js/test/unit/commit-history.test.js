@@ -0,0 +1,120 @@
+/**
+ * Tests for commit history indexing and search
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import {
+  readGitCommits,
+  buildCommitText,
+  indexCommitHistory,
+  searchCommitHistory,
+  loadCommitHistory
+} from '../../lib/commit-history.js';
+
+// Vectors from keywords so related text lands close together
+const KEYWORDS = ['token', 'retry', 'readme'];
+const fakeEmbedder = () => ({
+  id: 'fake',
+  model: 'keywords',
+  embedBatch: vi.fn(async texts => texts.map(text => KEYWORDS.map(word => (text.toLowerCase().includes(word) ? 1 : 0.01))))
+});
+
+describe('commit history', () => {
+  let repoDir;
+  let store;
+  const log = () => {};
+  const git = (args, date = '2024-01-01T00:00:00Z') => execFileSync('git', args, {
+    cwd: repoDir,
+    env: { ...process.env, GIT_AUTHOR_NAME: 'Ada', GIT_AUTHOR_EMAIL: 'ada@example.com', GIT_COMMITTER_NAME: 'Ada', GIT_COMMITTER_EMAIL: 'ada@example.com', GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+    stdio: 'pipe'
+  }).toString().trim();
+
+  beforeEach(async () => {
+    repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-history-'));
+    store = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-history-store-'));
+    git(['init', '-q']);
+    await fs.writeFile(path.join(repoDir, 'README.md'), '# App\n');
+    git(['add', '.']);
+    git(['commit', '-qm', 'Add readme']);
+    await fs.writeFile(path.join(repoDir, 'auth.js'), 'function refreshToken() {\n  return fetchToken();\n}\n');
+    git(['add', '.']);
+    git(['commit', '-qm', 'Refresh the token before it expires\n\nAvoids 401s on long uploads.'], '2024-02-01T00:00:00Z');
+  });
+
+  afterEach(async () => {
+    await fs.rm(repoDir, { recursive: true, force: true });
+    await fs.rm(store, { recursive: true, force: true });
+  });
+
+  it('should read messages, authors and per-file diff summaries newest first', async () => {
+    const commits = await readGitCommits(repoDir);
+    expect(commits).toHaveLength(2);
+    const [latest] = commits;
+    expect(latest).toMatchObject({ author: 'Ada', email: 'ada@example.com', message: 'Refresh the token before it expires\n\nAvoids 401s on long uploads.' });
+    expect(latest.date).toMatch(/^2024-02-01/);
+    expect(latest.files).toEqual([
+      { path: 'auth.js', added: 3, deleted: 0, hunks: [], changes: ['+ function refreshToken() {', '+ return fetchToken();'] }
+    ]);
+    expect(commits[1].files[0].path).toBe('README.md');
+  });
+
+  it('should embed the message with the touched files and changed lines', async () => {
+    const [latest] = await readGitCommits(repoDir);
+    const text = buildCommitText(latest);
+    expect(text).toContain('Refresh the token before it expires');
+    expect(text).toContain('auth.js (+3 -0)');
+    expect(text).toContain('+ return fetchToken();');
+  });
+
+  it('should only embed commits added since the last run', async () => {
+    const embedder = fakeEmbedder();
+    expect(await indexCommitHistory(repoDir, store, { embedder, log })).toEqual({ added: 2, total: 2, rebuilt: false });
+    expect(await indexCommitHistory(repoDir, store, { embedder, log })).toEqual({ added: 0, total: 2, rebuilt: false });
+
+    await fs.writeFile(path.join(repoDir, 'upload.js'), 'retry(upload, 3);\n');
+    git(['add', '.']);
+    git(['commit', '-qm', 'Retry failed uploads']);
+    expect(await indexCommitHistory(repoDir, store, { embedder, log })).toEqual({ added: 1, total: 3, rebuilt: false });
+    expect(embedder.embedBatch).toHaveBeenCalledTimes(2);
+    expect(embedder.embedBatch.mock.calls[1][0]).toHaveLength(1);
+
+    const history = await loadCommitHistory(store);
+    expect(history.lastCommit).toBe(git(['rev-parse', 'HEAD']));
+    expect(history.commits.map(commit => commit.subject)).toEqual(['Retry failed uploads', 'Refresh the token before it expires', 'Add readme']);
+  });
+
+  it('should re-index when the indexed head was rewritten away', async () => {
+    const embedder = fakeEmbedder();
+    await indexCommitHistory(repoDir, store, { embedder, log });
+    git(['commit', '-q', '--amend', '-m', 'Refresh tokens early']);
+
+    const result = await indexCommitHistory(repoDir, store, { embedder, log });
+    expect(result).toEqual({ added: 2, total: 2, rebuilt: true });
+    expect((await loadCommitHistory(store)).commits[0].subject).toBe('Refresh tokens early');
+  });
+
+  it('should rank commits by similarity to the question', async () => {
+    const embedder = fakeEmbedder();
+    await indexCommitHistory(repoDir, store, { embedder, log });
+    const [vector] = await embedder.embedBatch(['when did token refresh change']);
+
+    const results = await searchCommitHistory(store, vector, { k: 1, repo: 'app' });
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ subject: 'Refresh the token before it expires', repo: 'app' });
+    expect(results[0].files).toEqual([{ path: 'auth.js', added: 3, deleted: 0 }]);
+  });
+
+  it('should report missing history and non-git directories', async () => {
+    expect(await searchCommitHistory(store, [1, 0, 0])).toBeNull();
+    const plain = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-history-nogit-'));
+    try {
+      expect(await indexCommitHistory(plain, store, { embedder: fakeEmbedder(), log })).toBeNull();
+    } finally {
+      await fs.rm(plain, { recursive: true, force: true });
+    }
+  });
+});
@@ -79,6 +79,28 @@ describe('Configuration Management System', () => {
       expect(loadedConfig.performance.concurrency).toBe(5);
     }, 10000);
 
+    it('should keep nested query defaults a partial override leaves out', async () => {
+      await configManager.saveConfig({
+        defaultProvider: 'ollama',
+        query: {
+          ranking: {
+            bm25: { k1: 1.2, weights: { bm25: 0.3 } },
+            recency: { enabled: true }
+          }
+        }
+      });
+
+      configManager._config = null;
+      const { query } = await configManager.loadConfig({ includeEnvironment: false });
+
+      expect(query.mode).toBe('hybrid');
+      expect(query.ranking.bm25).toEqual({ enabled: true, k1: 1.2, b: 0.75, weights: { vector: 0.7, bm25: 0.3, structural: 0.1 } });
+      expect(query.ranking.recency).toEqual({ enabled: true, weight: 0.1, halfLifeDays: 90 });
+      expect(query.ranking.churn).toEqual({ enabled: false, weight: 0.05 });
+      expect(query.rerank.poolSize).toBe(20);
+      expect(configManager.mergeWithDefaults({ query: { ann: { nprobe: 4 } } }).query.ann).toEqual({ enabled: true, minVectors: 5000, nprobe: 4 });
+    }, 10000);
+
     it('should validate configuration', async () => {
       const validConfig = {
         defaultProvider: 'ollama',
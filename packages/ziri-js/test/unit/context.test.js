@@ -0,0 +1,156 @@
+/**
+ * Tests for the token-budgeted context pack
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  findEnclosingBlock,
+  matchesCheckout,
+  expandToEnclosingBlocks,
+  packContext,
+  formatContextBundle,
+  formatContextMarkdown
+} from '../../lib/context.js';
+
+const JS_SOURCE = [
+  'import fs from "node:fs";',            // 1
+  '',                                     // 2
+  'export class UploadService {',         // 3
+  '  async retryUpload(file) {',          // 4
+  '    for (let i = 0; i < 3; i++) {',    // 5
+  '      try {',                          // 6
+  '        return await put(file);',      // 7
+  '      } catch { /* "}" */ }',          // 8
+  '    }',                                // 9
+  '  }',                                  // 10
+  '}',                                    // 11
+  '',                                     // 12
+  'function helper() {',                  // 13
+  '  return 1;',                          // 14
+  '}'                                     // 15
+];
+
+const PY_SOURCE = [
+  'class TokenRefresher:',                // 1
+  '    def refresh(self, token):',        // 2
+  '        token = token.strip()',        // 3
+  '',                                     // 4
+  '        return token + "!"',           // 5
+  '',                                     // 6
+  'def login(user):',                     // 7
+  '    return user'                       // 8
+];
+
+describe('findEnclosingBlock', () => {
+  it('should find the enclosing method of a hit that starts mid-body', () => {
+    expect(findEnclosingBlock(JS_SOURCE, 6, 8, 'javascript')).toEqual({ start: 4, end: 10 });
+  });
+
+  it('should look outward past definitions that closed before the hit', () => {
+    expect(findEnclosingBlock(JS_SOURCE, 11, 11, 'javascript')).toEqual({ start: 3, end: 11 });
+  });
+
+  it('should use indentation for python', () => {
+    expect(findEnclosingBlock(PY_SOURCE, 5, 5, 'python')).toEqual({ start: 2, end: 5 });
+  });
+
+  it('should return null outside any definition', () => {
+    expect(findEnclosingBlock(JS_SOURCE, 1, 2, 'javascript')).toBeNull();
+  });
+});
+
+describe('matchesCheckout', () => {
+  it('should compare the indexed text with the checkout line by line, ignoring trimmed indentation', () => {
+    expect(matchesCheckout(JS_SOURCE, 6, ['try {', '        return await put(file);'].join('\n'))).toBe(true);
+    expect(matchesCheckout(JS_SOURCE, 5, ['try {', '        return await put(file);'].join('\n'))).toBe(false);
+    expect(matchesCheckout(JS_SOURCE, 15, '}\nextra')).toBe(false);
+  });
+});
+
+describe('expandToEnclosingBlocks', () => {
+  let repoDir;
+
+  beforeEach(async () => {
+    repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-context-'));
+    await fs.mkdir(path.join(repoDir, 'src'));
+    await fs.writeFile(path.join(repoDir, 'src/upload.js'), JS_SOURCE.join('\n'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(repoDir, { recursive: true, force: true });
+  });
+
+  it('should widen partial hits to the whole definition from the checkout', async () => {
+    const hit = { file: 'src/upload.js', repoPath: repoDir, lines: '6-8', context: JS_SOURCE.slice(5, 8).join('\n'), score: 0.8, language: 'javascript' };
+    const [expanded] = await expandToEnclosingBlocks([hit]);
+    expect(expanded.lines).toBe('4-10');
+    expect(expanded.expandedFrom).toBe('6-8');
+    expect(expanded.context.split('\n')[0]).toBe('  async retryUpload(file) {');
+    expect(expanded.metadata.tokenCount).toBe(Math.ceil(expanded.context.length / 4));
+  });
+
+  it('should keep hits that already cover their definition or have no checkout', async () => {
+    const whole = { file: 'src/upload.js', repoPath: repoDir, lines: '13-15', context: JS_SOURCE.slice(12).join('\n'), score: 0.5 };
+    const remote = { file: 'src/upload.js', lines: '6-8', context: 'x', score: 0.4 };
+    expect(await expandToEnclosingBlocks([whole, remote])).toEqual([whole, remote]);
+  });
+
+  it('should keep hits whose lines moved in the checkout since indexing', async () => {
+    const hit = { file: 'src/upload.js', repoPath: repoDir, lines: '6-8', context: JS_SOURCE.slice(5, 8).join('\n'), score: 0.8, language: 'javascript' };
+    await fs.writeFile(path.join(repoDir, 'src/upload.js'), ['// moved', '', ...JS_SOURCE].join('\n'));
+
+    expect(await expandToEnclosingBlocks([hit])).toEqual([hit]);
+  });
+});
+
+describe('packContext', () => {
+  it('should greedily fill the budget by score, skipping spans that do not fit', () => {
+    const results = [
+      { file: 'b.js', score: 0.5, context: 'b', metadata: { tokenCount: 100 } },
+      { file: 'a.js', score: 0.9, context: 'a', metadata: { tokenCount: 300 } },
+      { file: 'c.js', score: 0.7, context: 'c', metadata: { tokenCount: 600 } }
+    ];
+    const { included, usedTokens, omitted } = packContext(results, 500);
+    expect(included.map(r => r.file)).toEqual(['a.js', 'b.js']);
+    expect(usedTokens).toBe(440);
+    expect(omitted).toBe(1);
+  });
+
+  it('should estimate tokens when a result has no tokenCount', () => {
+    const { included } = packContext([{ file: 'a.js', score: 1, context: 'x'.repeat(400) }], 1000);
+    expect(included[0].tokens).toBe(120);
+  });
+});
+
+describe('formatContextBundle', () => {
+  const results = [{ repo: 'app', file: 'src/a.js', lines: '1-3', language: 'javascript', score: 0.9, tokens: 30, context: 'const x = "]]>";' }];
+
+  it('should render markdown with file headers and line ranges', () => {
+    const output = formatContextBundle(results, 'markdown', { query: 'q' });
+    expect(output).toContain('# Context for "q"');
+    expect(output).toContain('## 1. app/src/a.js (lines 1-3) - javascript');
+    expect(output).toContain('```javascript\nconst x');
+  });
+
+  it('should render xml with escaped attributes and safe CDATA', () => {
+    const output = formatContextBundle(results, 'xml', { query: 'a < b', budget: 100, usedTokens: 30 });
+    expect(output).toContain('<context query="a &lt; b" budget="100" tokens="30">');
+    expect(output).toContain('<file repo="app" path="src/a.js" lines="1-3" language="javascript" score="0.9">');
+    expect(output).toContain('const x = "]]]]><![CDATA[>";');
+  });
+
+  it('should render json with budget accounting', () => {
+    const output = JSON.parse(formatContextBundle(results, 'json', { query: 'q', budget: 100, usedTokens: 30 }));
+    expect(output).toMatchObject({ query: 'q', budget: 100, tokens: 30 });
+    expect(output.files[0]).toMatchObject({ file: 'src/a.js', lines: '1-3', tokens: 30 });
+  });
+
+  it('should keep the chat layout for legacy entries', () => {
+    const output = formatContextMarkdown([{ file: 'x.js', score: 0.2, metadata: { compatibility: 'legacy' } }]);
+    expect(output.startsWith('Relevant Code Context:\n\n## 1. x.js')).toBe(true);
+    expect(output).toContain('*Legacy index entry - content not available (score: 0.2)*');
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for the ignore rules shared by indexing, watch mode and the summarizer
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { IgnoreMatcher, parseIgnoreFile, parseExcludeOption } from '../../../lib/filesystem/ignore-rules.js';
+import { walkDir } from '../../../lib/filewalk.js';
+import { parallelWalk } from '../../../lib/filesystem/parallel-walk.js';
+import { FileWalker } from '../../../lib/repository/file-walker.js';
+
+function matcherFor(text) {
+  const matcher = new IgnoreMatcher('/repo');
+  matcher.rules.push(...parseIgnoreFile(text));
+  return matcher;
+}
+
+describe('IgnoreMatcher rules', () => {
+  it('should match names at any depth and anchor patterns with a slash', () => {
+    const matcher = matcherFor('*.log\n/config.local.js\ndocs/generated\n');
+
+    expect(matcher.ignores('app.log')).toBe(true);
+    expect(matcher.ignores('src/deep/app.log')).toBe(true);
+    expect(matcher.ignores('config.local.js')).toBe(true);
+    expect(matcher.ignores('src/config.local.js')).toBe(false);
+    expect(matcher.ignores('docs/generated/api.md')).toBe(true);
+    expect(matcher.ignores('site/docs/generated/api.md')).toBe(false);
+  });
+
+  it('should only match directories with a trailing slash', () => {
+    const matcher = matcherFor('cache/\n');
+
+    expect(matcher.ignores('cache', true)).toBe(true);
+    expect(matcher.ignores('src/cache/entry.js')).toBe(true);
+    expect(matcher.ignores('cache')).toBe(false);
+  });
+
+  it('should let later negations re-include files, but not inside an ignored directory', () => {
+    const matcher = matcherFor('*.json\n!package.json\nvendor/\n!vendor/keep.js\n');
+
+    expect(matcher.ignores('data.json')).toBe(true);
+    expect(matcher.ignores('package.json')).toBe(false);
+    expect(matcher.ignores('vendor/keep.js')).toBe(true);
+  });
+
+  it('should support ** across directories, character classes, comments and escapes', () => {
+    const matcher = matcherFor('# comment\nsrc/**/fixtures\n**/snap[sS]hots/**\n\\#notes.md\nlogs/**/*.txt\n');
+
+    expect(matcher.ignores('src/fixtures', true)).toBe(true);
+    expect(matcher.ignores('src/a/b/fixtures/x.js')).toBe(true);
+    expect(matcher.ignores('test/snapShots/a.snap')).toBe(true);
+    expect(matcher.ignores('#notes.md')).toBe(true);
+    expect(matcher.ignores('logs/a.txt')).toBe(true);
+    expect(matcher.ignores('logs/2024/01/a.txt')).toBe(true);
+    expect(matcher.ignores('logs/a.md')).toBe(false);
+    expect(matcher.rules).toHaveLength(4);
+  });
+
+  it('should split repeatable, comma-separated --exclude values', () => {
+    expect(parseExcludeOption(['*.snap, fixtures/', 'tmp'])).toEqual(['*.snap', 'fixtures/', 'tmp']);
+    expect(parseExcludeOption(undefined)).toEqual([]);
+  });
+});
+
+describe('IgnoreMatcher on a repository', () => {
+  let repo;
+
+  async function write(rel, content = 'export const value = 1;\n') {
+    await fs.mkdir(path.dirname(path.join(repo, rel)), { recursive: true });
+    await fs.writeFile(path.join(repo, rel), content);
+  }
+
+  async function collect(walker) {
+    const files = [];
+    for await (const { rel } of walker) files.push(rel);
+    return files.sort();
+  }
+
+  beforeEach(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-ignore-'));
+    await write('.gitignore', '*.gen.js\nreports/\n');
+    await write('.ziriignore', 'fixtures/\n');
+    await write('src/app.js');
+    await write('src/app.gen.js');
+    await write('src/.gitignore', '/local.js\n!keep.gen.js\n');
+    await write('src/local.js');
+    await write('src/keep.gen.js');
+    await write('src/lib/local.js');
+    await write('src/fixtures/data.js');
+    await write('reports/summary.js');
+    await write('vendor/lib.js');
+    await write('assets/logo.bmp');
+    await write('node_modules/dep/index.js');
+  });
+
+  afterEach(async () => {
+    await fs.rm(repo, { recursive: true, force: true });
+  });
+
+  it('should apply nested .gitignore files, .ziriignore, the exclusions config and --exclude', async () => {
+    const config = { exclusions: { patterns: ['**/*.log'], extensions: ['.bmp'], directories: ['node_modules'] } };
+    const ignore = await IgnoreMatcher.create(repo, { config, exclude: 'vendor/' });
+
+    expect(await collect(walkDir(repo, { ignore }))).toEqual([
+      '.gitignore',
+      '.ziriignore',
+      'src/.gitignore',
+      'src/app.js',
+      'src/keep.gen.js',
+      'src/lib/local.js'
+    ]);
+  });
+
+  it('should give the parallel walker the same files', async () => {
+    const ignore = await IgnoreMatcher.create(repo);
+    const sequential = await collect(walkDir(repo, { ignore: await IgnoreMatcher.create(repo) }));
+
+    expect(await collect(parallelWalk(repo, { ignore, concurrency: 2 }))).toEqual(sequential);
+  });
+
+  it('should answer for paths it was not walked to once every ignore file is loaded', async () => {
+    const ignore = await IgnoreMatcher.create(repo);
+    expect(ignore.ignores('src/local.js')).toBe(false);
+
+    await ignore.loadAll();
+    expect(ignore.ignores('src/local.js')).toBe(true);
+    expect(ignore.ignores('src/keep.gen.js')).toBe(false);
+    expect(ignore.ignores('reports/new.js')).toBe(true);
+  });
+
+  it('should enforce the configured file size limits', async () => {
+    const ignore = await IgnoreMatcher.create(repo, { config: { exclusions: { maxFileSize: 100, minFileSize: 10 } } });
+
+    expect(ignore.acceptsSize(50)).toBe(true);
+    expect(ignore.acceptsSize(101)).toBe(false);
+    expect(ignore.acceptsSize(3)).toBe(false);
+  });
+
+  it('should filter the files the summarizer discovers', async () => {
+    const ignore = await IgnoreMatcher.create(repo);
+    const files = [];
+    for await (const file of new FileWalker().discoverFiles(repo, [], { ignore })) files.push(file.relativePath);
+
+    expect(files).toContain('src/app.js');
+    expect(files).not.toContain('src/app.gen.js');
+    expect(files).not.toContain('src/fixtures/data.js');
+    expect(files).not.toContain('reports/summary.js');
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for query history and saved searches
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  REPLAY_OPTIONS,
+  pickReplayOptions,
+  recordQuery,
+  readHistory,
+  getHistoryEntry,
+  saveSearch,
+  getSavedSearch,
+  listSavedSearches,
+  removeSavedSearch,
+  recordSavedRun,
+  diffResults,
+  describeOptions,
+  historyDir,
+  MAX_HISTORY_ENTRIES
+} from '../../lib/history.js';
+
+const hit = (file, lines, score = 0.5) => ({ repo: 'app', file, lines, score, context: 'ignored' });
+
+describe('pickReplayOptions', () => {
+  it('should keep result-affecting flags and drop switched-off booleans', () => {
+    const options = pickReplayOptions({ _: ['query', 'q'], k: ['5', '5'], mode: 'lexical', lang: ['ts', 'py'], rerank: false, expand: true, verbose: true });
+    expect(options).toEqual({ k: '5', mode: 'lexical', lang: ['ts', 'py'], expand: true });
+    expect(describeOptions(options)).toBe('--k 5 --mode lexical --lang ts --lang py --expand');
+  });
+
+  it('should keep ranking switches and the since window', () => {
+    const options = pickReplayOptions({ _: ['query', 'q'], since: '30d', recency: true, churn: false, explain: true });
+    expect(options).toEqual({ since: '30d', recency: true, explain: true });
+  });
+
+  it('should replay every option listed in the query help', async () => {
+    const cli = await fs.readFile(new URL('../../lib/cli.js', import.meta.url), 'utf8');
+    const section = cli.split('Query Options:')[1].split(/\n\n/)[0];
+    const flags = [...section.matchAll(/^ {2}--([a-z-]+)/gm)].map(match => match[1].replace(/^no-/, ''));
+    // Output format is chosen by the replaying command, not the recorded one
+    const outputOnly = ['format', 'json'];
+
+    expect(flags.length).toBeGreaterThan(10);
+    expect(flags.filter(flag => !outputOnly.includes(flag) && !REPLAY_OPTIONS.includes(flag))).toEqual([]);
+  });
+});
+
+describe('diffResults', () => {
+  it('should report appeared, disappeared and moved results keyed by file and span', () => {
+    const previous = [hit('a.js', '1-10'), hit('b.js', '5-9'), hit('c.js', '1-3')];
+    const current = [hit('b.js', '5-9'), hit('a.js', '1-10'), hit('c.js', '1-4')];
+
+    const diff = diffResults(previous, current);
+    expect(diff.moved.map(r => [r.file, r.from, r.to])).toEqual([['b.js', 2, 1], ['a.js', 1, 2]]);
+    expect(diff.appeared.map(r => `${r.file}:${r.lines}`)).toEqual(['c.js:1-4']);
+    expect(diff.disappeared.map(r => `${r.file}:${r.lines}`)).toEqual(['c.js:1-3']);
+    expect(diff.unchanged).toEqual([]);
+  });
+});
+
+describe('history store', () => {
+  let home;
+  let originalHome;
+
+  beforeEach(async () => {
+    home = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-history-'));
+    originalHome = process.env.ZIRI_HOME;
+    process.env.ZIRI_HOME = home;
+  });
+
+  afterEach(async () => {
+    if (originalHome === undefined) delete process.env.ZIRI_HOME;
+    else process.env.ZIRI_HOME = originalHome;
+    await fs.rm(home, { recursive: true, force: true });
+  });
+
+  it('should append queries with summarized results and number them', async () => {
+    await recordQuery({ command: 'query', query: 'retry upload', options: { k: '3' }, results: [hit('a.js', '1-10', 0.9)] });
+    await recordQuery({ command: 'chat', query: 'how does auth work', source: 'repl' });
+
+    const entries = await readHistory();
+    expect(entries.map(e => [e.id, e.command, e.query, e.source])).toEqual([
+      [1, 'query', 'retry upload', 'cli'],
+      [2, 'chat', 'how does auth work', 'repl']
+    ]);
+    expect(entries[0].results).toEqual([{ repo: 'app', file: 'a.js', lines: '1-10', score: 0.9 }]);
+    expect((await readHistory({ command: 'chat' })).map(e => e.id)).toEqual([2]);
+    expect((await getHistoryEntry(1)).options).toEqual({ k: '3' });
+  });
+
+  it('should skip torn lines and trim the log to the most recent entries', async () => {
+    await fs.mkdir(historyDir(), { recursive: true });
+    const lines = Array.from({ length: MAX_HISTORY_ENTRIES }, (_, i) => JSON.stringify({ ts: 't', command: 'query', query: `q${i}`, options: {} }));
+    await fs.writeFile(path.join(historyDir(), 'queries.jsonl'), `${lines.join('\n')}\n{"torn"\n`);
+
+    await recordQuery({ command: 'query', query: 'latest' });
+    const entries = await readHistory();
+    expect(entries).toHaveLength(MAX_HISTORY_ENTRIES);
+    expect(entries[0].query).toBe('q1');
+    expect(entries.at(-1).query).toBe('latest');
+  });
+
+  it('should not fail the caller when the log cannot be written', async () => {
+    await fs.writeFile(path.join(home, 'history'), 'not a directory');
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await expect(recordQuery({ query: 'q' })).resolves.toMatchObject({ query: 'q' });
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('should save, run and remove named searches', async () => {
+    await saveSearch('auth', 'token refresh', { mode: 'hybrid' }, '/work/app');
+    expect(await getSavedSearch('auth')).toMatchObject({ query: 'token refresh', options: { mode: 'hybrid' }, cwd: '/work/app' });
+
+    expect(await recordSavedRun('auth', [hit('a.js', '1-10')])).toBeNull();
+    const previous = await recordSavedRun('auth', [hit('b.js', '1-2')]);
+    expect(previous.results.map(r => r.file)).toEqual(['a.js']);
+
+    // Re-saving keeps the last run so --diff still works
+    await saveSearch('auth', 'token refresh', { mode: 'lexical' });
+    expect((await getSavedSearch('auth')).lastRun.results.map(r => r.file)).toEqual(['b.js']);
+
+    expect(await removeSavedSearch('auth')).toBe(true);
+    expect(await listSavedSearches()).toEqual({});
+  });
+
+  it('should reject names that are not plain identifiers', async () => {
+    await expect(saveSearch('../evil', 'q')).rejects.toThrow(/Invalid saved search name/);
+  });
+});
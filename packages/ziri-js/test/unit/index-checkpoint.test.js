@@ -0,0 +1,100 @@
+/**
+ * Tests for resumable indexing checkpoints
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  openIndexCheckpoint,
+  checkpointedFiles,
+  isUnchangedSince,
+  writeManifest
+} from '../../lib/index-checkpoint.js';
+
+describe('index checkpoints', () => {
+  let store;
+  const repoId = 'abc123';
+
+  // A run that records some files and stops without completing
+  async function interruptedRun(files, options) {
+    const { checkpoints } = await openIndexCheckpoint(store, repoId, options);
+    for (const file of files) checkpoints.updateProgress(file, 2);
+    await checkpoints.saveCheckpoint();
+    return checkpoints;
+  }
+
+  beforeEach(async () => {
+    store = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-checkpoint-'));
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.rm(store, { recursive: true, force: true });
+  });
+
+  it('should resume the files an interrupted run finished, with their size and mtime', async () => {
+    expect((await openIndexCheckpoint(store, repoId)).resumed).toBeNull();
+    await interruptedRun([{ path: 'src/a.js', hash: 'h1', size: 10, mtime: 1000 }, { path: 'src/b.js', hash: 'h2', size: 20, mtime: 2000 }]);
+
+    const { checkpoints, resumed } = await openIndexCheckpoint(store, repoId);
+    expect(resumed.processedFiles.map(file => file.path)).toEqual(['src/a.js', 'src/b.js']);
+    expect(checkpoints.isFileProcessed('src/b.js')).toBe(true);
+    expect(checkpoints.isFileProcessed('src/c.js')).toBe(false);
+
+    const known = checkpointedFiles(resumed);
+    expect(known.get('src/a.js')).toMatchObject({ hash: 'h1', size: 10, mtime: 1000, chunks: 2 });
+    expect(isUnchangedSince(known.get('src/a.js'), { size: 10, mtimeMs: 1000 })).toBe(true);
+    expect(isUnchangedSince(known.get('src/a.js'), { size: 10, mtimeMs: 1500 })).toBe(false);
+    expect(isUnchangedSince(known.get('src/a.js'), { size: 11, mtimeMs: 1000 })).toBe(false);
+    expect(isUnchangedSince(known.get('src/z.js'), { size: 10, mtimeMs: 1000 })).toBe(false);
+  });
+
+  it('should keep recording into the resumed checkpoint', async () => {
+    await interruptedRun([{ path: 'a.js', hash: 'h1' }]);
+    await interruptedRun([{ path: 'b.js', hash: 'h2' }]);
+
+    const { resumed } = await openIndexCheckpoint(store, repoId);
+    expect(resumed.processedFiles.map(file => file.path)).toEqual(['a.js', 'b.js']);
+  });
+
+  it('should start over with --no-resume and after a completed run', async () => {
+    await interruptedRun([{ path: 'a.js', hash: 'h1' }]);
+    const { resumed, checkpoints } = await openIndexCheckpoint(store, repoId, { resume: false });
+    expect(resumed).toBeNull();
+    expect((await openIndexCheckpoint(store, repoId)).resumed.processedFiles).toEqual([]);
+
+    checkpoints.updateProgress({ path: 'a.js', hash: 'h1' }, 1);
+    await checkpoints.completeOperation();
+    expect((await openIndexCheckpoint(store, repoId)).resumed).toBeNull();
+  });
+
+  it('should only resume a checkpoint older than a day with --resume', async () => {
+    const dayAgo = Date.now() - 25 * 60 * 60 * 1000;
+    const interruptedDayAgo = async () => {
+      vi.spyOn(Date, 'now').mockReturnValue(dayAgo);
+      await interruptedRun([{ path: 'a.js', hash: 'h1' }], { resume: false });
+      vi.restoreAllMocks();
+    };
+
+    await interruptedDayAgo();
+    expect((await openIndexCheckpoint(store, repoId, { resume: true })).resumed.processedFiles).toHaveLength(1);
+
+    // Opening a checkpoint saves a newer one, so start from an empty store
+    await fs.rm(path.join(store, 'checkpoints'), { recursive: true });
+    await interruptedDayAgo();
+    const stale = await openIndexCheckpoint(store, repoId);
+    expect(stale.resumed).toBeNull();
+    expect(stale.expired.savedAt).toBe(dayAgo);
+  });
+
+  it('should replace the manifest without leaving a temporary file', async () => {
+    const manifestPath = path.join(store, 'manifest.json');
+    await writeManifest(manifestPath, { 'a.js': { hash: 'h1' } });
+    await writeManifest(manifestPath, { 'a.js': { hash: 'h2' } });
+
+    expect(JSON.parse(await fs.readFile(manifestPath, 'utf-8'))).toEqual({ 'a.js': { hash: 'h2' } });
+    expect(await fs.readdir(store)).not.toContain('manifest.json.tmp');
+  });
+});
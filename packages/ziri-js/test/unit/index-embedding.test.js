@@ -0,0 +1,116 @@
+/**
+ * Tests for the embedding pipeline behind ziri index
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { resolvePipelineOptions, createIndexPipeline, DEFAULT_CONCURRENCY } from '../../lib/index-embedding.js';
+
+// Embedder that records how many requests overlap
+function fakeEmbedder({ delay = 20, failOn = null } = {}) {
+  const embedder = {
+    id: 'fake',
+    model: 'fake-model',
+    requests: [],
+    active: 0,
+    maxActive: 0,
+    async embedBatch(texts) {
+      embedder.requests.push(texts.slice());
+      embedder.active++;
+      embedder.maxActive = Math.max(embedder.maxActive, embedder.active);
+      try {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        if (failOn && texts.some(text => text.includes(failOn))) throw new Error('embedder down');
+        return texts.map(text => [text.length, 1]);
+      } finally {
+        embedder.active--;
+      }
+    }
+  };
+  return embedder;
+}
+
+async function* fileChunks(files, perFile) {
+  for (let f = 0; f < files; f++) {
+    for (let c = 0; c < perFile; c++) yield { content: `file${f} chunk${c}`, file: `file${f}` };
+  }
+}
+
+async function collect(pipeline, chunks) {
+  const results = [];
+  for await (const result of pipeline.processChunks(chunks)) results.push(result);
+  return results;
+}
+
+describe('resolvePipelineOptions', () => {
+  it('should prefer flags over the performance config over the defaults', () => {
+    const config = { performance: { concurrency: 4, batchSize: 75, memoryLimit: 256, adaptiveBatching: false } };
+
+    expect(resolvePipelineOptions({ concurrency: '6', 'batch-size': '20' }, config)).toEqual({
+      concurrency: 6, batchSize: 20, memoryLimit: 256, adaptiveBatching: false
+    });
+    expect(resolvePipelineOptions({ concurrency: 'lots' }, {})).toMatchObject({ concurrency: DEFAULT_CONCURRENCY, adaptiveBatching: true });
+  });
+});
+
+describe('createIndexPipeline', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should batch chunks across files with bounded concurrency', async () => {
+    const embedder = fakeEmbedder();
+    const pipeline = createIndexPipeline(embedder, { concurrency: 2, batchSize: 6, memoryLimit: 4096, adaptiveBatching: false });
+
+    const results = await collect(pipeline, fileChunks(12, 2));
+
+    expect(results).toHaveLength(24);
+    expect(results.every(result => result.embedding[0] === result.content.length)).toBe(true);
+    expect(embedder.requests).toHaveLength(4);
+    expect(new Set(embedder.requests[0].map(text => text.split(' ')[0])).size).toBe(3);
+    expect(embedder.maxActive).toBe(2);
+  });
+
+  it('should shrink batches when the provider responds slowly', async () => {
+    const embedder = fakeEmbedder({ delay: 0 });
+    const pipeline = createIndexPipeline(embedder, { concurrency: 1, batchSize: 10, memoryLimit: 4096, adaptiveBatching: true });
+    const now = vi.spyOn(Date, 'now');
+    let clock = 0;
+    // Each request appears to take five seconds
+    now.mockImplementation(() => (clock += 2500));
+
+    const resized = [];
+    pipeline.on('batch:size:decreased', event => resized.push(event));
+    await collect(pipeline, fileChunks(10, 10));
+
+    expect(resized.length).toBeGreaterThan(0);
+    expect(resized[0].reason).toBe('response_too_slow');
+    expect(embedder.requests.at(-1).length).toBeLessThan(10);
+  });
+
+  it('should stop reading new chunks while memory is near the limit', async () => {
+    const embedder = fakeEmbedder();
+    const pipeline = createIndexPipeline(embedder, { concurrency: 3, batchSize: 2, memoryLimit: 1, adaptiveBatching: false });
+    const pauses = [];
+    pipeline.on('backpressure', event => pauses.push(event));
+
+    const results = await collect(pipeline, fileChunks(4, 3));
+
+    expect(results).toHaveLength(12);
+    expect(pauses[0]).toMatchObject({ reason: 'memory', limit: 1024 * 1024 });
+    expect(embedder.maxActive).toBe(1);
+  });
+
+  it('should fail the run after delivering the requests already sent', async () => {
+    const embedder = fakeEmbedder({ failOn: 'file2' });
+    const pipeline = createIndexPipeline(embedder, { concurrency: 2, batchSize: 2, memoryLimit: 4096, adaptiveBatching: false });
+    pipeline.options.maxRetries = 0;
+
+    const results = [];
+    await expect((async () => {
+      for await (const result of pipeline.processChunks(fileChunks(6, 2))) results.push(result);
+    })()).rejects.toThrow('embedder down');
+
+    expect(results.map(result => result.file)).toEqual(expect.arrayContaining(['file0', 'file1']));
+    expect(results.some(result => result.file === 'file2')).toBe(false);
+  });
+});
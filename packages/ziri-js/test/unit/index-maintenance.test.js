@@ -0,0 +1,196 @@
+/**
+ * Tests for incremental index maintenance
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { ensureRepoStore, saveChunk, saveVector, loadChunk, loadVector, setEnhancedStorageMode } from '../../lib/store_repo.js';
+import { TermIndex } from '../../lib/ranking/term-index.js';
+import { VectorIndex } from '../../lib/storage/vector-index.js';
+import {
+  chunkId,
+  chunkContentId,
+  countChunkRefs,
+  diffManifest,
+  removeFileChunks,
+  moveFileChunks,
+  findStaleRows,
+  pruneStore
+} from '../../lib/index-maintenance.js';
+
+describe('diffManifest', () => {
+  const manifest = {
+    'src/keep.js': { hash: 'k', chunks: 1 },
+    'src/edit.js': { hash: 'e1', chunks: 1 },
+    'src/gone.js': { hash: 'g', chunks: 1 },
+    'src/old-name.js': { hash: 'r', chunks: 2 },
+    'src/typed.js': { hash: 't', chunks: 1 }
+  };
+
+  it('should sort files into added, changed, unchanged, deleted and renamed', () => {
+    const diff = diffManifest(manifest, [
+      { rel: 'src/keep.js', hash: 'k' },
+      { rel: 'src/edit.js', hash: 'e2' },
+      { rel: 'src/new.js', hash: 'n' },
+      { rel: 'lib/new-name.js', hash: 'r' },
+      // Same content under another extension is a new file, not a rename
+      { rel: 'src/typed.ts', hash: 't' }
+    ]);
+
+    expect(diff).toEqual({
+      added: ['src/new.js', 'src/typed.ts'],
+      changed: ['src/edit.js'],
+      unchanged: ['src/keep.js'],
+      deleted: ['src/gone.js', 'src/typed.js'],
+      renamed: [{ from: 'src/old-name.js', to: 'lib/new-name.js' }]
+    });
+  });
+
+  it('should pair each deleted file with at most one added copy', () => {
+    const diff = diffManifest({ 'a.js': { hash: 'x' } }, [{ rel: 'b.js', hash: 'x' }, { rel: 'c.js', hash: 'x' }]);
+    expect(diff.renamed).toEqual([{ from: 'a.js', to: 'b.js' }]);
+    expect(diff.added).toEqual(['c.js']);
+    expect(diff.deleted).toEqual([]);
+  });
+});
+
+describe('store maintenance', () => {
+  let store;
+  let termIndex;
+  let vectorIndex;
+  const alias = 'app';
+
+  async function addChunk(rel, index, hash, content) {
+    const id = chunkId(alias, rel, index, hash);
+    const vector = [index + 1, 0.5, 0.25];
+    await saveChunk(store, id, vector, { content, filePath: `/repo/${rel}`, relativePath: rel, startLine: 1, endLine: 1, language: 'javascript' });
+    termIndex.addDocument(id, content, 'javascript');
+    vectorIndex.upsert(id, vector);
+    return { id, relPath: rel, meta: { alias, language: 'javascript' } };
+  }
+
+  // A location of a chunk stored by its content
+  async function addLocation(rel, hash, content, startLine = 1) {
+    const id = chunkContentId(content);
+    const vector = [content.length, 0.5, 0.25];
+    await saveChunk(store, id, vector, { content, filePath: `/repo/${rel}`, relativePath: rel, startLine, endLine: startLine, language: 'javascript' });
+    termIndex.addDocument(id, content, 'javascript');
+    vectorIndex.upsert(id, vector);
+    return { id, relPath: rel, fileHash: hash, startLine, endLine: startLine, meta: { alias, language: 'javascript' } };
+  }
+
+  beforeEach(async () => {
+    // Plain chunk files; enhanced storage reads surrounding context from the checkout
+    setEnhancedStorageMode(false);
+    store = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-maintenance-'));
+    await ensureRepoStore(store);
+    termIndex = new TermIndex();
+    vectorIndex = new VectorIndex();
+  });
+
+  afterEach(async () => {
+    setEnhancedStorageMode(true);
+    await fs.rm(store, { recursive: true, force: true });
+  });
+
+  it('should remove every chunk of the given files', async () => {
+    const index = [await addChunk('a.js', 0, 'h1', 'alpha one'), await addChunk('a.js', 1, 'h1', 'alpha two'), await addChunk('b.js', 0, 'h2', 'beta')];
+
+    const result = await removeFileChunks(store, index, ['a.js'], { termIndex, vectorIndex });
+    expect(result.removed).toBe(2);
+    expect(result.index.map(row => row.relPath)).toEqual(['b.js']);
+    expect(await loadChunk(store, index[0].id)).toBeNull();
+    expect(termIndex.has(index[1].id)).toBe(false);
+    expect(vectorIndex.has(index[1].id)).toBe(false);
+    expect(termIndex.has(index[2].id)).toBe(true);
+  });
+
+  it('should keep chunk files another view still uses', async () => {
+    const index = [await addChunk('a.js', 0, 'h1', 'alpha one'), await addChunk('b.js', 0, 'h2', 'beta')];
+
+    const result = await removeFileChunks(store, index, ['a.js', 'b.js'], { termIndex, vectorIndex, shared: new Set([index[0].id]) });
+    expect(result.index).toEqual([]);
+    expect(termIndex.has(index[0].id)).toBe(false);
+    expect(await loadChunk(store, index[0].id)).toMatchObject({ content: 'alpha one' });
+    expect(await loadChunk(store, index[1].id)).toBeNull();
+  });
+
+  it('should keep a chunk while any location still refers to it', async () => {
+    const vendored = await addLocation('vendor/retry.js', 'v', 'retry upload');
+    const copy = await addLocation('src/retry.js', 's', 'retry upload', 10);
+    const other = await addLocation('src/retry.js', 's', 'refresh token', 20);
+    expect(vendored.id).toBe(copy.id);
+    expect(countChunkRefs([vendored, copy, other]).get(copy.id)).toBe(2);
+
+    const result = await removeFileChunks(store, [vendored, copy, other], ['src/retry.js'], { termIndex, vectorIndex });
+    expect(result.removed).toBe(2);
+    expect(result.index).toEqual([vendored]);
+    expect(await loadChunk(store, vendored.id)).toMatchObject({ content: 'retry upload' });
+    expect(termIndex.has(vendored.id)).toBe(true);
+    expect(vectorIndex.has(vendored.id)).toBe(true);
+    expect(await loadChunk(store, other.id)).toBeNull();
+    expect(termIndex.has(other.id)).toBe(false);
+
+    await removeFileChunks(store, result.index, ['vendor/retry.js'], { termIndex, vectorIndex });
+    expect(await loadChunk(store, vendored.id)).toBeNull();
+    expect(vectorIndex.has(vendored.id)).toBe(false);
+  });
+
+  it('should move a renamed file\'s chunks without re-embedding them', async () => {
+    const index = [await addChunk('old.js', 0, 'h', 'retry upload'), await addChunk('old.js', 1, 'h', 'refresh token')];
+
+    // Chunks stored by location move to their content IDs
+    const result = await moveFileChunks(store, index, { from: 'old.js', to: 'src/new.js', full: '/repo/src/new.js', alias, entry: { hash: 'h', chunks: 2 } }, { termIndex, vectorIndex });
+    expect(result.moved).toBe(2);
+    expect(result.index.map(row => [row.id, row.relPath, row.fileHash])).toEqual([
+      [chunkContentId('retry upload'), 'src/new.js', 'h'],
+      [chunkContentId('refresh token'), 'src/new.js', 'h']
+    ]);
+
+    const moved = await loadChunk(store, result.index[1].id);
+    expect(moved).toMatchObject({ content: 'refresh token', relativePath: 'src/new.js', filePath: '/repo/src/new.js' });
+    expect(Array.from(await loadVector(store, result.index[1].id))).toEqual([2, 0.5, 0.25]);
+    expect(await loadChunk(store, index[0].id)).toBeNull();
+    expect(termIndex.has(index[0].id)).toBe(false);
+    expect(termIndex.has(result.index[0].id)).toBe(true);
+
+    // Chunks stored by content only change location
+    const again = await moveFileChunks(store, result.index, { from: 'src/new.js', to: 'lib/new.js', full: '/repo/lib/new.js', alias, entry: { hash: 'h', chunks: 2 } }, { termIndex, vectorIndex });
+    expect(again.index.map(row => [row.id, row.relPath])).toEqual([
+      [chunkContentId('retry upload'), 'lib/new.js'],
+      [chunkContentId('refresh token'), 'lib/new.js']
+    ]);
+    expect(await loadChunk(store, again.index[0].id)).toMatchObject({ content: 'retry upload' });
+    expect(termIndex.has(again.index[1].id)).toBe(true);
+  });
+
+  it('should find chunks of older file versions and of files missing from the manifest', async () => {
+    const current = await addChunk('a.js', 0, 'v2', 'alpha v2');
+    const old = await addChunk('a.js', 0, 'v1', 'alpha v1');
+    // Indexed by watch mode, whose chunk IDs use the checkout's directory name
+    const watched = { id: chunkId('checkout', 'b.js', 0, 'b1'), relPath: 'b.js', meta: {} };
+    const deleted = await addChunk('gone.js', 0, 'g', 'gone');
+    const manifest = { 'a.js': { hash: 'v2', chunks: 1 }, 'b.js': { hash: 'b1', chunks: 1 } };
+
+    expect(findStaleRows([current, old, watched, deleted], manifest, [alias, 'checkout'])).toEqual([old, deleted]);
+
+    // Rows of chunks stored by content carry the hash of their file's version
+    const located = await addLocation('c.js', 'c2', 'gamma');
+    const outdated = await addLocation('c.js', 'c1', 'gamma v1');
+    expect(findStaleRows([located, outdated], { 'c.js': { hash: 'c2', chunks: 1 } }, [alias])).toEqual([outdated]);
+  });
+
+  it('should prune stale rows and chunk files no row refers to', async () => {
+    const current = await addChunk('a.js', 0, 'v2', 'alpha v2');
+    const old = await addChunk('a.js', 0, 'v1', 'alpha v1');
+    await saveVector(store, 'orphan', [1, 2, 3]);
+
+    const result = await pruneStore(store, [current, old], { manifest: { 'a.js': { hash: 'v2', chunks: 1 } }, aliases: [alias], termIndex, vectorIndex });
+    expect(result).toMatchObject({ rows: 1, files: 1 });
+    expect(result.index).toEqual([current]);
+    expect(await fs.readdir(path.join(store, 'db', 'vecs'))).toEqual([`${current.id}.bin`]);
+    expect(await fs.readdir(path.join(store, 'db', 'content'))).toEqual([`${current.id}.json`]);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Tests for branch overlays on top of a repository's store
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { ensureRepoStore, saveChunk, loadChunk, writeIndex, setEnhancedStorageMode } from '../../lib/store_repo.js';
+import { writeManifest } from '../../lib/index-checkpoint.js';
+import { writeSourceInfo } from '../../lib/index-source.js';
+import { chunkId } from '../../lib/index-maintenance.js';
+import { TermIndex } from '../../lib/ranking/term-index.js';
+import { VectorIndex } from '../../lib/storage/vector-index.js';
+import {
+  splitFromBase,
+  resolveIndexOverlay,
+  overlayDir,
+  writeOverlayInfo,
+  listOverlays,
+  loadOverlay,
+  isStaleOverlay,
+  refExists,
+  applyOverlayRows,
+  applyOverlayIndexes,
+  chunkIdsInUse,
+  removeOverlay
+} from '../../lib/index-overlay.js';
+
+describe('splitFromBase', () => {
+  it('should keep the files whose content differs from the base and list deleted ones', () => {
+    const base = { 'a.js': { hash: 'a1' }, 'b.js': { hash: 'b1' }, 'gone.js': { hash: 'g' } };
+    const split = splitFromBase([{ rel: 'a.js', hash: 'a2' }, { rel: 'b.js', hash: 'b1' }, { rel: 'new.js', hash: 'n' }], base);
+
+    expect(split.files.map(file => file.rel)).toEqual(['a.js', 'new.js']);
+    expect(split.deleted).toEqual(['gone.js']);
+    expect(split.shared).toBe(1);
+  });
+});
+
+describe('branch overlays', () => {
+  let tmp;
+  let repoDir;
+  let store;
+  const alias = 'app';
+  const git = (args) => execFileSync('git', args, {
+    cwd: repoDir,
+    env: { ...process.env, GIT_AUTHOR_NAME: 'Ada', GIT_AUTHOR_EMAIL: 'ada@example.com', GIT_COMMITTER_NAME: 'Ada', GIT_COMMITTER_EMAIL: 'ada@example.com' },
+    stdio: 'pipe'
+  }).toString().trim();
+
+  async function addChunk(rel, hash, content, vector) {
+    const id = chunkId(alias, rel, 0, hash);
+    await saveChunk(store, id, vector, { content, filePath: path.join(repoDir, rel), relativePath: rel, startLine: 1, endLine: 1, language: 'javascript' });
+    return { id, relPath: rel, meta: { alias, language: 'javascript' } };
+  }
+
+  // Base: a.js and b.js. feature/login changes a.js, deletes b.js and adds c.js
+  async function buildStore() {
+    const base = [
+      await addChunk('a.js', 'a1', 'login with password', [1, 0, 0]),
+      await addChunk('b.js', 'b1', 'legacy session cookie', [0, 1, 0])
+    ];
+    await writeIndex(store, base);
+    await writeManifest(path.join(store, 'manifest.json'), { 'a.js': { hash: 'a1', chunks: 1 }, 'b.js': { hash: 'b1', chunks: 1 } });
+
+    const dir = overlayDir(store, 'feature/login');
+    await fs.mkdir(path.join(dir, 'db'), { recursive: true });
+    const rows = [
+      await addChunk('a.js', 'a2', 'login with passkey', [0, 0, 1]),
+      await addChunk('c.js', 'c1', 'passkey registration', [0.5, 0, 0.5])
+    ];
+    await writeIndex(dir, rows);
+    await writeManifest(path.join(dir, 'manifest.json'), { 'a.js': { hash: 'a2', chunks: 1 }, 'c.js': { hash: 'c1', chunks: 1 } });
+    const terms = new TermIndex();
+    terms.addDocument(rows[0].id, 'login with passkey', 'javascript');
+    terms.addDocument(rows[1].id, 'passkey registration', 'javascript');
+    await terms.save(dir);
+    await writeOverlayInfo(dir, { branch: 'feature/login', base: 'main', deleted: ['b.js'] });
+    return { base, rows, dir };
+  }
+
+  beforeEach(async () => {
+    setEnhancedStorageMode(false);
+    tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-overlay-'));
+    repoDir = path.join(tmp, 'app');
+    store = path.join(tmp, 'store');
+    await fs.mkdir(repoDir);
+    await ensureRepoStore(store);
+    git(['init', '-q', '-b', 'main']);
+    await fs.writeFile(path.join(repoDir, 'a.js'), 'login\n');
+    git(['add', '-A']);
+    git(['commit', '-qm', 'First']);
+    git(['checkout', '-q', '-b', 'feature/login']);
+  });
+
+  afterEach(async () => {
+    setEnhancedStorageMode(true);
+    await fs.rm(tmp, { recursive: true, force: true });
+  });
+
+  it('should index branches other than the base into an overlay', async () => {
+    expect(await resolveIndexOverlay(repoDir, store)).toEqual({ branch: 'feature/login', base: 'main', dir: overlayDir(store, 'feature/login') });
+    expect(path.basename(overlayDir(store, 'feature/login'))).toMatch(/^feature-login--[0-9a-f]{6}$/);
+    expect(await resolveIndexOverlay(repoDir, store, { argv: { overlay: false } })).toBeNull();
+    expect(await resolveIndexOverlay(repoDir, store, { config: { overlays: { baseBranch: 'feature/login' } } })).toBeNull();
+
+    git(['checkout', '-q', 'main']);
+    expect(await resolveIndexOverlay(repoDir, store)).toBeNull();
+    git(['checkout', '-q', '--detach']);
+    expect(await resolveIndexOverlay(repoDir, store)).toBeNull();
+  });
+
+  it('should index refs other than the base into their own overlay', async () => {
+    git(['checkout', '-q', 'main']);
+    expect(await resolveIndexOverlay(repoDir, store, { ref: 'feature/login' })).toEqual({ branch: 'feature/login', base: 'main', dir: overlayDir(store, 'feature/login') });
+    expect(await resolveIndexOverlay(repoDir, store, { ref: 'main' })).toBeNull();
+    expect(await resolveIndexOverlay(repoDir, store, { ref: 'origin/main' })).toBeNull();
+
+    git(['tag', 'v1.0.0']);
+    expect(await refExists(repoDir, 'v1.0.0')).toBe(true);
+    expect(await refExists(repoDir, 'feature/login')).toBe(true);
+    expect(await refExists(repoDir, 'feature/gone')).toBe(false);
+  });
+
+  it('should flag overlays built on a base commit the store no longer holds', async () => {
+    const head = git(['rev-parse', 'HEAD']);
+    const { dir } = await buildStore();
+    await writeOverlayInfo(dir, { branch: 'feature/login', base: 'main', baseCommit: head, deleted: ['b.js'] });
+    await writeSourceInfo(store, { type: 'ref', ref: 'main', commit: head });
+    expect((await loadOverlay(store, repoDir)).stale).toBe(false);
+
+    await writeSourceInfo(store, { type: 'ref', ref: 'main', commit: 'f'.repeat(40) });
+    expect((await loadOverlay(store, repoDir)).stale).toBe(true);
+    // Overlays and stores from before commits were recorded aren't flagged
+    expect(isStaleOverlay({ baseCommit: null }, { commit: head })).toBe(false);
+    expect(isStaleOverlay({ baseCommit: head }, null)).toBe(false);
+  });
+
+  it('should lay the checked-out branch\'s overlay over the base rows and indexes', async () => {
+    const { base, rows } = await buildStore();
+    const termIndex = new TermIndex();
+    termIndex.addDocument(base[0].id, 'login with password', 'javascript');
+    termIndex.addDocument(base[1].id, 'legacy session cookie', 'javascript');
+    const vectorIndex = new VectorIndex();
+    vectorIndex.upsert(base[0].id, [1, 0, 0]);
+    vectorIndex.upsert(base[1].id, [0, 1, 0]);
+
+    const overlay = await loadOverlay(store, repoDir);
+    expect(overlay).toMatchObject({ branch: 'feature/login', base: 'main' });
+    expect(applyOverlayRows(base, overlay).map(row => row.id)).toEqual(rows.map(row => row.id));
+
+    await applyOverlayIndexes(store, base, overlay, { termIndex, vectorIndex });
+    expect([...termIndex.score(['passkey']).keys()].sort()).toEqual(rows.map(row => row.id).sort());
+    expect(termIndex.score(['cookie']).size).toBe(0);
+    expect(vectorIndex.ids.sort()).toEqual(rows.map(row => row.id).sort());
+
+    git(['checkout', '-q', 'main']);
+    expect(await loadOverlay(store, repoDir)).toBeNull();
+  });
+
+  it('should remove an overlay with the chunk files no other view uses', async () => {
+    const { base, rows, dir } = await buildStore();
+    // Another branch with the same c.js shares its chunk
+    const other = overlayDir(store, 'feature/other');
+    await fs.mkdir(path.join(other, 'db'), { recursive: true });
+    await writeIndex(other, [rows[1]]);
+    await writeOverlayInfo(other, { branch: 'feature/other', base: 'main' });
+
+    expect((await listOverlays(store)).map(overlay => overlay.branch)).toEqual(['feature/login', 'feature/other']);
+    expect(await chunkIdsInUse(store, { except: dir })).toEqual(new Set([...base.map(row => row.id), rows[1].id]));
+
+    expect(await removeOverlay(store, dir)).toBe(1);
+    expect(await loadChunk(store, rows[0].id)).toBeNull();
+    expect(await loadChunk(store, rows[1].id)).toMatchObject({ content: 'passkey registration' });
+    expect(await loadChunk(store, base[0].id)).toMatchObject({ content: 'login with password' });
+    expect((await listOverlays(store)).map(overlay => overlay.branch)).toEqual(['feature/other']);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for indexing a git ref without checking it out
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { GitRefSource, GitRefError, isBareRepository, readSourceInfo, writeSourceInfo } from '../../lib/index-source.js';
+import { GitObjectReader } from '../../lib/git.js';
+import { computeRepoId } from '../../lib/repoid.js';
+import { sha256 } from '../../lib/hash.js';
+
+describe('GitRefSource', () => {
+  let tmp;
+  let repoDir;
+  let mirror;
+  const git = (cwd, args) => execFileSync('git', args, {
+    cwd,
+    env: { ...process.env, GIT_AUTHOR_NAME: 'Ada', GIT_AUTHOR_EMAIL: 'ada@example.com', GIT_COMMITTER_NAME: 'Ada', GIT_COMMITTER_EMAIL: 'ada@example.com' },
+    stdio: 'pipe'
+  }).toString().trim();
+
+  async function write(rel, content) {
+    await fs.mkdir(path.dirname(path.join(repoDir, rel)), { recursive: true });
+    await fs.writeFile(path.join(repoDir, rel), content);
+  }
+
+  beforeEach(async () => {
+    tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-ref-'));
+    repoDir = path.join(tmp, 'app');
+    mirror = path.join(tmp, 'app.git');
+    await fs.mkdir(repoDir);
+    git(repoDir, ['init', '-q', '-b', 'main']);
+    await write('src/auth.js', 'export function login() {\n  return true;\n}\n');
+    await write('src/.gitignore', 'generated/\n');
+    await write('src/generated/api.js', 'export const api = {};\n');
+    await write('docs/guide.md', '# Guide\n\nHow to log in.\n');
+    git(repoDir, ['add', '-A']);
+    git(repoDir, ['commit', '-qm', 'First']);
+    git(repoDir, ['tag', 'v1']);
+    await write('src/auth.js', 'export function login() {\n  return false;\n}\n');
+    git(repoDir, ['commit', '-qam', 'Second']);
+    git(tmp, ['clone', '-q', '--bare', repoDir, mirror]);
+
+    // The working tree has moved on; refs are read from git, not from here
+    await write('src/auth.js', 'uncommitted\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmp, { recursive: true, force: true });
+  });
+
+  it('should list and read the files of a tag in a bare repository', async () => {
+    const source = await GitRefSource.open(mirror, 'v1');
+    try {
+      const files = await source.scan({ config: { exclusions: { patterns: ['*.md'] } } });
+      expect(files.map(file => file.rel)).toEqual(['src/.gitignore', 'src/auth.js']);
+
+      const auth = files.find(file => file.rel === 'src/auth.js');
+      const content = await source.read(auth);
+      expect(content).toContain('return true;');
+      expect(auth).toMatchObject({ full: path.join(mirror, 'src/auth.js'), size: content.length, hash: sha256(content) });
+      expect(source.commit).toBe(git(repoDir, ['rev-parse', 'v1']));
+    } finally {
+      source.close();
+    }
+  });
+
+  it('should read a branch from a checkout where something else is checked out', async () => {
+    git(repoDir, ['checkout', '-q', '-f', 'v1']);
+    const source = await GitRefSource.open(repoDir, 'main');
+    try {
+      const files = await source.scan({ argv: { exclude: 'docs/' } });
+      expect(await source.read(files.find(file => file.rel === 'src/auth.js'))).toContain('return false;');
+      expect(files.map(file => file.rel)).not.toContain('docs/guide.md');
+    } finally {
+      source.close();
+    }
+  });
+
+  it('should refuse a ref that is not a commit', async () => {
+    await expect(GitRefSource.open(mirror, 'no-such-branch')).rejects.toBeInstanceOf(GitRefError);
+  });
+
+  it('should recognise bare repositories and name their store after the mirror', async () => {
+    expect(await isBareRepository(mirror)).toBe(true);
+    expect(await isBareRepository(repoDir)).toBe(false);
+    expect((await computeRepoId(mirror)).alias).toBe('app');
+  });
+
+  it('should reject reads of missing objects without stalling later ones', async () => {
+    const reader = new GitObjectReader(mirror);
+    try {
+      await expect(reader.read('0'.repeat(40))).rejects.toThrow('not found');
+      expect((await reader.read('v1:docs/guide.md')).toString()).toBe('# Guide\n\nHow to log in.\n');
+    } finally {
+      reader.close();
+    }
+  });
+
+  it('should record what a store was built from', async () => {
+    expect(await readSourceInfo(tmp)).toBeNull();
+    await writeSourceInfo(tmp, { type: 'ref', ref: 'v1', commit: 'abc' });
+    expect(await readSourceInfo(tmp)).toMatchObject({ type: 'ref', ref: 'v1', commit: 'abc' });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for query output formats
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  resolveOutputFormat,
+  isMachineFormat,
+  routeStatusToStderr,
+  formatResults,
+  buildSarifLog
+} from '../../lib/output-formats.js';
+
+const results = [
+  {
+    score: 0.91,
+    file: 'src/upload.js',
+    repo: 'app',
+    repoPath: '/work/app',
+    lines: '10-13',
+    context: '// helpers\nexport function retryUpload(file) {\n    return upload(file);\n}',
+    language: 'javascript',
+    type: 'function',
+    functionName: 'retryUpload'
+  },
+  { score: 0.5, file: 'README.md', repo: 'app', lines: '1-1', context: '', language: 'unknown', type: 'code' }
+];
+
+describe('resolveOutputFormat', () => {
+  it('should default to text and treat --json as --format json', () => {
+    expect(resolveOutputFormat({})).toBe('text');
+    expect(resolveOutputFormat({ json: true })).toBe('json');
+    expect(resolveOutputFormat({ format: 'SARIF' })).toBe('sarif');
+    expect(resolveOutputFormat({ format: 'xml' })).toBeNull();
+  });
+
+  it('should flag every non-text format as machine-readable', () => {
+    expect(isMachineFormat('text')).toBe(false);
+    expect(isMachineFormat('markdown')).toBe(true);
+  });
+});
+
+describe('formatResults', () => {
+  it('should print one JSON object per line for jsonl', () => {
+    const lines = formatResults(results, 'jsonl').trim().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[0]).file).toBe('src/upload.js');
+  });
+
+  it('should point vimgrep entries at the best matching line, relative to cwd', () => {
+    const output = formatResults(results, 'vimgrep', { query: 'retry upload', cwd: '/work/app' });
+    expect(output).toBe('src/upload.js:11:1:export function retryUpload(file) {\nREADME.md:1:1:\n');
+  });
+
+  it('should keep absolute paths for other repositories in vimgrep output', () => {
+    const output = formatResults(results.slice(0, 1), 'vimgrep', { query: 'upload', cwd: '/elsewhere' });
+    expect(output.startsWith('/work/app/src/upload.js:11:')).toBe(true);
+  });
+
+  it('should render markdown sections with fenced code', () => {
+    const output = formatResults(results, 'markdown', { query: 'retry upload' });
+    expect(output).toContain('## 1. app/src/upload.js:10-13');
+    expect(output).toContain('```javascript\n// helpers');
+    expect(output).not.toContain('```unknown');
+  });
+
+  it('should list the other places the same code appears', () => {
+    const duplicated = [{ ...results[0], locations: [{ file: 'src/upload.js', lines: '10-13' }, { file: 'vendor/upload.js', lines: '40-43' }] }];
+    expect(formatResults(duplicated, 'vimgrep', { query: 'retry upload', cwd: '/work/app' })).toBe(
+      'src/upload.js:11:1:export function retryUpload(file) {\nvendor/upload.js:41:1:export function retryUpload(file) {\n'
+    );
+    expect(formatResults(duplicated, 'markdown', { query: 'retry upload' })).toContain('Also in: `vendor/upload.js:40-43`');
+
+    const [first] = buildSarifLog(duplicated, { cwd: '/work/app' }).runs[0].results;
+    expect(first.relatedLocations).toEqual([{
+      id: 1,
+      message: { text: 'Same code' },
+      physicalLocation: { artifactLocation: { uri: 'vendor/upload.js' }, region: { startLine: 40, endLine: 43 } }
+    }]);
+  });
+
+  it('should print valid JSON for an empty result set', () => {
+    expect(JSON.parse(formatResults([], 'json'))).toEqual([]);
+    expect(formatResults([], 'jsonl')).toBe('');
+  });
+});
+
+describe('buildSarifLog', () => {
+  it('should describe each hit as a note with its region', () => {
+    const log = buildSarifLog(results, { query: 'retry upload', cwd: '/work/app', toolVersion: '1.2.3' });
+    expect(log.version).toBe('2.1.0');
+    expect(log.runs[0].tool.driver).toMatchObject({ name: 'ziri', version: '1.2.3' });
+
+    const [first] = log.runs[0].results;
+    expect(first.level).toBe('note');
+    expect(first.locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'src/upload.js' },
+      region: { startLine: 10, endLine: 13 }
+    });
+    expect(first.properties.score).toBe(0.91);
+  });
+});
+
+describe('routeStatusToStderr', () => {
+  let restore;
+
+  afterEach(() => restore?.());
+
+  it('should send console.log to stderr until restored', () => {
+    const original = console.log;
+    restore = routeStatusToStderr();
+    expect(console.log).not.toBe(original);
+    restore();
+    restore = null;
+    expect(console.log).toBe(original);
+  });
+});
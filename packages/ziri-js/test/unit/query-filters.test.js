@@ -0,0 +1,153 @@
+/**
+ * Tests for structured query filters
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  parseInlineFilters,
+  buildQueryFilters,
+  hasFilters,
+  describeFilters,
+  filterIndexRows,
+  globToRegExp
+} from '../../lib/query-filters.js';
+import { ensureRepoStore, saveChunk } from '../../lib/store_repo.js';
+import { GitSignals } from '../../lib/ranking/git-signals.js';
+
+const rows = [
+  { id: 'a', relPath: 'src/auth/token.ts', meta: { language: 'typescript', type: 'function', symbols: ['refreshToken'] } },
+  { id: 'b', relPath: 'src/auth/token.test.ts', meta: { language: 'typescript', type: 'code', symbols: [] } },
+  { id: 'c', relPath: 'test/auth/helpers.ts', meta: { language: 'typescript', type: 'function', symbols: ['makeUser'] } },
+  { id: 'd', relPath: 'scripts/deploy.py', meta: { language: 'python', type: 'class', symbols: ['Deployer'] } },
+  { id: 'e', relPath: 'src2/other.ts', meta: { language: 'typescript', type: 'import', symbols: [] } }
+];
+
+const ids = list => list.map(row => row.id);
+
+describe('parseInlineFilters', () => {
+  it('should split filter tokens from the query text', () => {
+    const { query, filters } = parseInlineFilters('lang:ts path:src/ auth token');
+    expect(query).toBe('auth token');
+    expect(filters.languages).toEqual(['ts']);
+    expect(filters.paths).toEqual(['src/']);
+  });
+
+  it('should support negated paths, types, symbols and comma lists', () => {
+    const { query, filters } = parseInlineFilters('-path:**/test/** not-path:dist/ type:function,class symbol:Token* retry');
+    expect(query).toBe('retry');
+    expect(filters.notPaths).toEqual(['**/test/**', 'dist/']);
+    expect(filters.types).toEqual(['function', 'class']);
+    expect(filters.symbols).toEqual(['Token*']);
+  });
+
+  it('should leave ordinary words with colons alone', () => {
+    const { query, filters } = parseInlineFilters('http://example.com scope:all');
+    expect(query).toBe('http://example.com scope:all');
+    expect(hasFilters(filters)).toBe(false);
+  });
+});
+
+describe('buildQueryFilters', () => {
+  it('should merge flags with inline filters and expand language shorthands', () => {
+    const { filters: inline } = parseInlineFilters('lang:py');
+    const filters = buildQueryFilters({ lang: ['ts', 'JavaScript'], 'not-path': '**/test/**', type: 'Function' }, inline);
+    expect(filters.languages).toEqual(['typescript', 'javascript', 'python']);
+    expect(filters.notPaths).toEqual(['**/test/**']);
+    expect(filters.types).toEqual(['function']);
+    expect(describeFilters(filters)).toBe('lang=typescript|javascript|python not-path=**/test/** type=function');
+  });
+
+  it('should reject malformed --since windows', () => {
+    expect(() => buildQueryFilters({ since: 'lately' })).toThrow(/Invalid --since value 'lately'/);
+  });
+
+  it('should reject unknown chunk types', () => {
+    expect(() => buildQueryFilters({ type: 'method' })).toThrow(/Unknown chunk type: method/);
+  });
+});
+
+describe('globToRegExp', () => {
+  it('should keep single stars within a path segment', () => {
+    expect(globToRegExp('src/*.ts').test('src/a.ts')).toBe(true);
+    expect(globToRegExp('src/*.ts').test('src/auth/a.ts')).toBe(false);
+  });
+
+  it('should let double stars span directories', () => {
+    expect(globToRegExp('src/**').test('src/auth/a.ts')).toBe(true);
+    expect(globToRegExp('**/test/**').test('test/auth/helpers.ts')).toBe(true);
+    expect(globToRegExp('**/test/**').test('src/latest/a.ts')).toBe(false);
+  });
+});
+
+describe('filterIndexRows', () => {
+  let repoDir;
+
+  beforeEach(async () => {
+    repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-filters-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(repoDir, { recursive: true, force: true });
+  });
+
+  it('should return every row when no filters are set', async () => {
+    expect(await filterIndexRows(repoDir, rows, buildQueryFilters({}))).toBe(rows);
+  });
+
+  it('should filter by language, path prefix and excluded glob', async () => {
+    const filters = buildQueryFilters({ lang: 'ts', path: 'src/', 'not-path': '**/*.test.ts' });
+    expect(ids(await filterIndexRows(repoDir, rows, filters))).toEqual(['a']);
+  });
+
+  it('should filter by chunk type', async () => {
+    expect(ids(await filterIndexRows(repoDir, rows, buildQueryFilters({ type: 'function,class' })))).toEqual(['a', 'c', 'd']);
+  });
+
+  it('should match symbols case-insensitively with wildcards', async () => {
+    expect(ids(await filterIndexRows(repoDir, rows, buildQueryFilters({ symbol: 'refreshtoken' })))).toEqual(['a']);
+    expect(ids(await filterIndexRows(repoDir, rows, buildQueryFilters({ symbol: 'Dep*' })))).toEqual(['d']);
+  });
+
+  it('should read symbols from stored chunks for rows indexed without them', async () => {
+    await ensureRepoStore(repoDir);
+    await saveChunk(repoDir, 'legacy', [0.1, 0.2], {
+      content: 'class LegacyThing {}',
+      filePath: path.join(repoDir, 'lib/legacy.js'),
+      relativePath: 'lib/legacy.js',
+      startLine: 1,
+      endLine: 1,
+      language: 'javascript',
+      className: 'LegacyThing'
+    });
+
+    const legacyRows = [{ id: 'legacy', relPath: 'lib/legacy.js', meta: { language: 'javascript', type: 'class' } }];
+    expect(ids(await filterIndexRows(repoDir, legacyRows, buildQueryFilters({ symbol: 'LegacyThing' })))).toEqual(['legacy']);
+  });
+
+  it('should keep files committed within the --since window', async () => {
+    await ensureRepoStore(repoDir);
+    const now = Math.floor(Date.now() / 1000);
+    await new GitSignals({
+      newestCommit: now,
+      files: {
+        'src/auth/token.ts': { lastCommit: now - 5 * 86400, commits: 4 },
+        'scripts/deploy.py': { lastCommit: now - 90 * 86400, commits: 1 }
+      }
+    }).save(repoDir);
+
+    const { query, filters: inline } = parseInlineFilters('since:30d deploy');
+    expect(query).toBe('deploy');
+    const filters = buildQueryFilters({}, inline);
+    expect(describeFilters(filters)).toBe('since=30d');
+    // Untracked files have no commit in the window
+    expect(ids(await filterIndexRows(repoDir, rows, filters))).toEqual(['a']);
+    expect(ids(await filterIndexRows(repoDir, rows, buildQueryFilters({ since: '1y' })))).toEqual(['a', 'd']);
+  });
+
+  it('should match nothing by date in stores without git history', async () => {
+    expect(await filterIndexRows(repoDir, rows, buildQueryFilters({ since: '30d' }))).toEqual([]);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for span merging and MMR diversity
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  resolveDiversityOptions,
+  mergeAdjacentHits,
+  diversifyResults
+} from '../../../lib/ranking/diversity.js';
+
+function hit(file, start, end, score, extra = {}) {
+  const context = Array.from({ length: end - start + 1 }, (_, i) => `line${start + i}`).join('\n');
+  return { file, repo: 'app', lines: `${start}-${end}`, context, score, functions: [], ...extra };
+}
+
+describe('resolveDiversityOptions', () => {
+  it('should default to merging and MMR', () => {
+    expect(resolveDiversityOptions({}, {})).toMatchObject({ mergeSpans: true, mmr: true, lambda: 0.7 });
+  });
+
+  it('should honour --no-merge, --no-mmr and --mmr-lambda', () => {
+    const options = resolveDiversityOptions({ merge: false, mmr: false, 'mmr-lambda': '0.5' }, {});
+    expect(options).toMatchObject({ mergeSpans: false, mmr: false, lambda: 0.5 });
+  });
+
+  it('should reject a lambda outside 0-1', () => {
+    expect(() => resolveDiversityOptions({ 'mmr-lambda': '2' }, {})).toThrow(/between 0 and 1/);
+  });
+});
+
+describe('mergeAdjacentHits', () => {
+  it('should merge overlapping and touching hits of one file into a span', () => {
+    const results = [
+      hit('src/a.js', 1, 10, 0.6, { functions: ['load'] }),
+      hit('src/a.js', 9, 20, 0.7, { functions: ['save'] }),
+      hit('src/a.js', 21, 25, 0.4),
+      hit('src/b.js', 1, 5, 0.5)
+    ];
+
+    const spans = mergeAdjacentHits(results);
+    expect(spans).toHaveLength(2);
+    expect(spans[0]).toMatchObject({ file: 'src/a.js', lines: '1-25', mergedHits: 3, functions: ['load', 'save'] });
+    expect(spans[0].score).toBeCloseTo(0.7 + 0.1 * (0.6 + 0.4));
+    expect(spans[0].context.split('\n')).toEqual(Array.from({ length: 25 }, (_, i) => `line${i + 1}`));
+    expect(spans[1]).toBe(results[3]);
+  });
+
+  it('should keep separated hits and other repositories apart', () => {
+    const results = [
+      hit('src/a.js', 1, 10, 0.9),
+      hit('src/a.js', 30, 40, 0.8),
+      { ...hit('src/a.js', 5, 12, 0.7), repo: 'other' }
+    ];
+    expect(mergeAdjacentHits(results).map(r => r.lines)).toEqual(['1-10', '30-40', '5-12']);
+    expect(mergeAdjacentHits(results, { gap: 20 })[0].lines).toBe('1-40');
+  });
+
+  it('should pass through results without line content', () => {
+    const legacy = { file: 'src/a.js', lines: '1-1', context: '', score: 0.4 };
+    expect(mergeAdjacentHits([legacy, hit('src/a.js', 1, 3, 0.6)])).toHaveLength(2);
+  });
+});
+
+describe('diversifyResults', () => {
+  const results = [
+    { file: 'src/auth.js', repo: 'app', context: 'function refreshToken(token) { return token }', score: 0.9 },
+    { file: 'src/auth2.js', repo: 'app', context: 'function refreshToken(token) { return token }', score: 0.88 },
+    { file: 'src/upload.js', repo: 'app', context: 'function retryUpload(file) { upload(file) }', score: 0.8 }
+  ];
+
+  it('should prefer a distinct result over a near duplicate', () => {
+    expect(diversifyResults(results, 2).map(r => r.file)).toEqual(['src/auth.js', 'src/upload.js']);
+  });
+
+  it('should keep relevance order when lambda is 1', () => {
+    expect(diversifyResults(results, 2, { lambda: 1 }).map(r => r.file)).toEqual(['src/auth.js', 'src/auth2.js']);
+  });
+});
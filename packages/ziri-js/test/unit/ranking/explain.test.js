@@ -0,0 +1,78 @@
+/**
+ * Tests for query score breakdowns (--explain)
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  retrievalWeights,
+  explainCandidate,
+  explainBoosts,
+  finalizeExplain,
+  formatExplain
+} from '../../../lib/ranking/explain.js';
+import { computeNameBoost, createEnhancedQueryResult } from '../../../lib/query.js';
+
+describe('retrievalWeights', () => {
+  it('should report the weights combineScores actually applies', () => {
+    expect(retrievalWeights('hybrid')).toEqual({ vector: 0.7, lexical: 0.2 });
+    const custom = retrievalWeights('hybrid', { vector: 0.5, bm25: 0.5 });
+    expect(custom.vector).toBe(custom.lexical);
+    expect(retrievalWeights('vector')).toEqual({ vector: 1, lexical: 0 });
+    expect(retrievalWeights('lexical')).toEqual({ vector: 0, lexical: 1 });
+  });
+});
+
+describe('computeNameBoost', () => {
+  const chunk = { functionName: 'retryUpload', className: 'UploadService' };
+
+  it('should let a class name match replace a function name match', () => {
+    const { score, boosts } = computeNameBoost(chunk, 0.5, 'UploadService retryUpload');
+    expect(score).toBeCloseTo(0.575);
+    expect(boosts.map(b => [b.type, b.factor, b.applied])).toEqual([
+      ['function-name', 1.2, false],
+      ['class-name', 1.15, true]
+    ]);
+  });
+
+  it('should leave unmatched chunks alone and agree with createEnhancedQueryResult', () => {
+    expect(computeNameBoost(chunk, 0.5, 'token refresh')).toEqual({ score: 0.5, boosts: [] });
+    const result = createEnhancedQueryResult({ ...chunk, className: null, content: 'x', startLine: 1, endLine: 2 }, 0.9, 'app', 'retryUpload');
+    expect(result.score).toBe(1);
+  });
+});
+
+describe('explain breakdown', () => {
+  it('should record retrieval components, fusion and boosts', () => {
+    const candidate = { score: 0.8, retrievalScore: 0.55, vectorScore: 0.61234, lexicalScore: 0.4 };
+    const explain = explainCandidate(candidate, { mode: 'hybrid', variants: 2, filters: 'lang:ts' });
+    expect(explain.retrieval).toEqual({ vector: 0.6123, lexical: 0.4, weights: { vector: 0.7, lexical: 0.2 }, score: 0.55 });
+    expect(explain.fusion).toEqual({ method: 'rrf', lists: 2, score: 0.8 });
+
+    const boosted = explainBoosts(explain, [{ type: 'function-name', name: 'f', factor: 1.2, applied: true }], 0.9, 1);
+    expect(boosted).toMatchObject({ boostedScore: 1, capped: true });
+  });
+
+  it('should leave the unused component out in single-signal modes', () => {
+    const explain = explainCandidate({ score: 0.3, vectorScore: 0, lexicalScore: 0.3 }, { mode: 'lexical' });
+    expect(explain.retrieval.vector).toBeNull();
+    expect(explain.fusion).toBeNull();
+  });
+
+  it('should fill in final score, rank and rerank moves', () => {
+    const explain = explainBoosts(explainCandidate({ score: 0.5, vectorScore: 0.5 }, { mode: 'vector' }), [], 0.5, 0.5);
+    const [first, second] = finalizeExplain([
+      { score: 0.5, rerankScore: 0.9, originalRank: 2, explain },
+      { score: 0.7, explain: { ...explain, merge: { hits: 2, scoreBefore: 0.6, scoreAfter: 0.7 } } }
+    ]);
+    expect(first.explain).toMatchObject({ finalScore: 0.5, rank: 1, rerank: { score: 0.9, originalRank: 2 } });
+    expect(second.explain).toMatchObject({ finalScore: 0.7, rank: 2, rerank: null });
+
+    expect(formatExplain(first.explain)).toEqual([
+      'vector: cosine 0.5 × 1 = 0.5',
+      'boosts: none',
+      'rerank: rated 0.9, was #2',
+      'final: 0.5 (rank #1)'
+    ]);
+    expect(formatExplain(second.explain)).toContain('merged 2 overlapping hits: 0.6 → 0.7');
+  });
+});
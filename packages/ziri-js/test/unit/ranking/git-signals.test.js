@@ -0,0 +1,126 @@
+/**
+ * Tests for git recency and churn signals
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import {
+  GitSignals,
+  collectGitSignals,
+  resolveGitBoostOptions,
+  computeGitBoost,
+  parseSince
+} from '../../../lib/ranking/git-signals.js';
+
+const DAY = 86400;
+
+describe('parseSince', () => {
+  const now = Date.UTC(2024, 5, 1);
+
+  it('should parse relative windows and dates', () => {
+    expect(parseSince('30d', now).after).toBe(now / 1000 - 30 * DAY);
+    expect(parseSince('12h', now).after).toBe(now / 1000 - 12 * 3600);
+    expect(parseSince('2w', now).after).toBe(now / 1000 - 14 * DAY);
+    expect(parseSince('2024-05-01', now)).toEqual({ spec: '2024-05-01', after: Date.UTC(2024, 4, 1) / 1000 });
+  });
+
+  it('should reject anything else', () => {
+    expect(() => parseSince('30')).toThrow(/Invalid --since/);
+    expect(() => parseSince('soon')).toThrow(/Invalid --since/);
+  });
+});
+
+describe('git boosts', () => {
+  const signals = new GitSignals({
+    newestCommit: 1000 * DAY,
+    files: {
+      'hot.js': { lastCommit: 1000 * DAY, commits: 15 },
+      'old.js': { lastCommit: 910 * DAY, commits: 1 }
+    }
+  });
+
+  it('should be disabled unless configured or flagged', () => {
+    expect(resolveGitBoostOptions({}, {}).enabled).toBe(false);
+    const options = resolveGitBoostOptions({ recency: true }, { query: { ranking: { recency: { weight: 0.2 } } } });
+    expect(options.recency).toMatchObject({ enabled: true, weight: 0.2, halfLifeDays: 90 });
+    expect(options.churn.enabled).toBe(false);
+    expect(() => resolveGitBoostOptions({}, { query: { ranking: { churn: { weight: -1 } } } })).toThrow(/churn weight/);
+  });
+
+  it('should halve the recency boost every half-life behind the newest commit', () => {
+    const options = resolveGitBoostOptions({ recency: true });
+    expect(computeGitBoost(signals.get('hot.js'), signals, options).factor).toBeCloseTo(1.1);
+    const old = computeGitBoost(signals.get('old.js'), signals, options);
+    expect(old.factor).toBeCloseTo(1.05);
+    expect(old.recency).toEqual({ ageDays: 90, factor: 1.05 });
+  });
+
+  it('should scale churn against the most changed file and ignore untracked files', () => {
+    const options = resolveGitBoostOptions({ churn: true });
+    expect(computeGitBoost(signals.get('hot.js'), signals, options).factor).toBeCloseTo(1.05);
+    expect(computeGitBoost(signals.get('old.js'), signals, options).churn.factor).toBeCloseTo(1 + 0.05 * Math.log(2) / Math.log(16));
+    expect(computeGitBoost(signals.get('new.js'), signals, options)).toEqual({ factor: 1, recency: null, churn: null });
+  });
+});
+
+describe('collectGitSignals', () => {
+  let repoDir;
+  const git = (args, date) => execFileSync('git', args, {
+    cwd: repoDir,
+    env: { ...process.env, GIT_AUTHOR_NAME: 't', GIT_AUTHOR_EMAIL: 't@example.com', GIT_COMMITTER_NAME: 't', GIT_COMMITTER_EMAIL: 't@example.com', GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+    stdio: 'pipe'
+  }).toString().trim();
+
+  beforeEach(async () => {
+    repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-git-'));
+    git(['init', '-q']);
+    await fs.mkdir(path.join(repoDir, 'src'));
+    await fs.writeFile(path.join(repoDir, 'src/a.js'), 'a');
+    await fs.writeFile(path.join(repoDir, 'README.md'), 'r');
+    git(['add', '.']);
+    git(['commit', '-qm', 'one'], '2024-01-01T00:00:00Z');
+    await fs.writeFile(path.join(repoDir, 'src/a.js'), 'a2');
+    git(['commit', '-qam', 'two'], '2024-03-01T00:00:00Z');
+  });
+
+  afterEach(async () => {
+    await fs.rm(repoDir, { recursive: true, force: true });
+  });
+
+  it('should record last commit time and commit count per file', async () => {
+    const signals = await collectGitSignals(repoDir);
+    expect(signals.commits).toBe(2);
+    expect(signals.get('src/a.js')).toEqual({ lastCommit: Date.parse('2024-03-01T00:00:00Z') / 1000, commits: 2 });
+    expect(signals.get('README.md').commits).toBe(1);
+    expect(signals.newestCommit).toBe(Date.parse('2024-03-01T00:00:00Z') / 1000);
+  });
+
+  it('should use paths relative to a subdirectory and reuse signals while HEAD is unchanged', async () => {
+    const signals = await collectGitSignals(path.join(repoDir, 'src'));
+    expect(Object.keys(signals.files)).toEqual(['a.js']);
+    expect(await collectGitSignals(path.join(repoDir, 'src'), { previous: signals })).toBe(signals);
+  });
+
+  it('should round-trip through a store', async () => {
+    const store = path.join(repoDir, '.store');
+    await fs.mkdir(path.join(store, 'db'), { recursive: true });
+    expect(await GitSignals.load(store)).toBeNull();
+
+    await (await collectGitSignals(repoDir)).save(store);
+    const loaded = await GitSignals.load(store);
+    expect(loaded.size).toBe(2);
+    expect(loaded.maxCommits).toBe(2);
+  });
+
+  it('should return null outside a git checkout', async () => {
+    const plain = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-nogit-'));
+    try {
+      expect(await collectGitSignals(plain)).toBeNull();
+    } finally {
+      await fs.rm(plain, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for HyDE query expansion
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  resolveExpansionOptions,
+  expandQuery,
+  expansionTexts,
+  extractIdentifiers,
+  fuseRankedLists
+} from '../../../lib/ranking/query-expansion.js';
+
+const SNIPPET = 'async function retryUpload(file) {\n  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {\n    await upload_chunk(file);\n  }\n}';
+
+describe('resolveExpansionOptions', () => {
+  it('should enable expansion from the flag and use the Ollama text model', () => {
+    const options = resolveExpansionOptions({ expand: true }, {
+      providers: { ollama: { baseUrl: 'http://gpu-box:11434/', textModel: 'llama3' } }
+    });
+    expect(options).toMatchObject({ enabled: true, model: 'llama3', baseUrl: 'http://gpu-box:11434' });
+  });
+
+  it('should stay disabled unless configured', () => {
+    expect(resolveExpansionOptions({ expand: false }, {}).enabled).toBe(false);
+    expect(resolveExpansionOptions({}, { query: { expand: { enabled: true, model: 'coder' } } })).toMatchObject({ enabled: true, model: 'coder' });
+  });
+});
+
+describe('extractIdentifiers', () => {
+  it('should keep camelCase, snake_case and constant names but not keywords or prose', () => {
+    expect(extractIdentifiers(SNIPPET)).toEqual(['retryUpload', 'MAX_RETRIES', 'upload_chunk']);
+  });
+});
+
+describe('fuseRankedLists', () => {
+  it('should favour ids ranked well in several lists', () => {
+    const fused = fuseRankedLists([['a', 'b', 'c'], ['b', 'd'], ['b', 'a']]);
+    const order = [...fused].sort((x, y) => y[1] - x[1]).map(([id]) => id);
+    expect(order).toEqual(['b', 'a', 'd', 'c']);
+  });
+
+  it('should score an id ranked first everywhere as 1', () => {
+    expect(fuseRankedLists([['a'], ['a']]).get('a')).toBeCloseTo(1);
+  });
+});
+
+describe('expandQuery', () => {
+  let home;
+  let originalHome;
+  let originalFetch;
+  const options = resolveExpansionOptions({ expand: true }, {});
+
+  beforeEach(async () => {
+    home = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-expand-'));
+    originalHome = process.env.ZIRI_HOME;
+    process.env.ZIRI_HOME = home;
+    originalFetch = global.fetch;
+  });
+
+  afterEach(async () => {
+    global.fetch = originalFetch;
+    if (originalHome === undefined) delete process.env.ZIRI_HOME;
+    else process.env.ZIRI_HOME = originalHome;
+    await fs.rm(home, { recursive: true, force: true });
+  });
+
+  it('should draft a snippet once and serve repeats from the cache', async () => {
+    global.fetch = vi.fn(async () => ({ ok: true, json: async () => ({ response: '```js\n' + SNIPPET + '\n```' }) }));
+
+    const first = await expandQuery('where do we retry uploads', options);
+    expect(first).toMatchObject({ snippet: SNIPPET, cached: false });
+    expect(expansionTexts(first)).toEqual([SNIPPET, 'retryUpload MAX_RETRIES upload_chunk']);
+
+    const second = await expandQuery('where do we retry uploads', options);
+    expect(second).toMatchObject({ snippet: SNIPPET, cached: true });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should return null when the model is unavailable', async () => {
+    global.fetch = vi.fn(async () => ({ ok: false, status: 404, statusText: 'Not Found' }));
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await expandQuery('anything', options)).toBeNull();
+    expect(expansionTexts(null)).toEqual([]);
+    warn.mockRestore();
+  });
+});
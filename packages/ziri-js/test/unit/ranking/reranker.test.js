@@ -0,0 +1,119 @@
+/**
+ * Tests for second-stage reranking
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  resolveRerankOptions,
+  rerankResults,
+  buildRelevancePrompt,
+  parseRelevanceScore
+} from '../../../lib/ranking/reranker.js';
+
+const candidates = [
+  { file: 'src/a.js', lines: '1-10', context: 'function unrelated() {}', score: 0.9 },
+  { file: 'src/b.js', lines: '5-20', context: 'function refreshToken() {}', score: 0.8 },
+  { file: 'src/c.js', lines: '1-3', context: 'const x = 1;', score: 0.7 }
+];
+
+function ollamaReply(text) {
+  return { ok: true, json: async () => ({ response: text }) };
+}
+
+describe('resolveRerankOptions', () => {
+  it('should default to the Ollama text model', () => {
+    const options = resolveRerankOptions({ rerank: true }, {
+      providers: { ollama: { baseUrl: 'http://gpu-box:11434/', textModel: 'llama3' } }
+    });
+    expect(options).toMatchObject({ enabled: true, provider: 'ollama', model: 'llama3', baseUrl: 'http://gpu-box:11434', poolSize: 20 });
+  });
+
+  it('should apply config and pool/timeout flags', () => {
+    const options = resolveRerankOptions({ rerank: false, 'rerank-pool': '40', 'rerank-timeout': '500' }, {
+      query: { rerank: { enabled: true, provider: 'openai', baseUrl: 'http://localhost:8000/v1', model: 'bge-judge' } }
+    });
+    expect(options).toMatchObject({ enabled: true, provider: 'openai', model: 'bge-judge', poolSize: 40, timeout: 500 });
+  });
+
+  it('should reject unknown providers', () => {
+    expect(() => resolveRerankOptions({}, { query: { rerank: { provider: 'cohere' } } })).toThrow(/Unsupported rerank provider/);
+  });
+});
+
+describe('parseRelevanceScore', () => {
+  it('should read the first number as a 0-1 score', () => {
+    expect(parseRelevanceScore('8')).toBe(0.8);
+    expect(parseRelevanceScore(' Relevance: 7.5/10')).toBe(0.75);
+    expect(parseRelevanceScore('15')).toBe(1);
+    expect(parseRelevanceScore('none')).toBeNull();
+  });
+});
+
+describe('buildRelevancePrompt', () => {
+  it('should include the query, location and code', () => {
+    const prompt = buildRelevancePrompt('token refresh', candidates[1]);
+    expect(prompt).toContain('Query: token refresh');
+    expect(prompt).toContain('File: src/b.js (lines 5-20)');
+    expect(prompt).toContain('function refreshToken() {}');
+  });
+});
+
+describe('rerankResults', () => {
+  const options = resolveRerankOptions({ rerank: true }, {});
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should reorder candidates by model rating', async () => {
+    const ratings = { 'src/a.js': '2', 'src/b.js': '9', 'src/c.js': '2' };
+    global.fetch = vi.fn(async (url, init) => {
+      const { prompt } = JSON.parse(init.body);
+      const file = prompt.match(/File: (\S+)/)[1];
+      return ollamaReply(ratings[file]);
+    });
+
+    const { results, reranked } = await rerankResults('token refresh', candidates, options);
+    expect(reranked).toBe(true);
+    expect(results.map(r => r.file)).toEqual(['src/b.js', 'src/a.js', 'src/c.js']);
+    expect(results[0]).toMatchObject({ rerankScore: 0.9, originalRank: 2 });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:11434/api/generate');
+  });
+
+  it('should call OpenAI-compatible chat completions', async () => {
+    const openaiOptions = resolveRerankOptions({ rerank: true }, {
+      query: { rerank: { provider: 'openai', baseUrl: 'http://localhost:8000/v1', apiKey: 'secret' } }
+    });
+    global.fetch = vi.fn(async () => ({ ok: true, json: async () => ({ choices: [{ message: { content: '5' } }] }) }));
+
+    const { reranked } = await rerankResults('q', candidates, openaiOptions);
+    expect(reranked).toBe(true);
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:8000/v1/chat/completions');
+    expect(init.headers.Authorization).toBe('Bearer secret');
+  });
+
+  it('should keep the original order when a rating fails', async () => {
+    global.fetch = vi.fn(async () => ({ ok: false, status: 500, statusText: 'Internal Server Error' }));
+
+    const { results, reranked, reason } = await rerankResults('q', candidates, options);
+    expect(reranked).toBe(false);
+    expect(reason).toMatch(/500/);
+    expect(results).toBe(candidates);
+  });
+
+  it('should keep the original order when the model is too slow', async () => {
+    global.fetch = vi.fn(() => new Promise(() => {}));
+
+    const { results, reranked, reason } = await rerankResults('q', candidates, { ...options, timeout: 20 });
+    expect(reranked).toBe(false);
+    expect(reason).toBe('timed out after 20ms');
+    expect(results).toBe(candidates);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for the persistent BM25 term index
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { TermIndex } from '../../../lib/ranking/term-index.js';
+import { tokenizeQuery } from '../../../lib/ranking/bm25.js';
+import { resolveQueryMode } from '../../../lib/query.js';
+
+describe('TermIndex', () => {
+  let repoDir;
+
+  beforeEach(async () => {
+    repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-terms-'));
+    await fs.mkdir(path.join(repoDir, 'db'), { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(repoDir, { recursive: true, force: true });
+  });
+
+  function buildIndex() {
+    const index = new TermIndex();
+    index.addDocument('a', 'export async function computeRepoId(cwd) { return hash(cwd); }', 'javascript', { functionName: 'computeRepoId' });
+    index.addDocument('b', 'function renderHeader(title) { return title; }', 'javascript');
+    index.addDocument('c', 'class MQOutputNode { constructor() {} }', 'javascript', { className: 'MQOutputNode' });
+    index.addDocument('d', 'const unrelated = 42;', 'javascript');
+    return index;
+  }
+
+  it('should score exact identifier matches highest', () => {
+    const scores = buildIndex().score(tokenizeQuery('computeRepoId'));
+    expect([...scores.keys()]).toEqual(['a']);
+    expect(scores.get('a')).toBe(1);
+  });
+
+  it('should treat identifiers like "constructor" as plain terms', () => {
+    const index = buildIndex();
+    expect(index.docFreq.constructor).toBe(1);
+    expect(index.score(tokenizeQuery('MQOutputNode')).has('c')).toBe(true);
+  });
+
+  it('should update statistics when documents are replaced or removed', () => {
+    const index = buildIndex();
+    expect(index.size).toBe(4);
+
+    index.addDocument('a', 'function somethingElse() {}', 'javascript');
+    expect(index.size).toBe(4);
+    expect(index.score(tokenizeQuery('computeRepoId')).size).toBe(0);
+
+    expect(index.removeDocument('c')).toBe(true);
+    expect(index.removeDocument('c')).toBe(false);
+    expect(index.size).toBe(3);
+    expect(index.docFreq.mqoutputnode).toBeUndefined();
+  });
+
+  it('should persist and reload term statistics', async () => {
+    await buildIndex().save(repoDir);
+
+    const reloaded = await TermIndex.load(repoDir);
+    expect(reloaded.size).toBe(4);
+    expect(reloaded.has('b')).toBe(true);
+    expect(reloaded.score(tokenizeQuery('renderHeader')).has('b')).toBe(true);
+  });
+
+  it('should load an empty index when none exists', async () => {
+    const index = await TermIndex.load(path.join(repoDir, 'missing'));
+    expect(index.size).toBe(0);
+    expect(index.score(['anything']).size).toBe(0);
+  });
+});
+
+describe('resolveQueryMode', () => {
+  it('should prefer the --mode flag', () => {
+    expect(resolveQueryMode('lexical', { query: { mode: 'vector' } })).toBe('lexical');
+  });
+
+  it('should reject unknown modes', () => {
+    expect(resolveQueryMode('fuzzy', {})).toBeNull();
+  });
+
+  it('should fall back to the configured default', () => {
+    expect(resolveQueryMode(undefined, { query: { mode: 'vector' } })).toBe('vector');
+    expect(resolveQueryMode(undefined, {})).toBe('hybrid');
+  });
+
+  it('should use vector mode when BM25 is disabled', () => {
+    expect(resolveQueryMode(undefined, { query: { ranking: { bm25: { enabled: false } } } })).toBe('vector');
+  });
+});
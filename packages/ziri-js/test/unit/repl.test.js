@@ -1,5 +1,8 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { ZiriRepl } from '../../lib/repl.js';
+import { recordQuery } from '../../lib/history.js';
+
+vi.mock('../../lib/history.js', async (importOriginal) => ({ ...await importOriginal(), recordQuery: vi.fn() }));
 
 describe('Ziri REPL', () => {
   let repl;
@@ -48,4 +51,32 @@ describe('Ziri REPL', () => {
     
     expect(repl.history.length).toBe(100);
   });
+
+  it('should record queries with the options they ran with', async () => {
+    const hit = { repo: 'app', file: 'src/upload.js', lines: '1-9', score: 0.8 };
+    const argv = { _: ['query', 'retry upload'], k: '3', scope: 'all', mode: 'lexical', rerank: false };
+    repl.executeQuery = vi.fn().mockResolvedValue({ argv, results: [hit] });
+    repl.rl = { prompt: vi.fn() };
+    console.log = vi.fn();
+
+    await repl.handleInput('retry upload');
+
+    expect(recordQuery).toHaveBeenCalledWith({
+      command: 'query',
+      query: 'retry upload',
+      source: 'repl',
+      options: { k: '3', scope: 'all', mode: 'lexical' },
+      results: [hit]
+    });
+  });
+
+  it('should not record a query that failed', async () => {
+    repl.executeQuery = vi.fn().mockRejectedValue(new Error('not indexed'));
+    repl.rl = { prompt: vi.fn() };
+    console.error = vi.fn();
+
+    await repl.handleInput('retry upload');
+
+    expect(recordQuery).not.toHaveBeenCalled();
+  });
 });
\ No newline at end of file
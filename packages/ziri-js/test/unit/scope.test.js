@@ -0,0 +1,100 @@
+/**
+ * Tests for query scope resolution
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { listRepoStores, resolveAllTargets, resolveRepoTarget, resolveSetTargets, normalizeRepoScores } from '../../lib/scope.js';
+import { addSource } from '../../lib/registry.js';
+
+describe('Query scope resolution', () => {
+  let home;
+  let previousHome;
+
+  beforeEach(async () => {
+    previousHome = process.env.ZIRI_HOME;
+    home = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-scope-'));
+    process.env.ZIRI_HOME = home;
+    await fs.mkdir(path.join(home, 'repos', 'api--a1b2c3'), { recursive: true });
+    await fs.mkdir(path.join(home, 'repos', 'web-app--0f0f0f'), { recursive: true });
+    await fs.writeFile(path.join(home, 'repos', 'stray.txt'), '');
+  });
+
+  afterEach(async () => {
+    if (previousHome === undefined) delete process.env.ZIRI_HOME;
+    else process.env.ZIRI_HOME = previousHome;
+    await fs.rm(home, { recursive: true, force: true });
+  });
+
+  it('should list every store under <home>/repos with its alias', async () => {
+    const stores = await listRepoStores();
+    expect(stores.map(s => s.alias)).toEqual(['api', 'web-app']);
+    expect(stores[0].store).toBe(path.join(home, 'repos', 'api--a1b2c3'));
+  });
+
+  it('should return no stores when the home has no repos directory', async () => {
+    expect(await listRepoStores(path.join(home, 'missing'))).toEqual([]);
+  });
+
+  it('should include registered sources without duplicating indexed stores', async () => {
+    const registered = path.join(home, 'checkout', 'service');
+    await fs.mkdir(registered, { recursive: true });
+    await addSource(registered, 'backend');
+    await addSource(registered, 'everything');
+
+    const registeredTarget = await resolveRepoTarget(registered, 'all');
+    await fs.mkdir(registeredTarget.store, { recursive: true });
+
+    const targets = await resolveAllTargets();
+    expect(targets).toHaveLength(3);
+    const match = targets.find(t => t.store === registeredTarget.store);
+    expect(match.alias).toBe('service');
+    expect(match.path).toBe(registered);
+  });
+
+  it('should add registered sources that have not been indexed yet', async () => {
+    const registered = path.join(home, 'checkout', 'fresh');
+    await fs.mkdir(registered, { recursive: true });
+    await addSource(registered);
+
+    const targets = await resolveAllTargets();
+    expect(targets).toHaveLength(3);
+    expect(targets[2]).toMatchObject({ alias: 'fresh', path: registered, scope: 'all' });
+  });
+
+  it('should resolve every member of a set', async () => {
+    const members = ['orders', 'payments', 'shipping'].map(name => path.join(home, 'checkout', name));
+    for (const member of members) {
+      await fs.mkdir(member, { recursive: true });
+      await addSource(member, 'backend');
+    }
+
+    const targets = await resolveSetTargets('backend');
+    expect(targets.map(t => t.alias)).toEqual(['orders', 'payments', 'shipping']);
+    expect(targets.every(t => t.scope === 'backend')).toBe(true);
+  });
+
+  it('should return null for a missing set', async () => {
+    expect(await resolveSetTargets('nope')).toBeNull();
+  });
+});
+
+describe('normalizeRepoScores', () => {
+  it('should rescale scores against each repository\'s best hit', () => {
+    const normalized = normalizeRepoScores([
+      { id: 'a', store: 'big', score: 0.9 },
+      { id: 'b', store: 'big', score: 0.45 },
+      { id: 'c', store: 'small', score: 0.3 }
+    ]);
+
+    expect(normalized.map(r => r.score)).toEqual([1, 0.5, 1]);
+    expect(normalized.map(r => r.rawScore)).toEqual([0.9, 0.45, 0.3]);
+  });
+
+  it('should leave repositories without positive scores at zero', () => {
+    const [result] = normalizeRepoScores([{ id: 'a', store: 'x', score: 0 }]);
+    expect(result.score).toBe(0);
+  });
+});
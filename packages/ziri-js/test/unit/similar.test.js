@@ -0,0 +1,118 @@
+/**
+ * Tests for finding similar code by location
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { ensureRepoStore, saveChunk, writeIndex } from '../../lib/store_repo.js';
+import { parseLocation, readSourceBlock, resolveSourceVector, findSimilarChunks } from '../../lib/similar.js';
+
+const LINES = Array.from({ length: 30 }, (_, i) => `line ${i + 1}`);
+
+describe('parseLocation', () => {
+  it('should parse ranges and single lines', () => {
+    expect(parseLocation('src/foo.js:40-80')).toEqual({ file: 'src/foo.js', start: 40, end: 80 });
+    expect(parseLocation('C:/work/foo.js:7')).toEqual({ file: 'C:/work/foo.js', start: 7, end: 7 });
+  });
+
+  it('should reject locations without a valid range', () => {
+    expect(() => parseLocation('src/foo.js')).toThrow(/Expected a location/);
+    expect(() => parseLocation('src/foo.js:9-3')).toThrow(/Invalid line range/);
+    expect(() => parseLocation('src/foo.js:0-3')).toThrow(/Invalid line range/);
+  });
+});
+
+describe('similar code search', () => {
+  let repoDir;
+  let store;
+  let other;
+
+  const chunk = async (dir, id, relativePath, startLine, endLine, vector) => {
+    await saveChunk(dir, id, vector, {
+      content: LINES.slice(startLine - 1, endLine).join('\n'),
+      filePath: path.join(dir, relativePath),
+      relativePath,
+      startLine,
+      endLine,
+      language: 'javascript'
+    });
+    return { id, relPath: relativePath, meta: { alias: path.basename(dir), language: 'javascript', type: 'code', symbols: [] } };
+  };
+
+  beforeEach(async () => {
+    repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-similar-'));
+    await fs.mkdir(path.join(repoDir, 'src'));
+    await fs.writeFile(path.join(repoDir, 'src/a.js'), LINES.join('\n'));
+
+    store = path.join(repoDir, 'store');
+    other = path.join(repoDir, 'other');
+    await ensureRepoStore(store);
+    await ensureRepoStore(other);
+    await writeIndex(store, [
+      await chunk(store, 'a1', 'src/a.js', 1, 10, [1, 0, 0]),
+      await chunk(store, 'a2', 'src/a.js', 9, 20, [0.9, 0.1, 0]),
+      await chunk(store, 'a3', 'src/a.js', 25, 30, [0.8, 0.2, 0]),
+      await chunk(store, 'b1', 'src/b.js', 1, 10, [0.7, 0.3, 0])
+    ]);
+    await writeIndex(other, [await chunk(other, 'c1', 'lib/c.js', 1, 10, [0.95, 0, 0.05])]);
+  });
+
+  afterEach(async () => {
+    await fs.rm(repoDir, { recursive: true, force: true });
+  });
+
+  it('should read the block relative to the repository root', async () => {
+    const source = await readSourceBlock(repoDir, { file: './src/../src/a.js', start: 29, end: 40 });
+    expect(source).toEqual({ file: 'src/a.js', start: 29, end: 30, text: 'line 29\nline 30' });
+    await expect(readSourceBlock(repoDir, { file: 'src/a.js', start: 31, end: 31 })).rejects.toThrow(/past the end/);
+  });
+
+  it('should reuse the stored vector for an exact chunk and embed anything else', async () => {
+    const embedBatch = vi.fn().mockResolvedValue([[0, 1, 0]]);
+    const getEmbedder = () => ({ embedBatch });
+    const index = JSON.parse(await fs.readFile(path.join(store, 'db/index.json'), 'utf-8'));
+
+    const exact = await readSourceBlock(repoDir, { file: 'src/a.js', start: 1, end: 10 });
+    const reused = await resolveSourceVector(store, index, exact, getEmbedder);
+    expect(reused).toMatchObject({ reused: true, chunkId: 'a1', vector: [1, 0, 0] });
+    expect(embedBatch).not.toHaveBeenCalled();
+
+    const partial = await readSourceBlock(repoDir, { file: 'src/a.js', start: 2, end: 10 });
+    expect(await resolveSourceVector(store, index, partial, getEmbedder)).toEqual({ vector: [0, 1, 0], reused: false, chunkId: null });
+    expect(embedBatch).toHaveBeenCalledWith([partial.text]);
+  });
+
+  it('should drop chunks overlapping the source span and merge the rest', async () => {
+    const targets = [{ store, alias: 'app', path: repoDir, scope: 'current' }];
+    const results = await findSimilarChunks([1, 0, 0], { targets, source: { store, file: 'src/a.js', start: 1, end: 10 }, k: 5 });
+    expect(results.map(r => `${r.file}:${r.lines}`)).toEqual(['src/a.js:25-30', 'src/b.js:1-10']);
+    expect(results[0].repoPath).toBe(repoDir);
+  });
+
+  it('should restrict matches to other files or other repositories', async () => {
+    const targets = [
+      { store, alias: 'app', path: repoDir, scope: 'all' },
+      { store: other, alias: 'lib', scope: 'all' }
+    ];
+    const source = { store, file: 'src/a.js', start: 1, end: 10 };
+
+    const otherFiles = await findSimilarChunks([1, 0, 0], { targets, source, otherFiles: true });
+    expect(otherFiles.map(r => `${r.repo}/${r.file}`)).toEqual(['lib/lib/c.js', 'app/src/b.js']);
+
+    const otherRepos = await findSimilarChunks([1, 0, 0], { targets, source, otherRepos: true });
+    expect(otherRepos.map(r => `${r.repo}/${r.file}`)).toEqual(['lib/lib/c.js']);
+  });
+
+  it('should report each copy of the source chunk as a match of its own', async () => {
+    // vendor/a.js holds the same lines 1-10 as src/a.js, stored once as a1
+    const index = JSON.parse(await fs.readFile(path.join(store, 'db/index.json'), 'utf-8'));
+    await writeIndex(store, [...index, { ...index[0], relPath: 'vendor/a.js', startLine: 101, endLine: 110 }]);
+    const targets = [{ store, alias: 'app', path: repoDir, scope: 'current' }];
+
+    const results = await findSimilarChunks([1, 0, 0], { targets, source: { store, file: 'src/a.js', start: 1, end: 10 }, k: 5 });
+    expect(results.map(r => `${r.file}:${r.lines}`)).toEqual(['vendor/a.js:101-110', 'src/a.js:25-30', 'src/b.js:1-10']);
+    expect(results[0].score).toBe(1);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for per-store embedding model records
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// Ollama models return 3 dimensions and OpenAI models 4
+vi.mock('../../lib/embedder.js', () => ({
+  makeEmbedder: vi.fn((kind, config = {}, options = {}) => {
+    const id = kind || 'ollama';
+    const dims = id === 'openai' ? 4 : 3;
+    return {
+      id,
+      model: options.model || config.providers?.[id]?.embeddingModel || `default-${id}`,
+      embedBatch: vi.fn(async texts => texts.map(() => new Array(dims).fill(0.5)))
+    };
+  })
+}));
+
+import { makeEmbedder } from '../../lib/embedder.js';
+import { ensureRepoStore, saveVector, writeIndex } from '../../lib/store_repo.js';
+import {
+  readEmbeddingInfo,
+  writeEmbeddingInfo,
+  resolveStoreEmbedder,
+  assertDimensions,
+  createStoreEmbedders,
+  EmbeddingMismatchError
+} from '../../lib/store-embedder.js';
+
+describe('store embedding records', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-embedding-'));
+    await ensureRepoStore(store);
+    makeEmbedder.mockClear();
+  });
+
+  afterEach(async () => {
+    await fs.rm(store, { recursive: true, force: true });
+  });
+
+  it('should round-trip the provider, model and dimensions', async () => {
+    expect(await readEmbeddingInfo(store)).toBeNull();
+    await writeEmbeddingInfo(store, { id: 'openai', model: 'text-embedding-3-large' }, 3072);
+    expect(await readEmbeddingInfo(store)).toMatchObject({ provider: 'openai', model: 'text-embedding-3-large', dimensions: 3072 });
+  });
+
+  it('should resolve the recorded embedder instead of the configured one', async () => {
+    await writeEmbeddingInfo(store, { id: 'openai', model: 'text-embedding-3-small' }, 4);
+    const { embedder, recorded } = await resolveStoreEmbedder(store, { defaultProvider: 'ollama' });
+    expect(recorded).toBe(true);
+    expect(embedder).toMatchObject({ id: 'openai', model: 'text-embedding-3-small' });
+    expect(makeEmbedder).toHaveBeenCalledWith('openai', { defaultProvider: 'ollama' }, { model: 'text-embedding-3-small' });
+  });
+
+  it('should fall back to the configured embedder and the stored vector size for older stores', async () => {
+    await saveVector(store, 'a', [0.1, 0.2, 0.3, 0.4]);
+    await writeIndex(store, [{ id: 'a', relPath: 'a.js', meta: {} }]);
+    const { embedder, info, recorded } = await resolveStoreEmbedder(store, { defaultProvider: 'ollama' });
+    expect(recorded).toBe(false);
+    expect(embedder.id).toBe('ollama');
+    expect(info.dimensions).toBe(4);
+  });
+
+  it('should reject vectors of the wrong size with both models in the message', () => {
+    const info = { provider: 'openai', model: 'text-embedding-3-small', dimensions: 1536 };
+    expect(() => assertDimensions(info, new Array(1536).fill(0))).not.toThrow();
+    expect(() => assertDimensions({ dimensions: null }, [1, 2])).not.toThrow();
+
+    let error;
+    try {
+      assertDimensions(info, new Array(768).fill(0), { label: 'app', embedder: { id: 'ollama', model: 'nomic-embed-text' } });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(EmbeddingMismatchError);
+    expect(error.code).toBe('EMBEDDING_MISMATCH');
+    expect(error.message).toContain('app was indexed with openai/text-embedding-3-small (1536 dims), not ollama/nomic-embed-text (768 dims)');
+    expect(error.message).toContain('ziri index --force');
+  });
+
+  it('should embed once per model across stores and refuse stores of another size', async () => {
+    const other = path.join(store, 'other');
+    const legacy = path.join(store, 'legacy');
+    await ensureRepoStore(other);
+    await ensureRepoStore(legacy);
+    await writeEmbeddingInfo(store, { id: 'openai', model: 'text-embedding-3-small' }, 4);
+    await writeEmbeddingInfo(other, { id: 'openai', model: 'text-embedding-3-small' }, 4);
+    // Built with a 5-dimension model before models were recorded
+    await saveVector(legacy, 'x', [1, 2, 3, 4, 5]);
+    await writeIndex(legacy, [{ id: 'x', relPath: 'x.js', meta: {} }]);
+
+    const embedders = createStoreEmbedders({ defaultProvider: 'ollama' });
+    const first = await embedders.embed(store, ['query'], 'app');
+    const second = await embedders.embed(other, ['query'], 'lib');
+    expect(first).toBe(second);
+    expect(first[0]).toHaveLength(4);
+
+    await expect(embedders.embed(legacy, ['query'], 'old')).rejects.toThrow(/old was indexed with an unrecorded model \(5 dims\)/);
+  });
+});
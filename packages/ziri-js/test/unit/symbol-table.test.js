@@ -0,0 +1,125 @@
+/**
+ * Tests for the persisted symbol table
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { SymbolTable, extractFileSymbols, symbolTablePath } from '../../lib/metadata/symbol-table.js';
+
+const JS_SOURCE = [
+  'import fs from "node:fs";',                  // 1
+  '',                                           // 2
+  'export class UploadService {',               // 3
+  '  async retryUpload(file, attempts = 3) {',  // 4
+  '    for (let i = 0; i < attempts; i++) {',   // 5
+  '      if (await put(file)) return true;',    // 6
+  '    }',                                      // 7
+  '  }',                                        // 8
+  '}',                                          // 9
+  '',                                           // 10
+  'function retryDownload(url) {',              // 11
+  '  return fetch(url);',                       // 12
+  '}',                                          // 13
+  'const parseRetryHeader = (value) => Number(value);' // 14
+].join('\n');
+
+const PY_SOURCE = [
+  'class TokenRefresher:',                      // 1
+  '    @staticmethod',                          // 2
+  '    def refresh(token):',                    // 3
+  '        return token',                       // 4
+  '',                                           // 5
+  'def login(user) -> bool:',                   // 6
+  '    return True'                             // 7
+].join('\n');
+
+describe('extractFileSymbols', () => {
+  it('should find javascript classes, methods and functions with their lines', () => {
+    const symbols = extractFileSymbols(JS_SOURCE, 'javascript');
+    expect(symbols.map(s => [s.name, s.kind, s.line])).toEqual([
+      ['UploadService', 'class', 3],
+      ['retryUpload', 'method', 4],
+      ['retryDownload', 'function', 11],
+      ['parseRetryHeader', 'function', 14]
+    ]);
+    expect(symbols[1].signature).toBe('async retryUpload(file, attempts = 3)');
+    expect(symbols[2].signature).toBe('function retryDownload(url)');
+  });
+
+  it('should treat python defs inside a class as methods and skip decorators', () => {
+    const symbols = extractFileSymbols(PY_SOURCE, 'python');
+    expect(symbols.map(s => [s.name, s.kind, s.line, s.signature])).toEqual([
+      ['TokenRefresher', 'class', 1, 'class TokenRefresher'],
+      ['refresh', 'method', 3, 'def refresh(token)'],
+      ['login', 'function', 6, 'def login(user) -> bool']
+    ]);
+  });
+
+  it('should return nothing for languages the analyzer does not know', () => {
+    expect(extractFileSymbols('whatever', 'unknown')).toEqual([]);
+    expect(extractFileSymbols('', 'javascript')).toEqual([]);
+  });
+});
+
+describe('SymbolTable.search', () => {
+  const table = new SymbolTable();
+  table.setFile('src/upload.js', extractFileSymbols(JS_SOURCE, 'javascript'));
+  table.setFile('src/auth.py', extractFileSymbols(PY_SOURCE, 'python'));
+
+  it('should rank exact, then prefix, then substring matches', () => {
+    const names = table.search('retryUpload').map(s => [s.name, s.match]);
+    expect(names[0]).toEqual(['retryUpload', 'exact']);
+
+    expect(table.search('retry').map(s => [s.name, s.match])).toEqual([
+      ['retryUpload', 'prefix'],
+      ['retryDownload', 'prefix'],
+      ['parseRetryHeader', 'substring']
+    ]);
+  });
+
+  it('should tolerate typos and abbreviations', () => {
+    expect(table.search('retryUplaod')[0]).toMatchObject({ name: 'retryUpload', match: 'fuzzy' });
+    expect(table.search('tknrefr')[0]).toMatchObject({ name: 'TokenRefresher', match: 'fuzzy', file: 'src/auth.py', line: 1 });
+  });
+
+  it('should filter by kind and respect the limit', () => {
+    expect(table.search('retry', { kind: 'method' }).map(s => s.name)).toEqual(['retryUpload']);
+    expect(table.search('retry', { limit: 1 })).toHaveLength(1);
+    expect(table.search('zzz')).toEqual([]);
+  });
+});
+
+describe('SymbolTable persistence', () => {
+  let storeDir;
+
+  beforeEach(async () => {
+    storeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-symbols-'));
+    await fs.mkdir(path.join(storeDir, 'db'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(storeDir, { recursive: true, force: true });
+  });
+
+  it('should report a missing table so callers can ask for a re-index', async () => {
+    expect(await SymbolTable.load(storeDir)).toBeNull();
+  });
+
+  it('should round-trip files and drop removed ones', async () => {
+    const table = new SymbolTable();
+    table.setFile('src/upload.js', extractFileSymbols(JS_SOURCE, 'javascript'));
+    table.setFile('README.md', []);
+    await table.save(storeDir);
+
+    const loaded = await SymbolTable.load(storeDir);
+    expect(loaded.size).toBe(4);
+    expect(loaded.hasFile('README.md')).toBe(true);
+
+    expect(loaded.removeFile('src/upload.js')).toBe(true);
+    expect(loaded.removeFile('src/upload.js')).toBe(false);
+    await loaded.save(storeDir);
+    expect(JSON.parse(await fs.readFile(symbolTablePath(storeDir), 'utf-8')).files).toEqual({ 'README.md': [] });
+  });
+});
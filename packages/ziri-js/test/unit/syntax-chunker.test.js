@@ -0,0 +1,163 @@
+/**
+ * Tests for syntax-aware chunking
+ */
+
+import { describe, it, expect } from 'vitest';
+import { chunkBySyntax, chunkCode, resolveChunkingOptions, hasSyntaxParser, splitOversizedChunks, MAX_CHUNK_CHARS } from '../../lib/syntax-chunker.js';
+
+// Babel-shaped node covering lines start..end
+const node = (type, start, end, extra = {}) => ({ type, loc: { start: { line: start }, end: { line: end } }, ...extra });
+
+// A function of `bodyLines` lines, preceded by a doc comment
+function fn(name, bodyLines) {
+  return [
+    `/** ${name} */`,
+    `function ${name}() {`,
+    ...Array.from({ length: bodyLines }, (_, i) => `  step${i}('${name}'.padEnd(30, '.'));`),
+    '}'
+  ];
+}
+
+function build(blocks) {
+  const lines = [];
+  const nodes = [];
+  for (const block of blocks) {
+    if (lines.length > 0) lines.push('');
+    const start = lines.length + 2; // first line after the doc comment
+    lines.push(...block);
+    nodes.push(node('FunctionDeclaration', start, lines.length));
+  }
+  return { content: lines.join('\n'), nodes };
+}
+
+describe('chunkBySyntax', () => {
+  it('should start each chunk at a declaration, with the comment above it', () => {
+    const { content, nodes } = build([fn('alpha', 12), fn('beta', 12), fn('gamma', 12)]);
+    const chunks = chunkBySyntax(content, nodes, { targetChars: 800, minChars: 200 });
+
+    expect(chunks).toHaveLength(3);
+    expect(chunks.map(chunk => chunk.content.split('\n')[1])).toEqual(['function alpha() {', 'function beta() {', 'function gamma() {']);
+    expect(chunks[1]).toMatchObject({ startLine: 17, endLine: 31 });
+    expect(chunks[1].content.startsWith('/** beta */')).toBe(true);
+  });
+
+  it('should pack small neighbouring declarations together', () => {
+    const { content, nodes } = build([fn('a', 1), fn('b', 1), fn('c', 1), fn('d', 1), fn('e', 20), fn('f', 20)]);
+    const chunks = chunkBySyntax(content, nodes, { targetChars: 800, minChars: 150 });
+
+    expect(chunks.map(chunk => chunk.content.match(/function (\w+)/g))).toEqual([
+      ['function a', 'function b', 'function c'],
+      ['function d', 'function e'],
+      ['function f']
+    ]);
+  });
+
+  it('should split an oversized class between its members', () => {
+    const lines = ['class Uploader {'];
+    const members = [];
+    for (const name of ['start', 'retry', 'finish']) {
+      const start = lines.length + 1;
+      lines.push(`  ${name}() {`, ...Array.from({ length: 10 }, (_, i) => `    this.step${i}('${name}'.padEnd(30, '.'));`), '  }');
+      members.push(node('ClassMethod', start, lines.length));
+    }
+    lines.push('}');
+    const classNode = node('ClassDeclaration', 1, lines.length, { body: { type: 'ClassBody', body: members } });
+
+    const chunks = chunkBySyntax(lines.join('\n'), [classNode], { targetChars: 800, minChars: 200 });
+    expect(chunks.map(chunk => [chunk.startLine, chunk.endLine])).toEqual([[1, 13], [14, 25], [26, 38]]);
+    expect(chunks[1].content.startsWith('retry() {')).toBe(true);
+  });
+
+  it('should fall back to line chunks inside a declaration without inner statements', () => {
+    const { content, nodes } = build([fn('huge', 60)]);
+    const chunks = chunkBySyntax(content, nodes, { targetChars: 800 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks[0].startLine).toBe(1);
+    expect(chunks[chunks.length - 1].endLine).toBe(63);
+    expect(chunks.every(chunk => chunk.size <= 800)).toBe(true);
+  });
+
+  it('should keep every line when the parser reports overlapping or out-of-range nodes', () => {
+    const { content } = build([fn('alpha', 12), fn('beta', 12)]);
+    const nodes = [node('A', 2, 15), node('B', 5, 9), { type: 'C', location: { start: { line: 17 }, end: { line: 99 } } }];
+    const chunks = chunkBySyntax(content, nodes, { targetChars: 800, minChars: 200 });
+
+    expect(chunks.map(chunk => [chunk.startLine, chunk.endLine])).toEqual([[1, 15], [17, 31]]);
+  });
+});
+
+describe('chunkCode', () => {
+  it('should cut JavaScript at top-level declarations', async () => {
+    const content = [...fn('alpha', 12), '', ...fn('beta', 12), '', 'export const gamma = () => 1;'].join('\n');
+    const { chunks, strategy } = await chunkCode(content, { language: 'javascript', filePath: 'a.js' }, { ...resolveChunkingOptions(), targetChars: 800, minChars: 200 });
+
+    expect(strategy).toBe('syntax');
+    expect(chunks.map(chunk => [chunk.startLine, chunk.endLine])).toEqual([[1, 15], [17, 31], [33, 33]]);
+  });
+
+  it('should fall back to lines when the file does not parse', async () => {
+    const content = 'function broken( {\n  return 1;\n';
+    expect(await chunkCode(content, { language: 'javascript', filePath: 'a.js' })).toMatchObject({ strategy: 'lines', chunks: [{ startLine: 1, endLine: 3 }] });
+  });
+
+  it('should chunk by lines when the strategy or the language says so', async () => {
+    const content = fn('alpha', 3).join('\n');
+    const options = resolveChunkingOptions({}, { chunking: { languages: { javascript: 'lines' } } });
+
+    expect(await chunkCode(content, { language: 'javascript', filePath: 'a.js' }, options)).toMatchObject({ strategy: 'lines', chunks: [{ startLine: 1, endLine: 6 }] });
+    expect((await chunkCode(content, { language: 'markdown', filePath: 'a.md' })).strategy).toBe('lines');
+  });
+
+  it('should chunk Python, Java and C/C++ by lines, having no parser for them', async () => {
+    const python = ['def alpha():', '    return 1', '', '', 'def beta():', '    return 2'].join('\n');
+    const java = ['class Alpha {', '  int one() { return 1; }', '}', '', 'class Beta {', '  int two() { return 2; }', '}'].join('\n');
+    const c = ['int alpha(void) {', '  return 1;', '}', '', 'int beta(void) {', '  return 2;', '}'].join('\n');
+    const options = { ...resolveChunkingOptions(), targetChars: 800, minChars: 10 };
+
+    for (const [language, content] of [['python', python], ['java', java], ['c', c], ['cpp', c]]) {
+      expect(hasSyntaxParser(language)).toBe(false);
+      expect(await chunkCode(content, { language, filePath: `a.${language}` }, options)).toMatchObject({ strategy: 'lines', chunks: [{ startLine: 1 }] });
+    }
+    expect(['javascript', 'typescript', 'esql', 'dwl'].every(hasSyntaxParser)).toBe(true);
+  });
+});
+
+describe('splitOversizedChunks', () => {
+  it('should cut a minified line too long to embed into pieces that all get embedded', async () => {
+    const minified = 'var a=' + 'x+'.repeat(12000) + '1;';
+    const content = ['// header', minified, 'var b = 2;'].join('\n');
+    const { chunks } = await chunkCode(content, { language: 'javascript', filePath: 'app.min.js' });
+
+    expect(chunks.length).toBeGreaterThan(2);
+    expect(chunks.every(chunk => chunk.content.length <= MAX_CHUNK_CHARS)).toBe(true);
+    expect(chunks.map(chunk => chunk.content).join('')).toContain(minified.slice(-100));
+    expect(chunks[0].startLine).toBe(1);
+    expect(chunks.at(-1).endLine).toBe(3);
+    expect(chunks.filter(chunk => chunk.content.includes('x+x+')).every(chunk => chunk.startLine === 2 && chunk.endLine === 2)).toBe(true);
+    // Overlap between line chunks doesn't repeat the long line
+    expect(chunks.filter(chunk => chunk.content.startsWith('var a='))).toHaveLength(1);
+  });
+
+  it('should split oversized chunks between lines and keep their line numbers', () => {
+    const lines = Array.from({ length: 40 }, (_, i) => `const value${i} = ${'1'.repeat(40)};`);
+    const chunk = { content: lines.join('\n'), startLine: 11, endLine: 50, size: 0 };
+    const pieces = splitOversizedChunks([chunk], 600);
+
+    expect(pieces.length).toBeGreaterThan(1);
+    expect(pieces.every(piece => piece.content.length <= 600)).toBe(true);
+    expect(pieces[0].startLine).toBe(11);
+    expect(pieces.at(-1).endLine).toBe(50);
+    expect(pieces[1].content.split('\n')[0]).toBe(lines[pieces[1].startLine - 11]);
+    expect(splitOversizedChunks([{ content: 'small', startLine: 1, endLine: 1 }], 600)).toEqual([{ content: 'small', startLine: 1, endLine: 1 }]);
+  });
+});
+
+describe('resolveChunkingOptions', () => {
+  it('should default to syntax, let --chunking override every language and reject unknown strategies', () => {
+    expect(resolveChunkingOptions().strategy).toBe('syntax');
+    const options = resolveChunkingOptions({ chunking: 'lines' }, { chunking: { languages: { python: 'syntax' } } });
+    expect(options).toMatchObject({ strategy: 'lines', languages: {} });
+    expect(() => resolveChunkingOptions({}, { chunking: { languages: { python: 'ast' } } })).toThrow(/Unknown chunking strategy 'ast' for python/);
+  });
+});
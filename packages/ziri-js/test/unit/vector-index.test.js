@@ -0,0 +1,165 @@
+/**
+ * Tests for the persistent ANN vector index
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { VectorIndex, searchVectors } from '../../lib/storage/vector-index.js';
+import { ensureRepoStore, saveVector } from '../../lib/store_repo.js';
+
+// Deterministic pseudo-random vectors grouped around a few well separated directions
+function clusteredVectors(count, dims, clusters) {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648 - 0.5;
+  };
+  const vectors = [];
+  for (let i = 0; i < count; i++) {
+    const center = i % clusters;
+    const vector = Array.from({ length: dims }, (_, d) => (d % clusters === center ? 1 : 0) + random() * 0.2);
+    vectors.push(vector);
+  }
+  return vectors;
+}
+
+describe('VectorIndex', () => {
+  let repoDir;
+
+  beforeEach(async () => {
+    repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-ann-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(repoDir, { recursive: true, force: true });
+  });
+
+  it('should return the most similar vectors first', () => {
+    const index = new VectorIndex();
+    index.upsert('x', [1, 0, 0]);
+    index.upsert('y', [0, 1, 0]);
+    index.upsert('xy', [1, 1, 0]);
+
+    const hits = index.search([1, 0.1, 0], 2);
+    expect(hits.map(h => h.id)).toEqual(['x', 'xy']);
+    expect(hits[0].score).toBeCloseTo(0.995, 3);
+  });
+
+  it('should replace and remove vectors', () => {
+    const index = new VectorIndex();
+    index.upsert('a', [1, 0]);
+    index.upsert('b', [0, 1]);
+    index.upsert('c', [1, 1]);
+
+    index.upsert('a', [0, 1]);
+    expect(index.size).toBe(3);
+    expect(index.search([1, 0], 1)[0].id).toBe('c');
+
+    expect(index.remove('a')).toBe(true);
+    expect(index.remove('a')).toBe(false);
+    expect(index.size).toBe(2);
+    expect(index.has('c')).toBe(true);
+    expect(index.scoreIds([0, 1], ['b', 'c', 'a']).size).toBe(2);
+  });
+
+  it('should reject vectors with different dimensions', () => {
+    const index = new VectorIndex();
+    index.upsert('a', [1, 0, 0]);
+    expect(() => index.upsert('b', [1, 0])).toThrow(/dimensions/);
+  });
+
+  it('should persist and reload vectors and clusters', async () => {
+    const index = new VectorIndex();
+    clusteredVectors(400, 8, 4).forEach((vector, i) => index.upsert(`v${i}`, vector));
+    expect(index.optimize({ minVectors: 100 })).toBe(true);
+    expect(index.nlist).toBe(10);
+    await index.save(repoDir);
+
+    const reloaded = await VectorIndex.load(repoDir);
+    expect(reloaded.size).toBe(400);
+    expect(reloaded.nlist).toBe(10);
+    expect(reloaded.search([1, 0, 0, 0, 1, 0, 0, 0], 3)).toEqual(index.search([1, 0, 0, 0, 1, 0, 0, 0], 3));
+  });
+
+  it('should find the true nearest neighbours through the clusters', () => {
+    const vectors = clusteredVectors(600, 12, 6);
+    const index = new VectorIndex();
+    vectors.forEach((vector, i) => index.upsert(`v${i}`, vector));
+    index.optimize({ minVectors: 100 });
+
+    const exact = new VectorIndex();
+    vectors.forEach((vector, i) => exact.upsert(`v${i}`, vector));
+
+    const query = vectors[7];
+    const approximate = index.search(query, 5).map(h => h.id);
+    expect(approximate).toEqual(exact.search(query, 5).map(h => h.id));
+  });
+
+  it('should only retrain when the size changes substantially', () => {
+    const index = new VectorIndex();
+    clusteredVectors(200, 4, 2).forEach((vector, i) => index.upsert(`v${i}`, vector));
+    expect(index.needsTraining(500)).toBe(false);
+    expect(index.needsTraining(100)).toBe(true);
+    index.train();
+    index.upsert('extra', [1, 0, 0, 0]);
+    expect(index.needsTraining(100)).toBe(false);
+  });
+
+  it('should load an empty index when files are missing or truncated', async () => {
+    expect((await VectorIndex.load(repoDir)).size).toBe(0);
+
+    const index = new VectorIndex();
+    index.upsert('a', [1, 0]);
+    await index.save(repoDir);
+    await fs.writeFile(path.join(repoDir, 'db', 'ann', 'vectors.bin'), Buffer.alloc(4));
+    expect((await VectorIndex.load(repoDir)).size).toBe(0);
+  });
+});
+
+describe('searchVectors', () => {
+  let repoDir;
+  const rows = [{ id: 'a', relPath: 'a.js' }, { id: 'b', relPath: 'b.js' }, { id: 'c', relPath: 'c.js' }];
+
+  beforeEach(async () => {
+    repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ziri-ann-'));
+    await ensureRepoStore(repoDir);
+    await saveVector(repoDir, 'a', [1, 0]);
+    await saveVector(repoDir, 'b', [0, 1]);
+    await saveVector(repoDir, 'c', [1, 1]);
+  });
+
+  afterEach(async () => {
+    await fs.rm(repoDir, { recursive: true, force: true });
+  });
+
+  it('should scan vector files when no index exists', async () => {
+    const { scores, method } = await searchVectors(repoDir, rows, [1, 0], { k: 1 });
+    expect(method).toBe('scan');
+    expect(scores.size).toBe(3);
+    expect(scores.get('a')).toBeCloseTo(1);
+  });
+
+  it('should use the index when it covers every row', async () => {
+    const index = new VectorIndex();
+    index.upsert('a', [1, 0]);
+    index.upsert('b', [0, 1]);
+    index.upsert('c', [1, 1]);
+    await index.save(repoDir);
+
+    const { scores, method } = await searchVectors(repoDir, rows, [1, 0], { k: 1, include: ['b'] });
+    expect(method).toBe('exact');
+    expect([...scores.keys()]).toEqual(['a', 'b']);
+    expect(scores.get('b')).toBeCloseTo(0);
+  });
+
+  it('should fall back to scanning when the index is missing rows', async () => {
+    const index = new VectorIndex();
+    index.upsert('a', [1, 0]);
+    await index.save(repoDir);
+
+    const { method } = await searchVectors(repoDir, rows, [1, 0], { k: 1 });
+    expect(method).toBe('scan');
+  });
+});